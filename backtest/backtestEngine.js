@@ -0,0 +1,246 @@
+/**
+ * Backtesting engine for the multi-chain trading bot
+ * Replays recorded market data through the liquidity detectors on a virtual clock
+ * with paper execution, and reports the resulting trades and PnL
+ */
+
+const MarketReplay = require('./marketReplay');
+const multiChainLiquidityDetector = require('../core/multiChainLiquidityDetector');
+const ethLiquidityDetector = require('../core/liquidityDetector');
+const positionLedger = require('../core/positionLedger');
+const riskManager = require('../core/riskManager');
+const trendStrategy = require('../strategies/trendStrategy');
+const securityModule = require('../security/securityModule');
+const priceFeed = require('../core/priceFeed');
+const performanceReport = require('../core/performanceReport');
+const paperVenue = require('../execution/paperVenue');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// Tunable parameters and the config paths they override
+const PARAM_PATHS = {
+  minLiquidityUSD: 'trading.ethereum.minLiquidityUSD',
+  snipeAmount: 'trading.ethereum.snipeAmount',
+  snipeSlippage: 'trading.ethereum.snipeSlippage',
+  takeProfitPercentage: 'trading.takeProfitPercentage',
+  stopLossPercentage: 'trading.stopLossPercentage',
+  solanaSnipeAmount: 'trading.solana.snipeAmount',
+  arbitrageAmount: 'trading.bitcoin.arbitrageAmount',
+  minArbitrageProfit: 'trading.bitcoin.minArbitrageProfit'
+};
+
+const DEFAULT_BALANCES = {
+  ethereum: { ETH: 10 },
+  solana: { SOL: 100 },
+  kraken: { USD: 100000, BTC: 1 },
+  binance: { USDT: 100000, BTC: 1 }
+};
+
+class BacktestEngine {
+  /**
+   * Run a backtest over a recorded dataset
+   * @param {Object} dataset - Recorded market data (see MarketReplay)
+   * @param {Object} [options] - Backtest options
+   * @param {Object} [options.params] - Tunable parameters (see PARAM_PATHS)
+   * @param {Object<string, any>} [options.overrides] - Extra config overrides keyed by dot path
+   * @param {Object<string, Object<string, number>>} [options.balances] - Starting balances keyed by venue then asset
+   * @param {Array<Object>} [options.strategies] - Strategies to run on the replayed tickers
+   *   ({ type: 'trend', chain, exchange, symbol, ... }, see strategies/trendStrategy.js)
+   * @returns {Promise<Object>} Performance report with the parameters used
+   */
+  async run(dataset, { params = {}, overrides = {}, balances = null, strategies = [] } = {}) {
+    if (multiChainLiquidityDetector.initialized || ethLiquidityDetector.initialized) {
+      throw new Error('Cannot backtest while the liquidity detectors are running');
+    }
+
+    const unknown = Object.keys(params).filter(name => !PARAM_PATHS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown backtest parameters: ${unknown.join(', ')}`);
+    }
+
+    const unsupported = strategies.filter(({ type }) => type !== 'trend');
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported backtest strategies: ${unsupported.map(({ type }) => type).join(', ')}`);
+    }
+
+    const replay = new MarketReplay(dataset);
+    const startingBalances = balances || dataset.balances || DEFAULT_BALANCES;
+    const restoreConfig = this.applyConfig(params, overrides, dataset);
+    // Simulated trades count toward their own transaction limits, never the live window
+    const restoreTransactions = securityModule.isolateTransactions();
+    const previousMinLiquidity = ethLiquidityDetector.minLiquidityUSD;
+
+    logger.info('Starting backtest', {
+      dataset: dataset.name,
+      start: dataset.start,
+      end: dataset.end,
+      events: replay.events.length,
+      params
+    });
+
+    try {
+      clock.useVirtual(replay.start);
+      ethLiquidityDetector.minLiquidityUSD = parseFloat(config.get(PARAM_PATHS.minLiquidityUSD, previousMinLiquidity));
+
+      await positionLedger.initialize({ persist: false });
+      await riskManager.initialize({ persist: false });
+      paperVenue.reset(startingBalances);
+      const openingBalances = paperVenue.getBalances();
+      priceFeed.clear();
+      replay.install();
+
+      // The multi-chain detector initializes the Ethereum detector itself
+      const initialized = await multiChainLiquidityDetector.initialize();
+      if (!initialized) {
+        throw new Error('Failed to initialize liquidity detectors');
+      }
+
+      await trendStrategy.initialize({ persist: false });
+      for (const strategy of strategies) {
+        await trendStrategy.createStrategy(strategy);
+      }
+
+      for (const event of replay.events) {
+        await clock.advanceTo(event.time);
+        await replay.dispatch(event);
+        await clock.settle();
+      }
+
+      await clock.advanceTo(replay.end);
+
+      multiChainLiquidityDetector.stopAllMonitors();
+      trendStrategy.stopAll();
+      await this.closeOpenPositions();
+
+      const report = performanceReport.build({
+        positions: positionLedger.getPositions(),
+        fills: paperVenue.getFills(),
+        startingBalances: openingBalances,
+        endingBalances: paperVenue.getBalances(),
+        start: dataset.start,
+        end: dataset.end
+      });
+
+      logger.info('Backtest finished', {
+        dataset: dataset.name,
+        trades: report.totals.trades,
+        hitRate: report.totals.hitRate
+      });
+
+      return { dataset: dataset.name, params, ...report };
+    } catch (error) {
+      logger.error('Backtest failed', {
+        dataset: dataset.name,
+        error: error.message
+      });
+      throw error;
+    } finally {
+      multiChainLiquidityDetector.stopAllMonitors();
+      trendStrategy.reset();
+      riskManager.reset();
+      this.resetDetectors();
+      replay.uninstall();
+      restoreConfig();
+      restoreTransactions();
+      ethLiquidityDetector.minLiquidityUSD = previousMinLiquidity;
+      positionLedger.reset();
+      priceFeed.clear();
+      clock.useReal();
+    }
+  }
+
+  /**
+   * Run a backtest for every combination of parameter values
+   * @param {Object} dataset - Recorded market data
+   * @param {Object<string, Array<any>>} grid - Candidate values keyed by parameter name
+   * @param {Object} [options] - Options passed to run (params are taken from the grid)
+   * @returns {Promise<Array<Object>>} Reports in grid order
+   */
+  async sweep(dataset, grid, options = {}) {
+    const combinations = Object.entries(grid).reduce(
+      (sets, [name, values]) => sets.flatMap(set => values.map(value => ({ ...set, [name]: value }))),
+      [{}]
+    );
+
+    const reports = [];
+    for (const params of combinations) {
+      reports.push(await this.run(dataset, { ...options, params }));
+    }
+
+    return reports;
+  }
+
+  /**
+   * Override config for the run: strategies on, live trading off so every trade fills on the paper venue
+   * @param {Object} params - Tunable parameters
+   * @param {Object<string, any>} overrides - Config overrides keyed by dot path
+   * @param {Object} dataset - Recorded market data
+   * @returns {Function} Restores the previous config
+   */
+  applyConfig(params, overrides, dataset) {
+    const values = {
+      'exchanges.ethereum.tradingEnabled': false,
+      'trading.solana.tradingEnabled': false,
+      'trading.bitcoin.tradingEnabled': false,
+      'trading.solana.snipingEnabled': true,
+      // Recordings carry reserves only, not the LP, transfer and ownership logs the rug watchdog listens to
+      'trading.ethereum.rugWatchdog.enabled': false,
+      // ...nor the LP holders the liquidity lock risk rule reads
+      'security.riskScoring.rules.liquidityLock.enabled': false,
+      'trading.bitcoin.arbitrageEnabled': Boolean(dataset.bitcoin && dataset.bitcoin.tickers && dataset.bitcoin.tickers.length),
+      ...overrides
+    };
+
+    // The risk manager values ETH and SOL from live exchange prices; recordings carry their own marks
+    if (dataset.usdPrices) {
+      values['trading.risk.usdPrices'] = { ...config.get('trading.risk.usdPrices', {}), ...dataset.usdPrices };
+    }
+
+    Object.entries(params).forEach(([name, value]) => {
+      values[PARAM_PATHS[name]] = value;
+    });
+
+    const previous = Object.entries(values).map(([path, value]) => [path, config.set(path, value)]);
+
+    return () => previous.reverse().forEach(([path, value]) => config.set(path, value));
+  }
+
+  /**
+   * Sell whatever is still held when the data runs out so every position is reported as a trade
+   * @returns {Promise<void>}
+   */
+  async closeOpenPositions() {
+    for (const { id, positionId } of trendStrategy.getStrategies()) {
+      if (positionId) {
+        await trendStrategy.closePosition(id, 'end-of-backtest');
+      }
+    }
+
+    const ethereumTokens = new Set(positionLedger.getOpenPositions({ chain: 'ethereum' }).map(({ asset }) => asset));
+
+    for (const tokenAddress of ethereumTokens) {
+      await ethLiquidityDetector.sellPosition(tokenAddress, 'end-of-backtest');
+    }
+
+    for (const position of positionLedger.getOpenPositions({ chain: 'solana', strategy: 'snipe' })) {
+      await multiChainLiquidityDetector.closeSolanaPosition(position.id, position.asset, 'end-of-backtest');
+    }
+  }
+
+  /**
+   * Drop the detector state left by the run so the next run starts clean
+   */
+  resetDetectors() {
+    multiChainLiquidityDetector.monitors = {};
+    multiChainLiquidityDetector.activeStrategies = {};
+    multiChainLiquidityDetector.initialized = false;
+    ethLiquidityDetector.listeners = {};
+    ethLiquidityDetector.positionMonitors = {};
+    ethLiquidityDetector.positionChecks = {};
+    ethLiquidityDetector.initialized = false;
+  }
+}
+
+module.exports = new BacktestEngine();
+module.exports.PARAM_PATHS = PARAM_PATHS;
@@ -0,0 +1,360 @@
+/**
+ * Market replay for backtesting the multi-chain trading bot
+ * Serves recorded pairs, reserves, Solana tokens and tickers to the chain modules
+ * at the virtual clock's current time; trades fill on the paper venue against that data
+ */
+
+const EventEmitter = require('events');
+const ethereum = require('../core/ethereum');
+const bitcoin = require('../core/bitcoin');
+const solana = require('../core/solana');
+const honeypotSimulator = require('../security/honeypotSimulator');
+const bytecodeAnalyzer = require('../security/bytecodeAnalyzer');
+const holderAnalyzer = require('../security/holderAnalyzer');
+const exchanges = require('../exchanges/registry');
+const paperVenue = require('../execution/paperVenue');
+const { quoteConstantProduct } = require('../execution/paperVenue');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// Order in which events recorded at the same instant are applied
+const EVENT_PRIORITY = {
+  reserves: 0,
+  solanaPrice: 0,
+  ticker: 0,
+  pair: 1,
+  solanaToken: 1
+};
+
+class MarketReplay {
+  /**
+   * Recorded data layout (timestamps are ISO strings):
+   *   ethereum.pairs[]   { timestamp, pairAddress, token: { address, name, symbol, decimals }, liquidityUSD,
+   *                        simulation?, holders?, reserves: [{ timestamp, tokenReserve, wethReserve }] }
+   *   solana.tokens[]    { timestamp, address, source, mintAuthority, freezeAuthority, supply, decimals,
+   *                        prices: [{ timestamp, price }] } (price in SOL per token)
+   *   bitcoin.tickers[]  { timestamp, exchange, symbol, bid, ask, last, bidQty?, askQty? }
+   * @param {Object} dataset - Recorded market data ({ name, start, end, ethereum, solana, bitcoin })
+   */
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.start = Date.parse(dataset.start);
+    this.end = Date.parse(dataset.end);
+    this.events = this.buildEvents(dataset);
+
+    this.tokens = new Map();
+    this.reserves = new Map();
+    this.pairAddresses = new Map();
+    this.pairMonitors = new Map();
+    this.solanaPrices = new Map();
+    this.tickers = new Map();
+    this.simulations = new Map();
+    this.holderReports = new Map();
+
+    this.pairCallback = null;
+    this.solanaCallback = null;
+    this.patches = [];
+  }
+
+  /**
+   * Flatten the dataset into time-ordered events
+   * @param {Object} dataset - Recorded market data
+   * @returns {Array<Object>} Events ({ time, type, data })
+   */
+  buildEvents(dataset) {
+    const events = [];
+    const push = (timestamp, type, data) => events.push({ time: Date.parse(timestamp), type, data });
+
+    ((dataset.ethereum && dataset.ethereum.pairs) || []).forEach(pair => {
+      push(pair.timestamp, 'pair', pair);
+      (pair.reserves || []).forEach(reserves => push(reserves.timestamp, 'reserves', { address: pair.token.address, ...reserves }));
+    });
+
+    ((dataset.solana && dataset.solana.tokens) || []).forEach(token => {
+      push(token.timestamp, 'solanaToken', token);
+      (token.prices || []).forEach(price => push(price.timestamp, 'solanaPrice', { address: token.address, ...price }));
+    });
+
+    ((dataset.bitcoin && dataset.bitcoin.tickers) || []).forEach(ticker => push(ticker.timestamp, 'ticker', ticker));
+
+    const invalid = events.find(event => Number.isNaN(event.time));
+    if (invalid) {
+      throw new Error(`Invalid timestamp in ${invalid.type} event`);
+    }
+
+    return events
+      .filter(event => event.time >= this.start && event.time <= this.end)
+      .sort((a, b) => a.time - b.time || EVENT_PRIORITY[a.type] - EVENT_PRIORITY[b.type]);
+  }
+
+  /**
+   * Apply an event to the market state and notify the detectors
+   * @param {Object} event - Replay event
+   * @returns {Promise<void>}
+   */
+  async dispatch({ type, data }) {
+    switch (type) {
+      case 'reserves':
+        this.reserves.set(data.address.toLowerCase(), {
+          token: parseFloat(data.tokenReserve),
+          weth: parseFloat(data.wethReserve)
+        });
+        this.emitSync(data.address.toLowerCase());
+        break;
+      case 'solanaPrice':
+        this.solanaPrices.set(data.address, parseFloat(data.price));
+        break;
+      case 'ticker':
+        this.tickers.set(`${data.exchange}:${data.symbol}`, data);
+        break;
+      case 'pair':
+        await this.emitPair(data);
+        break;
+      case 'solanaToken':
+        if (this.solanaCallback) {
+          await this.solanaCallback({ ...data, timestamp: clock.date().toISOString() });
+        }
+        break;
+      default:
+        throw new Error(`Unknown replay event: ${type}`);
+    }
+  }
+
+  /**
+   * Announce a recorded pair the way ethereum.listenForNewPairs does
+   * @param {Object} pair - Recorded pair
+   */
+  async emitPair(pair) {
+    const address = pair.token.address.toLowerCase();
+    this.tokens.set(address, pair.token);
+    this.pairAddresses.set(address, pair.pairAddress);
+    this.simulations.set(address, pair.simulation || {});
+    this.holderReports.set(address, pair.holders || {});
+
+    if (!this.pairCallback) {
+      return;
+    }
+
+    const weth = { address: ethereum.addresses.weth, name: 'Wrapped Ether', symbol: 'WETH', decimals: 18 };
+    const [token0, token1] = pair.token.address.toLowerCase() < weth.address.toLowerCase()
+      ? [pair.token, weth]
+      : [weth, pair.token];
+
+    await this.pairCallback({
+      pairAddress: pair.pairAddress,
+      token0,
+      token1,
+      liquidity: { liquidityUSD: String(pair.liquidityUSD) },
+      hasEth: true,
+      timestamp: clock.date().toISOString(),
+      blockNumber: pair.blockNumber || null,
+      transactionHash: pair.transactionHash || null
+    });
+  }
+
+  /**
+   * Report a reserve update to the pair monitors watching the token, as a Sync event would
+   * @param {string} address - Token address (lowercase)
+   */
+  emitSync(address) {
+    const reserves = this.reserves.get(address);
+
+    (this.pairMonitors.get(address) || new Set()).forEach(monitor => monitor.emit('reserves', {
+      pairAddress: monitor.pairAddress,
+      blockNumber: null,
+      reserveToken: reserves.token,
+      reserveWeth: reserves.weth
+    }));
+  }
+
+  /**
+   * Stand-in for ethereum.monitorPair that follows the recorded reserve updates
+   * @param {string} tokenAddress - Token address
+   * @returns {EventEmitter} Monitor with start() and stop()
+   */
+  createPairMonitor(tokenAddress) {
+    const address = tokenAddress.toLowerCase();
+    const monitor = new EventEmitter();
+    monitor.pairAddress = this.pairAddresses.get(address) || null;
+
+    monitor.start = () => {
+      if (!this.pairMonitors.has(address)) {
+        this.pairMonitors.set(address, new Set());
+      }
+      this.pairMonitors.get(address).add(monitor);
+      monitor.emit('connected', { reconnecting: false });
+    };
+    monitor.stop = () => {
+      if (this.pairMonitors.has(address)) {
+        this.pairMonitors.get(address).delete(monitor);
+      }
+    };
+
+    return monitor;
+  }
+
+  /**
+   * Replace the chain module data sources the detectors use with replayed data.
+   * Trades go through the chain modules' own paper trading paths.
+   */
+  install() {
+    const isWeth = address => address.toLowerCase() === ethereum.addresses.weth.toLowerCase();
+
+    this.patch(ethereum, 'initialized', true);
+    this.patch(ethereum, 'listenForNewPairs', callback => {
+      this.pairCallback = callback;
+      return { stop: () => { this.pairCallback = null; } };
+    });
+    this.patch(ethereum, 'getTokenInfo', async tokenAddress => {
+      const token = this.tokens.get(tokenAddress.toLowerCase());
+      if (!token) {
+        throw new Error(`Token ${tokenAddress} not in replay`);
+      }
+      return { address: tokenAddress, totalSupply: '0', decimals: 18, ...token };
+    });
+    this.patch(ethereum, 'monitorPair', async tokenAddress => this.createPairMonitor(tokenAddress));
+    this.patch(ethereum, 'getPairReserves', async (tokenIn, tokenOut) => {
+      const token = isWeth(tokenIn) ? tokenOut : tokenIn;
+      const reserves = this.reserves.get(token.toLowerCase());
+      if (!reserves) {
+        throw new Error(`No reserves recorded for ${token}`);
+      }
+
+      const [reserveIn, reserveOut] = isWeth(tokenIn) ? [reserves.weth, reserves.token] : [reserves.token, reserves.weth];
+      return { pairAddress: null, reserveIn: String(reserveIn), reserveOut: String(reserveOut) };
+    });
+    this.patch(ethereum, 'getTokenPrice', async (tokenAddress, baseTokenAddress = ethereum.addresses.weth, amountIn = '1') => {
+      const reserves = this.reserves.get(tokenAddress.toLowerCase());
+      if (!reserves || !isWeth(baseTokenAddress)) {
+        return '0';
+      }
+      return quoteConstantProduct(parseFloat(amountIn), reserves.token, reserves.weth, paperVenue.ammFeePercent).toString();
+    });
+    this.patch(honeypotSimulator, 'simulate', async tokenAddress => ({
+      tokenAddress,
+      mode: 'replay',
+      buyTaxPercent: 0,
+      sellTaxPercent: 0,
+      transferTaxPercent: 0,
+      isHoneypot: false,
+      blocked: false,
+      reasons: [],
+      ...this.simulations.get(tokenAddress.toLowerCase())
+    }));
+    // Recordings carry no bytecode; replayed tokens are treated as plain ERC-20s
+    this.patch(bytecodeAnalyzer, 'analyzeContract', async () => ({
+      issues: [],
+      selectors: [],
+      isProxy: false,
+      implementation: null,
+      ownershipRenounced: false
+    }));
+    this.patch(holderAnalyzer, 'analyze', async (tokenAddress, { pairAddress = null } = {}) => ({
+      tokenAddress,
+      pairAddress,
+      complete: true,
+      topHolders: [],
+      fundedWallets: [],
+      riskScore: 0,
+      reasons: [],
+      findings: [],
+      ...this.holderReports.get(tokenAddress.toLowerCase())
+    }));
+
+    this.patch(solana, 'initialized', true);
+    this.patch(solana, 'monitorNewTokens', callback => {
+      this.solanaCallback = callback;
+      return { stop: () => { this.solanaCallback = null; } };
+    });
+    this.patch(solana, 'getTokenInfo', async tokenAddress => {
+      const token = ((this.dataset.solana && this.dataset.solana.tokens) || []).find(({ address }) => address === tokenAddress) || {};
+      return { address: tokenAddress, name: token.name || '', symbol: token.symbol || '', decimals: token.decimals, supply: token.supply };
+    });
+    this.patch(solana, 'getTokenPrice', async tokenAddress => {
+      const price = this.solanaPrices.get(tokenAddress);
+      if (!price) {
+        throw new Error(`No price recorded for ${tokenAddress}`);
+      }
+      return price.toString();
+    });
+
+    this.patch(bitcoin, 'initialized', true);
+
+    const tickerExchanges = new Set(((this.dataset.bitcoin && this.dataset.bitcoin.tickers) || []).map(({ exchange }) => exchange));
+    tickerExchanges.forEach(exchange => {
+      const original = exchanges.adapters.get(exchange);
+      exchanges.register(exchange, {
+        name: exchange,
+        enabled: true,
+        getTicker: async symbol => {
+          const ticker = this.getTicker(exchange, symbol);
+          return {
+            exchange,
+            symbol,
+            price: String(ticker.last),
+            bidPrice: String(ticker.bid),
+            bidQty: ticker.bidQty !== undefined ? String(ticker.bidQty) : null,
+            askPrice: String(ticker.ask),
+            askQty: ticker.askQty !== undefined ? String(ticker.askQty) : null,
+            timestamp: Date.parse(ticker.timestamp)
+          };
+        },
+        // Only the top of book was recorded
+        getOrderBook: async symbol => {
+          const ticker = this.getTicker(exchange, symbol);
+          return {
+            exchange,
+            symbol,
+            bids: [{ price: String(ticker.bid), quantity: ticker.bidQty !== undefined ? String(ticker.bidQty) : null }],
+            asks: [{ price: String(ticker.ask), quantity: ticker.askQty !== undefined ? String(ticker.askQty) : null }],
+            timestamp: Date.parse(ticker.timestamp)
+          };
+        }
+      });
+      this.patches.push(() => (original ? exchanges.register(exchange, original) : exchanges.unregister(exchange)));
+    });
+  }
+
+  /**
+   * Undo every patch made by install
+   */
+  uninstall() {
+    this.patches.reverse().forEach(restore => restore());
+    this.patches = [];
+    this.pairCallback = null;
+    this.solanaCallback = null;
+    this.pairMonitors.clear();
+  }
+
+  /**
+   * Latest recorded ticker for an exchange
+   * @param {string} exchange - Exchange key
+   * @param {string} symbol - Normalized symbol
+   * @returns {Object} Recorded ticker
+   */
+  getTicker(exchange, symbol) {
+    const ticker = this.tickers.get(`${exchange}:${symbol}`);
+    if (!ticker) {
+      throw new Error(`No ticker recorded for ${exchange} ${symbol}`);
+    }
+    return ticker;
+  }
+
+  patch(target, key, value) {
+    const hadOwn = Object.prototype.hasOwnProperty.call(target, key);
+    const original = target[key];
+    target[key] = value;
+
+    this.patches.push(() => {
+      if (hadOwn) {
+        target[key] = original;
+      } else {
+        delete target[key];
+      }
+    });
+
+    logger.debug('Patched module for replay', { key });
+  }
+}
+
+module.exports = MarketReplay;
@@ -3,6 +3,11 @@
  * Handles Bitcoin-specific functionality
  */
 
+const priceFeed = require('../core/priceFeed');
+const paperVenue = require('../execution/paperVenue');
+const exchanges = require('../exchanges/registry');
+const { ORDER_STATUS } = require('../exchanges/exchangeAdapter');
+const securityModule = require('../security/securityModule');
 const config = require('../core/config');
 const logger = require('../utils/logger');
 
@@ -11,6 +16,13 @@ class BitcoinModule {
     this.initialized = false;
     this.provider = null;
     this.maxFeeRate = config.get('trading.bitcoin.maxFeeRate', 50); // sat/vB
+    // BTC market per exchange; Binance has no BTC/USD book so it quotes against USDT
+    this.symbols = config.get('trading.bitcoin.symbols', {
+      kraken: 'BTC/USD',
+      binance: 'BTC/USDT',
+      cryptoCom: 'BTC/USD',
+      uphold: 'BTC/USD'
+    });
   }
 
   /**
@@ -38,37 +50,73 @@ class BitcoinModule {
   }
 
   /**
-   * Get Bitcoin price from exchange
-   * @param {string} exchange - Exchange name (kraken, binance)
-   * @returns {Promise<string>} Bitcoin price in USD
+   * Get a Bitcoin quote (bid/ask/last) from an exchange
+   * @param {string} exchange - Exchange name (kraken, binance, cryptoCom, uphold)
+   * @returns {Promise<Object>} Quote from the price feed
    */
-  async getBitcoinPrice(exchange = 'binance') {
+  async getBitcoinQuote(exchange = 'binance') {
     try {
       if (!this.initialized) {
         throw new Error('Bitcoin module not initialized');
       }
       
-      // In a real implementation, we would fetch the price from the specified exchange
-      // For this prototype, we'll use a placeholder price
-      const price = '65000'; // Example price
+      const symbol = this.getSymbol(exchange);
+      const quote = await priceFeed.getQuote(exchange, symbol);
       
-      logger.debug('Retrieved Bitcoin price', { 
-        exchange, 
-        price 
+      logger.debug('Retrieved Bitcoin quote', {
+        exchange,
+        symbol,
+        bid: quote.bid,
+        ask: quote.ask
       });
       
-      return price;
+      return quote;
     } catch (error) {
-      logger.error('Failed to get Bitcoin price', { 
+      logger.error('Failed to get Bitcoin quote', { 
         exchange, 
         error: error.message 
       });
-      
-      // Return a default price if unable to fetch
-      return '65000';
+      throw error;
     }
   }
 
+  /**
+   * Get Bitcoin quotes from several exchanges, dropping stale and outlier quotes
+   * @param {Array<string>} exchanges - Exchange names
+   * @returns {Promise<Object>} Accepted quotes keyed by exchange, plus rejected reasons
+   */
+  async getBitcoinQuotes(exchanges = ['kraken', 'binance']) {
+    if (!this.initialized) {
+      throw new Error('Bitcoin module not initialized');
+    }
+    
+    const symbols = {};
+    exchanges.forEach(exchange => {
+      symbols[exchange] = this.getSymbol(exchange);
+    });
+    
+    return priceFeed.getQuotes(symbols);
+  }
+
+  /**
+   * Get Bitcoin price from exchange
+   * @param {string} exchange - Exchange name (kraken, binance, cryptoCom, uphold)
+   * @returns {Promise<string>} Last Bitcoin price in the exchange's quote currency
+   */
+  async getBitcoinPrice(exchange = 'binance') {
+    const quote = await this.getBitcoinQuote(exchange);
+    return quote.last.toString();
+  }
+
+  /**
+   * Get the BTC market symbol traded on an exchange
+   * @param {string} exchange - Exchange name
+   * @returns {string} Normalized symbol (e.g. BTC/USD)
+   */
+  getSymbol(exchange) {
+    return this.symbols[exchange] || 'BTC/USD';
+  }
+
   /**
    * Get Bitcoin network fee estimates
    * @returns {Promise<Object>} Fee estimates in sat/vB
@@ -173,7 +221,7 @@ class BitcoinModule {
   }
 
   /**
-   * Execute a Bitcoin trade on an exchange
+   * Execute a Bitcoin trade on an exchange, within the security module's transaction limits
    * @param {string} exchange - Exchange name (kraken, binance)
    * @param {string} side - Trade side (buy, sell)
    * @param {string} amount - Trade amount in BTC
@@ -181,6 +229,9 @@ class BitcoinModule {
    * @returns {Promise<Object>} Trade result
    */
   async executeTrade(exchange, side, amount, price = null) {
+    let reservationId = null;
+    let executed = false;
+    
     try {
       if (!this.initialized) {
         throw new Error('Bitcoin module not initialized');
@@ -193,39 +244,78 @@ class BitcoinModule {
         price
       });
       
+      const validation = await securityModule.validateTransaction('bitcoin', amount, side, { exchange });
+      
+      if (!validation.valid) {
+        throw new Error(`Rejected by transaction limits: ${validation.reason}`);
+      }
+      reservationId = validation.reservationId;
+      
       // Check if trading is enabled
       const tradingEnabled = config.get('trading.bitcoin.tradingEnabled', false);
       
       if (!tradingEnabled) {
-        logger.security('Bitcoin trading is disabled, simulating trade', {
+        logger.security('Bitcoin trading is disabled, paper trading order', {
           exchange,
           side,
           amount,
           price
         });
         
+        const fill = await paperVenue.fillExchangeOrder(exchange, this.getSymbol(exchange), side, amount, price);
+        executed = true;
+        
         return {
-          simulated: true,
+          paper: true,
           exchange,
           side,
-          amount,
-          price,
-          timestamp: new Date().toISOString()
+          amount: side === 'buy' ? fill.amountOut : fill.amountIn,
+          price: fill.price.toString(),
+          fee: fill.fee,
+          feeAsset: fill.feeAsset,
+          partial: fill.partial,
+          timestamp: fill.timestamp,
+          id: fill.id
         };
       }
       
-      // In a real implementation, we would execute the trade on the specified exchange
-      // For this prototype, we'll simulate the trade
+      const adapter = exchanges.get(exchange);
+      const order = await adapter.placeOrder({
+        symbol: this.getSymbol(exchange),
+        side,
+        type: price !== null ? 'limit' : 'market',
+        quantity: parseFloat(amount).toFixed(8),
+        price
+      });
+      const final = await adapter.waitForOrder(order, {
+        timeoutMs: config.get('trading.bitcoin.orderTimeoutMs', 30000),
+        pollMs: config.get('trading.bitcoin.orderPollMs', 1000)
+      });
+      
+      // An adapter with its own trading switch off only simulates the order
+      if (final.status === ORDER_STATUS.SIMULATED) {
+        return { simulated: true, exchange, side, amount, price, timestamp: new Date(final.timestamp).toISOString(), id: final.id };
+      }
+      
+      const filled = parseFloat(final.filledQuantity);
+      
+      if (!(filled > 0)) {
+        throw new Error(`${exchange} order ${final.id} ended ${final.status} without a fill`);
+      }
+      
+      executed = true;
       
-      // Simulate trade execution
       const tradeResult = {
         exchange,
         side,
-        amount,
-        price: price || await this.getBitcoinPrice(exchange),
-        fee: (parseFloat(amount) * 0.001).toString(), // 0.1% fee
-        timestamp: new Date().toISOString(),
-        id: `btc-trade-${Date.now()}`
+        amount: final.filledQuantity,
+        price: final.averagePrice || final.price,
+        fee: final.fee,
+        feeAsset: final.feeAsset,
+        partial: filled < parseFloat(amount),
+        status: final.status,
+        timestamp: new Date(final.timestamp).toISOString(),
+        id: final.id
       };
       
       logger.trading('Bitcoin trade executed successfully', tradeResult);
@@ -240,13 +330,19 @@ class BitcoinModule {
         error: error.message
       });
       throw error;
+    } finally {
+      // Only a trade that filled counts toward the transaction limits
+      securityModule.settleTransaction(reservationId, executed);
     }
   }
 
   /**
    * Set up a Bitcoin trading strategy
    * @param {string} strategy - Strategy type (grid, dca, trend)
-   * @param {Object} params - Strategy parameters
+   * @param {Object} params - Strategy parameters; grid takes { exchange, symbol, lowerPrice, upperPrice, levels, quantity }
+   *   (see strategies/gridStrategy.js), dca { exchange, symbol, cron, budget, missedRuns } (see
+   *   strategies/dcaStrategy.js) and trend { exchange, symbol, fastPeriod, slowPeriod, ... } (see
+   *   strategies/trendStrategy.js), with symbol defaulting to the exchange's BTC market
    * @returns {Promise<Object>} Strategy setup result
    */
   async setupTradingStrategy(strategy, params) {
@@ -260,6 +356,69 @@ class BitcoinModule {
         params
       });
       
+      // Required here rather than at the top, as in core/solana, so loading a chain module never
+      // loads the strategies
+      const gridStrategy = require('../strategies/gridStrategy');
+      const dcaStrategy = require('../strategies/dcaStrategy');
+      const trendStrategy = require('../strategies/trendStrategy');
+      
+      if (strategy === 'grid') {
+        const exchange = params.exchange || 'binance';
+        const grid = await gridStrategy.createGrid({
+          ...params,
+          chain: 'bitcoin',
+          exchange,
+          symbol: params.symbol || this.getSymbol(exchange)
+        });
+        
+        return {
+          id: grid.id,
+          type: strategy,
+          params,
+          status: grid.status,
+          createdAt: grid.createdAt,
+          grid
+        };
+      }
+      
+      if (strategy === 'dca') {
+        const exchange = params.exchange || 'binance';
+        const plan = await dcaStrategy.createPlan({
+          ...params,
+          chain: 'bitcoin',
+          exchange,
+          symbol: params.symbol || this.getSymbol(exchange)
+        });
+        
+        return {
+          id: plan.id,
+          type: strategy,
+          params,
+          status: plan.status,
+          createdAt: plan.createdAt,
+          plan
+        };
+      }
+      
+      if (strategy === 'trend') {
+        const exchange = params.exchange || 'binance';
+        const trend = await trendStrategy.createStrategy({
+          ...params,
+          chain: 'bitcoin',
+          exchange,
+          symbol: params.symbol || this.getSymbol(exchange)
+        });
+        
+        return {
+          id: trend.id,
+          type: strategy,
+          params,
+          status: trend.status,
+          createdAt: trend.createdAt,
+          trend
+        };
+      }
+      
       // In a real implementation, we would set up the specified trading strategy
       // For this prototype, we'll simulate the setup
       
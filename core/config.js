@@ -4,6 +4,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 
 // Default configuration values
 const defaultConfig = {
@@ -19,6 +20,77 @@ const defaultConfig = {
     ipWhitelist: process.env.IP_WHITELIST ? process.env.IP_WHITELIST.split(',') : [],
     maxLoginAttempts: 5,
     sessionTimeoutMinutes: 30,
+    // USD limits checked by securityModule.validateTransaction before every strategy buy or swap.
+    // Each transaction must stay under maxTransactionUSD, and the transactions of the last
+    // windowHours under windowLimitUSD, separately for its chain, its exchange and its strategy;
+    // exchanges and strategies without an entry are only held to their chain's limits. Amounts
+    // are valued through trading.risk.usdPrices and priceSources, and the window is saved under
+    // storage.dataDir so a restart does not clear it
+    transactionLimits: {
+      windowHours: parseFloat(process.env.TRANSACTION_LIMIT_WINDOW_HOURS || '24'),
+      reservationTtlMs: 600000, // validated transactions never settled are counted as executed after this
+      chains: {
+        ethereum: {
+          maxTransactionUSD: parseFloat(process.env.ETH_MAX_TRANSACTION_USD || '3000'),
+          windowLimitUSD: parseFloat(process.env.ETH_WINDOW_LIMIT_USD || '15000'),
+        },
+        bitcoin: {
+          maxTransactionUSD: parseFloat(process.env.BTC_MAX_TRANSACTION_USD || '6000'),
+          windowLimitUSD: parseFloat(process.env.BTC_WINDOW_LIMIT_USD || '30000'),
+        },
+        solana: {
+          maxTransactionUSD: parseFloat(process.env.SOLANA_MAX_TRANSACTION_USD || '3000'),
+          windowLimitUSD: parseFloat(process.env.SOLANA_WINDOW_LIMIT_USD || '15000'),
+        },
+      },
+      exchanges: {
+        kraken: { maxTransactionUSD: 5000, windowLimitUSD: 25000 },
+        binance: { maxTransactionUSD: 5000, windowLimitUSD: 25000 },
+      },
+      strategies: {
+        dca: { maxTransactionUSD: 1000, windowLimitUSD: 5000 },
+        trend: { maxTransactionUSD: 2000, windowLimitUSD: 10000 },
+        triangular: { maxTransactionUSD: 1000, windowLimitUSD: 20000 },
+      },
+    },
+    // Lowest bytecode issue severity that fails token contract validation
+    contractBlockingSeverity: process.env.CONTRACT_BLOCKING_SEVERITY || 'high',
+    // Encrypted secrets (see security/keystore.js). Any value of the form keystore:<name>, e.g.
+    // KRAKEN_API_SECRET=keystore:kraken.apiSecret, is decrypted from the keystore when read; the
+    // keystore is unlocked with KEYSTORE_PASSPHRASE
+    keystore: {
+      path: process.env.KEYSTORE_PATH, // defaults to <dataDir>/keystore.json
+      kdf: process.env.KEYSTORE_KDF || 'scrypt', // scrypt or pbkdf2, for new envelopes
+      scryptCost: parseInt(process.env.KEYSTORE_SCRYPT_COST || '32768', 10),
+      pbkdf2Iterations: parseInt(process.env.KEYSTORE_PBKDF2_ITERATIONS || '600000', 10),
+      rotationDays: parseInt(process.env.KEYSTORE_ROTATION_DAYS || '90', 10),
+    },
+    // Token risk rules (see security/riskScoring.js); a token is traded only when no finding is
+    // blocking and the summed weights stay at or below maxScore
+    riskScoring: {
+      maxScore: parseFloat(process.env.TOKEN_MAX_RISK_SCORE || '50'),
+      rules: {
+        keywords: {
+          enabled: true,
+          weight: 10, // per matching term
+          terms: ['scam', 'ponzi', 'moon', 'elon', 'safe', 'gem', 'pump'],
+        },
+        taxSimulation: { enabled: true },
+        ownership: {
+          enabled: true,
+          unknownAuthorityWeight: 15, // per Solana mint or freeze authority that could not be read
+        },
+        liquidityLock: {
+          enabled: true,
+          minLockedPercent: 80, // of the LP supply, burned or held by a known locker
+          weight: 25,
+        },
+        holderConcentration: {
+          enabled: process.env.ETH_HOLDER_ANALYSIS_ENABLED !== 'false',
+          maxRiskScore: parseFloat(process.env.ETH_MAX_HOLDER_RISK_SCORE || '50'), // holder analyzer score that blocks on its own
+        },
+      },
+    },
   },
   
   // Exchange API configurations
@@ -28,12 +100,16 @@ const defaultConfig = {
       apiKey: process.env.KRAKEN_API_KEY,
       apiSecret: process.env.KRAKEN_API_SECRET,
       tradingEnabled: process.env.KRAKEN_TRADING_ENABLED === 'true',
+      apiUrl: process.env.KRAKEN_API_URL, // REST base URL override, e.g. a testnet
+      wsUrl: process.env.KRAKEN_WS_URL, // defaults to wss://ws.kraken.com/v2
     },
     binance: {
       enabled: process.env.BINANCE_ENABLED === 'true',
       apiKey: process.env.BINANCE_API_KEY,
       apiSecret: process.env.BINANCE_API_SECRET,
       tradingEnabled: process.env.BINANCE_TRADING_ENABLED === 'true',
+      apiUrl: process.env.BINANCE_API_URL, // REST base URL override, e.g. a testnet
+      wsUrl: process.env.BINANCE_WS_URL, // raw stream base, defaults to wss://stream.binance.com:9443/ws
     },
     cryptoCom: {
       enabled: process.env.CRYPTO_COM_ENABLED === 'true',
@@ -57,15 +133,222 @@ const defaultConfig = {
     takeProfitPercentage: process.env.TAKE_PROFIT_PERCENTAGE || 0.1, // 10% take profit
     maxOpenPositions: process.env.MAX_OPEN_POSITIONS || 5,
     
+    // Portfolio risk manager (see core/riskManager.js) every snipe, arbitrage and strategy buy goes
+    // through. Orders are capped at maxPositionSize of capitalUSD; exposure is the USD cost of open
+    // ledger positions. Correlation buckets list assets, or <chain>:<strategy> for every position a
+    // strategy opens on a chain. A day's realized loss past maxDailyLossUSD trips a kill switch
+    // that refuses all orders and stops the monitors until resetKillSwitch is called
+    risk: {
+      enabled: process.env.RISK_MANAGER_ENABLED !== 'false',
+      capitalUSD: parseFloat(process.env.RISK_CAPITAL_USD || '10000'),
+      maxAssetExposureUSD: parseFloat(process.env.RISK_MAX_ASSET_EXPOSURE_USD || '2500'),
+      maxPortfolioExposureUSD: parseFloat(process.env.RISK_MAX_PORTFOLIO_EXPOSURE_USD || '7500'),
+      maxDailyLossUSD: parseFloat(process.env.RISK_MAX_DAILY_LOSS_USD || '500'),
+      pendingOrderTtlMs: 600000, // allowed orders never released stop counting as pending after this
+      correlationBuckets: {
+        majors: { assets: ['BTC', 'ETH', 'SOL'], maxExposureUSD: 5000 },
+        newListings: { assets: ['ethereum:snipe', 'solana:snipe'], maxExposureUSD: 2000 },
+      },
+      usdPrices: { USD: 1, USDT: 1, USDC: 1 }, // fixed marks; other assets are priced from priceSources
+      priceSources: { BTC: 'binance:BTC/USDT', ETH: 'binance:ETH/USDT', SOL: 'binance:SOL/USDT' },
+    },
+    
+    // Position exit rules (see core/exitPolicy.js), merged in order: default, <chain>.default,
+    // <chain>.<strategy>. Without takeProfits the single take-profit above sells everything, e.g.
+    //   ethereum: { snipe: { takeProfits: [{ atPercent: 20, sellPercent: 25 }, { atPercent: 50, sellPercent: 25 }],
+    //     trailingStopPercent: 15, breakEvenAfterFirstTarget: true, maxHoldingMinutes: 240, liquidityDropPercent: 30 } }
+    exitPolicies: {
+      default: {
+        trailingStopPercent: process.env.EXIT_TRAILING_STOP_PERCENT ? parseFloat(process.env.EXIT_TRAILING_STOP_PERCENT) : null,
+        maxHoldingMinutes: process.env.EXIT_MAX_HOLDING_MINUTES ? parseFloat(process.env.EXIT_MAX_HOLDING_MINUTES) : null,
+      },
+    },
+    
     // Ethereum specific settings
     ethereum: {
+      privateKey: process.env.ETH_PRIVATE_KEY, // keystore:<name> keeps the key encrypted at rest
       gasLimitMultiplier: process.env.ETH_GAS_LIMIT_MULTIPLIER || 1.2,
       maxGasPrice: process.env.ETH_MAX_GAS_PRICE || '100', // in gwei
+      // EIP-1559 pricing from eth_feeHistory; profiles override the defaults in core/ethereumFees.js
+      fees: {
+        historyBlocks: 10,
+        profiles: {},
+      },
+      // Pending transactions are re-priced (same nonce, fees bumped) after speedUpAfterMs for their urgency
+      transactions: {
+        pollIntervalMs: 3000,
+        speedUpAfterMs: { standard: 60000, exit: 20000, snipe: 12000 },
+        feeBumpPercent: 12.5, // nodes reject replacements that bump less than 10%
+        maxReplacements: parseInt(process.env.ETH_TX_MAX_REPLACEMENTS || '3'),
+        historySize: 100, // final transactions kept for lookups; older ones are forgotten
+      },
+      // How transactions reach builders: public mempool, private relay bundle, or bundle sharing only its hash
+      submission: {
+        modes: {
+          standard: 'public',
+          exit: process.env.ETH_EXIT_SUBMISSION || 'public',
+          snipe: process.env.ETH_SNIPE_SUBMISSION || 'private',
+        },
+        relayUrl: process.env.ETH_RELAY_URL || 'https://relay.flashbots.net',
+        authKey: process.env.ETH_RELAY_AUTH_KEY, // identifies the bot to the relay, holds no funds
+        blocksAhead: 3,
+        bundleHints: ['hash'],
+      },
+      // Emergency exits on LP removal or unlock, ownership transfers, holder dumps and reserve drops
+      rugWatchdog: {
+        enabled: process.env.ETH_RUG_WATCHDOG_ENABLED !== 'false',
+        pollIntervalMs: 15000,
+        lpRemovalPercent: 10, // of the WETH reserve (Burn) or LP supply (LP transfers)
+        holderDumpPercent: 20, // of the pair's token reserve sold in one transfer
+        reserveDropPercent: 30, // WETH reserve lost between two polls
+        lpLockers: [], // extra LP locker addresses besides the well-known ones
+      },
+      // Holder concentration on new pairs, from Transfer logs around pair creation
+      // (scored by the holderConcentration risk rule)
+      holderAnalysis: {
+        preLaunchBlocks: 1000, // replayed before the pair so the mint is included
+        logChunkBlocks: 2000,
+        fundingLookbackBlocks: 100, // blocks scanned for ETH sent by the deployer
+        topHolderCount: 10,
+        maxTop10Percent: 50,
+        maxDeployerPercent: 5,
+      },
       minLiquidityUSD: process.env.ETH_MIN_LIQUIDITY_USD || 50000,
       preferredDexes: process.env.ETH_PREFERRED_DEXES ? 
         process.env.ETH_PREFERRED_DEXES.split(',') : 
-        ['uniswap', 'sushiswap'],
+        ['uniswap', 'uniswapV3', 'sushiswap'],
+      // Swaps are quoted on every preferred DEX, directly and through WETH, USDC or DAI
+      routing: {
+        v3FeeTiers: [500, 3000, 10000],
+        maxHops: 2,
+      },
+      // Honeypot simulation before sniping (fork URL points at an anvil or hardhat node)
+      simulationForkUrl: process.env.ETH_SIMULATION_FORK_URL,
+      requireSellSimulation: process.env.ETH_REQUIRE_SELL_SIMULATION !== 'false',
+      maxBuyTaxPercent: parseFloat(process.env.ETH_MAX_BUY_TAX_PERCENT || '10'),
+      maxSellTaxPercent: parseFloat(process.env.ETH_MAX_SELL_TAX_PERCENT || '10'),
+      maxTransferTaxPercent: parseFloat(process.env.ETH_MAX_TRANSFER_TAX_PERCENT || '10'),
+      // Position monitors follow pair Sync/Swap events over this websocket and poll only while it is down
+      wsUrl: process.env.ETH_WS_URL,
+      pairEvents: {
+        reconnectDelayMs: 1000,
+        maxReconnectDelayMs: 30000,
+        staleAfterMs: 60000,
+      },
+    },
+    
+    // Bitcoin specific settings
+    bitcoin: {
+      // executeTrade cancels whatever of a live order is still unfilled after orderTimeoutMs
+      orderTimeoutMs: 30000,
+      orderPollMs: 1000,
+      // Cross-exchange arbitrage (see strategies/arbitrageExecutor.js); arbitrageAmount caps the
+      // size and minArbitrageProfit is the net edge each added slice of the books must clear
+      arbitrage: {
+        exchanges: ['kraken', 'binance'],
+        takerFeePercent: { kraken: 0.26, binance: 0.1 }, // live fees; paper fills use paperTrading.takerFeePercent
+        minQuantity: 0.0001,
+        bookDepth: 20,
+        legTimeoutMs: 10000, // unfilled leg remainders are cancelled after this
+        orderPollMs: 500,
+        onLegFailure: process.env.BTC_ARBITRAGE_ON_LEG_FAILURE || 'unwind', // unwind or hedge
+        // Share of the BTC and quote inventory each exchange should hold
+        targetShares: { kraken: 50, binance: 50 },
+        maxInventoryDriftPercent: 20,
+      },
+    },
+    
+    // Solana specific settings
+    solana: {
+      rpcUrl: process.env.SOLANA_RPC_URL,
+      wsUrl: process.env.SOLANA_WS_URL,
+      // executeTrade cancels whatever of a live order is still unfilled after orderTimeoutMs
+      orderTimeoutMs: 30000,
+      orderPollMs: 1000,
+      monitor: {
+        programs: process.env.SOLANA_MONITOR_PROGRAMS ?
+          process.env.SOLANA_MONITOR_PROGRAMS.split(',') :
+          ['splToken', 'raydium', 'orca'],
+        commitment: 'confirmed',
+        reconnectDelayMs: 1000,
+        maxReconnectDelayMs: 30000,
+        backfillLimit: 200,
+      },
+    },
+    
+    // Triangular arbitrage scanner (see strategies/triangularArbitrage.js). Every cycle starts and
+    // ends in one of startAssets and trades at most its startAmounts entry; profitable cycles are
+    // only reported unless autoExecute is on, and fill on the paper venue unless tradingEnabled
+    triangular: {
+      enabled: process.env.TRIANGULAR_ENABLED === 'true',
+      exchanges: process.env.TRIANGULAR_EXCHANGES ? process.env.TRIANGULAR_EXCHANGES.split(',') : ['binance'],
+      startAssets: ['USDT', 'USD', 'BTC'],
+      startAmounts: { USDT: 100, USD: 100, BTC: 0.002 },
+      takerFeePercent: { kraken: 0.26, binance: 0.1 },
+      minProfitPercent: parseFloat(process.env.TRIANGULAR_MIN_PROFIT_PERCENT || '0.2'),
+      maxTickerAgeMs: 2000, // cycles are only priced from tickers this fresh
+      autoExecute: process.env.TRIANGULAR_AUTO_EXECUTE === 'true',
+      tradingEnabled: process.env.TRIANGULAR_TRADING_ENABLED === 'true',
+      legTimeoutMs: 5000,
+      orderPollMs: 250,
+      cooldownMs: 5000, // between executions
+    },
+    
+    // Grid strategy runtime (see strategies/gridStrategy.js); grids are created through
+    // bitcoin/solana.setupTradingStrategy('grid', ...) and saved under storage.dataDir
+    grid: {
+      pollMs: 30000,
+      maxFillHistory: 100, // fills kept per grid
+    },
+    
+    // Dollar-cost averaging (see strategies/dcaStrategy.js); plans are created through
+    // setupTradingStrategy('dca', ...) and saved under storage.dataDir with their run history
+    dca: {
+      missedRuns: process.env.DCA_MISSED_RUNS || 'skip', // default policy: skip, once or all
+      maxCatchUpRuns: 24, // most runs the 'all' policy replays
+      maxCatchUpWindowHours: 168, // ticks older than this are never caught up
+      maxRunHistory: 500, // runs kept per plan
+      orderTimeoutMs: 30000,
+      orderPollMs: 1000,
+    },
+    
+    // Trend following (see strategies/trendStrategy.js): enters on a fast/slow EMA crossover unless
+    // the RSI is overbought, exits on the opposite crossover or an ATR trailing stop. Entries spend
+    // maxPositionSize of the quote balance, subject to the risk manager (trading.risk)
+    trend: {
+      candleIntervalMs: parseInt(process.env.TREND_CANDLE_INTERVAL_MS || '60000', 10),
+      pollMs: 5000, // ticker polling for exchanges without a ticker stream (Kraken)
+      fastPeriod: 12,
+      slowPeriod: 26,
+      rsiPeriod: 14,
+      rsiOverbought: 70, // no entries at or above
+      atrPeriod: 14,
+      atrStopMultiplier: 2, // stop trails the highest close by this many ATRs
+      maxCandles: 500, // candles kept per strategy
+      maxSignalHistory: 100, // signals kept per strategy
+      orderTimeoutMs: 30000,
+      orderPollMs: 1000,
+    },
+  },
+  
+  // Paper trading venue used whenever a chain or exchange has trading disabled
+  paperTrading: {
+    balances: {
+      ethereum: { ETH: parseFloat(process.env.PAPER_ETH_BALANCE || '1') },
+      solana: { SOL: parseFloat(process.env.PAPER_SOL_BALANCE || '10') },
+      kraken: { USD: 10000, BTC: 0.1, SOL: 10 },
+      binance: { USDT: 10000, BTC: 0.1, SOL: 10 },
     },
+    ammFeePercent: 0.3,
+    takerFeePercent: 0.1,
+    solanaSwapFeePercent: 0.25,
+    solanaSlippagePercent: 0.5,
+    bookDepth: 20,
+  },
+  
+  // Persistent state (position ledger, strategy state)
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(process.cwd(), 'data'),
   },
   
   // Monitoring and alerts
@@ -76,11 +359,26 @@ const defaultConfig = {
   },
 };
 
+/**
+ * Replace a keystore:<name> reference with the secret it names
+ * @param {any} value - Configuration value
+ * @returns {any} The secret for a reference, otherwise the value unchanged
+ */
+function resolveReference(value) {
+  if (typeof value !== 'string' || !value.startsWith('keystore:')) {
+    return value;
+  }
+  
+  // Required here rather than at the top: the keystore logs through utils/logger, which reads this module
+  const keystore = require('../security/keystore');
+  return keystore.resolveReference(value);
+}
+
 /**
  * Get configuration value by path
  * @param {string} path - Dot notation path to configuration value
  * @param {any} defaultValue - Default value if path not found
- * @returns {any} Configuration value
+ * @returns {any} Configuration value, with keystore references resolved
  */
 function get(path, defaultValue) {
   const parts = path.split('.');
@@ -93,7 +391,31 @@ function get(path, defaultValue) {
     current = current[part];
   }
   
-  return current;
+  return resolveReference(current);
+}
+
+/**
+ * Override a configuration value at runtime
+ * @param {string} path - Dot notation path to configuration value
+ * @param {any} value - New value (undefined restores the caller's default)
+ * @returns {any} Previous value
+ */
+function set(path, value) {
+  const parts = path.split('.');
+  const key = parts.pop();
+  let current = defaultConfig;
+  
+  for (const part of parts) {
+    if (current[part] === undefined || current[part] === null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  }
+  
+  const previous = current[key];
+  current[key] = value;
+  
+  return previous;
 }
 
 /**
@@ -123,12 +445,29 @@ function validate() {
     }
   });
   
+  // Check that every keystore reference can be decrypted
+  const checkReferences = (value, path) => {
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => checkReferences(child, path ? `${path}.${key}` : key));
+      return;
+    }
+    
+    try {
+      resolveReference(value);
+    } catch (error) {
+      errors.push(`${path} could not be read from the keystore: ${error.message}`);
+    }
+  };
+  checkReferences(defaultConfig, '');
+  
   return errors;
 }
 
 module.exports = {
   get,
+  set,
   validate,
-  // Export the entire config for testing and debugging
+  resolveReference,
+  // Export the entire config for testing and debugging (keystore references stay unresolved)
   getAll: () => JSON.parse(JSON.stringify(defaultConfig)),
 };
@@ -0,0 +1,282 @@
+/**
+ * DEX routing for the multi-chain trading bot
+ * Quotes swaps across Uniswap V2, Uniswap V3 fee tiers and SushiSwap, directly and
+ * through WETH, USDC or DAI, and executes on the venue with the best output
+ */
+
+const { ethers } = require('ethers');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+const WETH_ADDRESS = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const DAI_ADDRESS = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+// Intermediate tokens multi-hop paths may route through
+const HUB_TOKENS = [WETH_ADDRESS, USDC_ADDRESS, DAI_ADDRESS];
+
+// Venues keyed by the names used in trading.ethereum.preferredDexes
+const VENUES = {
+  uniswap: {
+    type: 'v2',
+    router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
+  },
+  sushiswap: {
+    type: 'v2',
+    router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F'
+  },
+  uniswapV3: {
+    type: 'v3',
+    router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', // SwapRouter02
+    quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e' // QuoterV2
+  }
+};
+
+const V2_ROUTER_ABI = [
+  "function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)",
+  "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+  "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+  "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)"
+];
+
+const V3_QUOTER_ABI = [
+  "function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)"
+];
+
+const V3_ROUTER_ABI = [
+  "function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)",
+  "function unwrapWETH9(uint256 amountMinimum, address recipient) payable",
+  "function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)"
+];
+
+// SwapRouter02 recipient meaning "the router itself", used to unwrap WETH before paying out ETH
+const V3_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Encode a Uniswap V3 multi-hop path
+ * @param {Array<string>} path - Token addresses
+ * @param {Array<number>} fees - Pool fee tier of each hop
+ * @returns {string} Packed path
+ */
+function encodeV3Path(path, fees) {
+  const types = [];
+  const values = [];
+
+  path.forEach((token, index) => {
+    types.push('address');
+    values.push(token);
+
+    if (index < fees.length) {
+      types.push('uint24');
+      values.push(fees[index]);
+    }
+  });
+
+  return ethers.utils.solidityPack(types, values);
+}
+
+class DexRouter {
+  constructor() {
+    this.contracts = {};
+    this.dexes = config.get('trading.ethereum.preferredDexes', ['uniswap'])
+      .filter(dex => {
+        if (!VENUES[dex]) {
+          logger.warn('Ignoring unknown DEX in preferredDexes', { dex });
+          return false;
+        }
+        return true;
+      });
+    this.v3FeeTiers = config.get('trading.ethereum.routing.v3FeeTiers', [500, 3000, 10000]);
+    this.maxHops = config.get('trading.ethereum.routing.maxHops', 2);
+  }
+
+  /**
+   * Create the router and quoter contracts for the preferred venues
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Wallet, or provider in read-only mode
+   */
+  connect(signerOrProvider) {
+    this.contracts = {};
+
+    this.dexes.forEach(dex => {
+      const venue = VENUES[dex];
+
+      this.contracts[dex] = venue.type === 'v2'
+        ? { router: new ethers.Contract(venue.router, V2_ROUTER_ABI, signerOrProvider) }
+        : {
+          router: new ethers.Contract(venue.router, V3_ROUTER_ABI, signerOrProvider),
+          quoter: new ethers.Contract(venue.quoter, V3_QUOTER_ABI, signerOrProvider)
+        };
+    });
+  }
+
+  /**
+   * Direct path plus one path through each hub token that is not already an endpoint
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Array<Array<string>>} Token paths
+   */
+  getCandidatePaths(tokenIn, tokenOut) {
+    const paths = [[tokenIn, tokenOut]];
+
+    if (this.maxHops >= 2) {
+      HUB_TOKENS
+        .filter(hub => !sameAddress(hub, tokenIn) && !sameAddress(hub, tokenOut))
+        .forEach(hub => paths.push([tokenIn, hub, tokenOut]));
+    }
+
+    return paths;
+  }
+
+  /**
+   * Every combination of V3 fee tiers for a path's hops
+   * @param {number} hops - Number of hops
+   * @returns {Array<Array<number>>} Fee tier combinations
+   */
+  getFeeCombinations(hops) {
+    let combinations = [[]];
+
+    for (let i = 0; i < hops; i++) {
+      combinations = combinations.flatMap(fees => this.v3FeeTiers.map(fee => [...fees, fee]));
+    }
+
+    return combinations;
+  }
+
+  /**
+   * Quote a swap on every preferred venue and candidate path
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {ethers.BigNumber} amountIn - Input amount in wei
+   * @returns {Promise<Array<Object>>} Quotes ({ dex, type, path, fees, amountOut }), best first
+   */
+  async quoteAll(tokenIn, tokenOut, amountIn) {
+    const requests = [];
+
+    this.getCandidatePaths(tokenIn, tokenOut).forEach(path => {
+      this.dexes.forEach(dex => {
+        if (VENUES[dex].type === 'v2') {
+          requests.push({ dex, type: 'v2', path, fees: null });
+        } else {
+          this.getFeeCombinations(path.length - 1)
+            .forEach(fees => requests.push({ dex, type: 'v3', path, fees }));
+        }
+      });
+    });
+
+    // Paths without pools revert; they simply drop out of the comparison
+    const quotes = await Promise.all(requests.map(async request => {
+      try {
+        return { ...request, amountOut: await this.quote(request, amountIn) };
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    return quotes
+      .filter(quote => quote && quote.amountOut.gt(0))
+      .sort((a, b) => (b.amountOut.gt(a.amountOut) ? 1 : b.amountOut.lt(a.amountOut) ? -1 : 0));
+  }
+
+  /**
+   * Quote one route
+   * @param {Object} route - Route ({ dex, type, path, fees })
+   * @param {ethers.BigNumber} amountIn - Input amount in wei
+   * @returns {Promise<ethers.BigNumber>} Output amount in wei
+   */
+  async quote({ dex, type, path, fees }, amountIn) {
+    const contracts = this.contracts[dex];
+
+    if (!contracts) {
+      throw new Error(`DEX ${dex} not connected`);
+    }
+
+    if (type === 'v2') {
+      const amounts = await contracts.router.getAmountsOut(amountIn, path);
+      return amounts[amounts.length - 1];
+    }
+
+    // The quoter simulates the swap and reverts with the result, so it is read with callStatic
+    const { amountOut } = await contracts.quoter.callStatic.quoteExactInput(encodeV3Path(path, fees), amountIn);
+    return amountOut;
+  }
+
+  /**
+   * Find the route with the best output and log how the venues compared
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {ethers.BigNumber} amountIn - Input amount in wei
+   * @param {number} [decimalsOut] - Output token decimals, for logging
+   * @returns {Promise<Object>} Best quote ({ dex, type, path, fees, amountOut, spender })
+   */
+  async findBestRoute(tokenIn, tokenOut, amountIn, decimalsOut = 18) {
+    const quotes = await this.quoteAll(tokenIn, tokenOut, amountIn);
+
+    if (quotes.length === 0) {
+      throw new Error(`No route found for ${tokenIn} -> ${tokenOut} on ${this.dexes.join(', ')}`);
+    }
+
+    const [best] = quotes;
+    const describe = quote => ({
+      dex: quote.dex,
+      path: quote.path,
+      fees: quote.fees,
+      amountOut: ethers.utils.formatUnits(quote.amountOut, decimalsOut)
+    });
+
+    logger.info('DEX quote comparison', {
+      tokenIn,
+      tokenOut,
+      amountIn: amountIn.toString(),
+      best: describe(best),
+      quotes: quotes.map(describe)
+    });
+
+    return { ...best, spender: VENUES[best.dex].router };
+  }
+
+  /**
+   * Build the router call for a swap along a quoted route. ETH is sent or received
+   * directly when the route starts or ends at WETH.
+   * @param {Object} route - Route returned by findBestRoute
+   * @param {Object} params - Swap parameters
+   * @param {ethers.BigNumber} params.amountIn - Input amount in wei
+   * @param {ethers.BigNumber} params.minOut - Minimum output in wei
+   * @param {string} params.recipient - Recipient address
+   * @param {number} params.deadline - Unix deadline in seconds
+   * @returns {Object} Call ({ contract, method, args, value }) to estimate and send
+   */
+  buildSwapCall(route, { amountIn, minOut, recipient, deadline }) {
+    const { router } = this.contracts[route.dex];
+    const ethIn = sameAddress(route.path[0], WETH_ADDRESS);
+    const ethOut = sameAddress(route.path[route.path.length - 1], WETH_ADDRESS);
+
+    if (route.type === 'v2') {
+      if (ethIn) {
+        return { contract: router, method: 'swapExactETHForTokens', args: [minOut, route.path, recipient, deadline], value: amountIn };
+      }
+      if (ethOut) {
+        return { contract: router, method: 'swapExactTokensForETH', args: [amountIn, minOut, route.path, recipient, deadline], value: null };
+      }
+      return { contract: router, method: 'swapExactTokensForTokens', args: [amountIn, minOut, route.path, recipient, deadline], value: null };
+    }
+
+    const swap = router.interface.encodeFunctionData('exactInput', [{
+      path: encodeV3Path(route.path, route.fees),
+      recipient: ethOut ? V3_ADDRESS_THIS : recipient,
+      amountIn,
+      amountOutMinimum: minOut
+    }]);
+    const calls = ethOut
+      ? [swap, router.interface.encodeFunctionData('unwrapWETH9', [minOut, recipient])]
+      : [swap];
+
+    return { contract: router, method: 'multicall', args: [deadline, calls], value: ethIn ? amountIn : null };
+  }
+}
+
+module.exports = new DexRouter();
+module.exports.encodeV3Path = encodeV3Path;
+module.exports.VENUES = VENUES;
+module.exports.HUB_TOKENS = HUB_TOKENS;
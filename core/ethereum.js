@@ -4,6 +4,13 @@
  */
 
 const { ethers } = require('ethers');
+const paperVenue = require('../execution/paperVenue');
+const { quoteConstantProduct } = require('../execution/paperVenue');
+const PairEventMonitor = require('../core/pairEventMonitor');
+const dexRouter = require('../core/dexRouter');
+const ethereumFees = require('../core/ethereumFees');
+const transactionManager = require('../core/transactionManager');
+const txSubmission = require('../core/txSubmission');
 const config = require('../core/config');
 const logger = require('../utils/logger');
 
@@ -93,9 +100,9 @@ class EthereumModule {
         name: network.name
       });
       
-      // Set up wallet if private key is provided
-      if (privateKey || process.env.ETH_PRIVATE_KEY) {
-        const key = privateKey || process.env.ETH_PRIVATE_KEY;
+      // Set up wallet if private key is provided (trading.ethereum.privateKey may be a keystore reference)
+      const key = privateKey || config.get('trading.ethereum.privateKey', null);
+      if (key) {
         this.wallet = new ethers.Wallet(key, this.provider);
         const address = await this.wallet.getAddress();
         
@@ -133,6 +140,14 @@ class EthereumModule {
         this.wallet || this.provider
       );
       
+      // Routers and quoters for every preferred DEX
+      dexRouter.connect(this.wallet || this.provider);
+      
+      // Every transaction from the wallet shares one nonce sequence
+      if (this.wallet) {
+        transactionManager.connect(this.wallet);
+      }
+      
       logger.info('Ethereum module initialized successfully');
       this.initialized = true;
       return true;
@@ -200,6 +215,11 @@ class EthereumModule {
         throw new Error('Ethereum module not initialized');
       }
       
+      // With trading disabled the bot trades from its paper balances
+      if (!walletAddress && !config.get('exchanges.ethereum.tradingEnabled', false)) {
+        return paperVenue.getBalance('ethereum', this.getPaperAsset(tokenAddress));
+      }
+      
       const address = walletAddress || (this.wallet ? await this.wallet.getAddress() : null);
       
       if (!address) {
@@ -288,9 +308,10 @@ class EthereumModule {
    * @param {string} tokenAddress - Token contract address
    * @param {string} spenderAddress - Spender contract address
    * @param {string} amount - Amount to approve (in token units)
+   * @param {string} [urgency] - Fee profile (standard, exit, snipe)
    * @returns {Promise<Object>} Transaction receipt
    */
-  async approveToken(tokenAddress, spenderAddress, amount) {
+  async approveToken(tokenAddress, spenderAddress, amount, urgency = 'standard') {
     try {
       if (!this.initialized) {
         throw new Error('Ethereum module not initialized');
@@ -309,27 +330,25 @@ class EthereumModule {
       const decimals = await tokenContract.decimals();
       const amountInWei = ethers.utils.parseUnits(amount, decimals);
       
-      // Check current gas price
-      const gasPrice = await this.provider.getGasPrice();
-      const maxGasPrice = ethers.utils.parseUnits(
-        config.get('trading.ethereum.maxGasPrice', '100'),
-        'gwei'
-      );
-      
-      if (gasPrice.gt(maxGasPrice)) {
-        throw new Error(`Current gas price (${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei) exceeds maximum allowed (${ethers.utils.formatUnits(maxGasPrice, 'gwei')} gwei)`);
-      }
+      // Price the approval from recent blocks and its own gas estimate
+      const txParams = await ethereumFees.getTransactionParams(this.provider, {
+        urgency,
+        estimateGas: overrides => tokenContract.estimateGas.approve(spenderAddress, amountInWei, overrides)
+      });
       
       logger.trading('Approving token spending', {
         tokenAddress,
         spenderAddress,
         amount,
-        gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei')
+        urgency,
+        gasLimit: txParams.gasLimit.toString()
       });
       
-      const tx = await tokenContract.approve(spenderAddress, amountInWei, {
-        gasPrice,
-        gasLimit: 100000 // Standard gas limit for approve
+      const request = await tokenContract.populateTransaction.approve(spenderAddress, amountInWei, txParams);
+      const tx = await transactionManager.send(request, {
+        urgency,
+        label: 'approve',
+        meta: { tokenAddress, spenderAddress }
       });
       
       logger.trading('Token approval transaction sent', {
@@ -339,7 +358,7 @@ class EthereumModule {
         txHash: tx.hash
       });
       
-      const receipt = await tx.wait();
+      const receipt = await transactionManager.wait(tx.id);
       
       logger.trading('Token approval confirmed', {
         tokenAddress,
@@ -559,6 +578,42 @@ class EthereumModule {
     }
   }
   
+  /**
+   * Get the Uniswap V2 reserves of a pair, ordered by swap direction
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Promise<Object>} Reserves ({ pairAddress, reserveIn, reserveOut }) in token units
+   */
+  async getPairReserves(tokenIn, tokenOut) {
+    if (!this.initialized) {
+      throw new Error('Ethereum module not initialized');
+    }
+    
+    const pairAddress = await this.uniswapFactory.getPair(tokenIn, tokenOut);
+    
+    if (pairAddress === ethers.constants.AddressZero) {
+      throw new Error(`No Uniswap pair for ${tokenIn} and ${tokenOut}`);
+    }
+    
+    const pairContract = new ethers.Contract(pairAddress, UNISWAP_PAIR_ABI, this.provider);
+    const [token0, [reserve0, reserve1], decimalsIn, decimalsOut] = await Promise.all([
+      pairContract.token0(),
+      pairContract.getReserves(),
+      new ethers.Contract(tokenIn, ERC20_ABI, this.provider).decimals(),
+      new ethers.Contract(tokenOut, ERC20_ABI, this.provider).decimals()
+    ]);
+    
+    const [rawIn, rawOut] = token0.toLowerCase() === tokenIn.toLowerCase()
+      ? [reserve0, reserve1]
+      : [reserve1, reserve0];
+    
+    return {
+      pairAddress,
+      reserveIn: ethers.utils.formatUnits(rawIn, decimalsIn),
+      reserveOut: ethers.utils.formatUnits(rawOut, decimalsOut)
+    };
+  }
+  
   /**
    * Get ETH price in USD
    * @returns {Promise<string>} ETH price in USD
@@ -596,76 +651,77 @@ class EthereumModule {
   }
   
   /**
-   * Swap tokens on Uniswap
+   * Swap tokens on the preferred DEX and path with the best quote
    * @param {string} tokenIn - Input token address
    * @param {string} tokenOut - Output token address
    * @param {string} amountIn - Input amount (in token units)
    * @param {number} slippagePercent - Maximum slippage percentage
+   * @param {string} [urgency] - Fee profile (standard, exit, snipe)
+   * @param {Object} [meta] - Passed through on the transaction manager's lifecycle events
    * @returns {Promise<Object>} Transaction receipt
    */
-  async swapTokens(tokenIn, tokenOut, amountIn, slippagePercent = 1) {
+  async swapTokens(tokenIn, tokenOut, amountIn, slippagePercent = 1, urgency = 'standard', meta = {}) {
     try {
       if (!this.initialized) {
         throw new Error('Ethereum module not initialized');
       }
       
-      if (!this.wallet) {
-        throw new Error('No wallet available for transactions');
-      }
-      
       // Check if trading is enabled
       const tradingEnabled = config.get('exchanges.ethereum.tradingEnabled', false);
       
       if (!tradingEnabled) {
-        logger.security('Ethereum trading is disabled, simulating swap', {
+        logger.security('Ethereum trading is disabled, paper trading swap', {
           tokenIn,
           tokenOut,
           amountIn,
           slippagePercent
         });
         
-        return {
-          simulated: true,
-          tokenIn,
-          tokenOut,
-          amountIn,
-          timestamp: new Date().toISOString()
-        };
+        return await this.paperSwap(tokenIn, tokenOut, amountIn, slippagePercent);
+      }
+      
+      if (!this.wallet) {
+        throw new Error('No wallet available for transactions');
       }
       
       // Get token details
       const tokenInContract = new ethers.Contract(tokenIn, ERC20_ABI, this.provider);
-      const decimalsIn = await tokenInContract.decimals();
+      const tokenOutContract = new ethers.Contract(tokenOut, ERC20_ABI, this.provider);
+      const [decimalsIn, decimalsOut] = await Promise.all([
+        tokenInContract.decimals(),
+        tokenOutContract.decimals()
+      ]);
       const amountInWei = ethers.utils.parseUnits(amountIn, decimalsIn);
       
+      // Quote every preferred DEX and path, and trade on the best one
+      const route = await dexRouter.findBestRoute(tokenIn, tokenOut, amountInWei, decimalsOut);
+      const expectedOut = route.amountOut;
+      
       // Check allowance if not ETH
-      if (tokenIn !== WETH_ADDRESS) {
+      if (tokenIn.toLowerCase() !== WETH_ADDRESS.toLowerCase()) {
         const walletAddress = await this.wallet.getAddress();
         const allowance = await tokenInContract.allowance(
           walletAddress,
-          this.addresses.uniswapRouter
+          route.spender
         );
         
         if (allowance.lt(amountInWei)) {
           logger.trading('Insufficient allowance, approving tokens', {
             tokenIn,
             amountIn,
+            spender: route.spender,
             currentAllowance: ethers.utils.formatUnits(allowance, decimalsIn)
           });
           
           await this.approveToken(
             tokenIn,
-            this.addresses.uniswapRouter,
-            amountIn
+            route.spender,
+            amountIn,
+            urgency
           );
         }
       }
       
-      // Get expected output amount
-      const path = [tokenIn, tokenOut];
-      const amounts = await this.uniswapRouter.getAmountsOut(amountInWei, path);
-      const expectedOut = amounts[1];
-      
       // Calculate minimum output with slippage
       const slippageFactor = 1 - (slippagePercent / 100);
       const minOut = expectedOut.mul(Math.floor(slippageFactor * 1000)).div(1000);
@@ -673,90 +729,50 @@ class EthereumModule {
       // Set deadline to 20 minutes from now
       const deadline = Math.floor(Date.now() / 1000) + 1200;
       
-      // Check current gas price
-      const gasPrice = await this.provider.getGasPrice();
-      const maxGasPrice = ethers.utils.parseUnits(
-        config.get('trading.ethereum.maxGasPrice', '100'),
-        'gwei'
-      );
-      
-      if (gasPrice.gt(maxGasPrice)) {
-        throw new Error(`Current gas price (${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei) exceeds maximum allowed (${ethers.utils.formatUnits(maxGasPrice, 'gwei')} gwei)`);
-      }
-      
-      // Prepare transaction parameters
-      const txParams = {
-        gasPrice,
-        gasLimit: 300000 // Higher gas limit for swaps
-      };
+      // Price the swap from recent blocks and its own gas estimate
+      const call = dexRouter.buildSwapCall(route, {
+        amountIn: amountInWei,
+        minOut,
+        recipient: await this.wallet.getAddress(),
+        deadline
+      });
+      const txParams = await ethereumFees.getTransactionParams(this.provider, {
+        urgency,
+        value: call.value,
+        estimateGas: overrides => call.contract.estimateGas[call.method](...call.args, overrides)
+      });
       
-      let tx;
+      logger.trading('Swapping tokens', {
+        tokenIn,
+        tokenOut,
+        amountIn,
+        dex: route.dex,
+        path: route.path,
+        fees: route.fees,
+        expectedOut: ethers.utils.formatUnits(expectedOut, decimalsOut),
+        minOut: ethers.utils.formatUnits(minOut, decimalsOut),
+        slippagePercent,
+        urgency,
+        gasLimit: txParams.gasLimit.toString()
+      });
       
-      // Execute the swap
-      if (tokenIn === WETH_ADDRESS) {
-        // ETH -> Token
-        logger.trading('Swapping ETH for tokens', {
-          amountIn,
-          tokenOut,
-          expectedOut: ethers.utils.formatEther(expectedOut),
-          minOut: ethers.utils.formatEther(minOut),
-          slippagePercent
-        });
-        
-        txParams.value = amountInWei;
-        
-        tx = await this.uniswapRouter.swapExactETHForTokens(
-          minOut,
-          path,
-          await this.wallet.getAddress(),
-          deadline,
-          txParams
-        );
-      } else if (tokenOut === WETH_ADDRESS) {
-        // Token -> ETH
-        logger.trading('Swapping tokens for ETH', {
-          tokenIn,
-          amountIn,
-          expectedOut: ethers.utils.formatEther(expectedOut),
-          minOut: ethers.utils.formatEther(minOut),
-          slippagePercent
-        });
-        
-        tx = await this.uniswapRouter.swapExactTokensForETH(
-          amountInWei,
-          minOut,
-          path,
-          await this.wallet.getAddress(),
-          deadline,
-          txParams
-        );
-      } else {
-        // Token -> Token
-        logger.trading('Swapping tokens for tokens', {
-          tokenIn,
-          tokenOut,
-          amountIn,
-          expectedOut: ethers.utils.formatEther(expectedOut),
-          minOut: ethers.utils.formatEther(minOut),
-          slippagePercent
-        });
-        
-        tx = await this.uniswapRouter.swapExactTokensForTokens(
-          amountInWei,
-          minOut,
-          path,
-          await this.wallet.getAddress(),
-          deadline,
-          txParams
-        );
-      }
+      // Execute the swap publicly or through the relay configured for its urgency;
+      // the transaction manager re-prices it if it gets stuck
+      const request = await call.contract.populateTransaction[call.method](...call.args, txParams);
+      const tx = await txSubmission.send(request, {
+        urgency,
+        label: 'swap',
+        meta: { tokenIn, tokenOut, ...meta }
+      });
       
       logger.trading('Swap transaction sent', {
-        txHash: tx.hash
+        txHash: tx.hash,
+        nonce: tx.nonce,
+        submission: tx.meta.submission
       });
       
       // Wait for transaction confirmation
-      const receipt = await tx.wait();
+      const receipt = await transactionManager.wait(tx.id);
       
       logger.trading('Swap confirmed', {
         txHash: receipt.transactionHash,
@@ -777,6 +793,93 @@ class EthereumModule {
     }
   }
   
+  /**
+   * Fill a swap on the paper venue against the pair's current reserves
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {string} amountIn - Input amount (in token units)
+   * @param {number} slippagePercent - Maximum slippage percentage
+   * @returns {Promise<Object>} Paper swap result
+   */
+  async paperSwap(tokenIn, tokenOut, amountIn, slippagePercent) {
+    const { reserveIn, reserveOut } = await this.getPairReserves(tokenIn, tokenOut);
+    
+    // Same bound the router enforces: the quote at submission less the slippage tolerance
+    const expectedOut = quoteConstantProduct(
+      parseFloat(amountIn),
+      parseFloat(reserveIn),
+      parseFloat(reserveOut),
+      paperVenue.ammFeePercent
+    );
+    
+    const fill = paperVenue.swapConstantProduct({
+      venue: 'ethereum',
+      assetIn: this.getPaperAsset(tokenIn),
+      assetOut: this.getPaperAsset(tokenOut),
+      amountIn,
+      reserveIn,
+      reserveOut,
+      minAmountOut: expectedOut * (1 - slippagePercent / 100)
+    });
+    
+    return {
+      paper: true,
+      transactionHash: fill.id,
+      tokenIn,
+      tokenOut,
+      amountIn: fill.amountIn,
+      amountOut: fill.amountOut,
+      fee: fill.fee,
+      timestamp: fill.timestamp
+    };
+  }
+  
+  /**
+   * Asset key the paper venue uses for a token (WETH is held as ETH)
+   * @param {string} tokenAddress - Token contract address
+   * @returns {string} Paper venue asset
+   */
+  getPaperAsset(tokenAddress) {
+    return tokenAddress.toLowerCase() === WETH_ADDRESS.toLowerCase() ? 'ETH' : tokenAddress.toLowerCase();
+  }
+  
+  /**
+   * Create a Sync/Swap event monitor for a token's WETH pair. The monitor is returned
+   * unstarted so listeners can be attached before calling start().
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<PairEventMonitor|null>} Monitor, or null when no websocket endpoint is configured
+   */
+  async monitorPair(tokenAddress) {
+    const wsUrl = config.get('trading.ethereum.wsUrl', null);
+    
+    if (!wsUrl) {
+      return null;
+    }
+    
+    if (!this.initialized) {
+      throw new Error('Ethereum module not initialized');
+    }
+    
+    const pairAddress = await this.uniswapFactory.getPair(tokenAddress, WETH_ADDRESS);
+    
+    if (pairAddress === ethers.constants.AddressZero) {
+      throw new Error(`No Uniswap pair for ${tokenAddress} and WETH`);
+    }
+    
+    const pairContract = new ethers.Contract(pairAddress, UNISWAP_PAIR_ABI, this.provider);
+    const [token0, tokenDecimals] = await Promise.all([
+      pairContract.token0(),
+      new ethers.Contract(tokenAddress, ERC20_ABI, this.provider).decimals()
+    ]);
+    
+    return new PairEventMonitor({
+      wsUrl,
+      pairAddress,
+      tokenIsToken0: token0.toLowerCase() === tokenAddress.toLowerCase(),
+      tokenDecimals
+    });
+  }
+  
   /**
    * Listen for new liquidity pairs on Uniswap
    * @param {Function} callback - Callback function for new pairs
@@ -0,0 +1,146 @@
+/**
+ * Ethereum fee model for the multi-chain trading bot
+ * Prices EIP-1559 transactions from eth_feeHistory with urgency profiles
+ * and sizes gas limits from per-call estimates
+ */
+
+const { ethers } = require('ethers');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+// How aggressively each kind of transaction bids for inclusion
+const DEFAULT_PROFILES = {
+  // Approvals and other housekeeping
+  standard: { rewardPercentile: 50, baseFeeMultiplier: 2, minPriorityFeeGwei: 1 },
+  // Exits race other sellers once a stop or target is hit
+  exit: { rewardPercentile: 75, baseFeeMultiplier: 2.5, minPriorityFeeGwei: 2 },
+  // Snipes compete for the first blocks after liquidity is added
+  snipe: { rewardPercentile: 95, baseFeeMultiplier: 3, minPriorityFeeGwei: 5 }
+};
+
+class EthereumFees {
+  constructor() {
+    this.profiles = { ...DEFAULT_PROFILES, ...config.get('trading.ethereum.fees.profiles', {}) };
+    this.historyBlocks = config.get('trading.ethereum.fees.historyBlocks', 10);
+  }
+
+  /**
+   * Get the fee profile for an urgency
+   * @param {string} urgency - Profile name (standard, exit, snipe)
+   * @returns {Object} Fee profile
+   */
+  getProfile(urgency) {
+    const profile = this.profiles[urgency];
+
+    if (!profile) {
+      throw new Error(`Unknown fee urgency: ${urgency} (profiles: ${Object.keys(this.profiles).join(', ')})`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Price a transaction from recent blocks. Networks without a base fee get a legacy gas price.
+   * @param {ethers.providers.Provider} provider - Ethereum provider
+   * @param {string} [urgency] - Fee profile name
+   * @returns {Promise<Object>} Fee overrides ({ maxFeePerGas, maxPriorityFeePerGas } or { gasPrice })
+   */
+  async getFeeData(provider, urgency = 'standard') {
+    const profile = this.getProfile(urgency);
+    const maxGasPrice = ethers.utils.parseUnits(String(config.get('trading.ethereum.maxGasPrice', '100')), 'gwei');
+    let history = null;
+
+    try {
+      history = await provider.send('eth_feeHistory', [
+        ethers.utils.hexValue(this.historyBlocks),
+        'latest',
+        [profile.rewardPercentile]
+      ]);
+    } catch (error) {
+      logger.debug('eth_feeHistory unavailable, using legacy gas price', { error: error.message });
+    }
+
+    if (!history || !history.baseFeePerGas || history.baseFeePerGas.length === 0) {
+      const gasPrice = await provider.getGasPrice();
+      this.checkMaxGasPrice(gasPrice, maxGasPrice);
+
+      return { gasPrice };
+    }
+
+    // The last base fee in the history is the one the next block will charge
+    const nextBaseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = (history.reward || [])
+      .map(([reward]) => ethers.BigNumber.from(reward))
+      .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    const medianReward = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : ethers.constants.Zero;
+    const minPriorityFee = ethers.utils.parseUnits(String(profile.minPriorityFeeGwei), 'gwei');
+    const maxPriorityFeePerGas = medianReward.gt(minPriorityFee) ? medianReward : minPriorityFee;
+
+    this.checkMaxGasPrice(nextBaseFee.add(maxPriorityFeePerGas), maxGasPrice);
+
+    // Headroom over the next base fee keeps the transaction valid through a few full blocks
+    const headroom = nextBaseFee.mul(Math.round(profile.baseFeeMultiplier * 100)).div(100);
+    const maxFeePerGas = headroom.add(maxPriorityFeePerGas);
+
+    return {
+      maxFeePerGas: maxFeePerGas.gt(maxGasPrice) ? maxGasPrice : maxFeePerGas,
+      maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Build gas and fee overrides for a contract call
+   * @param {ethers.providers.Provider} provider - Ethereum provider
+   * @param {Object} params - Call details
+   * @param {Function} params.estimateGas - (overrides) => Promise<BigNumber>, e.g. contract.estimateGas.approve
+   * @param {string} [params.urgency] - Fee profile name
+   * @param {ethers.BigNumber} [params.value] - ETH sent with the call
+   * @returns {Promise<Object>} Transaction overrides
+   */
+  async getTransactionParams(provider, { estimateGas, urgency = 'standard', value = null }) {
+    const valueOverride = value ? { value } : {};
+    const [feeData, estimate] = await Promise.all([
+      this.getFeeData(provider, urgency),
+      estimateGas(valueOverride)
+    ]);
+
+    const gasLimit = this.applyGasLimitMultiplier(estimate);
+    const params = { ...valueOverride, ...feeData, gasLimit };
+
+    logger.debug('Priced Ethereum transaction', {
+      urgency,
+      gasEstimate: estimate.toString(),
+      gasLimit: gasLimit.toString(),
+      maxFeePerGas: feeData.maxFeePerGas ? ethers.utils.formatUnits(feeData.maxFeePerGas, 'gwei') : null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? ethers.utils.formatUnits(feeData.maxPriorityFeePerGas, 'gwei') : null,
+      gasPrice: feeData.gasPrice ? ethers.utils.formatUnits(feeData.gasPrice, 'gwei') : null
+    });
+
+    return params;
+  }
+
+  /**
+   * Pad a gas estimate with trading.ethereum.gasLimitMultiplier
+   * @param {ethers.BigNumber} estimate - Estimated gas
+   * @returns {ethers.BigNumber} Gas limit
+   */
+  applyGasLimitMultiplier(estimate) {
+    const multiplier = parseFloat(config.get('trading.ethereum.gasLimitMultiplier', 1.2));
+
+    return ethers.BigNumber.from(estimate).mul(Math.round(multiplier * 100)).div(100);
+  }
+
+  /**
+   * Refuse to transact when the network is pricier than allowed
+   * @param {ethers.BigNumber} price - Effective gas price
+   * @param {ethers.BigNumber} maxGasPrice - Configured maximum
+   */
+  checkMaxGasPrice(price, maxGasPrice) {
+    if (price.gt(maxGasPrice)) {
+      throw new Error(`Current gas price (${ethers.utils.formatUnits(price, 'gwei')} gwei) exceeds maximum allowed (${ethers.utils.formatUnits(maxGasPrice, 'gwei')} gwei)`);
+    }
+  }
+}
+
+module.exports = new EthereumFees();
+module.exports.DEFAULT_PROFILES = DEFAULT_PROFILES;
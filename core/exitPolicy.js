@@ -0,0 +1,237 @@
+/**
+ * Position exit policies for the multi-chain trading bot
+ * Evaluates stop-loss, trailing stop, break-even, laddered take-profit,
+ * maximum holding time and liquidity-pull rules against a position's price
+ */
+
+const config = require('../core/config');
+
+const DEFAULT_POLICY = {
+  // Fixed stop below the entry price
+  stopLossPercent: null,
+  // Targets above the entry price, each selling a percentage of the bought quantity
+  takeProfits: [],
+  // Stop trailing the highest price seen, armed once the gain reaches trailingActivationPercent
+  trailingStopPercent: null,
+  trailingActivationPercent: 0,
+  // Raise the stop to the entry price once the first target has been sold
+  breakEvenAfterFirstTarget: false,
+  maxHoldingMinutes: null,
+  // Exit when pool liquidity falls this far below its level at entry
+  liquidityDropPercent: null
+};
+
+class ExitPolicy {
+  /**
+   * Resolve the configured policy for a chain and strategy. Config under
+   * `trading.exitPolicies` is merged in order: default, <chain>.default, <chain>.<strategy>.
+   * Without any configured targets the global take-profit and stop-loss percentages apply.
+   * @param {string} chain - Chain name (ethereum, solana)
+   * @param {string} strategy - Strategy name (e.g. snipe)
+   * @returns {Object} Exit policy
+   */
+  getPolicy(chain, strategy) {
+    const policy = {
+      ...DEFAULT_POLICY,
+      stopLossPercent: parseFloat(config.get('trading.stopLossPercentage', 5)),
+      takeProfits: [{ atPercent: parseFloat(config.get('trading.takeProfitPercentage', 10)), sellPercent: 100 }],
+      ...config.get('trading.exitPolicies.default', {}),
+      ...config.get(`trading.exitPolicies.${chain}.default`, {}),
+      ...config.get(`trading.exitPolicies.${chain}.${strategy}`, {})
+    };
+
+    this.validate(policy);
+
+    return policy;
+  }
+
+  /**
+   * Get the policy a position is managed with. Positions keep the policy they were
+   * opened with; positions recorded before exit policies existed keep their single
+   * take-profit and stop-loss target.
+   * @param {Object} position - Position from the position ledger
+   * @returns {Object} Exit policy
+   */
+  policyFor(position) {
+    if (position.exitPolicy) {
+      return position.exitPolicy;
+    }
+
+    const policy = this.getPolicy(position.chain, position.strategy);
+
+    if (position.takeProfitPercentage !== undefined && position.stopLossPercentage !== undefined) {
+      return {
+        ...policy,
+        takeProfits: [{ atPercent: position.takeProfitPercentage, sellPercent: 100 }],
+        stopLossPercent: position.stopLossPercentage
+      };
+    }
+
+    if (position.takeProfitPrice && position.stopLossPrice && position.initialPrice) {
+      const initialPrice = parseFloat(position.initialPrice);
+
+      return {
+        ...policy,
+        takeProfits: [{ atPercent: (parseFloat(position.takeProfitPrice) / initialPrice - 1) * 100, sellPercent: 100 }],
+        stopLossPercent: (1 - parseFloat(position.stopLossPrice) / initialPrice) * 100
+      };
+    }
+
+    return policy;
+  }
+
+  /**
+   * Check a policy for values that cannot be evaluated
+   * @param {Object} policy - Exit policy
+   */
+  validate(policy) {
+    if (!Array.isArray(policy.takeProfits)) {
+      throw new Error('Exit policy takeProfits must be an array');
+    }
+
+    policy.takeProfits.forEach(({ atPercent, sellPercent }, index) => {
+      if (!(atPercent > 0) || !(sellPercent > 0) || sellPercent > 100) {
+        throw new Error(`Invalid exit policy take-profit #${index + 1}`);
+      }
+    });
+
+    ['stopLossPercent', 'trailingStopPercent', 'liquidityDropPercent'].forEach(key => {
+      if (policy[key] !== null && !(policy[key] > 0 && policy[key] < 100)) {
+        throw new Error(`Exit policy ${key} must be between 0 and 100`);
+      }
+    });
+  }
+
+  /**
+   * Create the evaluation state for a newly managed position
+   * @param {Object} params - Entry details
+   * @param {number} params.entryPrice - Reference price the rules are measured from
+   * @param {number} params.quantity - Quantity bought
+   * @param {string} params.openedAt - Position open time (ISO string)
+   * @param {number} [params.entryLiquidity] - Pool liquidity at entry
+   * @returns {Object} Exit state
+   */
+  createState({ entryPrice, quantity, openedAt, entryLiquidity = null }) {
+    return {
+      entryPrice,
+      initialQuantity: quantity,
+      openedAt,
+      entryLiquidity,
+      peakPrice: entryPrice,
+      targetsHit: [],
+      soldPercent: 0,
+      breakEven: false
+    };
+  }
+
+  /**
+   * Evaluate a policy against the latest observation
+   * @param {Object} policy - Exit policy
+   * @param {Object} state - Exit state
+   * @param {Object} observation - Market observation
+   * @param {number} observation.price - Current price
+   * @param {number} observation.now - Current time in milliseconds
+   * @param {number} [observation.liquidity] - Current pool liquidity (skips the liquidity rule when unknown)
+   * @returns {Object} Updated state and the exit to perform ({ state, action }), action null when holding
+   */
+  evaluate(policy, state, { price, now, liquidity = null }) {
+    const next = { ...state, peakPrice: Math.max(state.peakPrice, price) };
+    const gainPercent = (price / state.entryPrice - 1) * 100;
+    const close = reason => ({ state: next, action: { type: 'close', reason, gainPercent } });
+
+    if (policy.liquidityDropPercent !== null && liquidity !== null && state.entryLiquidity > 0 &&
+        liquidity <= state.entryLiquidity * (1 - policy.liquidityDropPercent / 100)) {
+      return close('liquidity-pulled');
+    }
+
+    const stop = this.getStop(policy, next);
+    if (stop && price <= stop.price) {
+      return close(stop.reason);
+    }
+
+    if (policy.maxHoldingMinutes !== null && now - Date.parse(state.openedAt) >= policy.maxHoldingMinutes * 60000) {
+      return close('max-holding-time');
+    }
+
+    // Every target crossed since the last check is sold in one order
+    const targets = policy.takeProfits
+      .map((target, index) => ({ ...target, index }))
+      .filter(({ atPercent, index }) => !state.targetsHit.includes(index) && gainPercent >= atPercent);
+
+    if (targets.length === 0) {
+      return { state: next, action: null };
+    }
+
+    const sellPercent = Math.min(100 - state.soldPercent, targets.reduce((sum, target) => sum + target.sellPercent, 0));
+
+    if (state.soldPercent + sellPercent >= 100) {
+      return close('take-profit');
+    }
+
+    return {
+      state: next,
+      action: {
+        type: 'reduce',
+        reason: 'take-profit',
+        targets: targets.map(({ index }) => index),
+        sellPercent,
+        gainPercent
+      }
+    };
+  }
+
+  /**
+   * Record a partial exit that was filled
+   * @param {Object} policy - Exit policy
+   * @param {Object} state - Exit state
+   * @param {Object} action - Reduce action returned by evaluate
+   * @returns {Object} Updated state
+   */
+  recordReduce(policy, state, action) {
+    return {
+      ...state,
+      targetsHit: [...state.targetsHit, ...action.targets],
+      soldPercent: state.soldPercent + action.sellPercent,
+      breakEven: state.breakEven || policy.breakEvenAfterFirstTarget
+    };
+  }
+
+  /**
+   * Quantity to sell for a reduce action
+   * @param {Object} state - Exit state
+   * @param {Object} action - Reduce action
+   * @param {number} heldQuantity - Quantity still held
+   * @returns {number} Quantity to sell
+   */
+  getSellQuantity(state, action, heldQuantity) {
+    return Math.min(heldQuantity, state.initialQuantity * (action.sellPercent / 100));
+  }
+
+  /**
+   * Highest active stop and the rule that set it
+   * @param {Object} policy - Exit policy
+   * @param {Object} state - Exit state (with the peak already updated)
+   * @returns {Object|null} Stop ({ price, reason })
+   */
+  getStop(policy, state) {
+    const stops = [];
+
+    if (policy.stopLossPercent !== null) {
+      stops.push({ price: state.entryPrice * (1 - policy.stopLossPercent / 100), reason: 'stop-loss' });
+    }
+
+    if (state.breakEven) {
+      stops.push({ price: state.entryPrice, reason: 'break-even-stop' });
+    }
+
+    const peakGainPercent = (state.peakPrice / state.entryPrice - 1) * 100;
+    if (policy.trailingStopPercent !== null && peakGainPercent >= policy.trailingActivationPercent) {
+      stops.push({ price: state.peakPrice * (1 - policy.trailingStopPercent / 100), reason: 'trailing-stop' });
+    }
+
+    return stops.reduce((highest, stop) => (!highest || stop.price > highest.price ? stop : highest), null);
+  }
+}
+
+module.exports = new ExitPolicy();
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
@@ -4,13 +4,29 @@
  */
 
 const ethereum = require('../core/ethereum');
+const positionLedger = require('../core/positionLedger');
+const riskManager = require('../core/riskManager');
+const exitPolicy = require('../core/exitPolicy');
+const transactionManager = require('../core/transactionManager');
+const rugWatchdog = require('../core/rugWatchdog');
+const { quoteConstantProduct } = require('../execution/paperVenue');
+const riskScoring = require('../security/riskScoring');
+const securityModule = require('../security/securityModule');
 const config = require('../core/config');
 const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// Uniswap V2 swap fee, applied so reserve prices match the router quotes positions are entered at
+const UNISWAP_V2_FEE_PERCENT = 0.3;
 
 class LiquidityDetector {
   constructor() {
     this.initialized = false;
     this.listeners = {};
+    this.positionMonitors = {};
+    this.positionChecks = {};
+    this.transactionHandlers = null;
+    this.rugAlertHandler = null;
     this.tokenWhitelist = new Set();
     this.tokenBlacklist = new Set();
     this.minLiquidityUSD = config.get('trading.ethereum.minLiquidityUSD', 50000);
@@ -32,6 +48,15 @@ class LiquidityDetector {
         }
       }
 
+      // Load the position ledger and resume monitoring positions opened before a restart
+      const ledgerInitialized = await positionLedger.initialize();
+      if (!ledgerInitialized) {
+        throw new Error('Failed to initialize position ledger');
+      }
+      this.rehydratePositions();
+      this.trackTransactions();
+      this.watchForRugs();
+
       // Set up listeners for new pairs
       if (this.preferredDexes.includes('uniswap')) {
         this.setupUniswapListener();
@@ -104,11 +129,17 @@ class LiquidityDetector {
             return;
           }
 
-          // Analyze token for potential issues
-          const tokenSafe = await this.analyzeToken(nonEthToken.address);
-          if (!tokenSafe) {
+          // Score the token; holder analysis replays transfers since the pair was created
+          const assessment = await this.analyzeToken(nonEthToken.address, {
+            pairAddress: pairData.pairAddress,
+            pairCreatedBlock: pairData.blockNumber,
+            pairCreationTx: pairData.transactionHash
+          });
+          if (!assessment.safe) {
             logger.warn('Token failed safety checks, skipping', {
-              token: nonEthToken.address
+              token: nonEthToken.address,
+              score: assessment.score,
+              explanation: assessment.explanation
             });
             return;
           }
@@ -132,63 +163,16 @@ class LiquidityDetector {
   }
 
   /**
-   * Analyze token for potential issues (honeypot, scam, etc.)
+   * Analyze token for potential issues (honeypot, taxes, privileged functions, unlocked
+   * liquidity, concentrated holders, suspicious name)
    * @param {string} tokenAddress - Token address to analyze
-   * @returns {Promise<boolean>} Whether the token is safe
+   * @param {Object} [pairContext] - Pair context from the new pair event ({ pairAddress, pairCreatedBlock, pairCreationTx })
+   * @returns {Promise<Object>} Risk assessment (see security/riskScoring.js); trade only when safe
    */
-  async analyzeToken(tokenAddress) {
-    try {
-      logger.info('Analyzing token for safety', { tokenAddress });
-
-      // Get token info
-      const tokenInfo = await ethereum.getTokenInfo(tokenAddress);
-      logger.debug('Token info retrieved', { tokenInfo });
-
-      // Check for common red flags in token name/symbol
-      const redFlagTerms = ['scam', 'ponzi', 'moon', 'elon', 'safe', 'gem', 'pump'];
-      const nameSymbolLower = (tokenInfo.name + tokenInfo.symbol).toLowerCase();
-      
-      for (const term of redFlagTerms) {
-        if (nameSymbolLower.includes(term)) {
-          logger.warn('Token name/symbol contains suspicious term', {
-            tokenAddress,
-            term
-          });
-          // Don't immediately reject, just flag it
-        }
-      }
+  async analyzeToken(tokenAddress, pairContext = {}) {
+    logger.info('Analyzing token for safety', { tokenAddress });
 
-      // Check token contract for honeypot characteristics
-      // This is a simplified check - in a real implementation, you would do more thorough analysis
-      try {
-        // Try to get token price - if this fails, it might be a honeypot
-        const tokenPrice = await ethereum.getTokenPrice(tokenAddress);
-        if (tokenPrice === '0') {
-          logger.warn('Unable to determine token price, possible honeypot', {
-            tokenAddress
-          });
-          return false;
-        }
-
-        // Check if we can sell the token (not implemented here)
-        // In a real implementation, you would simulate a sell transaction
-        
-        logger.info('Token passed basic safety checks', { tokenAddress });
-        return true;
-      } catch (error) {
-        logger.warn('Error during token safety analysis, considering unsafe', {
-          tokenAddress,
-          error: error.message
-        });
-        return false;
-      }
-    } catch (error) {
-      logger.error('Failed to analyze token', {
-        tokenAddress,
-        error: error.message
-      });
-      return false;
-    }
+    return riskScoring.assess('ethereum', tokenAddress, pairContext);
   }
 
   /**
@@ -198,6 +182,10 @@ class LiquidityDetector {
    * @returns {Promise<Object>} Snipe result
    */
   async executeSnipe(fromToken, toToken) {
+    let reservationId = null;
+    let riskReservationId = null;
+    let swapped = false;
+
     try {
       logger.trading('Executing token snipe', {
         fromToken,
@@ -206,25 +194,48 @@ class LiquidityDetector {
 
       // Get snipe amount from config
       const snipeAmountEth = config.get('trading.ethereum.snipeAmount', '0.1');
-      
-      // Check if trading is enabled
-      const tradingEnabled = config.get('exchanges.ethereum.tradingEnabled', false);
-      
-      if (!tradingEnabled) {
-        logger.security('Trading is disabled, simulating snipe', {
-          fromToken,
+      const quoteAsset = fromToken.toLowerCase() === ethereum.addresses.weth.toLowerCase() ? 'ETH' : fromToken;
+
+      const validation = await securityModule.validateTransaction('ethereum', snipeAmountEth, 'buy', {
+        asset: quoteAsset,
+        strategy: 'snipe'
+      });
+      if (!validation.valid) {
+        logger.security('Snipe rejected by transaction limits', {
           toToken,
-          amount: snipeAmountEth
+          reason: validation.reason
         });
-        
         return {
-          simulated: true,
+          success: false,
+          fromToken,
+          toToken,
+          error: validation.reason
+        };
+      }
+      reservationId = validation.reservationId;
+
+      const risk = await riskManager.checkOrder({
+        chain: 'ethereum',
+        strategy: 'snipe',
+        asset: toToken,
+        quoteAsset,
+        quoteAmount: snipeAmountEth
+      });
+      if (!risk.allowed) {
+        return {
+          success: false,
           fromToken,
           toToken,
-          amount: snipeAmountEth,
-          timestamp: new Date().toISOString()
+          error: risk.reason
         };
       }
+      riskReservationId = risk.reservationId;
+      
+      // With trading disabled the swap is filled by the paper venue and tracked like a live position
+      const tradingEnabled = config.get('exchanges.ethereum.tradingEnabled', false);
+
+      // Only what this swap delivers belongs to the position, not tokens the wallet already held
+      const balanceBefore = tradingEnabled ? await ethereum.getTokenBalance(toToken) : null;
 
       // Execute the swap with a higher slippage tolerance for new tokens
       const slippagePercent = config.get('trading.ethereum.snipeSlippage', 10);
@@ -232,8 +243,11 @@ class LiquidityDetector {
         fromToken,
         toToken,
         snipeAmountEth,
-        slippagePercent
+        slippagePercent,
+        'snipe',
+        { purpose: 'entry', tokenAddress: toToken }
       );
+      swapped = true;
 
       logger.trading('Snipe executed successfully', {
         fromToken,
@@ -242,14 +256,31 @@ class LiquidityDetector {
         txHash: result.transactionHash
       });
 
-      // Set up take profit and stop loss for this position
-      this.setupPositionManagement(toToken, snipeAmountEth);
+      // Record the position so its exit targets survive restarts; a live receipt does not carry the
+      // amount received, and fee-on-transfer tokens deliver less than the swap's output anyway
+      const quantity = tradingEnabled
+        ? (parseFloat(await ethereum.getTokenBalance(toToken)) - parseFloat(balanceBefore)).toString()
+        : String(result.amountOut);
+      const position = positionLedger.openPosition({
+        chain: 'ethereum',
+        strategy: 'snipe',
+        asset: toToken,
+        quoteAsset,
+        quantity,
+        cost: snipeAmountEth,
+        venue: tradingEnabled ? 'live' : 'paper',
+        txHash: result.transactionHash
+      });
+
+      // Manage the position's exits (targets, stops, holding time)
+      this.setupPositionManagement(position);
 
       return {
         success: true,
         fromToken,
         toToken,
         amount: snipeAmountEth,
+        positionId: position.id,
         txHash: result.transactionHash
       };
     } catch (error) {
@@ -265,108 +296,573 @@ class LiquidityDetector {
         toToken,
         error: error.message
       };
+    } finally {
+      // Only a swap that went through counts toward the transaction limits; the risk limits count
+      // its ledger position from here on
+      securityModule.settleTransaction(reservationId, swapped);
+      riskManager.releaseOrder(riskReservationId);
     }
   }
 
   /**
-   * Set up position management (take profit, stop loss)
-   * @param {string} tokenAddress - Token address
-   * @param {string} investmentAmount - Amount invested in ETH
+   * Resume monitoring open Ethereum positions recorded in the ledger
+   */
+  rehydratePositions() {
+    const positions = positionLedger.getOpenPositions({ chain: 'ethereum' });
+
+    positions.forEach(position => {
+      // The transaction manager does not survive restarts; the balance check on the next sale shows what happened
+      if (position.pendingExit) {
+        logger.warn('Exit transaction was pending at shutdown', {
+          positionId: position.id,
+          txHash: position.pendingExit.txHash,
+          nonce: position.pendingExit.nonce
+        });
+        position = positionLedger.updatePosition(position.id, { pendingExit: null });
+      }
+
+      this.setupPositionManagement(position);
+    });
+
+    if (positions.length > 0) {
+      logger.info('Rehydrated Ethereum positions from ledger', {
+        count: positions.length
+      });
+    }
+  }
+
+  /**
+   * Follow exit transactions through the transaction manager's lifecycle events
+   */
+  trackTransactions() {
+    if (this.transactionHandlers) {
+      return;
+    }
+
+    this.transactionHandlers = {};
+    ['sent', 'replaced', 'mined', 'dropped', 'reverted'].forEach(event => {
+      this.transactionHandlers[event] = tx => this.handleTransactionEvent(event, tx);
+      transactionManager.on(event, this.transactionHandlers[event]);
+    });
+  }
+
+  /**
+   * Answer rug watchdog alerts with an emergency exit
+   */
+  watchForRugs() {
+    if (this.rugAlertHandler) {
+      return;
+    }
+
+    this.rugAlertHandler = alert => this.emergencyExit(alert);
+    rugWatchdog.on('alert', this.rugAlertHandler);
+  }
+
+  /**
+   * Sell every open position in a token the rug watchdog raised an alert for
+   * @param {Object} alert - Rug watchdog alert
+   * @returns {Promise<Object|null>} Sell result, or null when nothing was held
    */
-  setupPositionManagement(tokenAddress, investmentAmount) {
+  async emergencyExit(alert) {
+    const { tokenAddress, type } = alert;
+    const positions = positionLedger.getOpenPositions({ chain: 'ethereum' })
+      .filter(position => position.asset.toLowerCase() === tokenAddress.toLowerCase());
+
+    if (positions.length === 0) {
+      rugWatchdog.unwatch(tokenAddress);
+      return null;
+    }
+
+    logger.security('Emergency exit on rug pull alert', {
+      tokenAddress,
+      alert: type,
+      positionIds: positions.map(position => position.id)
+    });
+
+    // Regular exits must not race the emergency sale
+    positions.forEach(position => this.stopPositionMonitor(position.id));
+
+    const result = await this.sellPosition(tokenAddress, `rug-${type}`);
+
+    if (!result.success) {
+      const stillOpen = positions
+        .map(position => positionLedger.getPosition(position.id))
+        .filter(position => position && position.status === 'open');
+
+      if (stillOpen.length > 0) {
+        logger.error('Emergency exit failed, resuming monitoring', {
+          tokenAddress,
+          alert: type,
+          error: result.error
+        });
+        stillOpen.forEach(position => this.setupPositionManagement(position));
+        rugWatchdog.rearm(tokenAddress);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Mirror an exit transaction's state onto the positions it sells
+   * @param {string} event - Lifecycle event (sent, replaced, mined, dropped, reverted)
+   * @param {Object} tx - Transaction summary from the transaction manager
+   */
+  handleTransactionEvent(event, tx) {
+    const { purpose, tokenAddress, positionId, reason } = tx.meta || {};
+
+    if (purpose !== 'exit' || !tokenAddress || !positionLedger.initialized) {
+      return;
+    }
+
+    const positions = positionId
+      ? [positionLedger.getPosition(positionId)].filter(Boolean)
+      : positionLedger.getOpenPositions({ chain: 'ethereum' })
+        .filter(position => position.asset.toLowerCase() === tokenAddress.toLowerCase());
+    const pending = event === 'sent' || event === 'replaced';
+
+    positions
+      .filter(position => position.status === 'open')
+      .forEach(position => {
+        positionLedger.updatePosition(position.id, {
+          pendingExit: pending
+            ? { transactionId: tx.id, txHash: tx.hash, nonce: tx.nonce, attempts: tx.attempts, reason }
+            : null
+        });
+      });
+
+    // The sale's wait rejects as well, which puts the position back under monitoring
+    if (event === 'dropped' || event === 'reverted') {
+      logger.warn('Exit transaction failed', {
+        event,
+        tokenAddress,
+        positionIds: positions.map(position => position.id),
+        reason,
+        txHash: tx.hash,
+        nonce: tx.nonce
+      });
+    }
+  }
+
+  /**
+   * Set up position management using the exit policy for the position's chain and strategy
+   * @param {Object} position - Open position from the position ledger
+   */
+  setupPositionManagement(position) {
+    const { id: positionId, asset: tokenAddress } = position;
+
     try {
       logger.info('Setting up position management', {
+        positionId,
         tokenAddress,
-        investmentAmount
+        costBasis: position.costBasis
       });
 
-      // Get take profit and stop loss percentages from config
-      const takeProfitPercentage = config.get('trading.takeProfitPercentage', 10);
-      const stopLossPercentage = config.get('trading.stopLossPercentage', 5);
+      // Watch the pair and token contract for rug pulls alongside the exit policy
+      rugWatchdog.watch(tokenAddress);
 
-      // Get current token price
-      ethereum.getTokenPrice(tokenAddress).then(initialPrice => {
-        // Calculate target prices
-        const takeProfitPrice = parseFloat(initialPrice) * (1 + takeProfitPercentage / 100);
-        const stopLossPrice = parseFloat(initialPrice) * (1 - stopLossPercentage / 100);
+      // Reuse the policy and rule state stored in the ledger when resuming after a restart
+      const policy = exitPolicy.policyFor(position);
+      const stateReady = position.exitState
+        ? Promise.resolve(position.exitState)
+        : this.createExitState(position, policy).then(exitState => {
+          positionLedger.updatePosition(positionId, { exitPolicy: policy, exitState });
+          return exitState;
+        });
 
+      stateReady.then(exitState => {
         logger.info('Position management set up', {
+          positionId,
           tokenAddress,
-          initialPrice,
-          takeProfitPrice,
-          stopLossPrice
+          entryPrice: exitState.entryPrice,
+          policy
         });
 
-        // Set up monitoring interval
-        const intervalId = setInterval(async () => {
-          try {
-            // Get current price
-            const currentPrice = await ethereum.getTokenPrice(tokenAddress);
-            
-            logger.debug('Monitoring position', {
-              tokenAddress,
-              currentPrice,
-              takeProfitPrice,
-              stopLossPrice
-            });
-
-            // Check if take profit or stop loss hit
-            if (parseFloat(currentPrice) >= takeProfitPrice) {
-              logger.trading('Take profit triggered', {
-                tokenAddress,
-                currentPrice,
-                takeProfitPrice
-              });
-              
-              // Execute sell
-              await this.sellPosition(tokenAddress);
-              clearInterval(intervalId);
-            } else if (parseFloat(currentPrice) <= stopLossPrice) {
-              logger.trading('Stop loss triggered', {
-                tokenAddress,
-                currentPrice,
-                stopLossPrice
-              });
-              
-              // Execute sell
-              await this.sellPosition(tokenAddress);
-              clearInterval(intervalId);
-            }
-          } catch (error) {
-            logger.error('Error monitoring position', {
-              tokenAddress,
-              error: error.message
-            });
-          }
-        }, 30000); // Check every 30 seconds
+        return this.startPositionMonitor(positionId, tokenAddress);
       }).catch(error => {
         logger.error('Failed to get initial token price', {
+          positionId,
           tokenAddress,
           error: error.message
         });
       });
     } catch (error) {
       logger.error('Failed to set up position management', {
+        positionId,
+        tokenAddress,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create the exit rule state for a position from its entry price and pool liquidity
+   * @param {Object} position - Open position from the position ledger
+   * @param {Object} policy - Exit policy
+   * @returns {Promise<Object>} Exit state
+   */
+  async createExitState(position, policy) {
+    // Positions recorded before exit policies existed were measured from their initial quote
+    const entryPrice = position.initialPrice || await ethereum.getTokenPrice(position.asset);
+    const entryLiquidity = policy.liquidityDropPercent !== null
+      ? await this.getPoolLiquidity(position.asset)
+      : null;
+
+    return exitPolicy.createState({
+      entryPrice: parseFloat(entryPrice),
+      quantity: parseFloat(position.quantity),
+      openedAt: position.openedAt,
+      entryLiquidity
+    });
+  }
+
+  /**
+   * Watch a position through its pair's Sync events, polling only while no subscription is live
+   * @param {string} positionId - Position ID
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<void>}
+   */
+  async startPositionMonitor(positionId, tokenAddress) {
+    const entry = { monitor: null, intervalId: null };
+    this.positionMonitors[positionId] = entry;
+
+    const startPolling = () => {
+      if (entry.intervalId === null) {
+        entry.intervalId = clock.setInterval(
+          () => this.checkPosition(positionId, tokenAddress),
+          30000 // Check every 30 seconds
+        );
+      }
+    };
+    const stopPolling = () => {
+      if (entry.intervalId !== null) {
+        clock.clearInterval(entry.intervalId);
+        entry.intervalId = null;
+      }
+    };
+
+    // Poll until the subscription is confirmed so the position is never unwatched
+    startPolling();
+
+    let monitor = null;
+    try {
+      monitor = await ethereum.monitorPair(tokenAddress);
+    } catch (error) {
+      logger.warn('Pair events unavailable, polling position', {
+        positionId,
+        tokenAddress,
+        error: error.message
+      });
+    }
+
+    // Without a websocket endpoint, or if the position was exited meanwhile, polling is all there is
+    if (!monitor || this.positionMonitors[positionId] !== entry) {
+      return;
+    }
+
+    entry.monitor = monitor;
+
+    monitor.on('connected', ({ reconnecting }) => {
+      stopPolling();
+      logger.info('Following pair events for position', {
+        positionId,
+        tokenAddress,
+        pairAddress: monitor.pairAddress,
+        reconnecting
+      });
+
+      // Catch up on whatever moved while the subscription was being set up or down
+      this.checkPosition(positionId, tokenAddress);
+    });
+
+    monitor.on('disconnected', () => {
+      logger.warn('Pair event subscription dropped, polling position', {
+        positionId,
+        tokenAddress
+      });
+      startPolling();
+    });
+
+    monitor.on('reserves', ({ reserveToken, reserveWeth, blockNumber }) => {
+      this.checkPosition(positionId, tokenAddress, {
+        price: quoteConstantProduct(1, reserveToken, reserveWeth, UNISWAP_V2_FEE_PERCENT),
+        liquidity: reserveWeth,
+        blockNumber
+      });
+    });
+
+    monitor.on('swap', swap => {
+      logger.debug('Swap on position pair', {
+        positionId,
+        tokenAddress,
+        ...swap
+      });
+    });
+
+    monitor.start();
+  }
+
+  /**
+   * Queue an exit policy check so checks for one position never overlap
+   * @param {string} positionId - Position ID
+   * @param {string} tokenAddress - Token address
+   * @param {Object} [observation] - Price and pool liquidity from pair events (fetched when omitted)
+   * @returns {Promise<void>}
+   */
+  checkPosition(positionId, tokenAddress, observation = null) {
+    const previous = this.positionChecks[positionId] || Promise.resolve();
+    const check = previous.then(() => this.evaluatePosition(positionId, tokenAddress, observation));
+
+    this.positionChecks[positionId] = check;
+    check.then(() => {
+      if (this.positionChecks[positionId] === check) {
+        delete this.positionChecks[positionId];
+      }
+    });
+
+    return check;
+  }
+
+  /**
+   * Evaluate a position's exit policy against the current price and act on it
+   * @param {string} positionId - Position ID
+   * @param {string} tokenAddress - Token address
+   * @param {Object} [observation] - Price and pool liquidity from pair events (fetched when omitted)
+   */
+  async evaluatePosition(positionId, tokenAddress, observation = null) {
+    try {
+      const position = positionLedger.getPosition(positionId);
+
+      if (!position || position.status !== 'open') {
+        this.stopPositionMonitor(positionId);
+        return;
+      }
+
+      const policy = position.exitPolicy;
+      const currentPrice = observation
+        ? observation.price
+        : parseFloat(await ethereum.getTokenPrice(tokenAddress));
+
+      // A failed quote comes back as zero and must not read as a crash through the stop
+      if (!(currentPrice > 0)) {
+        logger.debug('Skipping position check, no usable price', {
+          positionId,
+          tokenAddress,
+          currentPrice
+        });
+        return;
+      }
+
+      let liquidity = null;
+      if (observation) {
+        liquidity = observation.liquidity;
+      } else if (policy.liquidityDropPercent !== null) {
+        liquidity = await this.getPoolLiquidity(tokenAddress);
+      }
+
+      const { state, action } = exitPolicy.evaluate(policy, position.exitState, {
+        price: currentPrice,
+        liquidity,
+        now: clock.now()
+      });
+
+      logger.debug('Monitoring position', {
+        positionId,
+        tokenAddress,
+        currentPrice,
+        entryPrice: state.entryPrice,
+        peakPrice: state.peakPrice,
+        liquidity,
+        blockNumber: observation ? observation.blockNumber : null
+      });
+
+      if (state.peakPrice !== position.exitState.peakPrice) {
+        positionLedger.updatePosition(positionId, { exitState: state });
+      }
+
+      if (!action) {
+        return;
+      }
+
+      logger.trading('Exit rule triggered', {
+        positionId,
+        tokenAddress,
+        currentPrice,
+        ...action
+      });
+
+      if (action.type === 'close') {
+        await this.exitPosition(positionId, tokenAddress, action.reason);
+      } else {
+        await this.reducePosition(positionId, tokenAddress, action);
+      }
+    } catch (error) {
+      logger.error('Error monitoring position', {
+        positionId,
+        tokenAddress,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * WETH held by a token's Uniswap pair, used by liquidity-pull exits
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<number|null>} WETH reserve, or null when the pair cannot be read
+   */
+  async getPoolLiquidity(tokenAddress) {
+    try {
+      const { reserveIn } = await ethereum.getPairReserves(ethereum.addresses.weth, tokenAddress);
+
+      return parseFloat(reserveIn);
+    } catch (error) {
+      logger.warn('Failed to read pool liquidity', {
         tokenAddress,
         error: error.message
       });
+
+      return null;
+    }
+  }
+
+  /**
+   * Exit a monitored position, resuming the monitor if the sale fails
+   * @param {string} positionId - Position ID
+   * @param {string} tokenAddress - Token address
+   * @param {string} reason - Exit reason
+   */
+  async exitPosition(positionId, tokenAddress, reason) {
+    // Stop first so a slow sale is not triggered again by the next tick
+    this.stopPositionMonitor(positionId);
+
+    const result = await this.sellPosition(tokenAddress, reason);
+    const position = positionLedger.getPosition(positionId);
+
+    if (!result.success && position && position.status === 'open') {
+      logger.warn('Position exit failed, resuming monitoring', {
+        positionId,
+        tokenAddress,
+        reason
+      });
+      this.setupPositionManagement(position);
     }
   }
 
+  /**
+   * Sell part of a monitored position for a take-profit target, then resume monitoring
+   * @param {string} positionId - Position ID
+   * @param {string} tokenAddress - Token address
+   * @param {Object} action - Reduce action from the exit policy
+   * @returns {Promise<Object>} Sell result
+   */
+  async reducePosition(positionId, tokenAddress, action) {
+    // Stop first so a slow sale is not triggered again by the next tick
+    this.stopPositionMonitor(positionId);
+
+    const position = positionLedger.getPosition(positionId);
+    const sellAmount = exitPolicy.getSellQuantity(position.exitState, action, parseFloat(position.quantity)).toString();
+    let sale;
+
+    try {
+      logger.trading('Reducing token position', {
+        positionId,
+        tokenAddress,
+        reason: action.reason,
+        sellPercent: action.sellPercent,
+        amount: sellAmount
+      });
+
+      const expectedProceeds = await ethereum.getTokenPrice(
+        tokenAddress,
+        ethereum.addresses.weth,
+        sellAmount
+      );
+
+      const result = await ethereum.swapTokens(
+        tokenAddress,
+        ethereum.addresses.weth,
+        sellAmount,
+        5, // 5% slippage for selling
+        'exit',
+        { purpose: 'exit', tokenAddress, positionId, reason: action.reason }
+      );
+
+      positionLedger.recordFill(positionId, {
+        side: 'sell',
+        quantity: sellAmount,
+        amount: result.amountOut !== undefined ? result.amountOut : expectedProceeds,
+        txHash: result.transactionHash
+      });
+      positionLedger.updatePosition(positionId, {
+        exitState: exitPolicy.recordReduce(position.exitPolicy, position.exitState, action)
+      });
+
+      logger.trading('Position reduced successfully', {
+        positionId,
+        tokenAddress,
+        amount: sellAmount,
+        txHash: result.transactionHash
+      });
+
+      sale = { success: true, positionId, tokenAddress, amount: sellAmount, txHash: result.transactionHash };
+    } catch (error) {
+      // The target stays unfilled, so the next check tries it again
+      logger.error('Failed to reduce position', {
+        positionId,
+        tokenAddress,
+        error: error.message
+      });
+
+      sale = { success: false, positionId, tokenAddress, error: error.message };
+    }
+
+    this.setupPositionManagement(positionLedger.getPosition(positionId));
+
+    return sale;
+  }
+
+  /**
+   * Stop monitoring a position
+   * @param {string} positionId - Position ID
+   */
+  stopPositionMonitor(positionId) {
+    const entry = this.positionMonitors[positionId];
+
+    if (!entry) {
+      return;
+    }
+
+    if (entry.intervalId !== null) {
+      clock.clearInterval(entry.intervalId);
+    }
+
+    if (entry.monitor) {
+      entry.monitor.removeAllListeners();
+      entry.monitor.stop();
+    }
+
+    delete this.positionMonitors[positionId];
+  }
+
   /**
    * Sell a token position
    * @param {string} tokenAddress - Token address to sell
+   * @param {string} [reason] - Reason for selling (take-profit, stop-loss, manual)
    * @returns {Promise<Object>} Sell result
    */
-  async sellPosition(tokenAddress) {
+  async sellPosition(tokenAddress, reason = 'manual') {
     try {
-      logger.trading('Selling token position', { tokenAddress });
+      logger.trading('Selling token position', { tokenAddress, reason });
 
       // Get token balance
       const balance = await ethereum.getTokenBalance(tokenAddress);
       
       if (parseFloat(balance) <= 0) {
         logger.warn('No token balance to sell', { tokenAddress });
+
+        // Nothing left to sell, so the position cannot be exited any other way
+        this.closeLedgerPositions(tokenAddress, 'no-balance', { proceeds: '0' });
+
         return {
           success: false,
           reason: 'No balance'
@@ -375,13 +871,22 @@ class LiquidityDetector {
 
       // Sell 95% of the balance to account for potential fees
       const sellAmount = (parseFloat(balance) * 0.95).toString();
+
+      // Quote the sale first so the ledger can record the expected proceeds
+      const expectedProceeds = await ethereum.getTokenPrice(
+        tokenAddress,
+        ethereum.addresses.weth,
+        sellAmount
+      );
       
       // Execute the swap back to ETH
       const result = await ethereum.swapTokens(
         tokenAddress,
         ethereum.addresses.weth,
         sellAmount,
-        5 // 5% slippage for selling
+        5, // 5% slippage for selling
+        'exit',
+        { purpose: 'exit', tokenAddress, reason }
       );
 
       logger.trading('Position sold successfully', {
@@ -390,6 +895,12 @@ class LiquidityDetector {
         txHash: result.transactionHash
       });
 
+      // Paper swaps report their actual output; live receipts only have the quote
+      this.closeLedgerPositions(tokenAddress, reason, {
+        proceeds: result.amountOut !== undefined ? result.amountOut : expectedProceeds,
+        txHash: result.transactionHash
+      });
+
       return {
         success: true,
         tokenAddress,
@@ -410,6 +921,41 @@ class LiquidityDetector {
     }
   }
 
+  /**
+   * Close the open ledger positions held in a token after it was sold
+   * @param {string} tokenAddress - Token address
+   * @param {string} reason - Close reason
+   * @param {Object} sale - Sale details
+   * @param {string} sale.proceeds - ETH received for the whole sale
+   * @param {string} [sale.txHash] - Sale transaction hash
+   */
+  closeLedgerPositions(tokenAddress, reason, { proceeds, txHash = null }) {
+    if (!positionLedger.initialized) {
+      return;
+    }
+
+    const positions = positionLedger.getOpenPositions({ chain: 'ethereum' })
+      .filter(position => position.asset.toLowerCase() === tokenAddress.toLowerCase());
+    const totalQuantity = positions.reduce((sum, position) => sum + parseFloat(position.quantity), 0);
+
+    positions.forEach(position => {
+      // Split the proceeds by the share of the sold tokens each position held
+      const share = totalQuantity > 0 ? parseFloat(position.quantity) / totalQuantity : 0;
+
+      this.stopPositionMonitor(position.id);
+      positionLedger.closePosition(position.id, {
+        reason,
+        fill: {
+          quantity: position.quantity,
+          amount: (parseFloat(proceeds) * share).toString(),
+          txHash
+        }
+      });
+    });
+
+    rugWatchdog.unwatch(tokenAddress);
+  }
+
   /**
    * Add tokens to whitelist
    * @param {Array<string>} tokens - Array of token addresses
@@ -450,6 +996,20 @@ class LiquidityDetector {
       }
     });
     
+    // Positions stay open in the ledger and are picked up again on the next initialize()
+    Object.keys(this.positionMonitors).forEach(positionId => this.stopPositionMonitor(positionId));
+    
+    rugWatchdog.stop();
+    if (this.rugAlertHandler) {
+      rugWatchdog.removeListener('alert', this.rugAlertHandler);
+      this.rugAlertHandler = null;
+    }
+    
+    if (this.transactionHandlers) {
+      Object.entries(this.transactionHandlers).forEach(([event, handler]) => transactionManager.removeListener(event, handler));
+      this.transactionHandlers = null;
+    }
+    
     logger.info('Stopped all liquidity listeners');
   }
 }
@@ -7,8 +7,16 @@ const ethereum = require('../core/ethereum');
 const bitcoin = require('../core/bitcoin');
 const solana = require('../core/solana');
 const ethLiquidityDetector = require('../core/liquidityDetector');
+const positionLedger = require('../core/positionLedger');
+const riskManager = require('../core/riskManager');
+const exitPolicy = require('../core/exitPolicy');
+const riskScoring = require('../security/riskScoring');
+const securityModule = require('../security/securityModule');
+const arbitrageExecutor = require('../strategies/arbitrageExecutor');
+const triangularArbitrage = require('../strategies/triangularArbitrage');
 const config = require('../core/config');
 const logger = require('../utils/logger');
+const clock = require('../utils/clock');
 
 class MultiChainLiquidityDetector {
   constructor() {
@@ -34,14 +42,30 @@ class MultiChainLiquidityDetector {
         throw new Error('Failed to initialize one or more chain modules');
       }
       
+      // Load the position ledger shared by the Ethereum and Solana position managers
+      const ledgerInitialized = await positionLedger.initialize();
+      if (!ledgerInitialized) {
+        throw new Error('Failed to initialize position ledger');
+      }
+      
+      // Load the daily loss tally so a kill switch tripped before a restart still holds
+      const riskInitialized = await riskManager.initialize();
+      if (!riskInitialized) {
+        throw new Error('Failed to initialize risk manager');
+      }
+      
       // Initialize Ethereum liquidity detector
       await ethLiquidityDetector.initialize();
       
       // Set up monitors for each chain
       this.setupEthereumMonitor();
       this.setupBitcoinMonitor();
+      this.setupTriangularArbitrageMonitor();
       this.setupSolanaMonitor();
       
+      // Resume monitoring Solana positions opened before a restart
+      this.rehydrateSolanaPositions();
+      
       this.initialized = true;
       logger.info('Multi-chain liquidity detector initialized successfully');
       
@@ -89,33 +113,41 @@ class MultiChainLiquidityDetector {
       
       // For Bitcoin, we'll monitor exchange activity rather than on-chain events
       // Set up interval to check for significant price movements or volume spikes
-      const intervalId = setInterval(async () => {
+      const intervalId = clock.setInterval(async () => {
         try {
-          // Get current Bitcoin price from multiple exchanges
-          const krakenPrice = await bitcoin.getBitcoinPrice('kraken');
-          const binancePrice = await bitcoin.getBitcoinPrice('binance');
+          // Get current Bitcoin quotes from multiple exchanges
+          const { quotes, rejected } = await bitcoin.getBitcoinQuotes(['kraken', 'binance']);
+          
+          if (!quotes.kraken || !quotes.binance) {
+            logger.debug('Skipping Bitcoin price check, missing usable quotes', { rejected });
+            return;
+          }
           
-          // Calculate price difference percentage
-          const priceDiff = Math.abs(parseFloat(krakenPrice) - parseFloat(binancePrice));
-          const priceDiffPercent = (priceDiff / parseFloat(binancePrice)) * 100;
+          // Compare the executable spread: buy at the cheaper ask, sell at the richer bid
+          const [buyQuote, sellQuote] = quotes.kraken.ask <= quotes.binance.ask
+            ? [quotes.kraken, quotes.binance]
+            : [quotes.binance, quotes.kraken];
+          const priceDiffPercent = ((sellQuote.bid - buyQuote.ask) / buyQuote.ask) * 100;
           
           logger.debug('Bitcoin price check', {
-            krakenPrice,
-            binancePrice,
+            kraken: { bid: quotes.kraken.bid, ask: quotes.kraken.ask },
+            binance: { bid: quotes.binance.bid, ask: quotes.binance.ask },
             priceDiffPercent
           });
           
           // If price difference exceeds threshold, there might be a trading opportunity
           if (priceDiffPercent > 0.5) { // 0.5% threshold
             logger.trading('Bitcoin arbitrage opportunity detected', {
-              krakenPrice,
-              binancePrice,
+              buyExchange: buyQuote.exchange,
+              sellExchange: sellQuote.exchange,
+              buyAsk: buyQuote.ask,
+              sellBid: sellQuote.bid,
               priceDiffPercent
             });
             
-            // Execute arbitrage strategy if enabled
+            // Execute arbitrage strategy if enabled; the executor sizes it from the order books
             if (config.get('trading.bitcoin.arbitrageEnabled', false)) {
-              this.executeBitcoinArbitrage(krakenPrice, binancePrice);
+              await this.executeBitcoinArbitrage(buyQuote.exchange, sellQuote.exchange);
             }
           }
         } catch (error) {
@@ -130,7 +162,7 @@ class MultiChainLiquidityDetector {
         type: 'bitcoin',
         intervalId,
         stop: () => {
-          clearInterval(intervalId);
+          clock.clearInterval(intervalId);
           logger.info('Stopped Bitcoin liquidity monitor');
         }
       };
@@ -143,6 +175,29 @@ class MultiChainLiquidityDetector {
     }
   }
 
+  /**
+   * Set up the triangular arbitrage scanner on the configured exchanges
+   */
+  setupTriangularArbitrageMonitor() {
+    if (!config.get('trading.triangular.enabled', false)) {
+      return;
+    }
+    
+    logger.info('Setting up triangular arbitrage monitor');
+    
+    // Markets load in the background; the scanner logs any exchange it cannot start
+    triangularArbitrage.start();
+    
+    this.monitors.triangular = {
+      active: true,
+      type: 'triangular',
+      stop: () => {
+        triangularArbitrage.stop();
+        logger.info('Stopped triangular arbitrage monitor');
+      }
+    };
+  }
+
   /**
    * Set up Solana liquidity monitor
    */
@@ -155,16 +210,19 @@ class MultiChainLiquidityDetector {
         try {
           logger.info('New Solana token detected', {
             address: tokenData.address,
-            symbol: tokenData.symbol,
-            name: tokenData.name
+            source: tokenData.source,
+            mintAuthority: tokenData.mintAuthority,
+            freezeAuthority: tokenData.freezeAuthority
           });
           
           // Analyze token for potential issues
-          const tokenSafe = await this.analyzeSolanaToken(tokenData.address);
+          const assessment = await this.analyzeSolanaToken(tokenData.address, tokenData);
           
-          if (!tokenSafe) {
+          if (!assessment.safe) {
             logger.warn('Solana token failed safety checks, skipping', {
-              address: tokenData.address
+              address: tokenData.address,
+              score: assessment.score,
+              explanation: assessment.explanation
             });
             return;
           }
@@ -201,147 +259,29 @@ class MultiChainLiquidityDetector {
 
   /**
    * Execute Bitcoin arbitrage strategy
-   * @param {string} krakenPrice - Bitcoin price on Kraken
-   * @param {string} binancePrice - Bitcoin price on Binance
-   * @returns {Promise<Object>} Arbitrage result
+   * @param {string} buyExchange - Exchange quoting the lower ask
+   * @param {string} sellExchange - Exchange quoting the higher bid
+   * @returns {Promise<Object>} Arbitrage result (see strategies/arbitrageExecutor.js)
    */
-  async executeBitcoinArbitrage(krakenPrice, binancePrice) {
-    try {
-      logger.trading('Executing Bitcoin arbitrage strategy', {
-        krakenPrice,
-        binancePrice
-      });
-      
-      // Determine which exchange to buy from and which to sell to
-      const buyExchange = parseFloat(krakenPrice) < parseFloat(binancePrice) ? 'kraken' : 'binance';
-      const sellExchange = buyExchange === 'kraken' ? 'binance' : 'kraken';
-      
-      const buyPrice = buyExchange === 'kraken' ? krakenPrice : binancePrice;
-      const sellPrice = sellExchange === 'kraken' ? krakenPrice : binancePrice;
-      
-      // Calculate potential profit percentage
-      const profitPercent = ((parseFloat(sellPrice) - parseFloat(buyPrice)) / parseFloat(buyPrice)) * 100;
-      
-      // Get trade amount from config
-      const tradeAmount = config.get('trading.bitcoin.arbitrageAmount', '0.01');
-      
-      logger.trading('Bitcoin arbitrage details', {
-        buyExchange,
-        sellExchange,
-        buyPrice,
-        sellPrice,
-        profitPercent,
-        tradeAmount
-      });
-      
-      // Check if profit exceeds minimum threshold after fees
-      const minProfitPercent = config.get('trading.bitcoin.minArbitrageProfit', 0.5);
-      
-      if (profitPercent <= minProfitPercent) {
-        logger.trading('Bitcoin arbitrage profit too low, skipping', {
-          profitPercent,
-          minProfitPercent
-        });
-        
-        return {
-          executed: false,
-          reason: 'Profit too low',
-          profitPercent,
-          minProfitPercent
-        };
-      }
-      
-      // Execute buy order
-      const buyResult = await bitcoin.executeTrade(
-        buyExchange,
-        'buy',
-        tradeAmount
-      );
-      
-      // Execute sell order
-      const sellResult = await bitcoin.executeTrade(
-        sellExchange,
-        'sell',
-        tradeAmount
-      );
-      
-      const result = {
-        executed: true,
-        buyExchange,
-        sellExchange,
-        buyPrice,
-        sellPrice,
-        tradeAmount,
-        profitPercent,
-        buyResult,
-        sellResult,
-        timestamp: new Date().toISOString()
-      };
-      
-      logger.trading('Bitcoin arbitrage executed successfully', result);
-      
-      return result;
-    } catch (error) {
-      logger.error('Failed to execute Bitcoin arbitrage', {
-        krakenPrice,
-        binancePrice,
-        error: error.message
-      });
-      
-      return {
-        executed: false,
-        reason: 'Error',
-        error: error.message
-      };
-    }
+  async executeBitcoinArbitrage(buyExchange, sellExchange) {
+    logger.trading('Executing Bitcoin arbitrage strategy', {
+      buyExchange,
+      sellExchange
+    });
+    
+    return arbitrageExecutor.execute({ buyExchange, sellExchange });
   }
 
   /**
    * Analyze Solana token for potential issues
    * @param {string} tokenAddress - Token address to analyze
-   * @returns {Promise<boolean>} Whether the token is safe
+   * @param {Object} [mintData] - Decoded mint account from the token monitor (read from the chain when omitted)
+   * @returns {Promise<Object>} Risk assessment (see security/riskScoring.js); trade only when safe
    */
-  async analyzeSolanaToken(tokenAddress) {
-    try {
-      logger.info('Analyzing Solana token for safety', { tokenAddress });
-      
-      // Get token info
-      const tokenInfo = await solana.getTokenInfo(tokenAddress);
-      
-      // In a real implementation, we would perform thorough analysis
-      // For this prototype, we'll do some basic checks
-      
-      // Check for suspicious token name/symbol
-      const redFlagTerms = ['scam', 'ponzi', 'moon', 'elon', 'safe', 'gem', 'pump'];
-      const nameSymbolLower = (tokenInfo.name + tokenInfo.symbol).toLowerCase();
-      
-      for (const term of redFlagTerms) {
-        if (nameSymbolLower.includes(term)) {
-          logger.warn('Solana token name/symbol contains suspicious term', {
-            tokenAddress,
-            term
-          });
-          // Don't immediately reject, just flag it
-        }
-      }
-      
-      // For demonstration purposes, we'll consider most tokens safe
-      // In a real implementation, you would do much more thorough analysis
-      const isSafe = Math.random() > 0.2; // 80% chance of being considered safe
-      
-      logger.info('Solana token safety analysis result', {
-        tokenAddress,
-        isSafe
-      });
-      
-      return isSafe;
-    } catch (error) {
-      logger.error('Failed to analyze Solana token', {
-        tokenAddress,
-        error: error.message
-      });
-      return false;
-    }
+  async analyzeSolanaToken(tokenAddress, mintData = null) {
+    logger.info('Analyzing Solana token for safety', { tokenAddress });
+    
+    return riskScoring.assess('solana', tokenAddress, { mintData });
   }
 
   /**
@@ -350,12 +290,46 @@ class MultiChainLiquidityDetector {
    * @returns {Promise<Object>} Snipe result
    */
   async executeSolanaSnipe(tokenAddress) {
+    let reservationId = null;
+    let riskReservationId = null;
+    let swapped = false;
+    
     try {
       logger.trading('Executing Solana token snipe', { tokenAddress });
       
       // Get snipe amount from config
       const snipeAmountSol = config.get('trading.solana.snipeAmount', '1');
       
+      const validation = await securityModule.validateTransaction('solana', snipeAmountSol, 'buy', { strategy: 'snipe' });
+      if (!validation.valid) {
+        logger.security('Solana snipe rejected by transaction limits', {
+          tokenAddress,
+          reason: validation.reason
+        });
+        return {
+          success: false,
+          tokenAddress,
+          error: validation.reason
+        };
+      }
+      reservationId = validation.reservationId;
+      
+      const risk = await riskManager.checkOrder({
+        chain: 'solana',
+        strategy: 'snipe',
+        asset: tokenAddress,
+        quoteAsset: 'SOL',
+        quoteAmount: snipeAmountSol
+      });
+      if (!risk.allowed) {
+        return {
+          success: false,
+          tokenAddress,
+          error: risk.reason
+        };
+      }
+      riskReservationId = risk.reservationId;
+      
       // Execute the swap
       const result = await solana.swapTokens(
         'SOL', // Native SOL
@@ -363,6 +337,7 @@ class MultiChainLiquidityDetector {
         snipeAmountSol,
         5 // 5% slippage
       );
+      swapped = true;
       
       logger.trading('Solana snipe executed successfully', {
         tokenAddress,
@@ -370,13 +345,26 @@ class MultiChainLiquidityDetector {
         result
       });
       
+      // Record the position so its exit targets survive restarts, holding only what this swap bought
+      const quantity = String(result.outputAmount);
+      const position = positionLedger.openPosition({
+        chain: 'solana',
+        strategy: 'snipe',
+        asset: tokenAddress,
+        quoteAsset: 'SOL',
+        quantity,
+        cost: snipeAmountSol,
+        txHash: result.id || null
+      });
+      
       // Set up position management
-      this.setupSolanaPositionManagement(tokenAddress, snipeAmountSol);
+      this.setupSolanaPositionManagement(position);
       
       return {
         success: true,
         tokenAddress,
         amount: snipeAmountSol,
+        positionId: position.id,
         result
       };
     } catch (error) {
@@ -390,46 +378,81 @@ class MultiChainLiquidityDetector {
         tokenAddress,
         error: error.message
       };
+    } finally {
+      // Only a swap that went through counts toward the transaction limits; the risk limits count
+      // its ledger position from here on
+      securityModule.settleTransaction(reservationId, swapped);
+      riskManager.releaseOrder(riskReservationId);
+    }
+  }
+
+  /**
+   * Resume monitoring open Solana positions recorded in the ledger
+   */
+  rehydrateSolanaPositions() {
+    // Exchange strategies (trend) on Solana manage their own positions
+    const positions = positionLedger.getOpenPositions({ chain: 'solana', strategy: 'snipe' });
+    
+    positions.forEach(position => this.setupSolanaPositionManagement(position));
+    
+    if (positions.length > 0) {
+      logger.info('Rehydrated Solana positions from ledger', {
+        count: positions.length
+      });
     }
   }
 
   /**
    * Set up position management for a Solana token
-   * @param {string} tokenAddress - Token address
-   * @param {string} investmentAmount - Amount invested in SOL
+   * @param {Object} position - Open position from the position ledger
+   * @returns {string} Position ID
    */
-  setupSolanaPositionManagement(tokenAddress, investmentAmount) {
+  setupSolanaPositionManagement(position) {
+    const { id: positionId, asset: tokenAddress } = position;
+    
     try {
       logger.info('Setting up Solana position management', {
+        positionId,
         tokenAddress,
-        investmentAmount
+        investmentAmount: position.costBasis
       });
       
-      // Get take profit and stop loss percentages from config
-      const takeProfitPercentage = config.get('trading.takeProfitPercentage', 10);
-      const stopLossPercentage = config.get('trading.stopLossPercentage', 5);
-      
-      // Create a unique ID for this position
-      const positionId = `sol-position-${Date.now()}`;
+      // Keep the policy and rule state the position was opened with when resuming after a restart
+      const policy = exitPolicy.policyFor(position);
+      
+      if (!position.exitState) {
+        positionLedger.updatePosition(positionId, {
+          exitPolicy: policy,
+          exitState: exitPolicy.createState({
+            entryPrice: parseFloat(position.entryPrice),
+            quantity: parseFloat(position.quantity),
+            openedAt: position.openedAt
+          })
+        });
+      }
       
       // Store position in active strategies
       this.activeStrategies[positionId] = {
         type: 'solana-position',
         tokenAddress,
-        investmentAmount,
-        entryTimestamp: new Date().toISOString(),
-        takeProfitPercentage,
-        stopLossPercentage,
+        investmentAmount: position.costBasis,
+        entryTimestamp: position.openedAt,
+        policy,
         status: 'active'
       };
       
       // Set up monitoring interval
-      const intervalId = setInterval(async () => {
+      const intervalId = clock.setInterval(async () => {
         try {
           // Check if position is still active
           if (!this.activeStrategies[positionId] || 
               this.activeStrategies[positionId].status !== 'active') {
-            clearInterval(intervalId);
+            clock.clearInterval(intervalId);
+            return;
+          }
+          
+          // Skip ticks while a sale from an earlier tick is still in flight
+          if (this.activeStrategies[positionId].selling) {
             return;
           }
           
@@ -444,43 +467,68 @@ class MultiChainLiquidityDetector {
             });
             
             this.activeStrategies[positionId].status = 'closed';
-            clearInterval(intervalId);
+            positionLedger.closePosition(positionId, { reason: 'no-balance' });
+            clock.clearInterval(intervalId);
             return;
           }
           
-          // In a real implementation, we would check the current value of the position
-          // For this prototype, we'll simulate price movement
-          const priceChangePercent = (Math.random() * 20) - 10; // -10% to +10%
+          // Compare the current price with the entry price recorded in the ledger
+          const currentPrice = parseFloat(await solana.getTokenPrice(tokenAddress));
+          const { exitState } = positionLedger.getPosition(positionId);
+          
+          if (!(currentPrice > 0) || !(exitState.entryPrice > 0)) {
+            logger.debug('Skipping Solana position check, no usable price', {
+              positionId,
+              tokenAddress,
+              currentPrice,
+              entryPrice: exitState.entryPrice
+            });
+            return;
+          }
+          
+          // Pool liquidity is not observed on Solana, so liquidity-pull rules do not apply
+          const { state, action } = exitPolicy.evaluate(policy, exitState, {
+            price: currentPrice,
+            now: clock.now()
+          });
           
           logger.debug('Monitoring Solana position', {
             positionId,
             tokenAddress,
-            priceChangePercent
+            currentPrice,
+            entryPrice: state.entryPrice,
+            peakPrice: state.peakPrice
           });
           
-          // Check if take profit or stop loss hit
-          if (priceChangePercent >= takeProfitPercentage) {
-            logger.trading('Solana take profit triggered', {
-              positionId,
-              tokenAddress,
-              priceChangePercent,
-              takeProfitPercentage
-            });
-            
-            // Execute sell
-            await this.closeSolanaPosition(positionId, tokenAddress, 'take-profit');
-            clearInterval(intervalId);
-          } else if (priceChangePercent <= -stopLossPercentage) {
-            logger.trading('Solana stop loss triggered', {
-              positionId,
-              tokenAddress,
-              priceChangePercent,
-              stopLossPercentage
-            });
-            
-            // Execute sell
-            await this.closeSolanaPosition(positionId, tokenAddress, 'stop-loss');
-            clearInterval(intervalId);
+          if (state.peakPrice !== exitState.peakPrice) {
+            positionLedger.updatePosition(positionId, { exitState: state });
+          }
+          
+          if (!action) {
+            return;
+          }
+          
+          logger.trading('Solana exit rule triggered', {
+            positionId,
+            tokenAddress,
+            currentPrice,
+            ...action
+          });
+          
+          this.activeStrategies[positionId].selling = true;
+          
+          try {
+            if (action.type === 'close') {
+              await this.closeSolanaPosition(positionId, tokenAddress, action.reason);
+            } else {
+              await this.reduceSolanaPosition(positionId, tokenAddress, action);
+            }
+          } finally {
+            this.activeStrategies[positionId].selling = false;
+          }
+          
+          if (this.activeStrategies[positionId].status === 'closed') {
+            clock.clearInterval(intervalId);
           }
         } catch (error) {
           logger.error('Error monitoring Solana position', {
@@ -502,9 +550,80 @@ class MultiChainLiquidityDetector {
       return positionId;
     } catch (error) {
       logger.error('Failed to set up Solana position management', {
+        positionId,
+        tokenAddress,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Sell part of a Solana token position for a take-profit target
+   * @param {string} positionId - Position ID
+   * @param {string} tokenAddress - Token address
+   * @param {Object} action - Reduce action from the exit policy
+   * @returns {Promise<Object>} Sell result
+   */
+  async reduceSolanaPosition(positionId, tokenAddress, action) {
+    try {
+      const position = positionLedger.getPosition(positionId);
+      const sellAmount = exitPolicy.getSellQuantity(position.exitState, action, parseFloat(position.quantity)).toString();
+      
+      logger.trading('Reducing Solana position', {
+        positionId,
+        tokenAddress,
+        reason: action.reason,
+        sellPercent: action.sellPercent,
+        sellAmount
+      });
+      
+      // Execute the swap back to SOL
+      const result = await solana.swapTokens(
+        tokenAddress,
+        'SOL', // Native SOL
+        sellAmount,
+        5 // 5% slippage
+      );
+      
+      // As when closing, the SOL output is already net of the swap fee
+      positionLedger.recordFill(positionId, {
+        side: 'sell',
+        quantity: sellAmount,
+        amount: result.outputAmount || '0',
+        txHash: result.id || null
+      });
+      positionLedger.updatePosition(positionId, {
+        exitState: exitPolicy.recordReduce(position.exitPolicy, position.exitState, action)
+      });
+      
+      logger.trading('Solana position reduced successfully', {
+        positionId,
+        tokenAddress,
+        sellAmount,
+        result
+      });
+      
+      return {
+        success: true,
+        positionId,
+        tokenAddress,
+        sellAmount,
+        result
+      };
+    } catch (error) {
+      // The target stays unfilled, so the next check tries it again
+      logger.error('Failed to reduce Solana position', {
+        positionId,
         tokenAddress,
         error: error.message
       });
+      
+      return {
+        success: false,
+        positionId,
+        tokenAddress,
+        error: error.message
+      };
     }
   }
 
@@ -542,7 +661,8 @@ class MultiChainLiquidityDetector {
         // Update position status
         position.status = 'closed';
         position.closeReason = reason;
-        position.closeTimestamp = new Date().toISOString();
+        position.closeTimestamp = clock.date().toISOString();
+        positionLedger.closePosition(positionId, { reason: 'no-balance' });
         
         return {
           success: false,
@@ -566,8 +686,17 @@ class MultiChainLiquidityDetector {
       // Update position status
       position.status = 'closed';
       position.closeReason = reason;
-      position.closeTimestamp = new Date().toISOString();
+      position.closeTimestamp = clock.date().toISOString();
       position.closeResult = result;
+      // The swap fee is taken from the tokens sold, so the SOL output is already net of it
+      positionLedger.closePosition(positionId, {
+        reason,
+        fill: {
+          quantity: sellAmount,
+          amount: result.outputAmount || '0',
+          txHash: result.id || null
+        }
+      });
       
       logger.trading('Solana position closed successfully', {
         positionId,
@@ -616,7 +745,7 @@ class MultiChainLiquidityDetector {
     // Clear all position monitoring intervals
     Object.values(this.activeStrategies).forEach(strategy => {
       if (strategy.intervalId) {
-        clearInterval(strategy.intervalId);
+        clock.clearInterval(strategy.intervalId);
       }
     });
     
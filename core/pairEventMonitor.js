@@ -0,0 +1,309 @@
+/**
+ * Uniswap V2 pair event monitor for the multi-chain trading bot
+ * Subscribes to a pair's Sync and Swap logs over websocket and reports its reserves once per block
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { ethers } = require('ethers');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+const PAIR_EVENTS = new ethers.utils.Interface([
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)'
+]);
+
+const SYNC_TOPIC = PAIR_EVENTS.getEventTopic('Sync');
+const SWAP_TOPIC = PAIR_EVENTS.getEventTopic('Swap');
+
+class PairEventMonitor extends EventEmitter {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {string} options.wsUrl - Ethereum websocket endpoint
+   * @param {string} options.pairAddress - Uniswap V2 pair address
+   * @param {boolean} options.tokenIsToken0 - Whether the watched token is the pair's token0 (the other side is WETH)
+   * @param {number} options.tokenDecimals - Decimals of the watched token
+   * @param {number} [options.wethDecimals] - Decimals of WETH
+   * @param {number} [options.staleAfterMs] - Treat the subscription as dropped after this long without a new block
+   */
+  constructor({
+    wsUrl,
+    pairAddress,
+    tokenIsToken0,
+    tokenDecimals,
+    wethDecimals = 18,
+    reconnectDelayMs = config.get('trading.ethereum.pairEvents.reconnectDelayMs', 1000),
+    maxReconnectDelayMs = config.get('trading.ethereum.pairEvents.maxReconnectDelayMs', 30000),
+    staleAfterMs = config.get('trading.ethereum.pairEvents.staleAfterMs', 60000)
+  }) {
+    super();
+    this.wsUrl = wsUrl;
+    this.pairAddress = pairAddress;
+    this.tokenIsToken0 = tokenIsToken0;
+    this.tokenDecimals = tokenDecimals;
+    this.wethDecimals = wethDecimals;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+    this.staleAfterMs = staleAfterMs;
+
+    this.ws = null;
+    this.running = false;
+    this.subscribed = false;
+    this.requestId = 0;
+    this.pendingSubscriptions = new Map();
+    this.subscriptions = new Map();
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.staleTimer = null;
+    this.lastBlock = null;
+    this.pendingReserves = new Map();
+    this.flushScheduled = false;
+  }
+
+  /**
+   * Connect and subscribe to the pair's logs
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.wsUrl) {
+      throw new Error('Ethereum websocket URL not configured');
+    }
+
+    this.running = true;
+    this.connect();
+  }
+
+  /**
+   * Close the websocket and stop reconnecting
+   */
+  stop() {
+    this.running = false;
+    this.subscribed = false;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.staleTimer);
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+  }
+
+  /**
+   * Open the websocket and subscribe once connected
+   */
+  connect() {
+    const ws = new WebSocket(this.wsUrl);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.pendingSubscriptions.clear();
+      this.subscriptions.clear();
+
+      this.subscribe(ws, 'logs', ['logs', { address: this.pairAddress, topics: [[SYNC_TOPIC, SWAP_TOPIC]] }]);
+      // New heads double as a heartbeat; a quiet pair still sees a block every few seconds
+      this.subscribe(ws, 'newHeads', ['newHeads']);
+      this.resetStaleTimer();
+    });
+
+    ws.on('message', data => this.handleMessage(data));
+
+    ws.on('error', error => {
+      logger.error('Pair event websocket error', {
+        pairAddress: this.pairAddress,
+        error: error.message
+      });
+    });
+
+    ws.on('close', () => {
+      clearTimeout(this.staleTimer);
+
+      if (this.subscribed) {
+        this.subscribed = false;
+        this.emit('disconnected');
+      }
+
+      if (this.running) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Send an eth_subscribe request
+   * @param {WebSocket} ws - Websocket
+   * @param {string} kind - Subscription kind (logs, newHeads)
+   * @param {Array} params - eth_subscribe params
+   */
+  subscribe(ws, kind, params) {
+    const id = ++this.requestId;
+    this.pendingSubscriptions.set(id, kind);
+    ws.send(JSON.stringify({ jsonrpc: '2.0', id, method: 'eth_subscribe', params }));
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(this.reconnectDelayMs * 2 ** this.reconnectAttempts, this.maxReconnectDelayMs);
+    this.reconnectAttempts++;
+
+    logger.warn('Pair event websocket disconnected, reconnecting', {
+      pairAddress: this.pairAddress,
+      attempt: this.reconnectAttempts,
+      delayMs: delay,
+      lastBlock: this.lastBlock
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      if (this.running) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Drop the connection when no block has arrived for staleAfterMs; close triggers the reconnect
+   */
+  resetStaleTimer() {
+    clearTimeout(this.staleTimer);
+    this.staleTimer = setTimeout(() => {
+      logger.warn('Pair event subscription stalled', {
+        pairAddress: this.pairAddress,
+        lastBlock: this.lastBlock,
+        staleAfterMs: this.staleAfterMs
+      });
+
+      if (this.ws) {
+        this.ws.terminate();
+      }
+    }, this.staleAfterMs);
+  }
+
+  /**
+   * Handle a websocket frame
+   * @param {Buffer|string} data - Raw frame
+   */
+  handleMessage(data) {
+    let message;
+
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('Ignoring malformed pair event frame', { error: error.message });
+      return;
+    }
+
+    if (message.id !== undefined && this.pendingSubscriptions.has(message.id)) {
+      const kind = this.pendingSubscriptions.get(message.id);
+      this.pendingSubscriptions.delete(message.id);
+
+      if (message.error) {
+        logger.error('Pair event subscription failed', {
+          pairAddress: this.pairAddress,
+          kind,
+          error: message.error.message
+        });
+        this.ws.terminate();
+        return;
+      }
+
+      this.subscriptions.set(message.result, kind);
+
+      if (this.pendingSubscriptions.size === 0) {
+        const reconnecting = this.reconnectAttempts > 0;
+        this.reconnectAttempts = 0;
+        this.subscribed = true;
+
+        logger.info('Subscribed to pair events', {
+          pairAddress: this.pairAddress,
+          reconnecting
+        });
+        this.emit('connected', { reconnecting });
+      }
+      return;
+    }
+
+    if (message.method !== 'eth_subscription') {
+      return;
+    }
+
+    const { subscription, result } = message.params;
+    const kind = this.subscriptions.get(subscription);
+
+    if (kind === 'newHeads') {
+      this.lastBlock = parseInt(result.number, 16);
+      this.resetStaleTimer();
+    } else if (kind === 'logs' && !result.removed) {
+      this.handleLog(result);
+    }
+  }
+
+  /**
+   * Decode a Sync or Swap log
+   * @param {Object} log - Log from the logs subscription
+   */
+  handleLog(log) {
+    const blockNumber = parseInt(log.blockNumber, 16);
+    const event = PAIR_EVENTS.parseLog(log);
+    const [tokenSide, wethSide] = this.tokenIsToken0 ? ['0', '1'] : ['1', '0'];
+    const format = (value, decimals) => parseFloat(ethers.utils.formatUnits(value, decimals));
+
+    if (event.name === 'Sync') {
+      // Later Syncs in the same block supersede earlier ones
+      this.pendingReserves.set(blockNumber, {
+        reserveToken: format(event.args[`reserve${tokenSide}`], this.tokenDecimals),
+        reserveWeth: format(event.args[`reserve${wethSide}`], this.wethDecimals)
+      });
+      this.scheduleFlush();
+      return;
+    }
+
+    const tokenOut = format(event.args[`amount${tokenSide}Out`], this.tokenDecimals);
+    const tokenIn = format(event.args[`amount${tokenSide}In`], this.tokenDecimals);
+
+    this.emit('swap', {
+      pairAddress: this.pairAddress,
+      blockNumber,
+      transactionHash: log.transactionHash,
+      side: tokenOut > 0 ? 'buy' : 'sell',
+      tokenAmount: tokenOut > 0 ? tokenOut : tokenIn,
+      wethAmount: tokenOut > 0
+        ? format(event.args[`amount${wethSide}In`], this.wethDecimals)
+        : format(event.args[`amount${wethSide}Out`], this.wethDecimals)
+    });
+  }
+
+  /**
+   * Report reserves once the logs delivered together for a block have all been read
+   */
+  scheduleFlush() {
+    if (this.flushScheduled) {
+      return;
+    }
+
+    this.flushScheduled = true;
+    setImmediate(() => {
+      this.flushScheduled = false;
+
+      const blocks = [...this.pendingReserves.keys()].sort((a, b) => a - b);
+      blocks.forEach(blockNumber => {
+        this.emit('reserves', {
+          pairAddress: this.pairAddress,
+          blockNumber,
+          ...this.pendingReserves.get(blockNumber)
+        });
+      });
+      this.pendingReserves.clear();
+    });
+  }
+}
+
+module.exports = PairEventMonitor;
+module.exports.SYNC_TOPIC = SYNC_TOPIC;
+module.exports.SWAP_TOPIC = SWAP_TOPIC;
@@ -0,0 +1,163 @@
+/**
+ * Performance reporting for the multi-chain trading bot
+ * Summarizes closed positions and fills into trades, PnL, drawdown and hit rate
+ */
+
+class PerformanceReport {
+  /**
+   * Build a performance report
+   * @param {Object} params - Report inputs
+   * @param {Array<Object>} params.positions - Positions from the position ledger
+   * @param {Array<Object>} [params.fills] - Venue fills (paper or live)
+   * @param {Object<string, Object<string, string>>} [params.startingBalances] - Balances keyed by venue then asset
+   * @param {Object<string, Object<string, string>>} [params.endingBalances] - Balances keyed by venue then asset
+   * @param {string} [params.start] - Period start (ISO string)
+   * @param {string} [params.end] - Period end (ISO string)
+   * @returns {Object} Report
+   */
+  build({ positions, fills = [], startingBalances = {}, endingBalances = {}, start = null, end = null }) {
+    const trades = positions
+      .filter(position => position.status === 'closed')
+      .map(position => this.toTrade(position))
+      .sort((a, b) => Date.parse(a.closedAt) - Date.parse(b.closedAt));
+
+    const byQuoteAsset = {};
+
+    trades.forEach(trade => {
+      if (!byQuoteAsset[trade.quoteAsset]) {
+        byQuoteAsset[trade.quoteAsset] = { trades: [], startingBalance: this.sumAsset(startingBalances, trade.quoteAsset) };
+      }
+      byQuoteAsset[trade.quoteAsset].trades.push(trade);
+    });
+
+    Object.keys(byQuoteAsset).forEach(asset => {
+      const { trades: assetTrades, startingBalance } = byQuoteAsset[asset];
+      byQuoteAsset[asset] = this.summarize(assetTrades, startingBalance);
+    });
+
+    const wins = trades.filter(trade => trade.realizedPnl > 0).length;
+
+    return {
+      period: { start, end },
+      totals: {
+        trades: trades.length,
+        wins,
+        losses: trades.length - wins,
+        hitRate: trades.length > 0 ? wins / trades.length : 0,
+        openPositions: positions.filter(position => position.status === 'open').length,
+        fills: fills.length
+      },
+      byQuoteAsset,
+      balances: {
+        start: startingBalances,
+        end: endingBalances,
+        change: this.balanceChange(startingBalances, endingBalances)
+      },
+      trades
+    };
+  }
+
+  /**
+   * Convert a closed position into a trade record
+   * @param {Object} position - Closed position
+   * @returns {Object} Trade
+   */
+  toTrade(position) {
+    const bought = position.fills.filter(fill => fill.side === 'buy');
+    const sold = position.fills.filter(fill => fill.side === 'sell');
+    const cost = bought.reduce((sum, fill) => sum + parseFloat(fill.amount) + parseFloat(fill.fee || '0'), 0);
+    const proceeds = sold.reduce((sum, fill) => sum + parseFloat(fill.amount) - parseFloat(fill.fee || '0'), 0);
+    const realizedPnl = parseFloat(position.realizedPnl);
+
+    return {
+      positionId: position.id,
+      chain: position.chain,
+      strategy: position.strategy,
+      asset: position.asset,
+      quoteAsset: position.quoteAsset,
+      openedAt: position.openedAt,
+      closedAt: position.closedAt,
+      closeReason: position.closeReason,
+      cost,
+      proceeds,
+      realizedPnl,
+      returnPercent: cost > 0 ? (realizedPnl / cost) * 100 : 0
+    };
+  }
+
+  /**
+   * Summarize the trades settled in one quote asset
+   * @param {Array<Object>} trades - Trades ordered by close time
+   * @param {number} startingBalance - Starting balance of the quote asset
+   * @returns {Object} Summary
+   */
+  summarize(trades, startingBalance) {
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    let grossProfit = 0;
+    let grossLoss = 0;
+
+    trades.forEach(({ realizedPnl }) => {
+      if (realizedPnl > 0) {
+        grossProfit += realizedPnl;
+      } else {
+        grossLoss -= realizedPnl;
+      }
+
+      // Drawdown is measured on the realized equity curve, peak to trough
+      cumulative += realizedPnl;
+      peak = Math.max(peak, cumulative);
+      maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    });
+
+    const wins = trades.filter(trade => trade.realizedPnl > 0).length;
+
+    return {
+      trades: trades.length,
+      wins,
+      hitRate: trades.length > 0 ? wins / trades.length : 0,
+      realizedPnl: cumulative,
+      grossProfit,
+      grossLoss,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      maxDrawdown,
+      maxDrawdownPercent: startingBalance > 0 ? (maxDrawdown / (startingBalance + peak)) * 100 : null
+    };
+  }
+
+  /**
+   * Sum an asset's balance across venues
+   * @param {Object<string, Object<string, string>>} balances - Balances keyed by venue then asset
+   * @param {string} asset - Asset
+   * @returns {number} Total balance
+   */
+  sumAsset(balances, asset) {
+    return Object.values(balances).reduce((sum, assets) => sum + parseFloat(assets[asset] || '0'), 0);
+  }
+
+  /**
+   * Difference between ending and starting balances
+   * @param {Object<string, Object<string, string>>} startingBalances - Starting balances
+   * @param {Object<string, Object<string, string>>} endingBalances - Ending balances
+   * @returns {Object<string, Object<string, number>>} Change keyed by venue then asset
+   */
+  balanceChange(startingBalances, endingBalances) {
+    const change = {};
+    const venues = new Set([...Object.keys(startingBalances), ...Object.keys(endingBalances)]);
+
+    venues.forEach(venue => {
+      const startAssets = startingBalances[venue] || {};
+      const endAssets = endingBalances[venue] || {};
+
+      change[venue] = {};
+      new Set([...Object.keys(startAssets), ...Object.keys(endAssets)]).forEach(asset => {
+        change[venue][asset] = parseFloat(endAssets[asset] || '0') - parseFloat(startAssets[asset] || '0');
+      });
+    });
+
+    return change;
+  }
+}
+
+module.exports = new PerformanceReport();
@@ -0,0 +1,399 @@
+/**
+ * Position ledger for the multi-chain trading bot
+ * Records position entries, fills, updates and closes in an append-only JSONL file
+ * so open positions and their exit targets survive restarts. Emits 'realized' with the
+ * PnL each sell fill realizes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+class PositionLedger extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.filePath = null;
+    this.fd = null;
+    this.persist = true;
+    this.positions = new Map();
+  }
+
+  /**
+   * Initialize the ledger and replay its history
+   * @param {Object} [options] - Ledger options (omit to keep an already initialized ledger as is)
+   * @param {string} [options.filePath] - Ledger file (defaults to <dataDir>/positions.jsonl)
+   * @param {boolean} [options.persist] - Whether to write events to disk
+   * @returns {Promise<boolean>} Initialization success
+   */
+  async initialize(options = null) {
+    // Both position managers initialize the ledger; only the first call loads it
+    if (this.initialized && options === null) {
+      return true;
+    }
+
+    const { filePath = null, persist = true } = options || {};
+    const targetPath = filePath || path.join(config.get('storage.dataDir', 'data'), 'positions.jsonl');
+
+    if (this.initialized && this.filePath === targetPath && this.persist === persist) {
+      return true;
+    }
+
+    try {
+      this.close();
+      this.positions.clear();
+      this.filePath = targetPath;
+      this.persist = persist;
+
+      if (persist) {
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        this.replay();
+        this.fd = fs.openSync(targetPath, 'a');
+      }
+
+      this.initialized = true;
+      logger.info('Position ledger initialized', {
+        filePath: persist ? targetPath : null,
+        openPositions: this.getOpenPositions().length
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize position ledger', {
+        filePath: targetPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Rebuild positions from the ledger file
+   */
+  replay() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+    const lines = contents.split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line; skip it rather than refuse to start
+        logger.warn('Skipping unreadable position ledger entry', {
+          filePath: this.filePath,
+          line: index + 1,
+          error: error.message
+        });
+      }
+    });
+
+    // Start the next entry on a line of its own rather than at the end of a truncated one
+    if (contents.length > 0 && !contents.endsWith('\n')) {
+      fs.appendFileSync(this.filePath, '\n');
+    }
+  }
+
+  /**
+   * Open a new position
+   * @param {Object} params - Position parameters
+   * @param {string} params.chain - Chain name (ethereum, solana, bitcoin)
+   * @param {string} params.strategy - Strategy that opened the position (e.g. snipe)
+   * @param {string} params.asset - Asset held (token address or symbol)
+   * @param {string} params.quoteAsset - Asset the position is valued in
+   * @param {string} params.quantity - Quantity of the asset bought
+   * @param {string} params.cost - Quote asset spent
+   * @param {string} [params.fee] - Fee paid in the quote asset
+   * @param {string} [params.entryPrice] - Entry price in the quote asset
+   * @param {string} [params.venue] - Where the trade was executed (live, paper)
+   * @param {string} [params.txHash] - Transaction hash or order ID of the entry
+   * @param {Object} [params.meta] - Extra data to keep with the position
+   * @returns {Object} Opened position
+   */
+  openPosition({ chain, strategy, asset, quoteAsset, quantity, cost, fee = '0', entryPrice = null, venue = 'live', txHash = null, meta = {} }) {
+    const id = `${chain}-${crypto.randomUUID()}`;
+    const price = entryPrice || (parseFloat(quantity) > 0 ? (parseFloat(cost) / parseFloat(quantity)).toString() : null);
+
+    this.record({
+      type: 'open',
+      positionId: id,
+      data: { chain, strategy, asset, quoteAsset, entryPrice: price, venue, meta }
+    });
+
+    this.recordFill(id, { side: 'buy', quantity, amount: cost, fee, price, txHash });
+
+    logger.trading('Position opened', {
+      positionId: id,
+      chain,
+      strategy,
+      asset,
+      quantity,
+      cost
+    });
+
+    return this.getPosition(id);
+  }
+
+  /**
+   * Record a fill against a position
+   * @param {string} positionId - Position ID
+   * @param {Object} fill - Fill details
+   * @param {string} fill.side - Fill side (buy, sell)
+   * @param {string} fill.quantity - Asset quantity bought or sold
+   * @param {string} fill.amount - Quote asset spent (buy) or received (sell)
+   * @param {string} [fill.fee] - Fee paid in the quote asset
+   * @param {string} [fill.price] - Fill price
+   * @param {string} [fill.txHash] - Transaction hash or order ID
+   * @returns {Object} Updated position
+   */
+  recordFill(positionId, { side, quantity, amount, fee = '0', price = null, txHash = null }) {
+    const realizedBefore = parseFloat(this.requirePosition(positionId).realizedPnl);
+
+    this.record({
+      type: 'fill',
+      positionId,
+      data: {
+        side,
+        quantity: String(quantity),
+        amount: String(amount),
+        fee: String(fee),
+        price: price !== null ? String(price) : null,
+        txHash
+      }
+    });
+
+    const position = this.getPosition(positionId);
+
+    if (side === 'sell') {
+      this.emit('realized', {
+        positionId,
+        chain: position.chain,
+        strategy: position.strategy,
+        asset: position.asset,
+        quoteAsset: position.quoteAsset,
+        amount: parseFloat(position.realizedPnl) - realizedBefore
+      });
+    }
+
+    return position;
+  }
+
+  /**
+   * Update position fields such as exit targets or monitor state
+   * @param {string} positionId - Position ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object} Updated position
+   */
+  updatePosition(positionId, changes) {
+    this.requirePosition(positionId);
+    this.record({ type: 'update', positionId, data: changes });
+
+    return this.getPosition(positionId);
+  }
+
+  /**
+   * Close a position, optionally recording the final sell fill
+   * @param {string} positionId - Position ID
+   * @param {Object} params - Close parameters
+   * @param {string} params.reason - Close reason (take-profit, stop-loss, manual, ...)
+   * @param {Object} [params.fill] - Final sell fill (see recordFill)
+   * @returns {Object} Closed position
+   */
+  closePosition(positionId, { reason, fill = null }) {
+    const position = this.requirePosition(positionId);
+
+    if (position.status === 'closed') {
+      return position;
+    }
+
+    if (fill) {
+      this.recordFill(positionId, { side: 'sell', ...fill });
+    }
+
+    this.record({ type: 'close', positionId, data: { reason } });
+
+    const closed = this.getPosition(positionId);
+
+    logger.trading('Position closed', {
+      positionId,
+      reason,
+      realizedPnl: closed.realizedPnl,
+      quoteAsset: closed.quoteAsset
+    });
+
+    return closed;
+  }
+
+  /**
+   * Get a position by ID
+   * @param {string} positionId - Position ID
+   * @returns {Object|null} Position (a copy)
+   */
+  getPosition(positionId) {
+    const position = this.positions.get(positionId);
+    return position ? JSON.parse(JSON.stringify(position)) : null;
+  }
+
+  /**
+   * Get open positions
+   * @param {Object} [filter] - Fields to match (e.g. { chain: 'solana' })
+   * @returns {Array<Object>} Open positions
+   */
+  getOpenPositions(filter = {}) {
+    return this.getPositions({ ...filter, status: 'open' });
+  }
+
+  /**
+   * Get closed positions
+   * @param {Object} [filter] - Fields to match (e.g. { chain: 'solana' })
+   * @returns {Array<Object>} Closed positions
+   */
+  getClosedPositions(filter = {}) {
+    return this.getPositions({ ...filter, status: 'closed' });
+  }
+
+  /**
+   * Get positions matching a filter
+   * @param {Object} [filter] - Fields to match
+   * @returns {Array<Object>} Matching positions
+   */
+  getPositions(filter = {}) {
+    return [...this.positions.values()]
+      .filter(position => Object.entries(filter).every(([key, value]) => position[key] === value))
+      .map(position => JSON.parse(JSON.stringify(position)));
+  }
+
+  /**
+   * Close the ledger and drop its in-memory state
+   */
+  reset() {
+    this.close();
+    this.positions.clear();
+    this.filePath = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Close the ledger file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  requirePosition(positionId) {
+    if (!this.initialized) {
+      throw new Error('Position ledger not initialized');
+    }
+
+    const position = this.positions.get(positionId);
+
+    if (!position) {
+      throw new Error(`Position ${positionId} not found`);
+    }
+
+    return position;
+  }
+
+  /**
+   * Persist an event and apply it to the in-memory state
+   * @param {Object} event - Ledger event ({ type, positionId, data })
+   */
+  record(event) {
+    const entry = { ...event, timestamp: clock.date().toISOString() };
+
+    if (this.persist && this.fd !== null) {
+      fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+      fs.fsyncSync(this.fd);
+    }
+
+    this.apply(entry);
+  }
+
+  /**
+   * Apply an event to the in-memory state
+   * @param {Object} event - Ledger event
+   */
+  apply({ type, positionId, data, timestamp }) {
+    if (type === 'open') {
+      this.positions.set(positionId, {
+        id: positionId,
+        ...data,
+        status: 'open',
+        quantity: '0',
+        costBasis: '0',
+        realizedPnl: '0',
+        fees: '0',
+        fills: [],
+        openedAt: timestamp,
+        updatedAt: timestamp,
+        closedAt: null,
+        closeReason: null
+      });
+      return;
+    }
+
+    const position = this.positions.get(positionId);
+
+    if (!position) {
+      throw new Error(`Ledger event ${type} references unknown position ${positionId}`);
+    }
+
+    position.updatedAt = timestamp;
+
+    if (type === 'fill') {
+      this.applyFill(position, data);
+      position.fills.push({ ...data, timestamp });
+    } else if (type === 'update') {
+      Object.assign(position, data);
+    } else if (type === 'close') {
+      position.status = 'closed';
+      position.closeReason = data.reason;
+      position.closedAt = timestamp;
+    }
+  }
+
+  /**
+   * Apply a fill using average-cost accounting
+   * @param {Object} position - Position state
+   * @param {Object} fill - Fill data
+   */
+  applyFill(position, fill) {
+    const quantity = parseFloat(position.quantity);
+    const costBasis = parseFloat(position.costBasis);
+    const fillQuantity = parseFloat(fill.quantity);
+    const amount = parseFloat(fill.amount);
+    const fee = parseFloat(fill.fee || '0');
+
+    position.fees = (parseFloat(position.fees) + fee).toString();
+
+    if (fill.side === 'buy') {
+      position.quantity = (quantity + fillQuantity).toString();
+      position.costBasis = (costBasis + amount + fee).toString();
+      return;
+    }
+
+    // Sells realize PnL against the average cost of the quantity sold
+    const soldQuantity = Math.min(fillQuantity, quantity);
+    const soldCost = quantity > 0 ? costBasis * (soldQuantity / quantity) : 0;
+
+    position.realizedPnl = (parseFloat(position.realizedPnl) + amount - fee - soldCost).toString();
+    position.costBasis = (costBasis - soldCost).toString();
+    position.quantity = (quantity - soldQuantity).toString();
+  }
+}
+
+module.exports = new PositionLedger();
@@ -0,0 +1,279 @@
+/**
+ * Price feed for the multi-chain trading bot
+ * Pulls tickers through the exchange adapters, caches quotes and rejects stale or outlier prices
+ */
+
+const exchanges = require('../exchanges/registry');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+/**
+ * Error raised when a quote fails a sanity check
+ */
+class QuoteRejectedError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} reason - Rejection reason (invalid, crossed, spread, stale, jump, outlier)
+   * @param {Object} [quote] - Rejected quote
+   */
+  constructor(message, reason, quote = null) {
+    super(message);
+    this.name = 'QuoteRejectedError';
+    this.reason = reason;
+    this.quote = quote;
+  }
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+class PriceFeed {
+  constructor() {
+    this.quotes = new Map();
+    this.maxAgeMs = config.get('priceFeed.maxAgeMs', 15000);
+    this.maxSpreadPercent = config.get('priceFeed.maxSpreadPercent', 1);
+    this.maxJumpPercent = config.get('priceFeed.maxJumpPercent', 10);
+    this.maxDeviationPercent = config.get('priceFeed.maxDeviationPercent', 2);
+  }
+
+  /**
+   * Get a fresh quote, using the cache when possible
+   * @param {string} exchange - Exchange key (e.g. kraken)
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAgeMs] - Maximum acceptable quote age
+   * @returns {Promise<Object>} Quote ({ exchange, symbol, bid, ask, last, mid, spreadPercent, timestamp, receivedAt })
+   */
+  async getQuote(exchange, symbol, { maxAgeMs = this.maxAgeMs } = {}) {
+    const cached = this.getCachedQuote(exchange, symbol);
+
+    if (cached && this.isFresh(cached, maxAgeMs)) {
+      return cached;
+    }
+
+    return this.fetchQuote(exchange, symbol, { maxAgeMs });
+  }
+
+  /**
+   * Fetch a quote from the exchange, validate it and cache it
+   * @param {string} exchange - Exchange key (e.g. kraken)
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAgeMs] - Maximum acceptable quote age
+   * @returns {Promise<Object>} Quote
+   */
+  async fetchQuote(exchange, symbol, { maxAgeMs = this.maxAgeMs } = {}) {
+    try {
+      const ticker = await exchanges.get(exchange).getTicker(symbol);
+      const quote = this.recordTicker(exchange, ticker, { maxAgeMs });
+
+      logger.debug('Retrieved price quote', {
+        exchange,
+        symbol,
+        bid: quote.bid,
+        ask: quote.ask
+      });
+
+      return quote;
+    } catch (error) {
+      logger.error('Failed to get price quote', {
+        exchange,
+        symbol,
+        reason: error.reason,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get quotes for a symbol from several exchanges, dropping failed and outlier quotes
+   * @param {Object<string, string>} symbols - Normalized symbol keyed by exchange (e.g. { kraken: 'BTC/USD' })
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAgeMs] - Maximum acceptable quote age
+   * @returns {Promise<Object>} Accepted quotes keyed by exchange, plus rejected reasons
+   */
+  async getQuotes(symbols, { maxAgeMs = this.maxAgeMs } = {}) {
+    const entries = Object.entries(symbols);
+    const results = await Promise.allSettled(
+      entries.map(([exchange, symbol]) => this.getQuote(exchange, symbol, { maxAgeMs }))
+    );
+
+    const quotes = {};
+    const rejected = {};
+
+    results.forEach((result, index) => {
+      const exchange = entries[index][0];
+
+      if (result.status === 'fulfilled') {
+        quotes[exchange] = result.value;
+      } else {
+        rejected[exchange] = result.reason.reason || 'error';
+      }
+    });
+
+    Object.entries(this.findOutliers(Object.values(quotes))).forEach(([exchange, deviationPercent]) => {
+      logger.warn('Rejected outlier price quote', {
+        exchange,
+        symbol: quotes[exchange].symbol,
+        mid: quotes[exchange].mid,
+        deviationPercent
+      });
+
+      delete quotes[exchange];
+      rejected[exchange] = 'outlier';
+    });
+
+    return { quotes, rejected };
+  }
+
+  /**
+   * Validate and cache a ticker pushed by an exchange (REST or websocket)
+   * @param {string} exchange - Exchange key
+   * @param {Object} ticker - Normalized ticker from an exchange adapter
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAgeMs] - Maximum acceptable quote age
+   * @returns {Object} Accepted quote
+   */
+  recordTicker(exchange, ticker, { maxAgeMs = this.maxAgeMs } = {}) {
+    const bid = parseFloat(ticker.bidPrice);
+    const ask = parseFloat(ticker.askPrice);
+    const last = parseFloat(ticker.price);
+    const now = clock.now();
+
+    const quote = {
+      exchange,
+      symbol: ticker.symbol,
+      bid,
+      ask,
+      last: last > 0 ? last : (bid + ask) / 2,
+      mid: (bid + ask) / 2,
+      spreadPercent: ((ask - bid) / ((bid + ask) / 2)) * 100,
+      bidQty: ticker.bidQty !== null && ticker.bidQty !== undefined ? parseFloat(ticker.bidQty) : null,
+      askQty: ticker.askQty !== null && ticker.askQty !== undefined ? parseFloat(ticker.askQty) : null,
+      timestamp: ticker.timestamp || now,
+      receivedAt: now
+    };
+
+    this.validateQuote(quote, maxAgeMs);
+    this.quotes.set(this.cacheKey(exchange, quote.symbol), quote);
+
+    return quote;
+  }
+
+  /**
+   * Check a quote against the configured sanity limits
+   * @param {Object} quote - Quote to check
+   * @param {number} maxAgeMs - Maximum acceptable quote age
+   */
+  validateQuote(quote, maxAgeMs) {
+    const label = `${quote.exchange} ${quote.symbol}`;
+
+    if (!(quote.bid > 0) || !(quote.ask > 0)) {
+      throw new QuoteRejectedError(`Quote for ${label} has no valid bid/ask`, 'invalid', quote);
+    }
+
+    if (quote.bid > quote.ask) {
+      throw new QuoteRejectedError(`Quote for ${label} is crossed (bid ${quote.bid} > ask ${quote.ask})`, 'crossed', quote);
+    }
+
+    if (quote.spreadPercent > this.maxSpreadPercent) {
+      throw new QuoteRejectedError(
+        `Quote for ${label} spread ${quote.spreadPercent.toFixed(4)}% exceeds ${this.maxSpreadPercent}%`,
+        'spread',
+        quote
+      );
+    }
+
+    if (!this.isFresh(quote, maxAgeMs)) {
+      throw new QuoteRejectedError(`Quote for ${label} is stale`, 'stale', quote);
+    }
+
+    const previous = this.getCachedQuote(quote.exchange, quote.symbol);
+
+    // Only compare against a recent quote, an old one says little about what a sane price is now
+    if (previous && this.isFresh(previous, maxAgeMs * 4)) {
+      const jumpPercent = (Math.abs(quote.mid - previous.mid) / previous.mid) * 100;
+
+      if (jumpPercent > this.maxJumpPercent) {
+        throw new QuoteRejectedError(
+          `Quote for ${label} moved ${jumpPercent.toFixed(2)}% since the last quote`,
+          'jump',
+          quote
+        );
+      }
+    }
+  }
+
+  /**
+   * Find quotes whose mid price deviates too far from the cross-exchange median.
+   * With only two quotes both deviate by half their gap, so both are rejected
+   * once they disagree by more than twice the allowed deviation.
+   * @param {Array<Object>} quotes - Quotes for the same asset
+   * @returns {Object<string, number>} Deviation percent keyed by exchange of each outlier
+   */
+  findOutliers(quotes) {
+    if (quotes.length < 2) {
+      return {};
+    }
+
+    const reference = median(quotes.map(quote => quote.mid));
+    const outliers = {};
+
+    quotes.forEach(quote => {
+      const deviationPercent = (Math.abs(quote.mid - reference) / reference) * 100;
+
+      if (deviationPercent > this.maxDeviationPercent) {
+        outliers[quote.exchange] = deviationPercent;
+      }
+    });
+
+    return outliers;
+  }
+
+  /**
+   * Check whether a quote is fresh
+   * @param {Object} quote - Quote
+   * @param {number} [maxAgeMs] - Maximum acceptable quote age
+   * @returns {boolean} Whether the quote is fresh
+   */
+  isFresh(quote, maxAgeMs = this.maxAgeMs) {
+    return clock.now() - Math.min(quote.timestamp, quote.receivedAt) <= maxAgeMs;
+  }
+
+  /**
+   * Get the last accepted quote, fresh or not
+   * @param {string} exchange - Exchange key
+   * @param {string} symbol - Normalized symbol
+   * @returns {Object|null} Cached quote
+   */
+  getCachedQuote(exchange, symbol) {
+    return this.quotes.get(this.cacheKey(exchange, symbol)) || null;
+  }
+
+  /**
+   * Drop all cached quotes
+   */
+  clear() {
+    this.quotes.clear();
+  }
+
+  cacheKey(exchange, symbol) {
+    return `${exchange}:${symbol}`;
+  }
+}
+
+module.exports = new PriceFeed();
+module.exports.QuoteRejectedError = QuoteRejectedError;
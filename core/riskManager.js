@@ -0,0 +1,437 @@
+/**
+ * Portfolio risk manager for the multi-chain trading bot
+ * Every snipe, arbitrage and strategy buy asks checkOrder before it trades. Orders are refused
+ * past trading.maxOpenPositions, above trading.maxPositionSize of the configured capital, or when
+ * they would push an asset, a correlation bucket or the whole portfolio over its USD exposure
+ * limit. An allowed order stays reserved until its caller releases it, so orders checked at the
+ * same time count toward each other's limits. Realized PnL is tallied per UTC day; a loss past
+ * the daily limit trips a kill switch that refuses every order and stops the liquidity monitors.
+ * The tally and the kill switch are saved to a JSON state file so a restart does not clear them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const positionLedger = require('../core/positionLedger');
+const priceFeed = require('../core/priceFeed');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+const DEFAULT_USD_PRICES = { USD: 1, USDT: 1, USDC: 1 };
+
+class RiskManager extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.filePath = null;
+    this.persist = true;
+    this.state = this.createState();
+    // Allowed orders not yet filled or abandoned, by reservation ID
+    this.pending = new Map();
+
+    positionLedger.on('realized', ({ positionId, strategy, quoteAsset, amount }) => {
+      this.recordPnl({ source: strategy, asset: quoteAsset, amount, reference: positionId }).catch(error => {
+        logger.error('Failed to record realized PnL', {
+          positionId,
+          error: error.message
+        });
+      });
+    });
+  }
+
+  /**
+   * Load the saved daily tally and kill switch
+   * @param {Object} [options] - Options (omit to keep an already initialized state as is)
+   * @param {string} [options.filePath] - State file (defaults to <dataDir>/risk.json)
+   * @param {boolean} [options.persist] - Whether to save state to disk
+   * @returns {Promise<boolean>} Initialization success
+   */
+  async initialize(options = null) {
+    if (this.initialized && options === null) {
+      return true;
+    }
+
+    const { filePath = null, persist = true } = options || {};
+    const targetPath = filePath || path.join(config.get('storage.dataDir', 'data'), 'risk.json');
+
+    try {
+      this.filePath = targetPath;
+      this.persist = persist;
+      this.state = this.createState();
+
+      if (persist && fs.existsSync(targetPath)) {
+        this.state = { ...this.state, ...JSON.parse(fs.readFileSync(targetPath, 'utf8')) };
+      }
+
+      this.initialized = true;
+      this.rollDay();
+
+      logger.info('Risk manager initialized', {
+        filePath: persist ? targetPath : null,
+        realizedPnlUSD: this.state.realizedPnlUSD,
+        killSwitch: Boolean(this.state.killSwitch)
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize risk manager', {
+        filePath: targetPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Check an order against the portfolio limits
+   * @param {Object} order - Order to check
+   * @param {string} order.chain - Chain the order trades on
+   * @param {string} order.strategy - Strategy placing it (snipe, arbitrage, grid, dca, trend, ...)
+   * @param {string} order.asset - Asset bought (token address or symbol)
+   * @param {string} order.quoteAsset - Asset paid with
+   * @param {string|number} order.quoteAmount - Amount of the quote asset spent
+   * @param {boolean} [order.opensPosition] - Whether the order opens a ledger position (counts toward maxOpenPositions)
+   * @param {boolean} [order.hedged] - Whether the order is offset in the same trade (arbitrage), so adds no exposure
+   * @returns {Promise<Object>} Decision ({ allowed, reason, notionalUSD, reservationId }); an allowed order that
+   *   adds exposure counts as open until releaseOrder is called with its reservationId, once it has filled
+   *   (and opened its ledger position) or failed
+   */
+  async checkOrder({ chain, strategy, asset, quoteAsset, quoteAmount, opensPosition = true, hedged = false }) {
+    const order = { chain, strategy, asset, quoteAsset, quoteAmount };
+
+    await this.initialize();
+
+    if (!config.get('trading.risk.enabled', true)) {
+      return { allowed: true, reason: null, notionalUSD: null };
+    }
+
+    this.rollDay();
+
+    if (this.state.killSwitch) {
+      return this.refuse(order, `Daily loss kill switch tripped at ${this.state.killSwitch.trippedAt}`);
+    }
+
+    const notionalUSD = await this.toUSD(quoteAsset, parseFloat(quoteAmount));
+    const exposure = hedged ? null : await this.getExposure();
+
+    // Nothing from here on awaits, so an order checked at the same time sees this one's reservation
+    this.expirePending();
+    const pending = [...this.pending.values()];
+
+    if (opensPosition && !hedged) {
+      const maxOpenPositions = parseInt(config.get('trading.maxOpenPositions', 5), 10);
+      const openPositions = (positionLedger.initialized ? positionLedger.getOpenPositions().length : 0) +
+        pending.filter(pendingOrder => pendingOrder.opensPosition).length;
+
+      if (openPositions >= maxOpenPositions) {
+        return this.refuse(order, `${openPositions} positions open or pending, limit is ${maxOpenPositions}`);
+      }
+    }
+
+    if (notionalUSD === null) {
+      return this.refuse(order, `No USD price for ${quoteAsset}`);
+    }
+
+    // Pending orders for the same asset end up in the same holding
+    const maxOrderUSD = parseFloat(config.get('trading.maxPositionSize', 0.1)) * config.get('trading.risk.capitalUSD', 10000);
+    const positionUSD = pending
+      .filter(pendingOrder => pendingOrder.chain === chain && pendingOrder.asset === asset)
+      .reduce((total, pendingOrder) => total + pendingOrder.notionalUSD, notionalUSD);
+    if (positionUSD > maxOrderUSD) {
+      const withPending = positionUSD > notionalUSD ? ` (${positionUSD.toFixed(2)} USD with pending orders)` : '';
+      return this.refuse(order, `Order of ${notionalUSD.toFixed(2)} USD${withPending} is above the ${maxOrderUSD.toFixed(2)} USD position size limit`, notionalUSD);
+    }
+
+    if (hedged) {
+      return { allowed: true, reason: null, notionalUSD, reservationId: null };
+    }
+
+    this.addPendingExposure(exposure, pending);
+
+    if (exposure.unpriced.length > 0) {
+      return this.refuse(order, `Open positions without a USD price: ${exposure.unpriced.join(', ')}`, notionalUSD);
+    }
+
+    const assetLimit = config.get('trading.risk.maxAssetExposureUSD', Infinity);
+    const portfolioLimit = config.get('trading.risk.maxPortfolioExposureUSD', Infinity);
+    const assetExposure = (exposure.byAsset[asset] || 0) + notionalUSD;
+
+    if (assetExposure > assetLimit) {
+      return this.refuse(order, `${asset} exposure would reach ${assetExposure.toFixed(2)} USD, limit is ${assetLimit} USD`, notionalUSD);
+    }
+
+    if (exposure.totalUSD + notionalUSD > portfolioLimit) {
+      return this.refuse(order, `Portfolio exposure would reach ${(exposure.totalUSD + notionalUSD).toFixed(2)} USD, limit is ${portfolioLimit} USD`, notionalUSD);
+    }
+
+    for (const [name, bucket] of Object.entries(config.get('trading.risk.correlationBuckets', {}))) {
+      const bucketExposure = (exposure.byBucket[name] || 0) + notionalUSD;
+
+      if (this.inBucket(bucket, order) && bucketExposure > bucket.maxExposureUSD) {
+        return this.refuse(order, `Correlation bucket ${name} would reach ${bucketExposure.toFixed(2)} USD, limit is ${bucket.maxExposureUSD} USD`, notionalUSD);
+      }
+    }
+
+    const reservationId = crypto.randomBytes(8).toString('hex');
+    this.pending.set(reservationId, { id: reservationId, chain, strategy, asset, notionalUSD, opensPosition, reservedAt: clock.now() });
+
+    return { allowed: true, reason: null, notionalUSD, reservationId };
+  }
+
+  /**
+   * Stop counting an allowed order as pending, once it has filled or failed. Releasing the same
+   * reservation twice has no effect.
+   * @param {string} reservationId - Reservation ID from checkOrder
+   * @returns {boolean} Whether the reservation was found
+   */
+  releaseOrder(reservationId) {
+    return this.pending.delete(reservationId);
+  }
+
+  /**
+   * USD cost of the open ledger positions, per asset, per correlation bucket and in total
+   * @returns {Promise<Object>} { totalUSD, byAsset, byBucket, unpriced }
+   */
+  async getExposure() {
+    const exposure = { totalUSD: 0, byAsset: {}, byBucket: {}, unpriced: [] };
+    const buckets = Object.entries(config.get('trading.risk.correlationBuckets', {}));
+    const positions = positionLedger.initialized ? positionLedger.getOpenPositions() : [];
+
+    for (const position of positions) {
+      const costUSD = await this.toUSD(position.quoteAsset, parseFloat(position.costBasis));
+
+      if (costUSD === null) {
+        exposure.unpriced.push(position.id);
+        continue;
+      }
+
+      exposure.totalUSD += costUSD;
+      exposure.byAsset[position.asset] = (exposure.byAsset[position.asset] || 0) + costUSD;
+
+      buckets
+        .filter(([, bucket]) => this.inBucket(bucket, position))
+        .forEach(([name]) => {
+          exposure.byBucket[name] = (exposure.byBucket[name] || 0) + costUSD;
+        });
+    }
+
+    return exposure;
+  }
+
+  /**
+   * Add the pending orders to an exposure tally
+   * @param {Object} exposure - Exposure from getExposure
+   * @param {Array<Object>} pending - Pending orders
+   */
+  addPendingExposure(exposure, pending) {
+    const buckets = Object.entries(config.get('trading.risk.correlationBuckets', {}));
+
+    pending.forEach(pendingOrder => {
+      exposure.totalUSD += pendingOrder.notionalUSD;
+      exposure.byAsset[pendingOrder.asset] = (exposure.byAsset[pendingOrder.asset] || 0) + pendingOrder.notionalUSD;
+
+      buckets
+        .filter(([, bucket]) => this.inBucket(bucket, pendingOrder))
+        .forEach(([name]) => {
+          exposure.byBucket[name] = (exposure.byBucket[name] || 0) + pendingOrder.notionalUSD;
+        });
+    });
+  }
+
+  /**
+   * Drop reservations older than trading.risk.pendingOrderTtlMs, e.g. left by a caller that crashed
+   * mid-trade; a fill they made is counted from the position ledger
+   */
+  expirePending() {
+    const expiry = clock.now() - config.get('trading.risk.pendingOrderTtlMs', 600000);
+
+    [...this.pending.values()]
+      .filter(({ reservedAt }) => reservedAt <= expiry)
+      .forEach(pendingOrder => {
+        logger.warn('Risk reservation expired unreleased', pendingOrder);
+        this.pending.delete(pendingOrder.id);
+      });
+  }
+
+  /**
+   * Add realized PnL to the day's tally, tripping the kill switch past the daily loss limit
+   * @param {Object} pnl - Realized PnL
+   * @param {string} pnl.source - What realized it (snipe, arbitrage, grid, ...)
+   * @param {string} pnl.asset - Asset the PnL is in
+   * @param {number} pnl.amount - Profit (negative for a loss)
+   * @param {string} [pnl.reference] - Position, grid or trade ID
+   * @returns {Promise<number|null>} PnL in USD, null when the asset has no USD price
+   */
+  async recordPnl({ source, asset, amount, reference = null }) {
+    await this.initialize();
+    this.rollDay();
+
+    // A stale mark is better than dropping a realized loss
+    const pnlUSD = await this.toUSD(asset, parseFloat(amount), { allowStale: true });
+
+    if (pnlUSD === null) {
+      logger.warn('Realized PnL has no USD price, leaving it out of the daily tally', {
+        source,
+        asset,
+        amount,
+        reference
+      });
+      return null;
+    }
+
+    this.state.realizedPnlUSD += pnlUSD;
+    this.state.trades++;
+    this.save();
+
+    logger.debug('Recorded realized PnL', {
+      source,
+      reference,
+      pnlUSD,
+      dailyPnlUSD: this.state.realizedPnlUSD
+    });
+
+    const maxDailyLossUSD = config.get('trading.risk.maxDailyLossUSD', Infinity);
+    if (!this.state.killSwitch && this.state.realizedPnlUSD <= -maxDailyLossUSD) {
+      this.tripKillSwitch(`Daily loss of ${(-this.state.realizedPnlUSD).toFixed(2)} USD reached the ${maxDailyLossUSD} USD limit`);
+    }
+
+    return pnlUSD;
+  }
+
+  /**
+   * Refuse every order from now on and stop the liquidity monitors
+   * @param {string} reason - Why the switch was tripped
+   */
+  tripKillSwitch(reason) {
+    this.state.killSwitch = {
+      trippedAt: clock.date().toISOString(),
+      reason,
+      realizedPnlUSD: this.state.realizedPnlUSD
+    };
+    this.save();
+
+    logger.security('Risk kill switch tripped, stopping all monitors', this.state.killSwitch);
+
+    // Required here rather than at the top: the detector requires the modules that consult this one
+    const multiChainLiquidityDetector = require('../core/multiChainLiquidityDetector');
+    multiChainLiquidityDetector.stopAllMonitors();
+
+    this.emit('killSwitch', { ...this.state.killSwitch });
+  }
+
+  /**
+   * Let orders through again after a kill switch; the monitors have to be restarted separately
+   */
+  resetKillSwitch() {
+    if (!this.state.killSwitch) {
+      return;
+    }
+
+    logger.security('Risk kill switch reset', { trippedAt: this.state.killSwitch.trippedAt });
+
+    this.state.killSwitch = null;
+    this.save();
+  }
+
+  /**
+   * Current daily tally and kill switch
+   * @returns {Object} { day, realizedPnlUSD, trades, killSwitch }
+   */
+  getStatus() {
+    this.rollDay();
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * Forget the tally, kill switch and pending orders without saving, e.g. after a backtest
+   */
+  reset() {
+    this.state = this.createState();
+    this.pending.clear();
+    this.initialized = false;
+  }
+
+  /**
+   * Value an amount of an asset in USD: fixed marks first, then the asset's price source
+   * @param {string} asset - Asset symbol
+   * @param {number} amount - Amount
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.allowStale] - Fall back to the last cached quote when no fresh one is available
+   * @returns {Promise<number|null>} USD value, null when the asset cannot be priced
+   */
+  async toUSD(asset, amount, { allowStale = false } = {}) {
+    const fixed = { ...DEFAULT_USD_PRICES, ...config.get('trading.risk.usdPrices', {}) }[asset];
+
+    if (fixed !== undefined) {
+      return amount * fixed;
+    }
+
+    const source = config.get('trading.risk.priceSources', {})[asset];
+
+    if (!source) {
+      return null;
+    }
+
+    const [exchange, symbol] = source.split(':');
+    let quote;
+
+    try {
+      quote = await priceFeed.getQuote(exchange, symbol);
+    } catch (error) {
+      quote = allowStale ? priceFeed.getCachedQuote(exchange, symbol) : null;
+    }
+
+    return quote ? this.toUSD(symbol.split('/')[1], amount * quote.mid, { allowStale }) : null;
+  }
+
+  /**
+   * Whether an order or position falls in a correlation bucket
+   * @param {Object} bucket - Bucket ({ assets, maxExposureUSD })
+   * @param {Object} item - Order or position ({ chain, strategy, asset })
+   * @returns {boolean} Whether it matches
+   */
+  inBucket(bucket, { chain, strategy, asset }) {
+    return (bucket.assets || []).some(entry => entry === asset || entry === `${chain}:${strategy}`);
+  }
+
+  refuse(order, reason, notionalUSD = null) {
+    logger.security('Order refused by risk manager', { ...order, reason });
+    this.emit('rejected', { ...order, reason });
+
+    return { allowed: false, reason, notionalUSD };
+  }
+
+  /**
+   * Start a new tally when the UTC day changes; a tripped kill switch stays tripped
+   */
+  rollDay() {
+    const day = clock.date().toISOString().slice(0, 10);
+
+    if (this.state.day !== day) {
+      this.state.day = day;
+      this.state.realizedPnlUSD = 0;
+      this.state.trades = 0;
+      this.save();
+    }
+  }
+
+  createState() {
+    return { day: null, realizedPnlUSD: 0, trades: 0, killSwitch: null };
+  }
+
+  /**
+   * Write the state file through a temporary file so a crash never leaves it half written
+   */
+  save() {
+    if (!this.persist || !this.initialized) {
+      return;
+    }
+
+    writeFileAtomic(this.filePath, JSON.stringify(this.state, null, 2));
+  }
+}
+
+module.exports = new RiskManager();
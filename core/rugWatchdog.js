@@ -0,0 +1,380 @@
+/**
+ * Rug-pull watchdog for the multi-chain trading bot
+ * Watches the Uniswap V2 pair and token contract of every held Ethereum token for
+ * liquidity removal, LP unlocks, ownership transfers, large holder dumps and sudden
+ * reserve drops, and raises an alert the position manager answers with an emergency exit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const ethereum = require('../core/ethereum');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+const PAIR_ABI = [
+  "function token0() external view returns (address)",
+  "function totalSupply() external view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)"
+];
+
+const TOKEN_ABI = [
+  "function decimals() view returns (uint8)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+];
+
+// Widely used LP lockers; LP tokens leaving one of them means the lock has been released
+const KNOWN_LP_LOCKERS = {
+  '0x663a5c229c09b049e36dcc11a9b0d4a8eb9db214': 'UNCX',
+  '0xe2fe530c047f2d85298b07d9333c05737f1435fb': 'Team Finance'
+};
+
+const percentOf = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+class RugWatchdog extends EventEmitter {
+  constructor() {
+    super();
+    this.watches = new Map();
+    this.alerts = [];
+    this.alertFile = null;
+    this.persistAlerts = true;
+  }
+
+  /**
+   * Start watching a held token. Watching an already watched token does nothing.
+   * @param {string} tokenAddress - Token address (paired with WETH)
+   * @returns {Promise<boolean>} Whether the token is being watched
+   */
+  async watch(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+
+    if (this.watches.has(key)) {
+      return true;
+    }
+
+    if (!config.get('trading.ethereum.rugWatchdog.enabled', true)) {
+      return false;
+    }
+
+    // Reserve the slot so concurrent callers do not subscribe twice
+    const entry = { tokenAddress, pairAddress: null, contracts: null, intervalId: null, triggered: false };
+    this.watches.set(key, entry);
+
+    try {
+      const liquidity = await ethereum.getPairLiquidity(tokenAddress, ethereum.addresses.weth);
+
+      if (!liquidity.exists) {
+        throw new Error(liquidity.error || 'No WETH pair');
+      }
+
+      const contracts = this.createContracts(tokenAddress, liquidity.pairAddress);
+      const [token0, lpTotalSupply, tokenDecimals] = await Promise.all([
+        contracts.pair.token0(),
+        contracts.pair.totalSupply(),
+        contracts.token.decimals()
+      ]);
+
+      // Stopped while the pair was being looked up
+      if (this.watches.get(key) !== entry) {
+        return false;
+      }
+
+      Object.assign(entry, {
+        pairAddress: liquidity.pairAddress,
+        contracts,
+        tokenIsToken0: token0.toLowerCase() === key,
+        tokenDecimals,
+        lpTotalSupply,
+        reserveToken: parseFloat(liquidity.tokenAReserve),
+        reserveWeth: parseFloat(liquidity.tokenBReserve),
+        walletAddress: ethereum.wallet ? (await ethereum.wallet.getAddress()).toLowerCase() : null
+      });
+
+      this.subscribe(entry);
+      entry.intervalId = clock.setInterval(
+        () => this.checkReserves(entry).catch(error => {
+          logger.error('Rug watchdog reserve check failed', { tokenAddress, error: error.message });
+        }),
+        config.get('trading.ethereum.rugWatchdog.pollIntervalMs', 15000)
+      );
+
+      logger.info('Rug watchdog watching token', {
+        tokenAddress,
+        pairAddress: entry.pairAddress,
+        reserveWeth: entry.reserveWeth
+      });
+
+      return true;
+    } catch (error) {
+      this.watches.delete(key);
+      logger.error('Failed to start rug watchdog', {
+        tokenAddress,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Create the pair and token contracts whose events are watched
+   * @param {string} tokenAddress - Token address
+   * @param {string} pairAddress - Pair address
+   * @returns {Object} { pair, token }
+   */
+  createContracts(tokenAddress, pairAddress) {
+    return {
+      pair: new ethers.Contract(pairAddress, PAIR_ABI, ethereum.provider),
+      token: new ethers.Contract(tokenAddress, TOKEN_ABI, ethereum.provider)
+    };
+  }
+
+  /**
+   * Listen to the pair's LP Transfer and Burn events and the token's Transfer and OwnershipTransferred events
+   * @param {Object} entry - Watch entry
+   */
+  subscribe(entry) {
+    const { pair, token } = entry.contracts;
+
+    pair.on('Burn', (sender, amount0, amount1, to, event) => this.handleBurn(entry, { amount0, amount1, event }));
+    pair.on('Transfer', (from, to, value, event) => this.handleLpTransfer(entry, { from, to, value, event }));
+    token.on('Transfer', (from, to, value, event) => this.handleTokenTransfer(entry, { from, to, value, event }));
+    token.on('OwnershipTransferred', (previousOwner, newOwner, event) => this.handleOwnershipTransferred(entry, { previousOwner, newOwner, event }));
+  }
+
+  /**
+   * Liquidity removed from the pair
+   * @param {Object} entry - Watch entry
+   * @param {Object} burn - Burn event arguments
+   */
+  handleBurn(entry, { amount0, amount1, event }) {
+    const wethOut = parseFloat(ethers.utils.formatEther(entry.tokenIsToken0 ? amount1 : amount0));
+    const removedPercent = percentOf(wethOut, entry.reserveWeth);
+
+    if (removedPercent >= config.get('trading.ethereum.rugWatchdog.lpRemovalPercent', 10)) {
+      this.raise(entry, 'liquidity-removed', {
+        wethOut,
+        removedPercent,
+        txHash: event && event.transactionHash
+      });
+    }
+  }
+
+  /**
+   * LP tokens moving out of a known locker, or being returned to the pair ahead of a burn
+   * @param {Object} entry - Watch entry
+   * @param {Object} transfer - Transfer event arguments
+   */
+  handleLpTransfer(entry, { from, to, value, event }) {
+    const lockers = { ...KNOWN_LP_LOCKERS };
+    config.get('trading.ethereum.rugWatchdog.lpLockers', []).forEach(address => {
+      lockers[address.toLowerCase()] = 'configured';
+    });
+
+    const sharePercent = percentOf(
+      parseFloat(ethers.utils.formatEther(value)),
+      parseFloat(ethers.utils.formatEther(entry.lpTotalSupply))
+    );
+    const threshold = config.get('trading.ethereum.rugWatchdog.lpRemovalPercent', 10);
+    const locker = lockers[from.toLowerCase()];
+
+    if (locker && sharePercent >= threshold) {
+      this.raise(entry, 'lp-unlocked', {
+        locker,
+        lockerAddress: from,
+        to,
+        sharePercent,
+        txHash: event && event.transactionHash
+      });
+    } else if (to.toLowerCase() === entry.pairAddress.toLowerCase() && sharePercent >= threshold) {
+      this.raise(entry, 'lp-withdrawal', {
+        from,
+        sharePercent,
+        txHash: event && event.transactionHash
+      });
+    }
+  }
+
+  /**
+   * A holder selling a large share of the pair's token reserve in one transfer
+   * @param {Object} entry - Watch entry
+   * @param {Object} transfer - Transfer event arguments
+   */
+  handleTokenTransfer(entry, { from, to, value, event }) {
+    if (to.toLowerCase() !== entry.pairAddress.toLowerCase() || from.toLowerCase() === entry.walletAddress) {
+      return;
+    }
+
+    const amount = parseFloat(ethers.utils.formatUnits(value, entry.tokenDecimals));
+    const reservePercent = percentOf(amount, entry.reserveToken);
+
+    if (reservePercent >= config.get('trading.ethereum.rugWatchdog.holderDumpPercent', 20)) {
+      this.raise(entry, 'holder-dump', {
+        holder: from,
+        amount,
+        reservePercent,
+        txHash: event && event.transactionHash
+      });
+    }
+  }
+
+  /**
+   * Token ownership handed to a new address. Renouncing (to the zero address) is not a threat.
+   * @param {Object} entry - Watch entry
+   * @param {Object} transfer - OwnershipTransferred event arguments
+   */
+  handleOwnershipTransferred(entry, { previousOwner, newOwner, event }) {
+    if (newOwner === ethers.constants.AddressZero) {
+      logger.info('Token ownership renounced', {
+        tokenAddress: entry.tokenAddress,
+        previousOwner
+      });
+      return;
+    }
+
+    this.raise(entry, 'ownership-transferred', {
+      previousOwner,
+      newOwner,
+      txHash: event && event.transactionHash
+    });
+  }
+
+  /**
+   * Compare the pair's WETH reserve with the previous poll
+   * @param {Object} entry - Watch entry
+   * @returns {Promise<void>}
+   */
+  async checkReserves(entry) {
+    if (entry.triggered) {
+      return;
+    }
+
+    const liquidity = await ethereum.getPairLiquidity(entry.tokenAddress, ethereum.addresses.weth);
+
+    if (!liquidity.exists) {
+      return;
+    }
+
+    const reserveWeth = parseFloat(liquidity.tokenBReserve);
+    const dropPercent = percentOf(entry.reserveWeth - reserveWeth, entry.reserveWeth);
+
+    if (dropPercent >= config.get('trading.ethereum.rugWatchdog.reserveDropPercent', 30)) {
+      this.raise(entry, 'reserve-drop', {
+        previousReserveWeth: entry.reserveWeth,
+        reserveWeth,
+        dropPercent
+      });
+    }
+
+    entry.reserveToken = parseFloat(liquidity.tokenAReserve);
+    entry.reserveWeth = reserveWeth;
+  }
+
+  /**
+   * Record an alert and emit it once per watched token
+   * @param {Object} entry - Watch entry
+   * @param {string} type - Alert type
+   * @param {Object} details - Alert details
+   */
+  raise(entry, type, details) {
+    if (entry.triggered) {
+      return;
+    }
+
+    entry.triggered = true;
+
+    const alert = {
+      type,
+      chain: 'ethereum',
+      tokenAddress: entry.tokenAddress,
+      pairAddress: entry.pairAddress,
+      timestamp: clock.date().toISOString(),
+      ...details
+    };
+
+    this.alerts.push(alert);
+    this.writeAlert(alert);
+
+    logger.security('Rug pull alert', alert);
+    this.emit('alert', alert);
+  }
+
+  /**
+   * Append an alert to <dataDir>/alerts.jsonl
+   * @param {Object} alert - Alert
+   */
+  writeAlert(alert) {
+    if (!this.persistAlerts) {
+      return;
+    }
+
+    const filePath = this.alertFile || path.join(config.get('storage.dataDir', 'data'), 'alerts.jsonl');
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, `${JSON.stringify(alert)}\n`);
+    } catch (error) {
+      logger.error('Failed to write rug pull alert', {
+        filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Let a token raise alerts again, e.g. after an emergency exit failed
+   * @param {string} tokenAddress - Token address
+   */
+  rearm(tokenAddress) {
+    const entry = this.watches.get(tokenAddress.toLowerCase());
+
+    if (entry) {
+      entry.triggered = false;
+    }
+  }
+
+  /**
+   * Stop watching a token
+   * @param {string} tokenAddress - Token address
+   */
+  unwatch(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    const entry = this.watches.get(key);
+
+    if (!entry) {
+      return;
+    }
+
+    if (entry.intervalId !== null) {
+      clock.clearInterval(entry.intervalId);
+    }
+
+    if (entry.contracts) {
+      entry.contracts.pair.removeAllListeners();
+      entry.contracts.token.removeAllListeners();
+    }
+
+    this.watches.delete(key);
+  }
+
+  /**
+   * Stop watching every token
+   */
+  stop() {
+    [...this.watches.values()].forEach(entry => this.unwatch(entry.tokenAddress));
+  }
+
+  /**
+   * Alerts raised since startup
+   * @returns {Array<Object>} Alerts
+   */
+  getAlerts() {
+    return [...this.alerts];
+  }
+}
+
+module.exports = new RugWatchdog();
+module.exports.KNOWN_LP_LOCKERS = KNOWN_LP_LOCKERS;
@@ -3,15 +3,34 @@
  * Handles Solana-specific functionality including SPL token interactions
  */
 
+const SolanaTokenMonitor = require('../core/solanaTokenMonitor');
+const { decodeMintAccount } = require('../core/solanaTokenMonitor');
+const paperVenue = require('../execution/paperVenue');
+const exchanges = require('../exchanges/registry');
+const { ORDER_STATUS } = require('../exchanges/exchangeAdapter');
+const { requestJson } = require('../utils/httpClient');
 const config = require('../core/config');
 const logger = require('../utils/logger');
 
+// Wrapped SOL mint, used to price tokens in SOL
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
 class SolanaModule {
   constructor() {
     this.initialized = false;
     this.provider = null;
     this.wallet = null;
+    this.rpcUrl = null;
+    this.wsUrl = null;
     this.maxPriorityFee = config.get('trading.solana.maxPriorityFee', 0.000005); // SOL
+    this.priceApiUrl = config.get('trading.solana.priceApiUrl', 'https://api.jup.ag/price/v2');
+    // SOL market per exchange
+    this.symbols = config.get('trading.solana.symbols', {
+      kraken: 'SOL/USD',
+      binance: 'SOL/USDT',
+      cryptoCom: 'SOL/USD',
+      uphold: 'SOL/USD'
+    });
   }
 
   /**
@@ -26,6 +45,9 @@ class SolanaModule {
       // For this prototype, we'll simulate the connection
       logger.info('Initializing Solana module');
       
+      this.rpcUrl = providerUrl || config.get('trading.solana.rpcUrl', null);
+      this.wsUrl = config.get('trading.solana.wsUrl', null);
+      
       // Simulate successful initialization
       this.initialized = true;
       logger.info('Solana module initialized successfully');
@@ -71,6 +93,15 @@ class SolanaModule {
     }
   }
 
+  /**
+   * Get the SOL market symbol traded on an exchange
+   * @param {string} exchange - Exchange name
+   * @returns {string} Normalized symbol (e.g. SOL/USD)
+   */
+  getSymbol(exchange) {
+    return this.symbols[exchange] || 'SOL/USD';
+  }
+
   /**
    * Get SPL token information
    * @param {string} tokenAddress - Token mint address
@@ -106,6 +137,41 @@ class SolanaModule {
     }
   }
 
+  /**
+   * Get an SPL token price in SOL from the Jupiter price API
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<string>} Price of one token in SOL
+   */
+  async getTokenPrice(tokenAddress) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Solana module not initialized');
+      }
+      
+      const response = await requestJson(
+        `${this.priceApiUrl}?ids=${tokenAddress}&vsToken=${WSOL_MINT}`
+      );
+      const entry = response && response.data ? response.data[tokenAddress] : null;
+      
+      if (!entry || !entry.price) {
+        throw new Error('No price available');
+      }
+      
+      logger.debug('Retrieved SPL token price', {
+        tokenAddress,
+        price: entry.price
+      });
+      
+      return entry.price.toString();
+    } catch (error) {
+      logger.error('Failed to get SPL token price', {
+        tokenAddress,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get SPL token balance
    * @param {string} tokenAddress - Token mint address
@@ -118,6 +184,11 @@ class SolanaModule {
         throw new Error('Solana module not initialized');
       }
       
+      // With trading disabled the bot trades from its paper balances
+      if (!walletAddress && !config.get('trading.solana.tradingEnabled', false)) {
+        return paperVenue.getBalance('solana', tokenAddress);
+      }
+      
       // In a real implementation, we would fetch token balance from the Solana blockchain
       // For this prototype, we'll simulate the response
       
@@ -141,6 +212,57 @@ class SolanaModule {
     }
   }
 
+  /**
+   * Fetch and decode an SPL token mint account
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} Mint ({ programId, mintAuthority, supply, decimals, isInitialized, freezeAuthority }),
+   *   or null without an RPC endpoint or mint account
+   */
+  async getMintData(tokenAddress) {
+    try {
+      if (!this.initialized) {
+        throw new Error('Solana module not initialized');
+      }
+      
+      if (!this.rpcUrl) {
+        logger.warn('Solana RPC URL not configured, mint account unavailable', { tokenAddress });
+        return null;
+      }
+      
+      const response = await requestJson(this.rpcUrl, {
+        method: 'POST',
+        body: {
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getAccountInfo',
+          params: [tokenAddress, { encoding: 'base64', commitment: config.get('trading.solana.monitor.commitment', 'confirmed') }]
+        }
+      });
+      
+      if (response.error) {
+        throw new Error(`Solana RPC getAccountInfo failed: ${response.error.message}`);
+      }
+      
+      const account = response.result && response.result.value;
+      
+      if (!account) {
+        logger.warn('SPL mint account not found', { tokenAddress });
+        return null;
+      }
+      
+      return {
+        programId: account.owner,
+        ...decodeMintAccount(Buffer.from(account.data[0], 'base64'))
+      };
+    } catch (error) {
+      logger.error('Failed to get SPL mint account', {
+        tokenAddress,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Execute a Solana trade on an exchange
    * @param {string} exchange - Exchange name (kraken, binance)
@@ -150,6 +272,11 @@ class SolanaModule {
    * @returns {Promise<Object>} Trade result
    */
   async executeTrade(exchange, side, amount, price = null) {
+    // Required here rather than at the top, as security/riskScoring loads this module
+    const securityModule = require('../security/securityModule');
+    let reservationId = null;
+    let executed = false;
+    
     try {
       if (!this.initialized) {
         throw new Error('Solana module not initialized');
@@ -162,39 +289,78 @@ class SolanaModule {
         price
       });
       
+      const validation = await securityModule.validateTransaction('solana', amount, side, { exchange });
+      
+      if (!validation.valid) {
+        throw new Error(`Rejected by transaction limits: ${validation.reason}`);
+      }
+      reservationId = validation.reservationId;
+      
       // Check if trading is enabled
       const tradingEnabled = config.get('trading.solana.tradingEnabled', false);
       
       if (!tradingEnabled) {
-        logger.security('Solana trading is disabled, simulating trade', {
+        logger.security('Solana trading is disabled, paper trading order', {
           exchange,
           side,
           amount,
           price
         });
         
+        const fill = await paperVenue.fillExchangeOrder(exchange, this.getSymbol(exchange), side, amount, price);
+        executed = true;
+        
         return {
-          simulated: true,
+          paper: true,
           exchange,
           side,
-          amount,
-          price,
-          timestamp: new Date().toISOString()
+          amount: side === 'buy' ? fill.amountOut : fill.amountIn,
+          price: fill.price.toString(),
+          fee: fill.fee,
+          feeAsset: fill.feeAsset,
+          partial: fill.partial,
+          timestamp: fill.timestamp,
+          id: fill.id
         };
       }
       
-      // In a real implementation, we would execute the trade on the specified exchange
-      // For this prototype, we'll simulate the trade
+      const adapter = exchanges.get(exchange);
+      const order = await adapter.placeOrder({
+        symbol: this.getSymbol(exchange),
+        side,
+        type: price !== null ? 'limit' : 'market',
+        quantity: parseFloat(amount).toFixed(8),
+        price
+      });
+      const final = await adapter.waitForOrder(order, {
+        timeoutMs: config.get('trading.solana.orderTimeoutMs', 30000),
+        pollMs: config.get('trading.solana.orderPollMs', 1000)
+      });
+      
+      // An adapter with its own trading switch off only simulates the order
+      if (final.status === ORDER_STATUS.SIMULATED) {
+        return { simulated: true, exchange, side, amount, price, timestamp: new Date(final.timestamp).toISOString(), id: final.id };
+      }
+      
+      const filled = parseFloat(final.filledQuantity);
+      
+      if (!(filled > 0)) {
+        throw new Error(`${exchange} order ${final.id} ended ${final.status} without a fill`);
+      }
+      
+      executed = true;
       
-      // Simulate trade execution
       const tradeResult = {
         exchange,
         side,
-        amount,
-        price: price || await this.getSolanaPrice(exchange),
-        fee: (parseFloat(amount) * 0.001).toString(), // 0.1% fee
-        timestamp: new Date().toISOString(),
-        id: `sol-trade-${Date.now()}`
+        amount: final.filledQuantity,
+        price: final.averagePrice || final.price,
+        fee: final.fee,
+        feeAsset: final.feeAsset,
+        partial: filled < parseFloat(amount),
+        status: final.status,
+        timestamp: new Date(final.timestamp).toISOString(),
+        id: final.id
       };
       
       logger.trading('Solana trade executed successfully', tradeResult);
@@ -209,6 +375,9 @@ class SolanaModule {
         error: error.message
       });
       throw error;
+    } finally {
+      // Only a trade that filled counts toward the transaction limits
+      securityModule.settleTransaction(reservationId, executed);
     }
   }
 
@@ -226,28 +395,22 @@ class SolanaModule {
         throw new Error('Solana module not initialized');
       }
       
-      if (!this.wallet) {
-        throw new Error('No wallet available for transactions');
-      }
-      
       // Check if trading is enabled
       const tradingEnabled = config.get('trading.solana.tradingEnabled', false);
       
       if (!tradingEnabled) {
-        logger.security('Solana trading is disabled, simulating swap', {
+        logger.security('Solana trading is disabled, paper trading swap', {
           fromToken,
           toToken,
           amount,
           slippagePercent
         });
         
-        return {
-          simulated: true,
-          fromToken,
-          toToken,
-          amount,
-          timestamp: new Date().toISOString()
-        };
+        return await this.paperSwap(fromToken, toToken, amount, slippagePercent);
+      }
+      
+      if (!this.wallet) {
+        throw new Error('No wallet available for transactions');
       }
       
       // In a real implementation, we would execute the swap on a Solana DEX
@@ -279,6 +442,46 @@ class SolanaModule {
     }
   }
 
+  /**
+   * Fill a swap on the paper venue at the current Jupiter prices
+   * @param {string} fromToken - Input token address ('SOL' for native SOL)
+   * @param {string} toToken - Output token address ('SOL' for native SOL)
+   * @param {string} amount - Input amount
+   * @param {number} slippagePercent - Maximum slippage percentage
+   * @returns {Promise<Object>} Paper swap result
+   */
+  async paperSwap(fromToken, toToken, amount, slippagePercent) {
+    const modeledSlippage = config.get('paperTrading.solanaSlippagePercent', 0.5);
+    
+    if (modeledSlippage > slippagePercent) {
+      throw new Error(`Expected slippage ${modeledSlippage}% exceeds tolerance ${slippagePercent}%`);
+    }
+    
+    const priceInSol = async token => (token === 'SOL' ? 1 : parseFloat(await this.getTokenPrice(token)));
+    const [fromPrice, toPrice] = await Promise.all([priceInSol(fromToken), priceInSol(toToken)]);
+    
+    const fill = paperVenue.swapAtPrice({
+      venue: 'solana',
+      assetIn: fromToken,
+      assetOut: toToken,
+      amountIn: amount,
+      price: fromPrice / toPrice,
+      feePercent: config.get('paperTrading.solanaSwapFeePercent', 0.25),
+      slippagePercent: modeledSlippage
+    });
+    
+    return {
+      paper: true,
+      id: fill.id,
+      fromToken,
+      toToken,
+      inputAmount: fill.amountIn,
+      outputAmount: fill.amountOut,
+      fee: fill.fee,
+      timestamp: fill.timestamp
+    };
+  }
+
   /**
    * Monitor for new SPL token listings
    * @param {Function} callback - Callback function for new tokens
@@ -292,39 +495,33 @@ class SolanaModule {
       
       logger.info('Starting to monitor for new SPL tokens');
       
-      // In a real implementation, we would set up listeners for new token creations
-      // For this prototype, we'll simulate periodic checks
-      
-      // Set up interval to simulate new token detection
-      const intervalId = setInterval(() => {
-        // Simulate finding a new token (in reality, this would be triggered by blockchain events)
-        if (Math.random() < 0.1) { // 10% chance each interval
-          const tokenAddress = `So1${Math.random().toString(36).substring(2, 10)}`;
-          
-          logger.info('New SPL token detected', { tokenAddress });
-          
-          // Get token information
-          this.getTokenInfo(tokenAddress).then(tokenInfo => {
-            // Call the callback with the token data
-            callback({
-              ...tokenInfo,
-              timestamp: new Date().toISOString()
-            });
-          }).catch(error => {
-            logger.error('Error processing new SPL token', {
-              tokenAddress,
-              error: error.message
-            });
+      if (!this.rpcUrl) {
+        throw new Error('Solana RPC URL not configured');
+      }
+      
+      const monitor = new SolanaTokenMonitor({
+        rpcUrl: this.rpcUrl,
+        wsUrl: this.wsUrl
+      });
+      
+      monitor.on('token', tokenData => {
+        Promise.resolve(callback(tokenData)).catch(error => {
+          logger.error('Error processing new SPL token', {
+            tokenAddress: tokenData.address,
+            error: error.message
           });
-        }
-      }, 60000); // Check every minute
+        });
+      });
+      
+      monitor.start();
       
       logger.info('Monitoring for new SPL tokens');
       
       // Return object with stop function
       return {
+        monitor,
         stop: () => {
-          clearInterval(intervalId);
+          monitor.stop();
           logger.info('Stopped monitoring for new SPL tokens');
         }
       };
@@ -343,7 +540,10 @@ class SolanaModule {
   /**
    * Set up a Solana trading strategy
    * @param {string} strategy - Strategy type (grid, dca, trend)
-   * @param {Object} params - Strategy parameters
+   * @param {Object} params - Strategy parameters; grid takes { exchange, symbol, lowerPrice, upperPrice, levels, quantity }
+   *   (see strategies/gridStrategy.js), dca { exchange, symbol, cron, budget, missedRuns }, or { cron, budget, asset }
+   *   to swap SOL into an SPL token (see strategies/dcaStrategy.js), and trend { exchange, symbol, fastPeriod, slowPeriod, ... }
+   *   (see strategies/trendStrategy.js), with symbol defaulting to the exchange's SOL market
    * @returns {Promise<Object>} Strategy setup result
    */
   async setupTradingStrategy(strategy, params) {
@@ -357,6 +557,69 @@ class SolanaModule {
         params
       });
       
+      // Required here rather than at the top: the strategies go through the security module,
+      // whose risk scoring requires this module
+      const gridStrategy = require('../strategies/gridStrategy');
+      const dcaStrategy = require('../strategies/dcaStrategy');
+      const trendStrategy = require('../strategies/trendStrategy');
+      
+      if (strategy === 'grid') {
+        const exchange = params.exchange || 'binance';
+        const grid = await gridStrategy.createGrid({
+          ...params,
+          chain: 'solana',
+          exchange,
+          symbol: params.symbol || this.getSymbol(exchange)
+        });
+        
+        return {
+          id: grid.id,
+          type: strategy,
+          params,
+          status: grid.status,
+          createdAt: grid.createdAt,
+          grid
+        };
+      }
+      
+      if (strategy === 'dca') {
+        const exchange = params.exchange || (params.asset ? null : 'binance');
+        const plan = await dcaStrategy.createPlan({
+          ...params,
+          chain: 'solana',
+          exchange,
+          symbol: exchange ? params.symbol || this.getSymbol(exchange) : null
+        });
+        
+        return {
+          id: plan.id,
+          type: strategy,
+          params,
+          status: plan.status,
+          createdAt: plan.createdAt,
+          plan
+        };
+      }
+      
+      if (strategy === 'trend') {
+        const exchange = params.exchange || 'binance';
+        const trend = await trendStrategy.createStrategy({
+          ...params,
+          chain: 'solana',
+          exchange,
+          symbol: params.symbol || this.getSymbol(exchange)
+        });
+        
+        return {
+          id: trend.id,
+          type: strategy,
+          params,
+          status: trend.status,
+          createdAt: trend.createdAt,
+          trend
+        };
+      }
+      
       // In a real implementation, we would set up the specified trading strategy
       // For this prototype, we'll simulate the setup
       
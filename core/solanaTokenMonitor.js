@@ -0,0 +1,516 @@
+/**
+ * Solana token monitor for the multi-chain trading bot
+ * Subscribes to SPL Token and DEX program logs over websocket and reports new mints and pools
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const base58 = require('../utils/base58');
+const { requestJson } = require('../utils/httpClient');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+// Programs the monitor can subscribe to, with the log lines that mark a new token or pool
+const PROGRAMS = {
+  splToken: {
+    programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    type: 'mint',
+    pattern: /^Program log: Instruction: InitializeMint2?$/
+  },
+  token2022: {
+    programId: 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+    type: 'mint',
+    pattern: /^Program log: Instruction: InitializeMint2?$/
+  },
+  raydium: {
+    programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    type: 'pool',
+    pattern: /^Program log: initialize2: /,
+    // AMM v4 initialize2 accounts: ..., 4 amm, ..., 7 lpMint, 8 coinMint, 9 pcMint
+    poolAccount: 4,
+    mintAccounts: [8, 9]
+  },
+  orca: {
+    programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+    type: 'pool',
+    pattern: /^Program log: Instruction: InitializePool(V2)?$/,
+    // Whirlpool initializePool accounts: 0 whirlpoolsConfig, 1 tokenMintA, 2 tokenMintB, 3 funder, 4 whirlpool
+    poolAccount: 4,
+    mintAccounts: [1, 2]
+  }
+};
+
+// Mints a new pool is quoted in; the other side is the new token
+const QUOTE_MINTS = new Set([
+  'So11111111111111111111111111111111111111112', // Wrapped SOL
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' // USDT
+]);
+
+const MINT_ACCOUNT_SIZE = 82;
+
+// Signatures and mints remembered for de-duplication
+const SEEN_CACHE_SIZE = 5000;
+
+/**
+ * Decode an SPL Token mint account (the 82-byte base layout, shared by Token-2022)
+ * @param {Buffer} data - Account data
+ * @returns {Object} Mint ({ mintAuthority, supply, decimals, isInitialized, freezeAuthority })
+ */
+function decodeMintAccount(data) {
+  if (data.length < MINT_ACCOUNT_SIZE) {
+    throw new Error(`Mint account data is ${data.length} bytes, expected at least ${MINT_ACCOUNT_SIZE}`);
+  }
+
+  const readOptionalKey = offset => (data.readUInt32LE(offset) === 1
+    ? base58.encode(data.subarray(offset + 4, offset + 36))
+    : null);
+
+  return {
+    mintAuthority: readOptionalKey(0),
+    supply: data.readBigUInt64LE(36).toString(),
+    decimals: data[44],
+    isInitialized: data[45] === 1,
+    freezeAuthority: readOptionalKey(46)
+  };
+}
+
+/**
+ * Add a key to a bounded set, evicting the oldest entries
+ * @param {Set} set - Set to add to
+ * @param {string} key - Key
+ */
+function remember(set, key) {
+  set.add(key);
+
+  if (set.size > SEEN_CACHE_SIZE) {
+    set.delete(set.values().next().value);
+  }
+}
+
+class SolanaTokenMonitor extends EventEmitter {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {string} options.rpcUrl - Solana JSON-RPC HTTP endpoint
+   * @param {string} [options.wsUrl] - Solana websocket endpoint (derived from rpcUrl by default)
+   * @param {Array<string>} [options.programs] - Keys of PROGRAMS to subscribe to
+   * @param {Function} [options.rpc] - JSON-RPC transport (method, params) => result, for tests
+   */
+  constructor({
+    rpcUrl,
+    wsUrl = null,
+    programs = config.get('trading.solana.monitor.programs', ['splToken', 'raydium', 'orca']),
+    commitment = config.get('trading.solana.monitor.commitment', 'confirmed'),
+    reconnectDelayMs = config.get('trading.solana.monitor.reconnectDelayMs', 1000),
+    maxReconnectDelayMs = config.get('trading.solana.monitor.maxReconnectDelayMs', 30000),
+    backfillLimit = config.get('trading.solana.monitor.backfillLimit', 200),
+    pingIntervalMs = config.get('trading.solana.monitor.pingIntervalMs', 30000),
+    rpc = null
+  }) {
+    super();
+    this.rpcUrl = rpcUrl;
+    this.wsUrl = wsUrl || (rpcUrl ? rpcUrl.replace(/^http/, 'ws') : null);
+    this.programs = programs.map(key => {
+      if (!PROGRAMS[key]) {
+        throw new Error(`Unknown Solana program: ${key}`);
+      }
+      return { key, ...PROGRAMS[key] };
+    });
+    this.commitment = commitment;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+    this.backfillLimit = backfillLimit;
+    this.pingIntervalMs = pingIntervalMs;
+    this.rpc = rpc || ((method, params) => this.rpcRequest(method, params));
+
+    this.ws = null;
+    this.running = false;
+    this.requestId = 0;
+    this.pendingSubscriptions = new Map();
+    this.subscriptions = new Map();
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.lastSlot = null;
+    this.seenSignatures = new Set();
+    this.seenMints = new Set();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Connect and subscribe to program logs
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.wsUrl) {
+      throw new Error('Solana websocket URL not configured');
+    }
+
+    this.running = true;
+    this.connect();
+  }
+
+  /**
+   * Close the websocket and stop reconnecting
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.pingTimer);
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+  }
+
+  /**
+   * Open the websocket and subscribe once connected
+   */
+  connect() {
+    const ws = new WebSocket(this.wsUrl);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      const reconnecting = this.reconnectAttempts > 0;
+      this.reconnectAttempts = 0;
+      this.pendingSubscriptions.clear();
+      this.subscriptions.clear();
+
+      this.programs.forEach(program => {
+        const id = ++this.requestId;
+        this.pendingSubscriptions.set(id, program);
+        ws.send(JSON.stringify({
+          jsonrpc: '2.0',
+          id,
+          method: 'logsSubscribe',
+          params: [{ mentions: [program.programId] }, { commitment: this.commitment }]
+        }));
+      });
+
+      clearInterval(this.pingTimer);
+      this.pingTimer = setInterval(() => ws.ping(), this.pingIntervalMs);
+
+      logger.info('Connected to Solana websocket', {
+        programs: this.programs.map(({ key }) => key),
+        reconnecting
+      });
+      this.emit('connected', { reconnecting });
+
+      // Catch up on whatever happened while disconnected
+      if (reconnecting && this.lastSlot !== null) {
+        this.enqueue(() => this.backfill());
+      }
+    });
+
+    ws.on('message', data => this.handleMessage(data));
+
+    ws.on('error', error => {
+      logger.error('Solana websocket error', { error: error.message });
+    });
+
+    ws.on('close', () => {
+      clearInterval(this.pingTimer);
+      this.emit('disconnected');
+
+      if (this.running) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    const delay = Math.min(this.reconnectDelayMs * 2 ** this.reconnectAttempts, this.maxReconnectDelayMs);
+    this.reconnectAttempts++;
+
+    logger.warn('Solana websocket disconnected, reconnecting', {
+      attempt: this.reconnectAttempts,
+      delayMs: delay,
+      lastSlot: this.lastSlot
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      if (this.running) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Handle a websocket frame
+   * @param {Buffer|string} data - Raw frame
+   */
+  handleMessage(data) {
+    let message;
+
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('Ignoring malformed Solana websocket frame', { error: error.message });
+      return;
+    }
+
+    if (message.id !== undefined && this.pendingSubscriptions.has(message.id)) {
+      const program = this.pendingSubscriptions.get(message.id);
+      this.pendingSubscriptions.delete(message.id);
+
+      if (message.error) {
+        logger.error('Solana logs subscription failed', {
+          program: program.key,
+          error: message.error.message
+        });
+        return;
+      }
+
+      this.subscriptions.set(message.result, program);
+      logger.debug('Subscribed to Solana program logs', { program: program.key, subscription: message.result });
+      return;
+    }
+
+    if (message.method !== 'logsNotification') {
+      return;
+    }
+
+    const { result, subscription } = message.params;
+    const program = this.subscriptions.get(subscription);
+
+    if (!program) {
+      return;
+    }
+
+    const { signature, err, logs } = result.value;
+    const slot = result.context.slot;
+
+    this.enqueue(() => this.processLogs(program, { signature, slot, err, logs }));
+  }
+
+  /**
+   * Run work in arrival order so slots are processed sequentially
+   * @param {Function} task - Async task
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      logger.error('Error processing Solana logs', { error: error.message });
+    });
+  }
+
+  /**
+   * Process the logs of one transaction
+   * @param {Object} program - Program definition
+   * @param {Object} entry - Log entry ({ signature, slot, err, logs })
+   * @param {Object} [transaction] - Already fetched transaction
+   */
+  async processLogs(program, { signature, slot, err, logs }, transaction = null) {
+    this.lastSlot = Math.max(this.lastSlot || 0, slot);
+
+    if (err || this.seenSignatures.has(signature)) {
+      return;
+    }
+
+    remember(this.seenSignatures, signature);
+
+    if (!(logs || []).some(line => program.pattern.test(line))) {
+      return;
+    }
+
+    const tx = transaction || await this.rpc('getTransaction', [
+      signature,
+      { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0, commitment: this.commitment }
+    ]);
+
+    if (!tx) {
+      logger.warn('Solana transaction not found', { signature });
+      return;
+    }
+
+    const mints = program.type === 'mint'
+      ? this.findInitializedMints(tx)
+      : this.findPoolMints(tx, program);
+
+    for (const { mint, pool, quoteMint } of mints) {
+      if (this.seenMints.has(mint)) {
+        continue;
+      }
+      remember(this.seenMints, mint);
+
+      const mintAccount = await this.getMint(mint);
+
+      if (!mintAccount) {
+        continue;
+      }
+
+      const token = {
+        address: mint,
+        source: program.key,
+        event: program.type,
+        pool: pool || null,
+        quoteMint: quoteMint || null,
+        signature,
+        slot,
+        ...mintAccount,
+        timestamp: new Date().toISOString()
+      };
+
+      logger.info('New SPL token detected', {
+        address: mint,
+        source: program.key,
+        slot,
+        mintAuthority: token.mintAuthority,
+        freezeAuthority: token.freezeAuthority
+      });
+
+      this.emit('token', token);
+    }
+  }
+
+  /**
+   * Find mints created by initializeMint instructions
+   * @param {Object} tx - jsonParsed transaction
+   * @returns {Array<Object>} Mints ({ mint })
+   */
+  findInitializedMints(tx) {
+    return this.getInstructions(tx)
+      .filter(({ parsed }) => parsed && typeof parsed.type === 'string' && parsed.type.startsWith('initializeMint'))
+      .map(({ parsed }) => ({ mint: parsed.info.mint }));
+  }
+
+  /**
+   * Find the non-quote mint of pools created by a DEX program
+   * @param {Object} tx - jsonParsed transaction
+   * @param {Object} program - Program definition
+   * @returns {Array<Object>} Mints ({ mint, pool, quoteMint })
+   */
+  findPoolMints(tx, program) {
+    return this.getInstructions(tx)
+      .filter(({ programId, accounts }) => programId === program.programId && accounts && accounts.length > Math.max(...program.mintAccounts))
+      .map(({ accounts }) => {
+        const [mintA, mintB] = program.mintAccounts.map(index => accounts[index]);
+        const pool = accounts[program.poolAccount];
+
+        if (QUOTE_MINTS.has(mintA) && !QUOTE_MINTS.has(mintB)) {
+          return { mint: mintB, pool, quoteMint: mintA };
+        }
+        if (QUOTE_MINTS.has(mintB) && !QUOTE_MINTS.has(mintA)) {
+          return { mint: mintA, pool, quoteMint: mintB };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Flatten top-level and inner instructions
+   * @param {Object} tx - jsonParsed transaction
+   * @returns {Array<Object>} Instructions
+   */
+  getInstructions(tx) {
+    const inner = ((tx.meta && tx.meta.innerInstructions) || []).flatMap(({ instructions }) => instructions);
+    return [...tx.transaction.message.instructions, ...inner];
+  }
+
+  /**
+   * Fetch and decode a mint account
+   * @param {string} mint - Mint address
+   * @returns {Promise<Object|null>} Decoded mint with its owning program, or null if missing
+   */
+  async getMint(mint) {
+    const account = await this.rpc('getAccountInfo', [mint, { encoding: 'base64', commitment: this.commitment }]);
+
+    if (!account || !account.value) {
+      logger.warn('SPL mint account not found', { mint });
+      return null;
+    }
+
+    return {
+      programId: account.value.owner,
+      ...decodeMintAccount(Buffer.from(account.value.data[0], 'base64'))
+    };
+  }
+
+  /**
+   * Replay transactions since the last seen slot for every subscribed program
+   */
+  async backfill() {
+    const sinceSlot = this.lastSlot;
+
+    for (const program of this.programs) {
+      const missed = [];
+      let before;
+
+      // Signatures come newest first; page back until reaching the last seen slot
+      const limit = Math.min(1000, this.backfillLimit);
+
+      while (missed.length < this.backfillLimit) {
+        const page = await this.rpc('getSignaturesForAddress', [
+          program.programId,
+          { limit, before, commitment: this.commitment }
+        ]);
+
+        const newer = page.filter(entry => entry.slot >= sinceSlot);
+        missed.push(...newer);
+
+        if (newer.length < page.length || page.length < limit) {
+          break;
+        }
+        before = page[page.length - 1].signature;
+      }
+
+      logger.info('Backfilling Solana program logs', {
+        program: program.key,
+        sinceSlot,
+        transactions: missed.length
+      });
+
+      for (const entry of missed.slice(0, this.backfillLimit).reverse()) {
+        if (entry.err || this.seenSignatures.has(entry.signature)) {
+          continue;
+        }
+
+        const tx = await this.rpc('getTransaction', [
+          entry.signature,
+          { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0, commitment: this.commitment }
+        ]);
+
+        if (tx) {
+          await this.processLogs(program, {
+            signature: entry.signature,
+            slot: entry.slot,
+            err: entry.err,
+            logs: tx.meta ? tx.meta.logMessages : []
+          }, tx);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request over HTTP
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC params
+   * @returns {Promise<any>} RPC result
+   */
+  async rpcRequest(method, params) {
+    const response = await requestJson(this.rpcUrl, {
+      method: 'POST',
+      body: { jsonrpc: '2.0', id: ++this.requestId, method, params }
+    });
+
+    if (response.error) {
+      throw new Error(`Solana RPC ${method} failed: ${response.error.message}`);
+    }
+
+    return response.result;
+  }
+}
+
+module.exports = SolanaTokenMonitor;
+module.exports.PROGRAMS = PROGRAMS;
+module.exports.decodeMintAccount = decodeMintAccount;
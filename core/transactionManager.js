@@ -0,0 +1,520 @@
+/**
+ * Ethereum transaction manager for the multi-chain trading bot
+ * Allocates nonces locally for the shared wallet, tracks pending transactions,
+ * speeds up stuck ones with bumped fees and cancels on request
+ *
+ * Lifecycle events carry a transaction summary ({ id, nonce, hash, hashes, label, urgency, meta, status, attempts }):
+ *   sent     - first broadcast
+ *   replaced - rebroadcast with higher fees (reason speed-up) or as a cancel (reason cancel)
+ *   mined    - included successfully
+ *   reverted - included but failed
+ *   dropped  - its nonce was used by another transaction, the cancel was mined, or a private
+ *              submission expired without being included
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const ethereumFees = require('../core/ethereumFees');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+const FINAL_STATUSES = new Set(['mined', 'reverted', 'dropped']);
+
+// Broadcast through the wallet's provider to the public mempool
+const publicSubmit = (wallet, tx) => wallet.sendTransaction(tx);
+
+class TransactionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.wallet = null;
+    this.nextNonce = null;
+    this.nonceLock = Promise.resolve();
+    this.transactions = new Map();
+    this.nextId = 1;
+    this.pollTimer = null;
+    this.polling = false;
+    this.pollIntervalMs = config.get('trading.ethereum.transactions.pollIntervalMs', 3000);
+    this.speedUpAfterMs = config.get('trading.ethereum.transactions.speedUpAfterMs', { standard: 60000, exit: 20000, snipe: 12000 });
+    this.feeBumpPercent = config.get('trading.ethereum.transactions.feeBumpPercent', 12.5);
+    this.maxReplacements = config.get('trading.ethereum.transactions.maxReplacements', 3);
+    this.historySize = config.get('trading.ethereum.transactions.historySize', 100);
+  }
+
+  /**
+   * Use a wallet for all managed transactions
+   * @param {ethers.Wallet} wallet - Wallet connected to a provider
+   */
+  connect(wallet) {
+    this.wallet = wallet;
+    this.nextNonce = null;
+  }
+
+  /**
+   * Send a transaction with the next local nonce and track it until it is final
+   * @param {Object} request - Populated transaction (to, data, value, gasLimit and fee fields)
+   * @param {Object} [options] - Tracking options
+   * @param {string} [options.urgency] - Fee profile, also used for re-pricing (standard, exit, snipe)
+   * @param {string} [options.label] - Short description for logs (swap, approve)
+   * @param {Object} [options.meta] - Caller data passed through on every event (e.g. { tokenAddress, purpose })
+   * @param {Function} [options.submit] - (wallet, tx) => Promise<{ hash, targetBlocks? }> used for the first broadcast
+   *   and every replacement; submissions with targetBlocks expire once those blocks have passed
+   * @returns {Promise<Object>} Transaction summary
+   */
+  async send(request, { urgency = 'standard', label = 'transaction', meta = {}, submit = publicSubmit } = {}) {
+    if (!this.wallet) {
+      throw new Error('No wallet available for transactions');
+    }
+
+    // Allocation and broadcast happen under one lock so nonces reach the network in order
+    return this.withNonceLock(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.wallet.getTransactionCount('pending');
+      }
+
+      const nonce = this.nextNonce;
+      let response;
+
+      try {
+        response = await submit(this.wallet, { ...request, nonce });
+      } catch (error) {
+        // The node disagrees about the nonce; read it again for the next transaction
+        if (/nonce/i.test(error.message)) {
+          this.nextNonce = null;
+        }
+        throw error;
+      }
+
+      this.nextNonce = nonce + 1;
+
+      const record = {
+        id: `tx-${this.nextId++}`,
+        nonce,
+        label,
+        urgency,
+        meta,
+        submit,
+        request: { ...request, nonce },
+        hashes: [response.hash],
+        cancelHashes: [],
+        status: 'pending',
+        attempts: 1,
+        failedResubmits: 0,
+        broadcastAt: clock.now(),
+        expiresAfterBlock: this.getExpiry(response),
+        nonceUsedPolls: 0,
+        receipt: null,
+        waiters: []
+      };
+
+      this.transactions.set(record.id, record);
+
+      logger.trading('Transaction sent', {
+        id: record.id,
+        label,
+        nonce,
+        urgency,
+        txHash: response.hash
+      });
+      this.emit('sent', this.describe(record));
+      this.startPolling();
+
+      return this.describe(record);
+    });
+  }
+
+  /**
+   * Wait until a transaction is final
+   * @param {string} id - Transaction ID from send
+   * @returns {Promise<Object>} Receipt of the mined transaction (rejects when reverted or dropped)
+   */
+  wait(id) {
+    const record = this.requireTransaction(id);
+
+    return new Promise((resolve, reject) => {
+      record.waiters.push({ resolve, reject });
+
+      if (FINAL_STATUSES.has(record.status)) {
+        this.settleWaiters(record);
+      }
+    });
+  }
+
+  /**
+   * Rebroadcast a pending transaction with higher fees
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Object|null>} Transaction summary, or null when fees cannot be raised
+   */
+  async speedUp(id) {
+    const record = this.requireTransaction(id);
+
+    if (record.status !== 'pending') {
+      return null;
+    }
+
+    const fees = await this.getReplacementFees(record);
+
+    if (!fees) {
+      return null;
+    }
+
+    return this.replace(record, { ...record.request, ...fees }, 'speed-up');
+  }
+
+  /**
+   * Cancel a pending transaction with a zero-value transfer to self at the same nonce
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Object>} Transaction summary
+   */
+  async cancel(id) {
+    const record = this.requireTransaction(id);
+
+    if (record.status !== 'pending') {
+      throw new Error(`Transaction ${id} is already ${record.status}`);
+    }
+
+    const fees = await this.getReplacementFees(record, { force: true });
+    const request = {
+      to: await this.wallet.getAddress(),
+      value: 0,
+      data: '0x',
+      gasLimit: 21000,
+      nonce: record.nonce,
+      ...fees
+    };
+
+    return this.replace(record, request, 'cancel');
+  }
+
+  /**
+   * Broadcast a replacement at the same nonce
+   * @param {Object} record - Transaction record
+   * @param {Object} request - Replacement transaction
+   * @param {string} reason - Replacement reason (speed-up, cancel)
+   * @returns {Promise<Object>} Transaction summary
+   */
+  async replace(record, request, reason) {
+    const previousHash = record.hashes[record.hashes.length - 1];
+    const response = await record.submit(this.wallet, request);
+
+    record.hashes.push(response.hash);
+    if (reason === 'cancel') {
+      record.cancelHashes.push(response.hash);
+    }
+    record.request = request;
+    record.attempts++;
+    record.broadcastAt = clock.now();
+    record.expiresAfterBlock = this.getExpiry(response);
+
+    logger.trading('Transaction replaced', {
+      id: record.id,
+      label: record.label,
+      nonce: record.nonce,
+      reason,
+      previousHash,
+      txHash: response.hash
+    });
+    this.emit('replaced', { ...this.describe(record), reason, previousHash });
+
+    return this.describe(record);
+  }
+
+  /**
+   * Fees for a replacement: the current market rate, but at least feeBumpPercent above the last broadcast
+   * @param {Object} record - Transaction record
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Allow going over the maximum gas price (cancels)
+   * @returns {Promise<Object|null>} Fee fields, or null when the bump would exceed the maximum gas price
+   */
+  async getReplacementFees(record, { force = false } = {}) {
+    const market = await ethereumFees.getFeeData(this.wallet.provider, record.urgency).catch(() => ({}));
+    const maxGasPrice = ethers.utils.parseUnits(String(config.get('trading.ethereum.maxGasPrice', '100')), 'gwei');
+    const bump = value => ethers.BigNumber.from(value).mul(Math.round((100 + this.feeBumpPercent) * 100)).div(10000);
+    const higher = (a, b) => (b && ethers.BigNumber.from(b).gt(a) ? ethers.BigNumber.from(b) : a);
+
+    let fees;
+    if (record.request.maxFeePerGas) {
+      fees = {
+        maxFeePerGas: higher(bump(record.request.maxFeePerGas), market.maxFeePerGas),
+        maxPriorityFeePerGas: higher(bump(record.request.maxPriorityFeePerGas), market.maxPriorityFeePerGas)
+      };
+    } else {
+      fees = { gasPrice: higher(bump(record.request.gasPrice), market.gasPrice) };
+    }
+
+    const price = fees.maxFeePerGas || fees.gasPrice;
+    if (!force && price.gt(maxGasPrice)) {
+      logger.warn('Cannot speed up transaction without exceeding the maximum gas price', {
+        id: record.id,
+        nonce: record.nonce,
+        required: ethers.utils.formatUnits(price, 'gwei'),
+        maxGasPrice: ethers.utils.formatUnits(maxGasPrice, 'gwei')
+      });
+      return null;
+    }
+
+    return fees;
+  }
+
+  /**
+   * Check every pending transaction once
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling || !this.wallet) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      const pending = [...this.transactions.values()].filter(record => record.status === 'pending');
+      const provider = this.wallet.provider;
+      const minedNonce = pending.length > 0
+        ? await provider.getTransactionCount(await this.wallet.getAddress(), 'latest')
+        : 0;
+      const blockNumber = pending.some(record => record.expiresAfterBlock !== null)
+        ? await provider.getBlockNumber()
+        : null;
+
+      for (const record of pending) {
+        await this.check(record, minedNonce, blockNumber);
+      }
+
+      if (![...this.transactions.values()].some(record => record.status === 'pending')) {
+        this.stopPolling();
+      }
+    } catch (error) {
+      logger.error('Error polling pending transactions', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Resolve, speed up or drop one pending transaction
+   * @param {Object} record - Transaction record
+   * @param {number} minedNonce - Number of transactions the wallet has mined
+   * @param {number|null} blockNumber - Current block, when a pending submission can expire
+   */
+  async check(record, minedNonce, blockNumber) {
+    const provider = this.wallet.provider;
+
+    for (const hash of record.hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+
+      if (!receipt) {
+        continue;
+      }
+
+      record.receipt = receipt;
+
+      if (record.cancelHashes.includes(hash)) {
+        this.finalize(record, 'dropped', { reason: 'cancelled', txHash: hash });
+      } else if (receipt.status === 0) {
+        this.finalize(record, 'reverted', { txHash: hash, blockNumber: receipt.blockNumber });
+      } else {
+        this.finalize(record, 'mined', { txHash: hash, blockNumber: receipt.blockNumber });
+      }
+      return;
+    }
+
+    // The nonce was used but none of our hashes has a receipt; wait one more poll for receipts to catch up
+    if (minedNonce > record.nonce) {
+      record.nonceUsedPolls++;
+      if (record.nonceUsedPolls >= 2) {
+        this.finalize(record, 'dropped', { reason: 'nonce-used' });
+      }
+      return;
+    }
+
+    const speedUpAfterMs = this.speedUpAfterMs[record.urgency] || this.speedUpAfterMs.standard;
+    // Resubmits the submitter refused count too, so a failing relay cannot keep a transaction pending
+    const replacements = record.attempts - 1 + record.failedResubmits;
+
+    // Private submissions never reach the mempool; past their target blocks they are resubmitted or given up
+    if (record.expiresAfterBlock !== null) {
+      if (blockNumber <= record.expiresAfterBlock) {
+        return;
+      }
+
+      if (replacements >= this.maxReplacements || record.cancelHashes.length > 0) {
+        this.dropUnincluded(record);
+        return;
+      }
+
+      try {
+        // Fees that cannot be raised under the cap will not get it included either
+        if (!(await this.speedUp(record.id))) {
+          this.dropUnincluded(record);
+        }
+      } catch (error) {
+        record.failedResubmits++;
+        logger.warn('Failed to resubmit transaction', {
+          id: record.id,
+          nonce: record.nonce,
+          failedResubmits: record.failedResubmits,
+          error: error.message
+        });
+      }
+      return;
+    }
+
+    if (clock.now() - record.broadcastAt >= speedUpAfterMs && replacements < this.maxReplacements && record.cancelHashes.length === 0) {
+      try {
+        await this.speedUp(record.id);
+      } catch (error) {
+        // Usually "replacement underpriced" or the original was mined meanwhile; the next poll sorts it out
+        record.failedResubmits++;
+        logger.warn('Failed to speed up transaction', {
+          id: record.id,
+          nonce: record.nonce,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Give up on a private submission that was never included
+   * @param {Object} record - Transaction record
+   */
+  dropUnincluded(record) {
+    // The nonce was never used, so later transactions must not skip it
+    this.nextNonce = null;
+    this.finalize(record, 'dropped', { reason: 'not-included' });
+  }
+
+  /**
+   * Mark a transaction final, emit its event and settle waiters
+   * @param {Object} record - Transaction record
+   * @param {string} status - Final status (mined, reverted, dropped)
+   * @param {Object} details - Event details
+   */
+  finalize(record, status, details) {
+    record.status = status;
+
+    const log = status === 'mined' ? logger.trading : logger.warn;
+    log.call(logger, `Transaction ${status}`, {
+      id: record.id,
+      label: record.label,
+      nonce: record.nonce,
+      ...details
+    });
+
+    this.emit(status, { ...this.describe(record), ...details });
+    this.settleWaiters(record, details);
+    this.pruneHistory();
+  }
+
+  /**
+   * Forget the oldest final transactions beyond historySize. Their waiters have been settled, so
+   * only a later wait() or lookup by ID misses them.
+   */
+  pruneHistory() {
+    const final = [...this.transactions.values()].filter(record => FINAL_STATUSES.has(record.status));
+
+    final
+      .slice(0, Math.max(final.length - this.historySize, 0))
+      .forEach(record => this.transactions.delete(record.id));
+  }
+
+  /**
+   * Resolve or reject everyone waiting on a final transaction
+   * @param {Object} record - Transaction record
+   * @param {Object} [details] - Final event details
+   */
+  settleWaiters(record, details = {}) {
+    const waiters = record.waiters;
+    record.waiters = [];
+
+    waiters.forEach(({ resolve, reject }) => {
+      if (record.status === 'mined') {
+        resolve(record.receipt);
+        return;
+      }
+
+      const reason = details.reason ? ` (${details.reason})` : '';
+      const error = new Error(`Transaction ${record.id} ${record.status}${reason}`);
+      error.receipt = record.receipt;
+      reject(error);
+    });
+  }
+
+  /**
+   * Last block a submission can be included in
+   * @param {Object} response - Submit result
+   * @returns {number|null} Block number, or null for public broadcasts
+   */
+  getExpiry(response) {
+    return response.targetBlocks && response.targetBlocks.length > 0
+      ? Math.max(...response.targetBlocks)
+      : null;
+  }
+
+  /**
+   * Run a task while holding the nonce lock
+   * @param {Function} task - Async task
+   * @returns {Promise<any>} Task result
+   */
+  withNonceLock(task) {
+    const run = this.nonceLock.then(task);
+    this.nonceLock = run.catch(() => {});
+    return run;
+  }
+
+  startPolling() {
+    if (!this.pollTimer) {
+      this.pollTimer = clock.setInterval(() => this.poll(), this.pollIntervalMs);
+    }
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clock.clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Pending transactions, e.g. to cancel them on shutdown
+   * @returns {Array<Object>} Transaction summaries
+   */
+  getPending() {
+    return [...this.transactions.values()]
+      .filter(record => record.status === 'pending')
+      .map(record => this.describe(record));
+  }
+
+  requireTransaction(id) {
+    const record = this.transactions.get(id);
+
+    if (!record) {
+      throw new Error(`Transaction ${id} not found`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Public view of a transaction record
+   * @param {Object} record - Transaction record
+   * @returns {Object} Transaction summary
+   */
+  describe(record) {
+    return {
+      id: record.id,
+      nonce: record.nonce,
+      hash: record.hashes[record.hashes.length - 1],
+      hashes: [...record.hashes],
+      label: record.label,
+      urgency: record.urgency,
+      meta: record.meta,
+      status: record.status,
+      attempts: record.attempts
+    };
+  }
+}
+
+module.exports = new TransactionManager();
+module.exports.TransactionManager = TransactionManager;
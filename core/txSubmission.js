@@ -0,0 +1,301 @@
+/**
+ * Ethereum transaction submission for the multi-chain trading bot
+ * Sends transactions to the public mempool or privately to a Flashbots-style bundle relay,
+ * and records whether each submission was included
+ *
+ * Modes:
+ *   public  - broadcast through the wallet's provider
+ *   private - eth_sendBundle with the single transaction, once for each of the next blocksAhead blocks
+ *   bundle  - mev_sendBundle sharing only the transaction hash as a hint, so searchers cannot
+ *             backrun it from its calldata or logs
+ */
+
+const { ethers } = require('ethers');
+const transactionManager = require('../core/transactionManager');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { requestJson } = require('../utils/httpClient');
+
+// Submission mode for each fee urgency unless trading.ethereum.submission.modes says otherwise
+const DEFAULT_MODES = {
+  standard: 'public',
+  exit: 'public',
+  snipe: 'private'
+};
+
+class TxSubmission {
+  constructor() {
+    this.relayUrl = config.get('trading.ethereum.submission.relayUrl', 'https://relay.flashbots.net');
+    this.modes = { ...DEFAULT_MODES, ...config.get('trading.ethereum.submission.modes', {}) };
+    this.blocksAhead = config.get('trading.ethereum.submission.blocksAhead', 3);
+    this.bundleHints = config.get('trading.ethereum.submission.bundleHints', ['hash']);
+    this.authKey = config.get('trading.ethereum.submission.authKey', null);
+    this.authSigner = null;
+    this.requestId = 0;
+    this.submitters = {};
+    this.submissions = new Map();
+
+    this.register('public', (wallet, tx) => wallet.sendTransaction(tx));
+    this.register('private', (wallet, tx) => this.sendPrivate(wallet, tx));
+    this.register('bundle', (wallet, tx) => this.sendProtectedBundle(wallet, tx));
+
+    ['mined', 'reverted', 'dropped'].forEach(event => {
+      transactionManager.on(event, tx => this.recordOutcome(event, tx));
+    });
+  }
+
+  /**
+   * Register a submission mode
+   * @param {string} mode - Mode name used in trading.ethereum.submission.modes
+   * @param {Function} submitter - (wallet, tx) => Promise<{ hash, targetBlocks?, bundleHash? }>
+   */
+  register(mode, submitter) {
+    this.submitters[mode] = submitter;
+  }
+
+  /**
+   * Get the submission mode for a fee urgency
+   * @param {string} urgency - Fee profile name (standard, exit, snipe)
+   * @returns {string} Mode name
+   */
+  getMode(urgency) {
+    const mode = this.modes[urgency] || this.modes.standard;
+
+    if (!this.submitters[mode]) {
+      throw new Error(`Unknown transaction submission mode: ${mode} (modes: ${Object.keys(this.submitters).join(', ')})`);
+    }
+
+    return mode;
+  }
+
+  /**
+   * Send a transaction through the transaction manager using the mode configured for its urgency
+   * @param {Object} request - Populated transaction
+   * @param {Object} [options] - Transaction manager options ({ urgency, label, meta })
+   * @returns {Promise<Object>} Transaction summary
+   */
+  async send(request, { urgency = 'standard', label = 'transaction', meta = {} } = {}) {
+    const mode = this.getMode(urgency);
+
+    return transactionManager.send(request, {
+      urgency,
+      label,
+      meta: { ...meta, submission: mode },
+      submit: (wallet, tx) => this.submit(mode, wallet, tx, label)
+    });
+  }
+
+  /**
+   * Submit one signed attempt and record it
+   * @param {string} mode - Submission mode
+   * @param {ethers.Wallet} wallet - Sending wallet
+   * @param {Object} tx - Transaction including nonce and fees
+   * @param {string} label - Short description for logs
+   * @returns {Promise<Object>} Submit result ({ hash, targetBlocks?, bundleHash? })
+   */
+  async submit(mode, wallet, tx, label) {
+    const result = await this.submitters[mode](wallet, tx);
+
+    this.submissions.set(result.hash, {
+      hash: result.hash,
+      mode,
+      label,
+      nonce: tx.nonce,
+      bundleHash: result.bundleHash || null,
+      targetBlocks: result.targetBlocks || null,
+      submittedAt: clock.now(),
+      status: 'submitted',
+      blockNumber: null
+    });
+
+    logger.trading('Transaction submitted', {
+      mode,
+      label,
+      nonce: tx.nonce,
+      txHash: result.hash,
+      targetBlocks: result.targetBlocks
+    });
+
+    return result;
+  }
+
+  /**
+   * Send the transaction as a single-transaction bundle for each of the next blocksAhead blocks
+   * @param {ethers.Wallet} wallet - Sending wallet
+   * @param {Object} tx - Transaction including nonce and fees
+   * @returns {Promise<Object>} Submit result
+   */
+  async sendPrivate(wallet, tx) {
+    const { signedTx, hash } = await this.signTransaction(wallet, tx);
+    const targetBlocks = await this.getTargetBlocks(wallet);
+    let bundleHash = null;
+
+    for (const block of targetBlocks) {
+      const result = await this.callRelay('eth_sendBundle', [{
+        txs: [signedTx],
+        blockNumber: ethers.utils.hexValue(block)
+      }]);
+      bundleHash = bundleHash || (result && result.bundleHash) || null;
+    }
+
+    return { hash, targetBlocks, bundleHash };
+  }
+
+  /**
+   * Send the transaction as a bundle that only reveals the configured hints (by default just its hash)
+   * @param {ethers.Wallet} wallet - Sending wallet
+   * @param {Object} tx - Transaction including nonce and fees
+   * @returns {Promise<Object>} Submit result
+   */
+  async sendProtectedBundle(wallet, tx) {
+    const { signedTx, hash } = await this.signTransaction(wallet, tx);
+    const targetBlocks = await this.getTargetBlocks(wallet);
+
+    const result = await this.callRelay('mev_sendBundle', [{
+      version: 'v0.1',
+      inclusion: {
+        block: ethers.utils.hexValue(targetBlocks[0]),
+        maxBlock: ethers.utils.hexValue(targetBlocks[targetBlocks.length - 1])
+      },
+      body: [{ tx: signedTx, canRevert: false }],
+      privacy: { hints: this.bundleHints }
+    }]);
+
+    return { hash, targetBlocks, bundleHash: (result && result.bundleHash) || null };
+  }
+
+  /**
+   * Sign a transaction without broadcasting it
+   * @param {ethers.Wallet} wallet - Sending wallet
+   * @param {Object} tx - Transaction including nonce and fees
+   * @returns {Promise<Object>} { signedTx, hash }
+   */
+  async signTransaction(wallet, tx) {
+    const populated = await wallet.populateTransaction(tx);
+    const signedTx = await wallet.signTransaction(populated);
+
+    return { signedTx, hash: ethers.utils.keccak256(signedTx) };
+  }
+
+  /**
+   * The blocks a private submission may land in
+   * @param {ethers.Wallet} wallet - Sending wallet
+   * @returns {Promise<Array<number>>} Block numbers
+   */
+  async getTargetBlocks(wallet) {
+    const current = await wallet.provider.getBlockNumber();
+
+    return Array.from({ length: Math.max(1, this.blocksAhead) }, (_, index) => current + 1 + index);
+  }
+
+  /**
+   * Send a signed JSON-RPC request to the relay
+   * @param {string} method - Relay method
+   * @param {Array} params - Method params
+   * @returns {Promise<any>} Result
+   */
+  async callRelay(method, params) {
+    const signer = this.getAuthSigner();
+    const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+    const signature = await signer.signMessage(ethers.utils.id(body));
+
+    const response = await requestJson(this.relayUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Flashbots-Signature': `${signer.address}:${signature}`
+      },
+      body
+    });
+
+    if (!response || response.error) {
+      throw new Error(`Relay ${method} failed: ${response && response.error ? response.error.message : 'empty response'}`);
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Key that identifies the bot to the relay. It holds no funds; without a configured key a
+   * new one is used per run, which costs the relay reputation built up by earlier runs.
+   * @returns {ethers.Wallet} Relay auth signer
+   */
+  getAuthSigner() {
+    if (!this.authSigner) {
+      if (this.authKey) {
+        this.authSigner = new ethers.Wallet(this.authKey);
+      } else {
+        this.authSigner = ethers.Wallet.createRandom();
+        logger.warn('No relay auth key configured, using a temporary relay identity', {
+          address: this.authSigner.address
+        });
+      }
+    }
+
+    return this.authSigner;
+  }
+
+  /**
+   * Mark a transaction's submissions included or not once the transaction manager has an outcome
+   * @param {string} event - Final lifecycle event (mined, reverted, dropped)
+   * @param {Object} tx - Transaction summary with the final txHash and blockNumber when included
+   */
+  recordOutcome(event, tx) {
+    tx.hashes.forEach(hash => {
+      const submission = this.submissions.get(hash);
+
+      if (!submission || submission.status !== 'submitted') {
+        return;
+      }
+
+      if (hash === tx.txHash) {
+        submission.status = event === 'reverted' ? 'reverted' : 'included';
+        submission.blockNumber = tx.blockNumber || null;
+      } else {
+        submission.status = 'not-included';
+      }
+    });
+
+    const included = tx.txHash ? this.submissions.get(tx.txHash) : null;
+
+    logger.trading('Transaction inclusion recorded', {
+      id: tx.id,
+      label: tx.label,
+      nonce: tx.nonce,
+      outcome: event,
+      mode: tx.meta ? tx.meta.submission : undefined,
+      attempts: tx.attempts,
+      txHash: tx.txHash,
+      blockNumber: included ? included.blockNumber : null
+    });
+  }
+
+  /**
+   * Get the recorded status of a submission
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} Submission ({ hash, mode, label, nonce, targetBlocks, status, blockNumber })
+   */
+  getSubmission(hash) {
+    const submission = this.submissions.get(hash);
+    return submission ? { ...submission } : null;
+  }
+
+  /**
+   * Count submissions by mode and status
+   * @returns {Object} e.g. { private: { submitted: 0, included: 2, 'not-included': 1 } }
+   */
+  getInclusionStats() {
+    const stats = {};
+
+    this.submissions.forEach(({ mode, status }) => {
+      stats[mode] = stats[mode] || {};
+      stats[mode][status] = (stats[mode][status] || 0) + 1;
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new TxSubmission();
+module.exports.DEFAULT_MODES = DEFAULT_MODES;
@@ -6,374 +6,290 @@
 const Binance = require('binance-api-node').default;
 const config = require('../core/config');
 const logger = require('../utils/logger');
+const {
+  ExchangeAdapter,
+  AuthenticationError,
+  InsufficientFundsError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError,
+  ORDER_STATUS,
+  parseSymbol,
+  formatSymbol,
+  normalizeAsset
+} = require('./exchangeAdapter');
 
-class BinanceExchange {
+// Binance order statuses mapped to normalized statuses
+const STATUS_MAP = {
+  NEW: ORDER_STATUS.OPEN,
+  PARTIALLY_FILLED: ORDER_STATUS.PARTIALLY_FILLED,
+  FILLED: ORDER_STATUS.FILLED,
+  CANCELED: ORDER_STATUS.CANCELED,
+  PENDING_CANCEL: ORDER_STATUS.OPEN,
+  REJECTED: ORDER_STATUS.REJECTED,
+  EXPIRED: ORDER_STATUS.EXPIRED,
+  EXPIRED_IN_MATCH: ORDER_STATUS.EXPIRED
+};
+
+// Binance accepts up to 1024 streams on one connection; stay well below it
+const BOOK_TICKER_STREAMS_PER_SOCKET = 200;
+
+class BinanceExchange extends ExchangeAdapter {
   constructor() {
-    this.enabled = config.get('exchanges.binance.enabled', false);
-    
+    super('binance', 'Binance');
+
     if (!this.enabled) {
       logger.info('Binance exchange adapter is disabled');
       return;
     }
-    
+
     const apiKey = config.get('exchanges.binance.apiKey');
     const apiSecret = config.get('exchanges.binance.apiSecret');
-    
+
     if (!apiKey || !apiSecret) {
       logger.error('Binance API credentials not configured');
       this.enabled = false;
       return;
     }
-    
+
     this.tradingEnabled = config.get('exchanges.binance.tradingEnabled', false);
-    this.client = Binance({
-      apiKey,
-      apiSecret,
-      // Use test mode if trading is disabled for additional safety
-      useServerTime: true
-    });
-    
+    this.client = this.createClient();
+
     logger.info('Binance exchange adapter initialized', {
       tradingEnabled: this.tradingEnabled
     });
   }
-  
+
   /**
-   * Get account balance
-   * @returns {Promise<Object>} Account balances
+   * Create the API client, pointed at exchanges.binance.apiUrl and wsUrl when set (e.g. a mock server)
+   * @returns {Object} Binance API client
    */
-  async getBalance() {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      const accountInfo = await this.client.accountInfo();
-      const balances = {};
-      
-      accountInfo.balances.forEach(balance => {
-        if (parseFloat(balance.free) > 0 || parseFloat(balance.locked) > 0) {
-          balances[balance.asset] = {
-            free: balance.free,
-            locked: balance.locked,
-            total: (parseFloat(balance.free) + parseFloat(balance.locked)).toString()
-          };
-        }
-      });
-      
-      logger.debug('Retrieved Binance balance', { 
-        currencies: Object.keys(balances) 
-      });
-      
-      return balances;
-    } catch (error) {
-      logger.error('Failed to get Binance balance', { error: error.message });
-      throw error;
-    }
+  createClient() {
+    const apiUrl = config.get('exchanges.binance.apiUrl');
+    const wsUrl = config.get('exchanges.binance.wsUrl');
+
+    return Binance({
+      apiKey: config.get('exchanges.binance.apiKey'),
+      apiSecret: config.get('exchanges.binance.apiSecret'),
+      useServerTime: true,
+      ...(apiUrl ? { httpBase: apiUrl } : {}),
+      ...(wsUrl ? { wsBase: wsUrl } : {})
+    });
   }
-  
+
   /**
-   * Get ticker information for a symbol
-   * @param {string} symbol - Trading pair symbol
-   * @returns {Promise<Object>} Ticker information
+   * Convert a normalized symbol into a Binance symbol
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+   * @returns {string} Binance symbol (e.g. BTCUSDT)
    */
-  async getTicker(symbol) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      const ticker = await this.client.prices({ symbol });
-      const bookTicker = await this.client.book({ symbol });
-      
-      const result = {
-        symbol,
-        price: ticker[symbol],
-        bidPrice: bookTicker.bidPrice,
-        bidQty: bookTicker.bidQty,
-        askPrice: bookTicker.askPrice,
-        askQty: bookTicker.askQty
-      };
-      
-      logger.debug('Retrieved Binance ticker', { symbol });
-      
-      return result;
-    } catch (error) {
-      logger.error('Failed to get Binance ticker', { 
-        symbol, 
-        error: error.message 
-      });
-      throw error;
-    }
+  toExchangeSymbol(symbol) {
+    const { base, quote } = parseSymbol(symbol);
+    return `${base}${quote}`;
   }
-  
-  /**
-   * Place a buy order
-   * @param {string} symbol - Trading pair symbol
-   * @param {string} type - Order type (MARKET, LIMIT)
-   * @param {string} quantity - Order quantity
-   * @param {string} [price] - Order price (for LIMIT orders)
-   * @returns {Promise<Object>} Order result
-   */
-  async buyOrder(symbol, type, quantity, price = null) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      if (!this.tradingEnabled) {
-        logger.security('Trading is disabled for Binance, simulating buy order', {
-          symbol,
-          type,
-          quantity,
-          price
-        });
-        
-        return {
-          simulated: true,
-          symbol,
-          type,
-          side: 'BUY',
-          quantity,
-          price,
-          timestamp: Date.now()
-        };
-      }
-      
-      const orderOptions = {
-        symbol,
-        side: 'BUY',
-        type,
-        quantity
-      };
-      
-      if (type === 'LIMIT' && price) {
-        orderOptions.price = price;
-        orderOptions.timeInForce = 'GTC'; // Good Till Cancelled
+
+  async fetchBalance() {
+    const accountInfo = await this.client.accountInfo();
+    const balances = {};
+
+    accountInfo.balances.forEach(balance => {
+      if (parseFloat(balance.free) > 0 || parseFloat(balance.locked) > 0) {
+        balances[normalizeAsset(balance.asset)] = this.normalizeBalance(balance.free, balance.locked);
       }
-      
-      const response = await this.client.order(orderOptions);
-      
-      logger.trading('Placed Binance buy order', {
-        symbol,
-        type,
-        quantity,
-        price,
-        orderId: response.orderId
-      });
-      
-      return response;
-    } catch (error) {
-      logger.error('Failed to place Binance buy order', {
-        symbol,
-        type,
-        quantity,
-        price,
-        error: error.message
-      });
-      throw error;
+    });
+
+    return balances;
+  }
+
+  async fetchTicker(symbol, exchangeSymbol) {
+    const [prices, book] = await Promise.all([
+      this.client.prices({ symbol: exchangeSymbol }),
+      this.client.book({ symbol: exchangeSymbol, limit: 5 })
+    ]);
+
+    const bestBid = book.bids[0] || {};
+    const bestAsk = book.asks[0] || {};
+
+    return {
+      exchange: this.name,
+      symbol,
+      price: prices[exchangeSymbol],
+      bidPrice: bestBid.price || null,
+      bidQty: bestBid.quantity || null,
+      askPrice: bestAsk.price || null,
+      askQty: bestAsk.quantity || null,
+      timestamp: Date.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, exchangeSymbol, depth) {
+    const book = await this.client.book({ symbol: exchangeSymbol, limit: depth });
+
+    return this.normalizeOrderBook(
+      symbol,
+      book.bids.map(level => [level.price, level.quantity]),
+      book.asks.map(level => [level.price, level.quantity])
+    );
+  }
+
+  async submitOrder(request, exchangeSymbol) {
+    const orderOptions = {
+      symbol: exchangeSymbol,
+      side: request.side.toUpperCase(),
+      type: request.type.toUpperCase(),
+      quantity: request.quantity
+    };
+
+    if (request.type === 'limit') {
+      orderOptions.price = request.price;
+      orderOptions.timeInForce = 'GTC'; // Good Till Cancelled
     }
+
+    const response = await this.client.order(orderOptions);
+
+    return this.toOrder(response, request.symbol);
   }
-  
-  /**
-   * Place a sell order
-   * @param {string} symbol - Trading pair symbol
-   * @param {string} type - Order type (MARKET, LIMIT)
-   * @param {string} quantity - Order quantity
-   * @param {string} [price] - Order price (for LIMIT orders)
-   * @returns {Promise<Object>} Order result
-   */
-  async sellOrder(symbol, type, quantity, price = null) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      if (!this.tradingEnabled) {
-        logger.security('Trading is disabled for Binance, simulating sell order', {
-          symbol,
-          type,
-          quantity,
-          price
-        });
-        
-        return {
-          simulated: true,
-          symbol,
-          type,
-          side: 'SELL',
-          quantity,
-          price,
-          timestamp: Date.now()
-        };
-      }
-      
-      const orderOptions = {
-        symbol,
-        side: 'SELL',
-        type,
-        quantity
-      };
-      
-      if (type === 'LIMIT' && price) {
-        orderOptions.price = price;
-        orderOptions.timeInForce = 'GTC'; // Good Till Cancelled
-      }
-      
-      const response = await this.client.order(orderOptions);
-      
-      logger.trading('Placed Binance sell order', {
-        symbol,
-        type,
-        quantity,
-        price,
-        orderId: response.orderId
-      });
-      
-      return response;
-    } catch (error) {
-      logger.error('Failed to place Binance sell order', {
-        symbol,
-        type,
-        quantity,
-        price,
-        error: error.message
+
+  async fetchOrder(orderId, symbol, exchangeSymbol) {
+    if (!exchangeSymbol) {
+      throw new InvalidOrderError('Binance requires a symbol to look up an order', {
+        exchange: this.name
       });
-      throw error;
     }
+
+    const response = await this.client.getOrder({
+      symbol: exchangeSymbol,
+      orderId
+    });
+
+    return this.toOrder(response, symbol);
   }
-  
-  /**
-   * Get order status
-   * @param {string} orderId - Order ID
-   * @param {string} symbol - Trading pair symbol
-   * @returns {Promise<Object>} Order status
-   */
-  async getOrderStatus(orderId, symbol) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      const response = await this.client.getOrder({
-        symbol,
-        orderId
-      });
-      
-      logger.debug('Retrieved Binance order status', { orderId, symbol });
-      
-      return response;
-    } catch (error) {
-      logger.error('Failed to get Binance order status', {
-        orderId,
-        symbol,
-        error: error.message
+
+  async submitCancel(orderId, symbol, exchangeSymbol) {
+    if (!exchangeSymbol) {
+      throw new InvalidOrderError('Binance requires a symbol to cancel an order', {
+        exchange: this.name
       });
-      throw error;
     }
+
+    const response = await this.client.cancelOrder({
+      symbol: exchangeSymbol,
+      orderId
+    });
+
+    return response.status === 'CANCELED';
   }
-  
-  /**
-   * Cancel an order
-   * @param {string} orderId - Order ID
-   * @param {string} symbol - Trading pair symbol
-   * @returns {Promise<Object>} Cancellation result
-   */
-  async cancelOrder(orderId, symbol) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      if (!this.tradingEnabled) {
-        logger.security('Trading is disabled for Binance, simulating cancel order', {
-          orderId,
-          symbol
+
+  async fetchOpenOrders(symbol, exchangeSymbol) {
+    const options = exchangeSymbol ? { symbol: exchangeSymbol } : {};
+    const orders = await this.client.openOrders(options);
+
+    return orders.map(order => this.toOrder(order, symbol || this.fromExchangeSymbol(order.symbol)));
+  }
+
+  async fetchMarkets() {
+    const info = await this.getExchangeInfo();
+
+    return info.symbols
+      .filter(market => market.status === 'TRADING')
+      .map(market => {
+        const filters = {};
+        market.filters.forEach(filter => {
+          filters[filter.filterType] = filter;
         });
-        
+
         return {
-          simulated: true,
-          orderId,
-          symbol,
-          timestamp: Date.now()
+          symbol: formatSymbol(market.baseAsset, market.quoteAsset),
+          base: normalizeAsset(market.baseAsset),
+          quote: normalizeAsset(market.quoteAsset),
+          exchangeSymbol: market.symbol,
+          minQuantity: filters.LOT_SIZE ? filters.LOT_SIZE.minQty : null,
+          stepSize: filters.LOT_SIZE ? filters.LOT_SIZE.stepSize : null,
+          tickSize: filters.PRICE_FILTER ? filters.PRICE_FILTER.tickSize : null,
+          minNotional: filters.NOTIONAL ? filters.NOTIONAL.minNotional :
+            (filters.MIN_NOTIONAL ? filters.MIN_NOTIONAL.minNotional : null)
         };
-      }
-      
-      const response = await this.client.cancelOrder({
-        symbol,
-        orderId
-      });
-      
-      logger.trading('Cancelled Binance order', { orderId, symbol });
-      
-      return response;
-    } catch (error) {
-      logger.error('Failed to cancel Binance order', {
-        orderId,
-        symbol,
-        error: error.message
       });
-      throw error;
-    }
   }
-  
+
   /**
-   * Get open orders
-   * @param {string} [symbol] - Trading pair symbol (optional)
-   * @returns {Promise<Array>} List of open orders
+   * Convert a Binance order response into a normalized order
+   * @param {Object} response - Binance order response
+   * @param {string} symbol - Normalized symbol
+   * @returns {Object} Normalized order
    */
-  async getOpenOrders(symbol = null) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
-      const options = symbol ? { symbol } : {};
-      const orders = await this.client.openOrders(options);
-      
-      logger.debug('Retrieved Binance open orders', {
-        count: orders.length,
-        symbol
-      });
-      
-      return orders;
-    } catch (error) {
-      logger.error('Failed to get Binance open orders', {
-        symbol,
-        error: error.message
-      });
-      throw error;
+  toOrder(response, symbol) {
+    const executedQty = parseFloat(response.executedQty || '0');
+    const quoteQty = parseFloat(response.cummulativeQuoteQty || '0');
+    const fills = response.fills || [];
+
+    return this.normalizeOrder({
+      id: response.orderId,
+      symbol,
+      side: response.side,
+      type: response.type,
+      status: STATUS_MAP[response.status] || ORDER_STATUS.OPEN,
+      quantity: response.origQty,
+      filledQuantity: response.executedQty || '0',
+      price: parseFloat(response.price) > 0 ? response.price : null,
+      averagePrice: executedQty > 0 ? (quoteQty / executedQty).toString() : null,
+      fee: fills.reduce((sum, fill) => sum + parseFloat(fill.commission), 0).toString(),
+      feeAsset: fills.length > 0 ? normalizeAsset(fills[0].commissionAsset) : null,
+      timestamp: response.transactTime || response.time || Date.now(),
+      raw: response
+    });
+  }
+
+  classifyError(error) {
+    switch (error.code) {
+      case -2010:
+        return /insufficient/i.test(error.message) ? InsufficientFundsError : InvalidOrderError;
+      case -2011:
+      case -2013:
+        return OrderNotFoundError;
+      case -1003:
+      case -1015:
+        return RateLimitError;
+      case -2014:
+      case -2015:
+      case -1022:
+        return AuthenticationError;
+      case -1013:
+      case -1100:
+      case -1102:
+      case -1111:
+      case -1121:
+        return InvalidOrderError;
+      default:
+        return super.classifyError(error);
     }
   }
-  
+
   /**
    * Get exchange information including trading pairs
    * @returns {Promise<Object>} Exchange information
    */
   async getExchangeInfo() {
     try {
-      if (!this.enabled) {
-        throw new Error('Binance exchange adapter is not enabled');
-      }
-      
+      this.ensureEnabled();
+
       const info = await this.client.exchangeInfo();
-      
+
       logger.debug('Retrieved Binance exchange info', {
         symbolCount: info.symbols.length
       });
-      
+
       return info;
     } catch (error) {
       logger.error('Failed to get Binance exchange info', {
         error: error.message
       });
-      throw error;
+      throw this.normalizeError(error);
     }
   }
-  
+
   /**
    * Set up websocket for price updates
-   * @param {string} symbol - Trading pair symbol
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
    * @param {Function} callback - Callback function for price updates
    * @returns {Function} Function to close the websocket
    */
@@ -382,22 +298,70 @@ class BinanceExchange {
       logger.error('Binance exchange adapter is not enabled');
       return () => {};
     }
-    
+
     logger.info('Setting up Binance price websocket', { symbol });
-    
-    const clean = this.client.ws.ticker(symbol, ticker => {
+
+    const clean = this.client.ws.ticker(this.toExchangeSymbol(symbol), ticker => {
       callback({
-        symbol: ticker.symbol,
+        exchange: this.name,
+        symbol,
         price: ticker.curDayClose,
+        bidPrice: ticker.bestBid,
+        askPrice: ticker.bestAsk,
         priceChange: ticker.priceChange,
         priceChangePercent: ticker.priceChangePercent,
         volume: ticker.volume,
         timestamp: ticker.eventTime
       });
     });
-    
+
     return clean;
   }
+
+  /**
+   * Stream best bid and ask updates for many symbols
+   * @param {Array<string>} symbols - Normalized symbols (e.g. ETH/BTC)
+   * @param {Function} callback - Called with each top of book ({ exchange, symbol, bidPrice, bidQty, askPrice, askQty, timestamp })
+   * @returns {Function} Function to close the websockets
+   */
+  watchBookTickers(symbols, callback) {
+    if (!this.enabled) {
+      logger.error('Binance exchange adapter is not enabled');
+      return () => {};
+    }
+
+    const bySymbol = new Map(symbols.map(symbol => [this.toExchangeSymbol(symbol), symbol]));
+    const streams = [...bySymbol.keys()].map(exchangeSymbol => `${exchangeSymbol.toLowerCase()}@bookTicker`);
+    const paths = [];
+
+    // One raw stream path per connection carries at most BOOK_TICKER_STREAMS_PER_SOCKET streams
+    for (let i = 0; i < streams.length; i += BOOK_TICKER_STREAMS_PER_SOCKET) {
+      paths.push(streams.slice(i, i + BOOK_TICKER_STREAMS_PER_SOCKET).join('/'));
+    }
+
+    logger.info('Setting up Binance book ticker websockets', {
+      symbols: symbols.length,
+      sockets: paths.length
+    });
+
+    return this.client.ws.customSubStream(paths, ticker => {
+      const symbol = bySymbol.get(ticker.s);
+
+      if (!symbol) {
+        return;
+      }
+
+      callback({
+        exchange: this.name,
+        symbol,
+        bidPrice: ticker.b,
+        bidQty: ticker.B,
+        askPrice: ticker.a,
+        askQty: ticker.A,
+        timestamp: Date.now()
+      });
+    });
+  }
 }
 
 module.exports = new BinanceExchange();
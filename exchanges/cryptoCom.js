@@ -0,0 +1,330 @@
+/**
+ * Crypto.com exchange adapter for the multi-chain trading bot
+ * Handles all interactions with the Crypto.com Exchange v1 API
+ */
+
+const crypto = require('crypto');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const { requestJson } = require('../utils/httpClient');
+const {
+  ExchangeAdapter,
+  AuthenticationError,
+  InsufficientFundsError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError,
+  ORDER_STATUS,
+  parseSymbol,
+  formatSymbol,
+  normalizeAsset
+} = require('./exchangeAdapter');
+
+const API_URL = 'https://api.crypto.com/exchange/v1';
+
+// Crypto.com order statuses mapped to normalized statuses
+const STATUS_MAP = {
+  NEW: ORDER_STATUS.OPEN,
+  PENDING: ORDER_STATUS.OPEN,
+  ACTIVE: ORDER_STATUS.OPEN,
+  FILLED: ORDER_STATUS.FILLED,
+  CANCELED: ORDER_STATUS.CANCELED,
+  REJECTED: ORDER_STATUS.REJECTED,
+  EXPIRED: ORDER_STATUS.EXPIRED
+};
+
+/**
+ * Build the parameter string Crypto.com signs (keys sorted, values concatenated)
+ * @param {any} params - Request parameters
+ * @returns {string} Parameter string
+ */
+function paramsToString(params) {
+  if (params === null || params === undefined) {
+    return '';
+  }
+
+  if (Array.isArray(params)) {
+    return params.map(paramsToString).join('');
+  }
+
+  if (typeof params === 'object') {
+    return Object.keys(params)
+      .sort()
+      .map(key => `${key}${paramsToString(params[key])}`)
+      .join('');
+  }
+
+  return String(params);
+}
+
+class CryptoComExchange extends ExchangeAdapter {
+  constructor() {
+    super('cryptoCom', 'Crypto.com');
+
+    if (!this.enabled) {
+      logger.info('Crypto.com exchange adapter is disabled');
+      return;
+    }
+
+    this.apiKey = config.get('exchanges.cryptoCom.apiKey');
+    this.apiSecret = config.get('exchanges.cryptoCom.apiSecret');
+
+    if (!this.apiKey || !this.apiSecret) {
+      logger.error('Crypto.com API credentials not configured');
+      this.enabled = false;
+      return;
+    }
+
+    this.tradingEnabled = config.get('exchanges.cryptoCom.tradingEnabled', false);
+    this.apiUrl = config.get('exchanges.cryptoCom.apiUrl', API_URL);
+    this.requestId = 0;
+
+    logger.info('Crypto.com exchange adapter initialized', {
+      tradingEnabled: this.tradingEnabled
+    });
+  }
+
+  /**
+   * Convert a normalized symbol into a Crypto.com instrument name
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @returns {string} Instrument name (e.g. BTC_USD)
+   */
+  toExchangeSymbol(symbol) {
+    const { base, quote } = parseSymbol(symbol);
+    return `${base}_${quote}`;
+  }
+
+  fromExchangeSymbol(exchangeSymbol) {
+    const [base, quote] = String(exchangeSymbol).split('_');
+    return quote ? formatSymbol(base, quote) : exchangeSymbol;
+  }
+
+  /**
+   * Call a public API method
+   * @param {string} method - API method (e.g. public/get-tickers)
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object>} Response result
+   */
+  async publicCall(method, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await requestJson(`${this.apiUrl}/${method}${query ? `?${query}` : ''}`);
+
+    return this.unwrap(method, response);
+  }
+
+  /**
+   * Call a signed private API method
+   * @param {string} method - API method (e.g. private/create-order)
+   * @param {Object} [params] - Request parameters
+   * @returns {Promise<Object>} Response result
+   */
+  async privateCall(method, params = {}) {
+    const id = ++this.requestId;
+    const nonce = Date.now();
+    const payload = `${method}${id}${this.apiKey}${paramsToString(params)}${nonce}`;
+    const sig = crypto.createHmac('sha256', this.apiSecret).update(payload).digest('hex');
+
+    let response;
+    try {
+      response = await requestJson(`${this.apiUrl}/${method}`, {
+        method: 'POST',
+        body: { id, method, api_key: this.apiKey, params, nonce, sig }
+      });
+    } catch (error) {
+      // Crypto.com returns error details in the body of non-2xx responses
+      if (error.body && error.body.code) {
+        return this.unwrap(method, error.body);
+      }
+      throw error;
+    }
+
+    return this.unwrap(method, response);
+  }
+
+  /**
+   * Extract the result of an API response, throwing on API errors
+   * @param {string} method - API method
+   * @param {Object} response - API response
+   * @returns {Object} Response result
+   */
+  unwrap(method, response) {
+    if (response.code !== 0) {
+      const error = new Error(`${method} failed: ${response.message || 'Unknown error'}`);
+      error.code = response.code;
+      throw error;
+    }
+
+    return response.result;
+  }
+
+  async fetchBalance() {
+    const result = await this.privateCall('private/user-balance');
+    const account = result.data[0] || { position_balances: [] };
+    const balances = {};
+
+    account.position_balances.forEach(position => {
+      const total = parseFloat(position.quantity);
+      const locked = parseFloat(position.reserved_qty || '0');
+
+      if (total > 0) {
+        balances[normalizeAsset(position.instrument_name)] = this.normalizeBalance(
+          (total - locked).toString(),
+          locked.toString()
+        );
+      }
+    });
+
+    return balances;
+  }
+
+  async fetchTicker(symbol, exchangeSymbol) {
+    const result = await this.publicCall('public/get-tickers', { instrument_name: exchangeSymbol });
+    const ticker = result.data[0];
+
+    if (!ticker) {
+      throw new InvalidOrderError(`Unknown instrument ${exchangeSymbol}`, { exchange: this.name });
+    }
+
+    return {
+      exchange: this.name,
+      symbol,
+      price: ticker.a,
+      bidPrice: ticker.b,
+      bidQty: ticker.bs || null,
+      askPrice: ticker.k,
+      askQty: ticker.ks || null,
+      timestamp: ticker.t || Date.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, exchangeSymbol, depth) {
+    const result = await this.publicCall('public/get-book', { instrument_name: exchangeSymbol, depth });
+    const book = result.data[0];
+
+    if (!book) {
+      throw new InvalidOrderError(`Unknown instrument ${exchangeSymbol}`, { exchange: this.name });
+    }
+
+    // Levels are [price, quantity, number of orders]
+    return this.normalizeOrderBook(symbol, book.bids, book.asks, book.t || Date.now());
+  }
+
+  async submitOrder(request, exchangeSymbol) {
+    const params = {
+      instrument_name: exchangeSymbol,
+      side: request.side.toUpperCase(),
+      type: request.type.toUpperCase(),
+      quantity: request.quantity
+    };
+
+    if (request.type === 'limit') {
+      params.price = request.price;
+      params.time_in_force = 'GOOD_TILL_CANCEL';
+    }
+
+    const result = await this.privateCall('private/create-order', params);
+
+    return this.normalizeOrder({
+      id: result.order_id,
+      symbol: request.symbol,
+      side: request.side,
+      type: request.type,
+      status: ORDER_STATUS.OPEN,
+      quantity: request.quantity,
+      price: request.price,
+      raw: result
+    });
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const result = await this.privateCall('private/get-order-detail', { order_id: String(orderId) });
+
+    return result ? this.toOrder(result, symbol) : null;
+  }
+
+  async submitCancel(orderId) {
+    await this.privateCall('private/cancel-order', { order_id: String(orderId) });
+
+    // Cancellation is asynchronous on Crypto.com; a successful response means it was accepted
+    return true;
+  }
+
+  async fetchOpenOrders(symbol, exchangeSymbol) {
+    const params = exchangeSymbol ? { instrument_name: exchangeSymbol } : {};
+    const result = await this.privateCall('private/get-open-orders', params);
+
+    return result.data.map(order => this.toOrder(order, symbol));
+  }
+
+  async fetchMarkets() {
+    const result = await this.publicCall('public/get-instruments');
+
+    return result.data
+      .filter(instrument => instrument.inst_type === 'CCY_PAIR' && instrument.tradable !== false)
+      .map(instrument => ({
+        symbol: formatSymbol(instrument.base_ccy, instrument.quote_ccy),
+        base: normalizeAsset(instrument.base_ccy),
+        quote: normalizeAsset(instrument.quote_ccy),
+        exchangeSymbol: instrument.symbol,
+        minQuantity: instrument.qty_tick_size || null,
+        stepSize: instrument.qty_tick_size || null,
+        tickSize: instrument.price_tick_size || null,
+        minNotional: null
+      }));
+  }
+
+  /**
+   * Convert a Crypto.com order into a normalized order
+   * @param {Object} order - Crypto.com order
+   * @param {string} [symbol] - Normalized symbol
+   * @returns {Object} Normalized order
+   */
+  toOrder(order, symbol = null) {
+    const filled = parseFloat(order.cumulative_quantity || '0');
+    let status = STATUS_MAP[order.status] || ORDER_STATUS.OPEN;
+
+    if (status === ORDER_STATUS.OPEN && filled > 0) {
+      status = ORDER_STATUS.PARTIALLY_FILLED;
+    }
+
+    return this.normalizeOrder({
+      id: order.order_id,
+      symbol: symbol || this.fromExchangeSymbol(order.instrument_name),
+      side: order.side,
+      type: order.order_type,
+      status,
+      quantity: order.quantity,
+      filledQuantity: order.cumulative_quantity || '0',
+      price: parseFloat(order.limit_price || order.price) > 0 ? (order.limit_price || order.price) : null,
+      averagePrice: filled > 0 ? order.avg_price : null,
+      fee: order.cumulative_fee || '0',
+      feeAsset: order.fee_instrument_name ? normalizeAsset(order.fee_instrument_name) : null,
+      timestamp: order.create_time || Date.now(),
+      raw: order
+    });
+  }
+
+  classifyError(error) {
+    const message = error.message || '';
+
+    if (/INSUFFICIENT_AVAILABLE_BALANCE|INSUFFICIENT_BALANCE/.test(message)) {
+      return InsufficientFundsError;
+    }
+    if (/NOT_FOUND|ORDER_NOT_EXISTS/.test(message)) {
+      return OrderNotFoundError;
+    }
+    if (/TOO_MANY_REQUESTS/.test(message) || error.status === 429) {
+      return RateLimitError;
+    }
+    if (/UNAUTHORIZED|IP_ILLEGAL|INVALID_NONCE|BAD_SIGNATURE/.test(message) || error.status === 401) {
+      return AuthenticationError;
+    }
+    if (/INVALID_|BAD_REQUEST|ILLEGAL_/.test(message)) {
+      return InvalidOrderError;
+    }
+
+    return super.classifyError(error);
+  }
+}
+
+module.exports = new CryptoComExchange();
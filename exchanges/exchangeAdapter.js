@@ -0,0 +1,640 @@
+/**
+ * Common exchange adapter contract for the multi-chain trading bot
+ * Defines the normalized symbols, orders, balances and errors every exchange adapter exposes
+ */
+
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// Normalized order sides, types and statuses
+const ORDER_SIDES = ['buy', 'sell'];
+const ORDER_TYPES = ['market', 'limit'];
+const ORDER_STATUS = {
+  OPEN: 'open',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELED: 'canceled',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  SIMULATED: 'simulated'
+};
+
+// Statuses after which an order fills no further
+const FINAL_STATUSES = [
+  ORDER_STATUS.FILLED,
+  ORDER_STATUS.CANCELED,
+  ORDER_STATUS.REJECTED,
+  ORDER_STATUS.EXPIRED,
+  ORDER_STATUS.SIMULATED
+];
+
+// Exchange-specific asset codes mapped to the codes used throughout the bot
+const ASSET_ALIASES = {
+  XBT: 'BTC',
+  XXBT: 'BTC',
+  XETH: 'ETH',
+  XXDG: 'DOGE',
+  XDG: 'DOGE',
+  XLTC: 'LTC',
+  XXRP: 'XRP',
+  XXLM: 'XLM',
+  ZUSD: 'USD',
+  ZEUR: 'EUR',
+  ZGBP: 'GBP',
+  ZCAD: 'CAD',
+  ZJPY: 'JPY'
+};
+
+// Quote assets used to split concatenated exchange symbols such as BTCUSDT
+const KNOWN_QUOTES = [
+  'USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI',
+  'USD', 'EUR', 'GBP', 'CAD', 'JPY', 'AUD',
+  'BTC', 'XBT', 'ETH', 'BNB', 'SOL', 'CRO'
+];
+
+/**
+ * Base error for all exchange adapter failures
+ */
+class ExchangeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.exchange] - Exchange name
+   * @param {string|number} [details.code] - Exchange-specific error code
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(message, { exchange = null, code = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.exchange = exchange;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+class ExchangeDisabledError extends ExchangeError {}
+class AuthenticationError extends ExchangeError {}
+class InsufficientFundsError extends ExchangeError {}
+class InvalidOrderError extends ExchangeError {}
+class OrderNotFoundError extends ExchangeError {}
+class RateLimitError extends ExchangeError {}
+class NetworkError extends ExchangeError {}
+
+/**
+ * Normalize an exchange asset code (e.g. XXBT -> BTC)
+ * @param {string} asset - Exchange asset code
+ * @returns {string} Normalized asset code
+ */
+function normalizeAsset(asset) {
+  const upper = String(asset).toUpperCase();
+  return ASSET_ALIASES[upper] || upper;
+}
+
+/**
+ * Parse a normalized symbol
+ * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+ * @returns {Object} Base and quote assets
+ */
+function parseSymbol(symbol) {
+  const [base, quote] = String(symbol).toUpperCase().split('/');
+
+  if (!base || !quote) {
+    throw new InvalidOrderError(`Invalid symbol ${symbol}, expected BASE/QUOTE`);
+  }
+
+  return { base: normalizeAsset(base), quote: normalizeAsset(quote) };
+}
+
+/**
+ * Build a normalized symbol
+ * @param {string} base - Base asset
+ * @param {string} quote - Quote asset
+ * @returns {string} Normalized symbol (e.g. BTC/USDT)
+ */
+function formatSymbol(base, quote) {
+  return `${normalizeAsset(base)}/${normalizeAsset(quote)}`;
+}
+
+/**
+ * Split a concatenated exchange symbol (e.g. BTCUSDT) into a normalized symbol
+ * @param {string} exchangeSymbol - Exchange symbol
+ * @returns {string|null} Normalized symbol, or null if the quote asset is unknown
+ */
+function splitConcatenatedSymbol(exchangeSymbol) {
+  const upper = String(exchangeSymbol).toUpperCase().replace(/[-_/]/g, '');
+
+  for (const quote of KNOWN_QUOTES) {
+    if (upper.length > quote.length && upper.endsWith(quote)) {
+      return formatSymbol(upper.slice(0, -quote.length), quote);
+    }
+  }
+
+  return null;
+}
+
+class ExchangeAdapter {
+  /**
+   * @param {string} name - Exchange key under `exchanges.*` in config
+   * @param {string} displayName - Human readable exchange name
+   */
+  constructor(name, displayName) {
+    this.name = name;
+    this.displayName = displayName;
+    this.enabled = config.get(`exchanges.${name}.enabled`, false);
+    this.tradingEnabled = false;
+  }
+
+  /**
+   * Throw if the adapter is disabled
+   */
+  ensureEnabled() {
+    if (!this.enabled) {
+      throw new ExchangeDisabledError(`${this.displayName} exchange adapter is not enabled`, {
+        exchange: this.name
+      });
+    }
+  }
+
+  /**
+   * Convert a normalized symbol into the exchange's own symbol
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+   * @returns {string} Exchange symbol
+   */
+  toExchangeSymbol(symbol) {
+    throw new Error(`${this.displayName} adapter does not implement toExchangeSymbol`);
+  }
+
+  /**
+   * Convert an exchange symbol into a normalized symbol
+   * @param {string} exchangeSymbol - Exchange symbol
+   * @returns {string} Normalized symbol
+   */
+  fromExchangeSymbol(exchangeSymbol) {
+    return splitConcatenatedSymbol(exchangeSymbol) || exchangeSymbol;
+  }
+
+  /**
+   * Get account balances
+   * @returns {Promise<Object>} Balances keyed by normalized asset ({ free, locked, total })
+   */
+  async getBalance() {
+    try {
+      this.ensureEnabled();
+
+      const balances = await this.fetchBalance();
+
+      logger.debug(`Retrieved ${this.displayName} balance`, {
+        currencies: Object.keys(balances)
+      });
+
+      return balances;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to get ${this.displayName} balance`, { error: normalized.message });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Get ticker information for a symbol
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+   * @returns {Promise<Object>} Normalized ticker
+   */
+  async getTicker(symbol) {
+    try {
+      this.ensureEnabled();
+
+      const ticker = await this.fetchTicker(symbol, this.toExchangeSymbol(symbol));
+
+      logger.debug(`Retrieved ${this.displayName} ticker`, { symbol });
+
+      return ticker;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to get ${this.displayName} ticker`, {
+        symbol,
+        error: normalized.message
+      });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Get the order book for a symbol
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+   * @param {number} [depth] - Number of levels per side
+   * @returns {Promise<Object>} Normalized order book ({ exchange, symbol, bids, asks, timestamp }), levels best first as { price, quantity }
+   */
+  async getOrderBook(symbol, depth = 20) {
+    try {
+      this.ensureEnabled();
+
+      const book = await this.fetchOrderBook(symbol, this.toExchangeSymbol(symbol), depth);
+
+      logger.debug(`Retrieved ${this.displayName} order book`, {
+        symbol,
+        bids: book.bids.length,
+        asks: book.asks.length
+      });
+
+      return book;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to get ${this.displayName} order book`, {
+        symbol,
+        error: normalized.message
+      });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Place an order
+   * @param {Object} order - Order request
+   * @param {string} order.symbol - Normalized symbol (e.g. BTC/USDT)
+   * @param {string} order.side - Order side (buy, sell)
+   * @param {string} order.type - Order type (market, limit)
+   * @param {string} order.quantity - Order quantity in base asset
+   * @param {string} [order.price] - Order price (for limit orders)
+   * @returns {Promise<Object>} Normalized order
+   */
+  async placeOrder({ symbol, side, type, quantity, price = null }) {
+    const request = {
+      symbol,
+      side: String(side).toLowerCase(),
+      type: String(type).toLowerCase(),
+      quantity: String(quantity),
+      price: price !== null && price !== undefined ? String(price) : null
+    };
+
+    try {
+      this.ensureEnabled();
+      this.validateOrderRequest(request);
+
+      if (!this.tradingEnabled) {
+        logger.security(`Trading is disabled for ${this.displayName}, simulating ${request.side} order`, request);
+        return this.simulateOrder(request);
+      }
+
+      const order = await this.submitOrder(request, this.toExchangeSymbol(symbol));
+
+      logger.trading(`Placed ${this.displayName} ${request.side} order`, {
+        ...request,
+        orderId: order.id
+      });
+
+      return order;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to place ${this.displayName} ${request.side} order`, {
+        ...request,
+        error: normalized.message
+      });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Place a buy order
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+   * @param {string} type - Order type (market, limit)
+   * @param {string} quantity - Order quantity in base asset
+   * @param {string} [price] - Order price (for limit orders)
+   * @returns {Promise<Object>} Normalized order
+   */
+  async buyOrder(symbol, type, quantity, price = null) {
+    return this.placeOrder({ symbol, side: 'buy', type, quantity, price });
+  }
+
+  /**
+   * Place a sell order
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USDT)
+   * @param {string} type - Order type (market, limit)
+   * @param {string} quantity - Order quantity in base asset
+   * @param {string} [price] - Order price (for limit orders)
+   * @returns {Promise<Object>} Normalized order
+   */
+  async sellOrder(symbol, type, quantity, price = null) {
+    return this.placeOrder({ symbol, side: 'sell', type, quantity, price });
+  }
+
+  /**
+   * Get order status
+   * @param {string} orderId - Order ID
+   * @param {string} symbol - Normalized symbol (required by some exchanges)
+   * @returns {Promise<Object>} Normalized order
+   */
+  async getOrderStatus(orderId, symbol) {
+    try {
+      this.ensureEnabled();
+
+      const order = await this.fetchOrder(orderId, symbol, symbol ? this.toExchangeSymbol(symbol) : null);
+
+      if (!order) {
+        throw new OrderNotFoundError(`Order ${orderId} not found`, { exchange: this.name });
+      }
+
+      logger.debug(`Retrieved ${this.displayName} order status`, { orderId, symbol });
+
+      return order;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to get ${this.displayName} order status`, {
+        orderId,
+        symbol,
+        error: normalized.message
+      });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Cancel an order
+   * @param {string} orderId - Order ID
+   * @param {string} symbol - Normalized symbol (required by some exchanges)
+   * @returns {Promise<Object>} Cancellation result ({ orderId, symbol, canceled })
+   */
+  async cancelOrder(orderId, symbol) {
+    try {
+      this.ensureEnabled();
+
+      if (!this.tradingEnabled) {
+        logger.security(`Trading is disabled for ${this.displayName}, simulating cancel order`, {
+          orderId,
+          symbol
+        });
+
+        return {
+          simulated: true,
+          exchange: this.name,
+          orderId,
+          symbol,
+          canceled: true,
+          timestamp: Date.now()
+        };
+      }
+
+      const canceled = await this.submitCancel(orderId, symbol, symbol ? this.toExchangeSymbol(symbol) : null);
+
+      logger.trading(`Cancelled ${this.displayName} order`, { orderId, symbol });
+
+      return {
+        exchange: this.name,
+        orderId,
+        symbol,
+        canceled,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to cancel ${this.displayName} order`, {
+        orderId,
+        symbol,
+        error: normalized.message
+      });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Poll an order until it is final, cancelling whatever is left unfilled after timeoutMs
+   * @param {Object} order - Normalized order
+   * @param {Object} options - Options
+   * @param {number} options.timeoutMs - How long to wait before cancelling
+   * @param {number} options.pollMs - Delay between status checks
+   * @returns {Promise<Object>} Final normalized order
+   */
+  async waitForOrder(order, { timeoutMs, pollMs }) {
+    const deadline = clock.now() + timeoutMs;
+    let current = order;
+
+    while (!FINAL_STATUSES.includes(current.status)) {
+      if (clock.now() >= deadline) {
+        await this.cancelOrder(current.id, current.symbol);
+        return this.getOrderStatus(current.id, current.symbol);
+      }
+
+      await new Promise(resolve => clock.setTimeout(resolve, pollMs));
+      current = await this.getOrderStatus(current.id, current.symbol);
+    }
+
+    return current;
+  }
+
+  /**
+   * Get open orders
+   * @param {string} [symbol] - Normalized symbol (optional)
+   * @returns {Promise<Array<Object>>} Normalized open orders
+   */
+  async getOpenOrders(symbol = null) {
+    try {
+      this.ensureEnabled();
+
+      const orders = await this.fetchOpenOrders(symbol, symbol ? this.toExchangeSymbol(symbol) : null);
+
+      logger.debug(`Retrieved ${this.displayName} open orders`, {
+        count: orders.length,
+        symbol
+      });
+
+      return orders;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to get ${this.displayName} open orders`, {
+        symbol,
+        error: normalized.message
+      });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Get tradable markets
+   * @returns {Promise<Array<Object>>} Normalized markets ({ symbol, base, quote, exchangeSymbol, ... })
+   */
+  async getMarkets() {
+    try {
+      this.ensureEnabled();
+
+      const markets = await this.fetchMarkets();
+
+      logger.debug(`Retrieved ${this.displayName} markets`, { count: markets.length });
+
+      return markets;
+    } catch (error) {
+      const normalized = this.normalizeError(error);
+      logger.error(`Failed to get ${this.displayName} markets`, { error: normalized.message });
+      throw normalized;
+    }
+  }
+
+  /**
+   * Validate an order request before it is sent
+   * @param {Object} request - Order request
+   */
+  validateOrderRequest(request) {
+    parseSymbol(request.symbol);
+
+    if (!ORDER_SIDES.includes(request.side)) {
+      throw new InvalidOrderError(`Invalid order side ${request.side}`, { exchange: this.name });
+    }
+
+    if (!ORDER_TYPES.includes(request.type)) {
+      throw new InvalidOrderError(`Invalid order type ${request.type}`, { exchange: this.name });
+    }
+
+    if (!(parseFloat(request.quantity) > 0)) {
+      throw new InvalidOrderError(`Invalid order quantity ${request.quantity}`, { exchange: this.name });
+    }
+
+    if (request.type === 'limit' && !(parseFloat(request.price) > 0)) {
+      throw new InvalidOrderError('Limit orders require a positive price', { exchange: this.name });
+    }
+  }
+
+  /**
+   * Build a simulated order for when trading is disabled
+   * @param {Object} request - Order request
+   * @returns {Object} Normalized order
+   */
+  simulateOrder(request) {
+    return this.normalizeOrder({
+      id: `${this.name}-sim-${Date.now()}`,
+      symbol: request.symbol,
+      side: request.side,
+      type: request.type,
+      status: ORDER_STATUS.SIMULATED,
+      quantity: request.quantity,
+      price: request.price,
+      simulated: true
+    });
+  }
+
+  /**
+   * Build a normalized order object
+   * @param {Object} fields - Order fields
+   * @returns {Object} Normalized order
+   */
+  normalizeOrder({
+    id,
+    symbol,
+    side,
+    type,
+    status,
+    quantity,
+    filledQuantity = '0',
+    price = null,
+    averagePrice = null,
+    fee = '0',
+    feeAsset = null,
+    timestamp = Date.now(),
+    simulated = false,
+    raw = null
+  }) {
+    return {
+      id: String(id),
+      exchange: this.name,
+      symbol,
+      side: String(side).toLowerCase(),
+      type: String(type).toLowerCase(),
+      status,
+      quantity: String(quantity),
+      filledQuantity: String(filledQuantity),
+      price: price !== null && price !== undefined ? String(price) : null,
+      averagePrice: averagePrice !== null && averagePrice !== undefined ? String(averagePrice) : null,
+      fee: String(fee),
+      feeAsset,
+      timestamp,
+      simulated,
+      raw
+    };
+  }
+
+  /**
+   * Build a normalized order book
+   * @param {string} symbol - Normalized symbol
+   * @param {Array<Array>} bids - Bid levels as [price, quantity] pairs, best first
+   * @param {Array<Array>} asks - Ask levels as [price, quantity] pairs, best first
+   * @param {number} [timestamp] - Book time in milliseconds
+   * @returns {Object} Normalized order book
+   */
+  normalizeOrderBook(symbol, bids, asks, timestamp = Date.now()) {
+    const toLevel = ([price, quantity]) => ({
+      price: String(price),
+      quantity: quantity !== null && quantity !== undefined ? String(quantity) : null
+    });
+
+    return {
+      exchange: this.name,
+      symbol,
+      bids: bids.map(toLevel),
+      asks: asks.map(toLevel),
+      timestamp
+    };
+  }
+
+  /**
+   * Build a normalized balance entry
+   * @param {string|number} free - Available amount
+   * @param {string|number} locked - Amount held in open orders
+   * @returns {Object} Normalized balance ({ free, locked, total })
+   */
+  normalizeBalance(free, locked = '0') {
+    return {
+      free: String(free),
+      locked: String(locked),
+      total: (parseFloat(free) + parseFloat(locked)).toString()
+    };
+  }
+
+  /**
+   * Map an exchange or transport error onto the common error types
+   * @param {Error} error - Original error
+   * @returns {ExchangeError} Normalized error
+   */
+  normalizeError(error) {
+    if (error instanceof ExchangeError) {
+      return error;
+    }
+
+    const ErrorType = this.classifyError(error) || ExchangeError;
+
+    return new ErrorType(`${this.displayName}: ${error.message}`, {
+      exchange: this.name,
+      code: error.code || null,
+      cause: error
+    });
+  }
+
+  /**
+   * Pick the error type for an exchange error, overridden by adapters
+   * @param {Error} error - Original error
+   * @returns {Function|null} Error class
+   */
+  classifyError(error) {
+    if (['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND'].includes(error.code)) {
+      return NetworkError;
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  ExchangeAdapter,
+  ExchangeError,
+  ExchangeDisabledError,
+  AuthenticationError,
+  InsufficientFundsError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError,
+  NetworkError,
+  ORDER_STATUS,
+  FINAL_STATUSES,
+  normalizeAsset,
+  parseSymbol,
+  formatSymbol,
+  splitConcatenatedSymbol
+};
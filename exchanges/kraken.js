@@ -4,348 +4,362 @@
  */
 
 const KrakenClient = require('kraken-api');
+const WebSocket = require('ws');
 const config = require('../core/config');
 const logger = require('../utils/logger');
+const {
+  ExchangeAdapter,
+  AuthenticationError,
+  InsufficientFundsError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError,
+  ORDER_STATUS,
+  parseSymbol,
+  formatSymbol,
+  normalizeAsset,
+  splitConcatenatedSymbol
+} = require('./exchangeAdapter');
 
-class KrakenExchange {
+// Normalized asset codes that Kraken names differently
+const KRAKEN_ASSETS = {
+  BTC: 'XBT',
+  DOGE: 'XDG'
+};
+
+const DEFAULT_WS_URL = 'wss://ws.kraken.com/v2';
+const WS_RECONNECT_DELAY_MS = 1000;
+
+// Kraken order statuses mapped to normalized statuses
+const STATUS_MAP = {
+  pending: ORDER_STATUS.OPEN,
+  open: ORDER_STATUS.OPEN,
+  closed: ORDER_STATUS.FILLED,
+  canceled: ORDER_STATUS.CANCELED,
+  expired: ORDER_STATUS.EXPIRED
+};
+
+class KrakenExchange extends ExchangeAdapter {
   constructor() {
-    this.enabled = config.get('exchanges.kraken.enabled', false);
-    
+    super('kraken', 'Kraken');
+
     if (!this.enabled) {
       logger.info('Kraken exchange adapter is disabled');
       return;
     }
-    
+
     const apiKey = config.get('exchanges.kraken.apiKey');
     const apiSecret = config.get('exchanges.kraken.apiSecret');
-    
+
     if (!apiKey || !apiSecret) {
       logger.error('Kraken API credentials not configured');
       this.enabled = false;
       return;
     }
-    
+
     this.tradingEnabled = config.get('exchanges.kraken.tradingEnabled', false);
-    this.client = new KrakenClient(apiKey, apiSecret);
-    
+    this.client = this.createClient();
+
     logger.info('Kraken exchange adapter initialized', {
       tradingEnabled: this.tradingEnabled
     });
   }
-  
+
   /**
-   * Get account balance
-   * @returns {Promise<Object>} Account balances
+   * Create the API client, pointed at exchanges.kraken.apiUrl when set (e.g. a mock server)
+   * @returns {KrakenClient} Kraken API client
    */
-  async getBalance() {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      const response = await this.client.api('Balance');
-      logger.debug('Retrieved Kraken balance', { 
-        currencies: Object.keys(response.result) 
-      });
-      
-      return response.result;
-    } catch (error) {
-      logger.error('Failed to get Kraken balance', { error: error.message });
-      throw error;
-    }
+  createClient() {
+    const apiUrl = config.get('exchanges.kraken.apiUrl');
+
+    return new KrakenClient(
+      config.get('exchanges.kraken.apiKey'),
+      config.get('exchanges.kraken.apiSecret'),
+      apiUrl ? { url: apiUrl } : {}
+    );
   }
-  
+
   /**
-   * Get ticker information for a symbol
-   * @param {string} symbol - Trading pair symbol
-   * @returns {Promise<Object>} Ticker information
+   * Convert a normalized symbol into a Kraken pair name
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @returns {string} Kraken pair name (e.g. XBTUSD)
    */
-  async getTicker(symbol) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      const response = await this.client.api('Ticker', { pair: symbol });
-      logger.debug('Retrieved Kraken ticker', { symbol });
-      
-      return response.result[symbol];
-    } catch (error) {
-      logger.error('Failed to get Kraken ticker', { 
-        symbol, 
-        error: error.message 
-      });
-      throw error;
-    }
+  toExchangeSymbol(symbol) {
+    const { base, quote } = parseSymbol(symbol);
+    return `${KRAKEN_ASSETS[base] || base}${KRAKEN_ASSETS[quote] || quote}`;
   }
-  
+
   /**
-   * Place a buy order
-   * @param {string} symbol - Trading pair symbol
-   * @param {string} type - Order type (market, limit)
-   * @param {string} volume - Order volume
-   * @param {string} [price] - Order price (for limit orders)
-   * @returns {Promise<Object>} Order result
+   * Convert a Kraken pair name (XBTUSD or XXBTZUSD) into a normalized symbol
+   * @param {string} exchangeSymbol - Kraken pair name
+   * @returns {string} Normalized symbol
    */
-  async buyOrder(symbol, type, volume, price = null) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      if (!this.tradingEnabled) {
-        logger.security('Trading is disabled for Kraken, simulating buy order', {
-          symbol,
-          type,
-          volume,
-          price
-        });
-        
-        return {
-          simulated: true,
-          symbol,
-          type,
-          volume,
-          price,
-          timestamp: new Date().toISOString()
-        };
-      }
-      
-      const params = {
-        pair: symbol,
-        type: 'buy',
-        ordertype: type,
-        volume
-      };
-      
-      if (type === 'limit' && price) {
-        params.price = price;
-      }
-      
-      const response = await this.client.api('AddOrder', params);
-      
-      logger.trading('Placed Kraken buy order', {
-        symbol,
-        type,
-        volume,
-        price,
-        orderId: response.result.txid
-      });
-      
-      return {
-        orderId: response.result.txid,
-        symbol,
-        type,
-        side: 'buy',
-        volume,
-        price,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      logger.error('Failed to place Kraken buy order', {
-        symbol,
-        type,
-        volume,
-        price,
-        error: error.message
-      });
-      throw error;
+  fromExchangeSymbol(exchangeSymbol) {
+    if (/^X[A-Z]{3}[XZ][A-Z]{3}$/.test(exchangeSymbol)) {
+      return formatSymbol(exchangeSymbol.slice(0, 4), exchangeSymbol.slice(4));
     }
+
+    return splitConcatenatedSymbol(exchangeSymbol) || exchangeSymbol;
   }
-  
-  /**
-   * Place a sell order
-   * @param {string} symbol - Trading pair symbol
-   * @param {string} type - Order type (market, limit)
-   * @param {string} volume - Order volume
-   * @param {string} [price] - Order price (for limit orders)
-   * @returns {Promise<Object>} Order result
-   */
-  async sellOrder(symbol, type, volume, price = null) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      if (!this.tradingEnabled) {
-        logger.security('Trading is disabled for Kraken, simulating sell order', {
-          symbol,
-          type,
-          volume,
-          price
-        });
-        
-        return {
-          simulated: true,
-          symbol,
-          type,
-          volume,
-          price,
-          timestamp: new Date().toISOString()
-        };
-      }
-      
-      const params = {
-        pair: symbol,
-        type: 'sell',
-        ordertype: type,
-        volume
-      };
-      
-      if (type === 'limit' && price) {
-        params.price = price;
+
+  async fetchBalance() {
+    const response = await this.client.api('Balance');
+    const balances = {};
+
+    Object.entries(response.result).forEach(([asset, amount]) => {
+      if (parseFloat(amount) > 0) {
+        // The Balance endpoint does not report funds held by open orders
+        balances[normalizeAsset(asset)] = this.normalizeBalance(amount, '0');
       }
-      
-      const response = await this.client.api('AddOrder', params);
-      
-      logger.trading('Placed Kraken sell order', {
-        symbol,
-        type,
-        volume,
-        price,
-        orderId: response.result.txid
-      });
-      
-      return {
-        orderId: response.result.txid,
-        symbol,
-        type,
-        side: 'sell',
-        volume,
-        price,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      logger.error('Failed to place Kraken sell order', {
-        symbol,
-        type,
-        volume,
-        price,
-        error: error.message
-      });
-      throw error;
-    }
+    });
+
+    return balances;
   }
-  
-  /**
-   * Get order status
-   * @param {string} orderId - Order ID
-   * @returns {Promise<Object>} Order status
-   */
-  async getOrderStatus(orderId) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      const response = await this.client.api('QueryOrders', {
-        txid: orderId
-      });
-      
-      logger.debug('Retrieved Kraken order status', { orderId });
-      
-      return response.result[orderId];
-    } catch (error) {
-      logger.error('Failed to get Kraken order status', {
-        orderId,
-        error: error.message
-      });
-      throw error;
+
+  async fetchTicker(symbol, exchangeSymbol) {
+    const response = await this.client.api('Ticker', { pair: exchangeSymbol });
+
+    // Kraken keys the result by its canonical pair name (e.g. XXBTZUSD), not the requested one
+    const ticker = Object.values(response.result)[0];
+
+    return {
+      exchange: this.name,
+      symbol,
+      price: ticker.c[0],
+      bidPrice: ticker.b[0],
+      bidQty: ticker.b[2],
+      askPrice: ticker.a[0],
+      askQty: ticker.a[2],
+      timestamp: Date.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, exchangeSymbol, depth) {
+    const response = await this.client.api('Depth', { pair: exchangeSymbol, count: depth });
+    const book = Object.values(response.result)[0];
+
+    // Levels are [price, volume, timestamp]
+    return this.normalizeOrderBook(symbol, book.bids, book.asks);
+  }
+
+  async submitOrder(request, exchangeSymbol) {
+    const params = {
+      pair: exchangeSymbol,
+      type: request.side,
+      ordertype: request.type,
+      volume: request.quantity
+    };
+
+    if (request.type === 'limit') {
+      params.price = request.price;
     }
+
+    const response = await this.client.api('AddOrder', params);
+
+    return this.normalizeOrder({
+      id: response.result.txid[0],
+      symbol: request.symbol,
+      side: request.side,
+      type: request.type,
+      status: ORDER_STATUS.OPEN,
+      quantity: request.quantity,
+      price: request.price,
+      raw: response.result
+    });
   }
-  
+
+  async fetchOrder(orderId, symbol) {
+    const response = await this.client.api('QueryOrders', {
+      txid: orderId
+    });
+
+    const order = response.result[orderId];
+
+    return order ? this.toOrder(orderId, order, symbol) : null;
+  }
+
+  async submitCancel(orderId) {
+    const response = await this.client.api('CancelOrder', {
+      txid: orderId
+    });
+
+    return response.result.count > 0;
+  }
+
+  async fetchOpenOrders(symbol) {
+    const response = await this.client.api('OpenOrders');
+
+    return Object.entries(response.result.open)
+      .map(([orderId, order]) => this.toOrder(orderId, order))
+      .filter(order => !symbol || order.symbol === symbol);
+  }
+
+  async fetchMarkets() {
+    const pairs = await this.getTradingPairs();
+
+    return Object.entries(pairs)
+      // Dark pool pairs (suffix .d) cannot be traded through AddOrder
+      .filter(([name]) => !name.endsWith('.d'))
+      .map(([name, pair]) => ({
+        symbol: formatSymbol(pair.base, pair.quote),
+        base: normalizeAsset(pair.base),
+        quote: normalizeAsset(pair.quote),
+        exchangeSymbol: pair.altname || name,
+        minQuantity: pair.ordermin || null,
+        stepSize: pair.lot_decimals !== undefined ? Math.pow(10, -pair.lot_decimals).toFixed(pair.lot_decimals) : null,
+        tickSize: pair.tick_size || (pair.pair_decimals !== undefined ? Math.pow(10, -pair.pair_decimals).toFixed(pair.pair_decimals) : null),
+        minNotional: pair.costmin || null
+      }));
+  }
+
   /**
-   * Cancel an order
-   * @param {string} orderId - Order ID
-   * @returns {Promise<Object>} Cancellation result
+   * Convert a Kraken order into a normalized order
+   * @param {string} orderId - Kraken transaction ID
+   * @param {Object} order - Kraken order info
+   * @param {string} [symbol] - Normalized symbol
+   * @returns {Object} Normalized order
    */
-  async cancelOrder(orderId) {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      if (!this.tradingEnabled) {
-        logger.security('Trading is disabled for Kraken, simulating cancel order', {
-          orderId
-        });
-        
-        return {
-          simulated: true,
-          orderId,
-          timestamp: new Date().toISOString()
-        };
-      }
-      
-      const response = await this.client.api('CancelOrder', {
-        txid: orderId
-      });
-      
-      logger.trading('Cancelled Kraken order', { orderId });
-      
-      return {
-        success: response.result.count > 0,
-        orderId,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      logger.error('Failed to cancel Kraken order', {
-        orderId,
-        error: error.message
-      });
-      throw error;
+  toOrder(orderId, order, symbol = null) {
+    const volumeExecuted = parseFloat(order.vol_exec || '0');
+    let status = STATUS_MAP[order.status] || ORDER_STATUS.OPEN;
+
+    if (status === ORDER_STATUS.OPEN && volumeExecuted > 0) {
+      status = ORDER_STATUS.PARTIALLY_FILLED;
     }
+
+    return this.normalizeOrder({
+      id: orderId,
+      symbol: symbol || this.fromExchangeSymbol(order.descr.pair),
+      side: order.descr.type,
+      type: order.descr.ordertype,
+      status,
+      quantity: order.vol,
+      filledQuantity: order.vol_exec || '0',
+      price: parseFloat(order.descr.price) > 0 ? order.descr.price : null,
+      averagePrice: volumeExecuted > 0 ? order.price : null,
+      fee: order.fee || '0',
+      timestamp: order.opentm ? Math.round(order.opentm * 1000) : Date.now(),
+      raw: order
+    });
   }
-  
-  /**
-   * Get open orders
-   * @returns {Promise<Array>} List of open orders
-   */
-  async getOpenOrders() {
-    try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
-      const response = await this.client.api('OpenOrders');
-      
-      logger.debug('Retrieved Kraken open orders', {
-        count: Object.keys(response.result.open).length
-      });
-      
-      return response.result.open;
-    } catch (error) {
-      logger.error('Failed to get Kraken open orders', {
-        error: error.message
-      });
-      throw error;
+
+  classifyError(error) {
+    const message = error.message || '';
+
+    if (/EOrder:Insufficient funds/i.test(message)) {
+      return InsufficientFundsError;
+    }
+    if (/EOrder:Unknown order|EGeneral:Unknown order/i.test(message)) {
+      return OrderNotFoundError;
+    }
+    if (/Rate limit exceeded|Throttled/i.test(message)) {
+      return RateLimitError;
     }
+    if (/EAPI:Invalid key|EAPI:Invalid signature|EAPI:Invalid nonce|EGeneral:Permission denied/i.test(message)) {
+      return AuthenticationError;
+    }
+    if (/EOrder:|EGeneral:Invalid arguments/i.test(message)) {
+      return InvalidOrderError;
+    }
+
+    return super.classifyError(error);
   }
-  
+
   /**
    * Get trading pairs
-   * @returns {Promise<Array>} List of trading pairs
+   * @returns {Promise<Object>} Kraken asset pairs keyed by pair name
    */
   async getTradingPairs() {
     try {
-      if (!this.enabled) {
-        throw new Error('Kraken exchange adapter is not enabled');
-      }
-      
+      this.ensureEnabled();
+
       const response = await this.client.api('AssetPairs');
-      
+
       logger.debug('Retrieved Kraken trading pairs', {
         count: Object.keys(response.result).length
       });
-      
+
       return response.result;
     } catch (error) {
       logger.error('Failed to get Kraken trading pairs', {
         error: error.message
       });
-      throw error;
+      throw this.normalizeError(error);
     }
   }
+
+  /**
+   * Stream best bid and ask updates for many symbols over the v2 websocket ticker channel,
+   * reconnecting until closed
+   * @param {Array<string>} symbols - Normalized symbols (e.g. ETH/BTC), which match Kraken's v2 names
+   * @param {Function} callback - Called with each top of book ({ exchange, symbol, bidPrice, bidQty, askPrice, askQty, timestamp })
+   * @returns {Function} Function to close the websocket
+   */
+  watchBookTickers(symbols, callback) {
+    if (!this.enabled) {
+      logger.error('Kraken exchange adapter is not enabled');
+      return () => {};
+    }
+
+    const wsUrl = config.get('exchanges.kraken.wsUrl') || DEFAULT_WS_URL;
+    let ws = null;
+    let closed = false;
+    let reconnectTimer = null;
+
+    const connect = () => {
+      ws = new WebSocket(wsUrl);
+
+      ws.on('open', () => {
+        ws.send(JSON.stringify({
+          method: 'subscribe',
+          params: { channel: 'ticker', symbol: symbols, event_trigger: 'bbo' }
+        }));
+      });
+
+      ws.on('message', data => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          logger.warn('Ignoring malformed Kraken websocket message', { error: error.message });
+          return;
+        }
+
+        if (message.channel !== 'ticker' || !Array.isArray(message.data)) {
+          return;
+        }
+
+        message.data.forEach(ticker => callback({
+          exchange: this.name,
+          symbol: ticker.symbol,
+          bidPrice: String(ticker.bid),
+          bidQty: String(ticker.bid_qty),
+          askPrice: String(ticker.ask),
+          askQty: String(ticker.ask_qty),
+          timestamp: Date.now()
+        }));
+      });
+
+      ws.on('error', error => {
+        logger.error('Kraken websocket error', { error: error.message });
+      });
+
+      ws.on('close', () => {
+        if (!closed) {
+          reconnectTimer = setTimeout(connect, WS_RECONNECT_DELAY_MS);
+        }
+      });
+    };
+
+    logger.info('Setting up Kraken book ticker websocket', { symbols: symbols.length });
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      ws.close();
+    };
+  }
 }
 
 module.exports = new KrakenExchange();
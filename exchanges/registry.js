@@ -0,0 +1,92 @@
+/**
+ * Exchange registry for the multi-chain trading bot
+ * Resolves exchange adapters by their `exchanges.*` config key so callers never branch on exchange names
+ */
+
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const { ExchangeError } = require('./exchangeAdapter');
+
+// Adapter modules keyed by their `exchanges.*` config key
+const ADAPTER_MODULES = {
+  kraken: './kraken',
+  binance: './binance',
+  cryptoCom: './cryptoCom',
+  uphold: './uphold'
+};
+
+class ExchangeRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register an adapter, replacing any adapter already registered under the name
+   * @param {string} name - Exchange key (e.g. kraken)
+   * @param {Object} adapter - Adapter implementing the ExchangeAdapter contract
+   */
+  register(name, adapter) {
+    this.adapters.set(name, adapter);
+    logger.debug('Registered exchange adapter', { exchange: name });
+  }
+
+  /**
+   * Remove a registered adapter
+   * @param {string} name - Exchange key
+   */
+  unregister(name) {
+    this.adapters.delete(name);
+  }
+
+  /**
+   * Get the adapter for an exchange, loading the built-in adapter on first use
+   * @param {string} name - Exchange key (e.g. kraken)
+   * @returns {Object} Exchange adapter
+   */
+  get(name) {
+    if (!this.adapters.has(name)) {
+      if (!ADAPTER_MODULES[name]) {
+        throw new ExchangeError(`No exchange adapter registered for ${name}`, { exchange: name });
+      }
+
+      this.adapters.set(name, require(ADAPTER_MODULES[name]));
+    }
+
+    return this.adapters.get(name);
+  }
+
+  /**
+   * Check whether an exchange has an adapter
+   * @param {string} name - Exchange key
+   * @returns {boolean} Whether an adapter is available
+   */
+  has(name) {
+    return this.adapters.has(name) || Boolean(ADAPTER_MODULES[name]);
+  }
+
+  /**
+   * Get the names of all configured exchanges that have an adapter
+   * @returns {Array<string>} Exchange keys
+   */
+  getNames() {
+    const names = new Set([
+      ...Object.keys(config.get('exchanges', {})),
+      ...this.adapters.keys()
+    ]);
+
+    return [...names].filter(name => this.has(name));
+  }
+
+  /**
+   * Get all enabled exchange adapters
+   * @returns {Array<Object>} Enabled adapters
+   */
+  getEnabled() {
+    return this.getNames()
+      .filter(name => this.adapters.has(name) || config.get(`exchanges.${name}.enabled`, false))
+      .map(name => this.get(name))
+      .filter(adapter => adapter.enabled);
+  }
+}
+
+module.exports = new ExchangeRegistry();
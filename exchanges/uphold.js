@@ -0,0 +1,312 @@
+/**
+ * Uphold exchange adapter for the multi-chain trading bot
+ * Handles all interactions with the Uphold API
+ *
+ * Uphold has no order book: trades are instant conversions between the
+ * account's currency cards, so only market orders are supported and orders
+ * never rest as open orders.
+ */
+
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const { requestJson } = require('../utils/httpClient');
+const {
+  ExchangeAdapter,
+  AuthenticationError,
+  InsufficientFundsError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError,
+  ORDER_STATUS,
+  parseSymbol,
+  formatSymbol,
+  normalizeAsset
+} = require('./exchangeAdapter');
+
+const API_URL = 'https://api.uphold.com';
+
+// Uphold transaction statuses mapped to normalized statuses
+const STATUS_MAP = {
+  pending: ORDER_STATUS.OPEN,
+  processing: ORDER_STATUS.OPEN,
+  completed: ORDER_STATUS.FILLED,
+  cancelled: ORDER_STATUS.CANCELED,
+  failed: ORDER_STATUS.REJECTED
+};
+
+class UpholdExchange extends ExchangeAdapter {
+  constructor() {
+    super('uphold', 'Uphold');
+
+    if (!this.enabled) {
+      logger.info('Uphold exchange adapter is disabled');
+      return;
+    }
+
+    // Uphold issues OAuth client credentials; the client ID and secret are stored as the API key and secret
+    this.clientId = config.get('exchanges.uphold.apiKey');
+    this.clientSecret = config.get('exchanges.uphold.apiSecret');
+
+    if (!this.clientId || !this.clientSecret) {
+      logger.error('Uphold API credentials not configured');
+      this.enabled = false;
+      return;
+    }
+
+    this.tradingEnabled = config.get('exchanges.uphold.tradingEnabled', false);
+    this.apiUrl = config.get('exchanges.uphold.apiUrl', API_URL);
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.cards = null;
+
+    logger.info('Uphold exchange adapter initialized', {
+      tradingEnabled: this.tradingEnabled
+    });
+  }
+
+  /**
+   * Convert a normalized symbol into an Uphold pair
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @returns {string} Uphold pair (e.g. BTC-USD)
+   */
+  toExchangeSymbol(symbol) {
+    const { base, quote } = parseSymbol(symbol);
+    return `${base}-${quote}`;
+  }
+
+  fromExchangeSymbol(exchangeSymbol) {
+    const [base, quote] = String(exchangeSymbol).split('-');
+    return quote ? formatSymbol(base, quote) : exchangeSymbol;
+  }
+
+  /**
+   * Get an OAuth access token using the client credentials grant
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const response = await requestJson(`${this.apiUrl}/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    this.accessToken = response.access_token;
+    // Refresh a minute before the token expires
+    this.accessTokenExpiresAt = Date.now() + ((response.expires_in || 3600) - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Call an authenticated API endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /v0/me/cards)
+   * @param {Object} [body] - Request body
+   * @returns {Promise<any>} Response body
+   */
+  async apiCall(method, path, body = null) {
+    const token = await this.getAccessToken();
+
+    return requestJson(`${this.apiUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+      body
+    });
+  }
+
+  /**
+   * Get the account's card IDs keyed by normalized currency
+   * @param {boolean} [refresh] - Whether to reload the cards
+   * @returns {Promise<Object>} Cards keyed by currency
+   */
+  async getCards(refresh = false) {
+    if (!this.cards || refresh) {
+      const cards = await this.apiCall('GET', '/v0/me/cards');
+      this.cards = {};
+
+      cards.forEach(card => {
+        const currency = normalizeAsset(card.currency);
+        // Use the first card per currency, which is the account's default card
+        if (!this.cards[currency]) {
+          this.cards[currency] = card;
+        }
+      });
+    }
+
+    return this.cards;
+  }
+
+  async fetchBalance() {
+    const cards = await this.getCards(true);
+    const balances = {};
+
+    Object.entries(cards).forEach(([currency, card]) => {
+      const total = parseFloat(card.balance);
+
+      if (total > 0) {
+        const available = parseFloat(card.available);
+        balances[currency] = this.normalizeBalance(card.available, (total - available).toString());
+      }
+    });
+
+    return balances;
+  }
+
+  async fetchTicker(symbol, exchangeSymbol) {
+    const ticker = await requestJson(`${this.apiUrl}/v0/ticker/${exchangeSymbol}`);
+    const bid = parseFloat(ticker.bid);
+    const ask = parseFloat(ticker.ask);
+
+    return {
+      exchange: this.name,
+      symbol,
+      // Uphold does not publish a last trade price, use the mid price instead
+      price: ((bid + ask) / 2).toString(),
+      bidPrice: ticker.bid,
+      bidQty: null,
+      askPrice: ticker.ask,
+      askQty: null,
+      timestamp: Date.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, exchangeSymbol) {
+    const ticker = await this.fetchTicker(symbol, exchangeSymbol);
+
+    // Uphold is a broker quoting a single bid and ask with no published size
+    return this.normalizeOrderBook(symbol, [[ticker.bidPrice, null]], [[ticker.askPrice, null]]);
+  }
+
+  validateOrderRequest(request) {
+    super.validateOrderRequest(request);
+
+    if (request.type !== 'market') {
+      throw new InvalidOrderError('Uphold only supports market orders', { exchange: this.name });
+    }
+  }
+
+  async submitOrder(request) {
+    const { base, quote } = parseSymbol(request.symbol);
+    const cards = await this.getCards();
+    const sourceCurrency = request.side === 'buy' ? quote : base;
+    const destinationCurrency = request.side === 'buy' ? base : quote;
+
+    if (!cards[sourceCurrency] || !cards[destinationCurrency]) {
+      throw new InvalidOrderError(`No Uphold card for ${!cards[sourceCurrency] ? sourceCurrency : destinationCurrency}`, {
+        exchange: this.name
+      });
+    }
+
+    // Denominate in the base asset so the quantity means the same thing for buys and sells
+    const transaction = await this.apiCall(
+      'POST',
+      `/v0/me/cards/${cards[sourceCurrency].id}/transactions?commit=true`,
+      {
+        denomination: { amount: request.quantity, currency: base },
+        destination: cards[destinationCurrency].id
+      }
+    );
+
+    return this.toOrder(transaction, request.symbol, request.side);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const transaction = await this.apiCall('GET', `/v0/me/transactions/${orderId}`);
+
+    if (!transaction) {
+      return null;
+    }
+
+    const side = normalizeAsset(transaction.destination.currency) === parseSymbol(symbol).base ? 'buy' : 'sell';
+
+    return this.toOrder(transaction, symbol, side);
+  }
+
+  async submitCancel(orderId) {
+    throw new InvalidOrderError(`Uphold transaction ${orderId} cannot be cancelled once committed`, {
+      exchange: this.name
+    });
+  }
+
+  async fetchOpenOrders() {
+    return [];
+  }
+
+  async fetchMarkets() {
+    const assets = await requestJson(`${this.apiUrl}/v0/assets`);
+
+    return assets
+      .filter(asset => asset.status === 'open' && asset.code !== 'USD')
+      .map(asset => ({
+        symbol: formatSymbol(asset.code, 'USD'),
+        base: normalizeAsset(asset.code),
+        quote: 'USD',
+        exchangeSymbol: `${asset.code}-USD`,
+        minQuantity: null,
+        stepSize: null,
+        tickSize: null,
+        minNotional: null
+      }));
+  }
+
+  /**
+   * Convert an Uphold transaction into a normalized order
+   * @param {Object} transaction - Uphold transaction
+   * @param {string} symbol - Normalized symbol
+   * @param {string} side - Order side (buy, sell)
+   * @returns {Object} Normalized order
+   */
+  toOrder(transaction, symbol, side) {
+    const status = STATUS_MAP[transaction.status] || ORDER_STATUS.OPEN;
+    const quantity = transaction.denomination.amount;
+    const fees = transaction.fees || [];
+
+    return this.normalizeOrder({
+      id: transaction.id,
+      symbol,
+      side,
+      type: 'market',
+      status,
+      quantity,
+      filledQuantity: status === ORDER_STATUS.FILLED ? quantity : '0',
+      averagePrice: status === ORDER_STATUS.FILLED ? transaction.denomination.rate : null,
+      fee: fees.reduce((sum, fee) => sum + parseFloat(fee.amount), 0).toString(),
+      feeAsset: fees.length > 0 ? normalizeAsset(fees[0].currency) : null,
+      timestamp: transaction.createdAt ? Date.parse(transaction.createdAt) : Date.now(),
+      raw: transaction
+    });
+  }
+
+  classifyError(error) {
+    const body = error.body || {};
+    const code = body.code || '';
+
+    if (error.status === 401 || error.status === 403) {
+      return AuthenticationError;
+    }
+    if (error.status === 404) {
+      return OrderNotFoundError;
+    }
+    if (error.status === 429) {
+      return RateLimitError;
+    }
+    if (/insufficient_balance/i.test(JSON.stringify(body.errors || code))) {
+      return InsufficientFundsError;
+    }
+    if (error.status === 400 || code === 'validation_failed') {
+      return InvalidOrderError;
+    }
+
+    return super.classifyError(error);
+  }
+}
+
+module.exports = new UpholdExchange();
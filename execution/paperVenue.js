@@ -0,0 +1,300 @@
+/**
+ * Paper trading venue for the multi-chain trading bot
+ * Tracks virtual balances per chain and exchange and fills orders against
+ * order books, AMM reserves or reference prices with fees and slippage
+ */
+
+const exchanges = require('../exchanges/registry');
+const priceFeed = require('../core/priceFeed');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+/**
+ * Output of a constant-product (Uniswap V2 style) swap
+ * @param {number} amountIn - Input amount
+ * @param {number} reserveIn - Pool reserve of the input asset
+ * @param {number} reserveOut - Pool reserve of the output asset
+ * @param {number} feePercent - Pool fee percentage taken from the input
+ * @returns {number} Output amount
+ */
+function quoteConstantProduct(amountIn, reserveIn, reserveOut, feePercent) {
+  const amountInWithFee = amountIn * (1 - feePercent / 100);
+  return (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee);
+}
+
+class PaperVenue {
+  constructor() {
+    this.balances = new Map();
+    this.fills = [];
+    this.nextFillId = 1;
+    this.ammFeePercent = config.get('paperTrading.ammFeePercent', 0.3);
+    this.takerFeePercent = config.get('paperTrading.takerFeePercent', 0.1);
+    this.bookDepth = config.get('paperTrading.bookDepth', 20);
+
+    this.reset(config.get('paperTrading.balances', {}));
+  }
+
+  /**
+   * Replace all balances and forget previous fills
+   * @param {Object<string, Object<string, string|number>>} balances - Balances keyed by venue then asset
+   */
+  reset(balances = {}) {
+    this.balances.clear();
+    this.fills = [];
+    this.nextFillId = 1;
+
+    Object.entries(balances).forEach(([venue, assets]) => {
+      Object.entries(assets).forEach(([asset, amount]) => this.deposit(venue, asset, amount));
+    });
+  }
+
+  /**
+   * Add funds to a venue
+   * @param {string} venue - Venue (chain or exchange key)
+   * @param {string} asset - Asset
+   * @param {string|number} amount - Amount
+   */
+  deposit(venue, asset, amount) {
+    this.adjust(venue, asset, parseFloat(amount));
+  }
+
+  /**
+   * Get a balance
+   * @param {string} venue - Venue (chain or exchange key)
+   * @param {string} asset - Asset
+   * @returns {string} Balance
+   */
+  getBalance(venue, asset) {
+    const assets = this.balances.get(venue);
+    return ((assets && assets.get(asset)) || 0).toString();
+  }
+
+  /**
+   * Get all balances
+   * @returns {Object<string, Object<string, string>>} Balances keyed by venue then asset
+   */
+  getBalances() {
+    const balances = {};
+
+    this.balances.forEach((assets, venue) => {
+      balances[venue] = {};
+      assets.forEach((amount, asset) => {
+        balances[venue][asset] = amount.toString();
+      });
+    });
+
+    return balances;
+  }
+
+  /**
+   * Get recorded fills
+   * @returns {Array<Object>} Fills
+   */
+  getFills() {
+    return this.fills.map(fill => ({ ...fill }));
+  }
+
+  /**
+   * Swap against constant-product AMM reserves
+   * @param {Object} params - Swap parameters
+   * @param {string} params.venue - Venue (chain key)
+   * @param {string} params.assetIn - Asset sold
+   * @param {string} params.assetOut - Asset bought
+   * @param {string|number} params.amountIn - Amount sold
+   * @param {string|number} params.reserveIn - Pool reserve of the asset sold
+   * @param {string|number} params.reserveOut - Pool reserve of the asset bought
+   * @param {number} [params.feePercent] - Pool fee percentage
+   * @param {string|number} [params.minAmountOut] - Revert below this output, like the router does
+   * @returns {Object} Fill
+   */
+  swapConstantProduct({ venue, assetIn, assetOut, amountIn, reserveIn, reserveOut, feePercent = this.ammFeePercent, minAmountOut = 0 }) {
+    const input = parseFloat(amountIn);
+    const output = quoteConstantProduct(input, parseFloat(reserveIn), parseFloat(reserveOut), feePercent);
+
+    if (output < parseFloat(minAmountOut)) {
+      throw new Error(`Insufficient output amount: ${output} < ${minAmountOut}`);
+    }
+
+    return this.settle({
+      venue,
+      type: 'amm',
+      assetIn,
+      assetOut,
+      amountIn: input,
+      amountOut: output,
+      fee: input * (feePercent / 100),
+      feeAsset: assetIn
+    });
+  }
+
+  /**
+   * Swap at a reference price with a fixed slippage
+   * @param {Object} params - Swap parameters
+   * @param {string} params.venue - Venue (chain key)
+   * @param {string} params.assetIn - Asset sold
+   * @param {string} params.assetOut - Asset bought
+   * @param {string|number} params.amountIn - Amount sold
+   * @param {string|number} params.price - Units of assetOut per unit of assetIn
+   * @param {number} [params.feePercent] - Fee percentage taken from the input
+   * @param {number} [params.slippagePercent] - Price slippage applied against the trader
+   * @returns {Object} Fill
+   */
+  swapAtPrice({ venue, assetIn, assetOut, amountIn, price, feePercent = this.ammFeePercent, slippagePercent = 0 }) {
+    const input = parseFloat(amountIn);
+    const fee = input * (feePercent / 100);
+    const output = (input - fee) * parseFloat(price) * (1 - slippagePercent / 100);
+
+    return this.settle({
+      venue,
+      type: 'price',
+      assetIn,
+      assetOut,
+      amountIn: input,
+      amountOut: output,
+      fee,
+      feeAsset: assetIn
+    });
+  }
+
+  /**
+   * Fill a market order by walking an order book
+   * @param {Object} params - Order parameters
+   * @param {string} params.venue - Venue (exchange key)
+   * @param {string} params.symbol - Normalized symbol (e.g. BTC/USD)
+   * @param {string} params.side - Order side (buy, sell)
+   * @param {string|number} params.quantity - Base asset quantity
+   * @param {Object} params.book - Order book ({ bids: [{ price, quantity }], asks: [...] })
+   * @param {number} [params.feePercent] - Taker fee percentage charged in the quote asset
+   * @param {string|number} [params.limitPrice] - Only fill levels at or better than this price
+   * @returns {Object} Fill
+   */
+  fillOrder({ venue, symbol, side, quantity, book, feePercent = this.takerFeePercent, limitPrice = null }) {
+    const [base, quote] = symbol.split('/');
+    const limit = limitPrice !== null ? parseFloat(limitPrice) : null;
+    const levels = (side === 'buy' ? book.asks : book.bids).filter(level => limit === null ||
+      (side === 'buy' ? parseFloat(level.price) <= limit : parseFloat(level.price) >= limit));
+    let remaining = parseFloat(quantity);
+    let filled = 0;
+    let notional = 0;
+
+    for (const level of levels) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const levelQuantity = level.quantity === null || level.quantity === undefined
+        ? remaining
+        : Math.min(remaining, parseFloat(level.quantity));
+
+      filled += levelQuantity;
+      notional += levelQuantity * parseFloat(level.price);
+      remaining -= levelQuantity;
+    }
+
+    if (filled === 0) {
+      throw new Error(`No ${side === 'buy' ? 'asks' : 'bids'} to fill ${symbol} on ${venue}`);
+    }
+
+    const fee = notional * (feePercent / 100);
+    const fill = side === 'buy'
+      ? { assetIn: quote, assetOut: base, amountIn: notional + fee, amountOut: filled }
+      : { assetIn: base, assetOut: quote, amountIn: filled, amountOut: notional - fee };
+
+    return this.settle({
+      venue,
+      type: 'book',
+      symbol,
+      side,
+      ...fill,
+      fee,
+      feeAsset: quote,
+      price: notional / filled,
+      partial: remaining > 0
+    });
+  }
+
+  /**
+   * Fill an order on an exchange against its live order book, or the price feed's
+   * top of book when the adapter cannot provide one
+   * @param {string} exchange - Exchange key
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @param {string} side - Order side (buy, sell)
+   * @param {string|number} quantity - Base asset quantity
+   * @param {string|number} [limitPrice] - Limit price (market order when omitted)
+   * @returns {Promise<Object>} Fill
+   */
+  async fillExchangeOrder(exchange, symbol, side, quantity, limitPrice = null) {
+    let book;
+
+    try {
+      book = await exchanges.get(exchange).getOrderBook(symbol, this.bookDepth);
+    } catch (error) {
+      logger.warn('Order book unavailable, paper filling at top of book', {
+        exchange,
+        symbol,
+        error: error.message
+      });
+
+      const quote = await priceFeed.getQuote(exchange, symbol);
+      book = {
+        bids: [{ price: quote.bid, quantity: quote.bidQty }],
+        asks: [{ price: quote.ask, quantity: quote.askQty }]
+      };
+    }
+
+    return this.fillOrder({ venue: exchange, symbol, side, quantity, book, limitPrice });
+  }
+
+  /**
+   * Apply a fill to the balances and record it
+   * @param {Object} fill - Fill without id and timestamp
+   * @returns {Object} Recorded fill
+   */
+  settle(fill) {
+    const available = parseFloat(this.getBalance(fill.venue, fill.assetIn));
+
+    // Allow for float rounding when a position sells exactly what it bought
+    if (fill.amountIn > available * (1 + 1e-9)) {
+      throw new Error(`Insufficient paper balance on ${fill.venue}: ${available} ${fill.assetIn} < ${fill.amountIn}`);
+    }
+
+    this.adjust(fill.venue, fill.assetIn, -Math.min(fill.amountIn, available));
+    this.adjust(fill.venue, fill.assetOut, fill.amountOut);
+
+    const recorded = {
+      id: `paper-${this.nextFillId++}`,
+      ...fill,
+      price: fill.price !== undefined ? fill.price : fill.amountOut / fill.amountIn,
+      amountIn: fill.amountIn.toString(),
+      amountOut: fill.amountOut.toString(),
+      fee: fill.fee.toString(),
+      timestamp: clock.date().toISOString()
+    };
+
+    this.fills.push(recorded);
+
+    logger.trading('Paper fill', {
+      id: recorded.id,
+      venue: recorded.venue,
+      assetIn: recorded.assetIn,
+      amountIn: recorded.amountIn,
+      assetOut: recorded.assetOut,
+      amountOut: recorded.amountOut
+    });
+
+    return { ...recorded };
+  }
+
+  adjust(venue, asset, delta) {
+    if (!this.balances.has(venue)) {
+      this.balances.set(venue, new Map());
+    }
+
+    const assets = this.balances.get(venue);
+    assets.set(asset, (assets.get(asset) || 0) + delta);
+  }
+}
+
+module.exports = new PaperVenue();
+module.exports.quoteConstantProduct = quoteConstantProduct;
@@ -0,0 +1,349 @@
+/**
+ * Static bytecode analyzer for the multi-chain trading bot
+ * Disassembles deployed EVM bytecode and reports risky token patterns with stable issue codes
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+const SEVERITY = {
+  INFO: 'info',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+};
+
+const SEVERITY_RANK = {
+  info: 0,
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+// Privileged functions grouped by the issue they raise
+const RISKY_FUNCTIONS = {
+  MINT_FUNCTION: {
+    severity: SEVERITY.HIGH,
+    message: 'Contract can mint new tokens',
+    signatures: [
+      'mint(address,uint256)',
+      'mint(uint256)',
+      'mintTo(address,uint256)',
+      'issue(uint256)'
+    ]
+  },
+  BLACKLIST_FUNCTION: {
+    severity: SEVERITY.HIGH,
+    message: 'Contract can blacklist holders',
+    signatures: [
+      'blacklist(address)',
+      'blacklistAddress(address,bool)',
+      'addToBlacklist(address)',
+      'setBlacklist(address,bool)',
+      'addBlackList(address)',
+      'setBots(address[])',
+      'blockBots(address[])'
+    ]
+  },
+  FEE_SETTER: {
+    severity: SEVERITY.MEDIUM,
+    message: 'Owner can change transfer fees',
+    signatures: [
+      'setFee(uint256)',
+      'setFees(uint256,uint256)',
+      'setTaxFee(uint256)',
+      'setBuyFee(uint256)',
+      'setSellFee(uint256)',
+      'setTax(uint256)',
+      'updateFees(uint256,uint256,uint256)',
+      'updateBuyFees(uint256,uint256,uint256)',
+      'updateSellFees(uint256,uint256,uint256)'
+    ]
+  },
+  TX_LIMIT_SETTER: {
+    severity: SEVERITY.MEDIUM,
+    message: 'Owner can change transaction or wallet limits',
+    signatures: [
+      'setMaxTxAmount(uint256)',
+      'setMaxTxPercent(uint256)',
+      'setMaxWalletSize(uint256)',
+      'updateMaxTxnAmount(uint256)',
+      'updateMaxWalletAmount(uint256)'
+    ]
+  },
+  PAUSABLE: {
+    severity: SEVERITY.HIGH,
+    message: 'Owner can pause transfers or trading',
+    signatures: [
+      'pause()',
+      'unpause()',
+      'setTradingEnabled(bool)',
+      'setTradingActive(bool)'
+    ]
+  },
+  UPGRADEABLE: {
+    severity: SEVERITY.HIGH,
+    message: 'Contract exposes an upgrade function',
+    signatures: [
+      'upgradeTo(address)',
+      'upgradeToAndCall(address,bytes)'
+    ]
+  }
+};
+
+// Functions that only matter while an owner holds them
+const OWNER_GATED_CODES = ['MINT_FUNCTION', 'BLACKLIST_FUNCTION', 'FEE_SETTER', 'TX_LIMIT_SETTER', 'PAUSABLE', 'UPGRADEABLE'];
+
+const OWNER_SELECTOR = ethers.utils.id('owner()').slice(0, 10);
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// EIP-1167 minimal proxy: 363d3d373d3d3d363d73 <20-byte implementation> 5af43d82803e903d91602b57fd5bf3
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const RENOUNCED_OWNERS = [
+  ethers.constants.AddressZero,
+  '0x000000000000000000000000000000000000dEaD'
+].map(address => address.toLowerCase());
+
+const OPCODES = {
+  DELEGATECALL: 0xf4,
+  SELFDESTRUCT: 0xff,
+  PUSH1: 0x60,
+  PUSH32: 0x7f
+};
+
+/**
+ * Strip the Solidity CBOR metadata appended after the runtime code
+ * @param {Buffer} code - Runtime bytecode
+ * @returns {Buffer} Bytecode without metadata
+ */
+function stripMetadata(code) {
+  if (code.length < 2) {
+    return code;
+  }
+
+  const metadataLength = code.readUInt16BE(code.length - 2);
+  const start = code.length - 2 - metadataLength;
+
+  // Metadata is a CBOR map (0xa1-0xa5); anything else means there is none
+  if (start > 0 && code[start] >= 0xa1 && code[start] <= 0xa5) {
+    return code.subarray(0, start);
+  }
+
+  return code;
+}
+
+/**
+ * Walk bytecode instruction by instruction, skipping PUSH data
+ * @param {string} bytecode - Hex bytecode
+ * @returns {Object} Opcodes seen, candidate function selectors and pushed 32-byte words
+ */
+function disassemble(bytecode) {
+  const code = stripMetadata(Buffer.from(bytecode.replace(/^0x/, ''), 'hex'));
+  const opcodes = new Set();
+  const selectors = new Set();
+  const words = new Set();
+
+  for (let pc = 0; pc < code.length; pc++) {
+    const opcode = code[pc];
+    opcodes.add(opcode);
+
+    if (opcode >= OPCODES.PUSH1 && opcode <= OPCODES.PUSH32) {
+      const size = opcode - OPCODES.PUSH1 + 1;
+      const data = code.subarray(pc + 1, pc + 1 + size).toString('hex');
+
+      // Newer compilers push selectors with leading zero bytes as PUSH3 or shorter
+      if (size <= 4) {
+        selectors.add(`0x${data.padStart(8, '0')}`);
+      } else if (size === 32) {
+        words.add(`0x${data}`);
+      }
+
+      pc += size;
+    }
+  }
+
+  return { opcodes, selectors, words };
+}
+
+/**
+ * Build an issue object
+ * @param {string} code - Issue code
+ * @param {string} severity - Issue severity
+ * @param {string} message - Human readable message
+ * @param {Object} [details] - Extra details
+ * @returns {Object} Issue
+ */
+function issue(code, severity, message, details = {}) {
+  return { code, severity, message, ...details };
+}
+
+class BytecodeAnalyzer {
+  /**
+   * Analyze runtime bytecode without touching the network
+   * @param {string} bytecode - Hex runtime bytecode
+   * @param {Object} [context] - Facts gathered from chain state
+   * @param {string|null} [context.owner] - Current owner() value, if the contract has one
+   * @param {string|null} [context.implementation] - Implementation address behind a proxy
+   * @returns {Object} Analysis ({ issues, selectors, isProxy, implementation, ownershipRenounced })
+   */
+  analyze(bytecode, { owner = null, implementation = null } = {}) {
+    if (!bytecode || bytecode === '0x') {
+      return {
+        issues: [issue('NO_CODE', SEVERITY.CRITICAL, 'No contract code at address')],
+        selectors: [],
+        isProxy: false,
+        implementation: null,
+        ownershipRenounced: null
+      };
+    }
+
+    const { opcodes, selectors, words } = disassemble(bytecode);
+    const issues = [];
+
+    const hasOwner = selectors.has(OWNER_SELECTOR);
+    const ownershipRenounced = hasOwner && owner !== null
+      ? RENOUNCED_OWNERS.includes(owner.toLowerCase())
+      : null;
+
+    for (const [code, { severity, message, signatures }] of Object.entries(RISKY_FUNCTIONS)) {
+      const found = signatures.filter(signature => selectors.has(ethers.utils.id(signature).slice(0, 10)));
+
+      if (found.length === 0) {
+        continue;
+      }
+
+      // A renounced owner can no longer call privileged functions
+      const renounced = ownershipRenounced === true && OWNER_GATED_CODES.includes(code);
+      issues.push(issue(
+        code,
+        renounced ? SEVERITY.LOW : severity,
+        renounced ? `${message} (ownership renounced)` : message,
+        { functions: found }
+      ));
+    }
+
+    const minimalProxy = bytecode.match(EIP1167_PATTERN);
+    const eip1967 = words.has(EIP1967_IMPLEMENTATION_SLOT);
+    const isProxy = Boolean(minimalProxy) || eip1967 || Boolean(implementation);
+    const proxyTarget = implementation || (minimalProxy ? ethers.utils.getAddress(`0x${minimalProxy[1]}`) : null);
+
+    if (minimalProxy) {
+      issues.push(issue('MINIMAL_PROXY', SEVERITY.MEDIUM, 'Contract is an EIP-1167 minimal proxy', {
+        implementation: proxyTarget
+      }));
+    } else if (isProxy) {
+      issues.push(issue('UPGRADEABLE_PROXY', SEVERITY.HIGH, 'Contract is an EIP-1967 upgradeable proxy', {
+        implementation: proxyTarget
+      }));
+    } else if (opcodes.has(OPCODES.DELEGATECALL)) {
+      issues.push(issue('DELEGATECALL', SEVERITY.MEDIUM, 'Contract delegates calls to other code'));
+    }
+
+    if (opcodes.has(OPCODES.SELFDESTRUCT)) {
+      issues.push(issue('SELFDESTRUCT', SEVERITY.HIGH, 'Contract can self-destruct'));
+    }
+
+    if (hasOwner && ownershipRenounced === false) {
+      issues.push(issue('OWNERSHIP_NOT_RENOUNCED', SEVERITY.MEDIUM, 'Ownership has not been renounced', {
+        owner
+      }));
+    } else if (hasOwner && ownershipRenounced === null) {
+      issues.push(issue('OWNER_UNKNOWN', SEVERITY.LOW, 'Contract has an owner() that could not be read'));
+    }
+
+    return {
+      issues,
+      selectors: [...selectors].sort(),
+      isProxy,
+      implementation: proxyTarget,
+      ownershipRenounced
+    };
+  }
+
+  /**
+   * Fetch a contract's bytecode and chain state and analyze it
+   * @param {string} address - Contract address
+   * @param {Object} provider - Ethers provider (getCode, getStorageAt, call)
+   * @returns {Promise<Object>} Analysis (see analyze)
+   */
+  async analyzeContract(address, provider) {
+    try {
+      const bytecode = await provider.getCode(address);
+      const owner = await this.readOwner(address, provider);
+      const implementation = await this.readImplementation(address, provider);
+
+      const analysis = this.analyze(bytecode, { owner, implementation });
+
+      // For proxies the risky functions live in the implementation
+      if (analysis.implementation) {
+        const implementationCode = await provider.getCode(analysis.implementation);
+        const implementationAnalysis = this.analyze(implementationCode, { owner });
+
+        implementationAnalysis.issues
+          .filter(({ code }) => !analysis.issues.some(existing => existing.code === code))
+          .forEach(implementationIssue => analysis.issues.push({ ...implementationIssue, source: 'implementation' }));
+      }
+
+      logger.debug('Analyzed contract bytecode', {
+        address,
+        isProxy: analysis.isProxy,
+        issues: analysis.issues.map(({ code }) => code)
+      });
+
+      return analysis;
+    } catch (error) {
+      logger.error('Failed to analyze contract bytecode', {
+        address,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Read owner() if the contract implements it
+   * @param {string} address - Contract address
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<string|null>} Owner address or null
+   */
+  async readOwner(address, provider) {
+    try {
+      const result = await provider.call({ to: address, data: OWNER_SELECTOR });
+      return ethers.utils.defaultAbiCoder.decode(['address'], result)[0];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the EIP-1967 implementation slot
+   * @param {string} address - Contract address
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<string|null>} Implementation address or null
+   */
+  async readImplementation(address, provider) {
+    const slot = await provider.getStorageAt(address, EIP1967_IMPLEMENTATION_SLOT);
+    const implementation = ethers.utils.hexDataSlice(ethers.utils.hexZeroPad(slot, 32), 12);
+
+    return implementation === ethers.constants.AddressZero ? null : ethers.utils.getAddress(implementation);
+  }
+
+  /**
+   * Check whether any issue reaches a severity
+   * @param {Array<Object>} issues - Issues
+   * @param {string} severity - Minimum severity
+   * @returns {boolean} Whether an issue is at or above the severity
+   */
+  hasSeverity(issues, severity) {
+    return issues.some(({ severity: issueSeverity }) => SEVERITY_RANK[issueSeverity] >= SEVERITY_RANK[severity]);
+  }
+}
+
+module.exports = new BytecodeAnalyzer();
+module.exports.SEVERITY = SEVERITY;
+module.exports.disassemble = disassemble;
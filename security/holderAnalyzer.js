@@ -0,0 +1,322 @@
+/**
+ * Token holder analyzer for the multi-chain trading bot
+ * Rebuilds holder balances from a token's Transfer logs around pair creation, measures
+ * concentration, and flags wallets the deployer funded before a snipe is allowed
+ */
+
+const { ethers } = require('ethers');
+const ethereum = require('../core/ethereum');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+const TOKEN_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function owner() view returns (address)"
+];
+
+// Tokens sent here are out of circulation
+const BURN_ADDRESSES = new Set([
+  ethers.constants.AddressZero,
+  '0x000000000000000000000000000000000000dead'
+]);
+
+// Risk points added by each finding; the total is capped at 100
+const RISK_POINTS = {
+  concentratedTop10: 40,
+  deployerHolding: 30,
+  fundedWallet: 15,
+  fundedWalletsMax: 30
+};
+
+const topicAddress = topic => ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12)).toLowerCase();
+
+/**
+ * Share of a supply as a percentage with two decimals
+ * @param {ethers.BigNumber} amount - Amount
+ * @param {ethers.BigNumber} supply - Total supply
+ * @returns {number} Percentage (0-100)
+ */
+function sharePercent(amount, supply) {
+  if (supply.isZero()) {
+    return 0;
+  }
+
+  return amount.mul(10000).div(supply).toNumber() / 100;
+}
+
+class HolderAnalyzer {
+  constructor() {
+    this.preLaunchBlocks = config.get('trading.ethereum.holderAnalysis.preLaunchBlocks', 1000);
+    this.logChunkBlocks = config.get('trading.ethereum.holderAnalysis.logChunkBlocks', 2000);
+    this.fundingLookbackBlocks = config.get('trading.ethereum.holderAnalysis.fundingLookbackBlocks', 100);
+    this.topHolderCount = config.get('trading.ethereum.holderAnalysis.topHolderCount', 10);
+    this.maxTop10Percent = config.get('trading.ethereum.holderAnalysis.maxTop10Percent', 50);
+    this.maxDeployerPercent = config.get('trading.ethereum.holderAnalysis.maxDeployerPercent', 5);
+  }
+
+  /**
+   * Analyze a token's holder distribution
+   * @param {string} tokenAddress - Token address
+   * @param {Object} [options] - Pair context from the new pair event
+   * @param {string} [options.pairAddress] - Uniswap pair address, excluded from holders
+   * @param {number} [options.pairCreatedBlock] - Block the pair was created in
+   * @param {string} [options.pairCreationTx] - Transaction that created the pair; its sender is taken as the deployer
+   * @returns {Promise<Object>} Holder report with riskScore (0-100), reasons and the findings behind them
+   */
+  async analyze(tokenAddress, { pairAddress = null, pairCreatedBlock = null, pairCreationTx = null } = {}) {
+    const report = {
+      tokenAddress,
+      pairAddress,
+      fromBlock: null,
+      toBlock: null,
+      transfers: 0,
+      complete: true,
+      totalSupply: null,
+      holders: 0,
+      topHolders: [],
+      top10Percent: null,
+      deployer: null,
+      deployerPercent: null,
+      fundedWallets: [],
+      riskScore: 0,
+      reasons: [],
+      findings: [],
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (!ethereum.initialized) {
+        throw new Error('Ethereum module not initialized');
+      }
+
+      const provider = ethereum.provider;
+      const latest = await provider.getBlockNumber();
+
+      // Start a little before the pair so the mint and pre-launch distribution are included
+      report.toBlock = latest;
+      report.fromBlock = Math.max(0, (pairCreatedBlock !== null ? pairCreatedBlock : latest) - this.preLaunchBlocks);
+
+      const logs = await this.getTransferLogs(provider, tokenAddress, report.fromBlock, latest);
+      report.transfers = logs.length;
+
+      const { balances, minted, burned, firstMintRecipient, deployerTransfers } = this.replayTransfers(logs);
+
+      // A holder ending below zero held tokens before the window, so the log-derived supply is short
+      report.complete = [...balances.values()].every(balance => !balance.isNegative());
+      const totalSupply = report.complete
+        ? minted.sub(burned)
+        : await new ethers.Contract(tokenAddress, TOKEN_ABI, provider).totalSupply();
+      report.totalSupply = totalSupply.toString();
+
+      report.deployer = await this.findDeployer(provider, tokenAddress, pairCreationTx, firstMintRecipient);
+
+      const excluded = new Set([...BURN_ADDRESSES, ...(pairAddress ? [pairAddress.toLowerCase()] : [])]);
+      const holders = [...balances.entries()]
+        .filter(([address, balance]) => !excluded.has(address) && balance.gt(0))
+        .sort(([, a], [, b]) => (b.gt(a) ? 1 : b.lt(a) ? -1 : 0));
+      report.holders = holders.length;
+
+      const funded = report.deployer
+        ? await this.findFundedWallets(provider, report.deployer, deployerTransfers(report.deployer), latest, report.fromBlock)
+        : new Set();
+
+      report.topHolders = holders.slice(0, this.topHolderCount).map(([address, balance]) => ({
+        address,
+        percent: sharePercent(balance, totalSupply),
+        isDeployer: address === report.deployer,
+        fundedByDeployer: funded.has(address)
+      }));
+      report.top10Percent = sharePercent(
+        holders.slice(0, this.topHolderCount).reduce((sum, [, balance]) => sum.add(balance), ethers.constants.Zero),
+        totalSupply
+      );
+      const deployerBalance = report.deployer ? balances.get(report.deployer) : null;
+      report.deployerPercent = deployerBalance && deployerBalance.gt(0) ? sharePercent(deployerBalance, totalSupply) : 0;
+      report.fundedWallets = holders
+        .map(([address]) => address)
+        .filter(address => funded.has(address));
+
+      this.score(report);
+    } catch (error) {
+      logger.error('Holder analysis failed', {
+        tokenAddress,
+        error: error.message
+      });
+      report.reasons.push(`Holder analysis failed: ${error.message}`);
+      report.findings.push({ code: 'ANALYSIS_FAILED', weight: 100, message: `Holder analysis failed: ${error.message}` });
+      report.riskScore = 100;
+    }
+
+    logger.info('Holder analysis complete', {
+      tokenAddress,
+      holders: report.holders,
+      top10Percent: report.top10Percent,
+      deployer: report.deployer,
+      deployerPercent: report.deployerPercent,
+      fundedWallets: report.fundedWallets.length,
+      riskScore: report.riskScore,
+      reasons: report.reasons
+    });
+
+    return report;
+  }
+
+  /**
+   * Fetch Transfer logs in chunks small enough for public RPC limits
+   * @param {ethers.providers.Provider} provider - Ethereum provider
+   * @param {string} tokenAddress - Token address
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @returns {Promise<Array<Object>>} Logs in chain order
+   */
+  async getTransferLogs(provider, tokenAddress, fromBlock, toBlock) {
+    const logs = [];
+
+    for (let start = fromBlock; start <= toBlock; start += this.logChunkBlocks) {
+      const end = Math.min(toBlock, start + this.logChunkBlocks - 1);
+      logs.push(...await provider.getLogs({
+        address: tokenAddress,
+        topics: [TRANSFER_TOPIC],
+        fromBlock: start,
+        toBlock: end
+      }));
+    }
+
+    return logs;
+  }
+
+  /**
+   * Net every Transfer into per-address balances
+   * @param {Array<Object>} logs - Transfer logs
+   * @returns {Object} { balances, minted, burned, firstMintRecipient, deployerTransfers }
+   */
+  replayTransfers(logs) {
+    const balances = new Map();
+    const transfers = [];
+    let minted = ethers.constants.Zero;
+    let burned = ethers.constants.Zero;
+    let firstMintRecipient = null;
+
+    const add = (address, amount) => {
+      balances.set(address, (balances.get(address) || ethers.constants.Zero).add(amount));
+    };
+
+    logs.forEach(log => {
+      const from = topicAddress(log.topics[1]);
+      const to = topicAddress(log.topics[2]);
+      const value = ethers.BigNumber.from(log.data);
+
+      if (from === ethers.constants.AddressZero) {
+        minted = minted.add(value);
+        firstMintRecipient = firstMintRecipient || to;
+      } else {
+        add(from, value.mul(-1));
+      }
+
+      if (to === ethers.constants.AddressZero) {
+        burned = burned.add(value);
+      }
+      add(to, value);
+
+      transfers.push({ from, to });
+    });
+
+    return {
+      balances,
+      minted,
+      burned,
+      firstMintRecipient,
+      // Wallets the deployer handed tokens to directly
+      deployerTransfers: deployer => transfers.filter(({ from }) => from === deployer).map(({ to }) => to)
+    };
+  }
+
+  /**
+   * The sender of the pair creation, else the first mint recipient, else the token owner
+   * @param {ethers.providers.Provider} provider - Ethereum provider
+   * @param {string} tokenAddress - Token address
+   * @param {string|null} pairCreationTx - Pair creation transaction hash
+   * @param {string|null} firstMintRecipient - Recipient of the first mint
+   * @returns {Promise<string|null>} Deployer address (lowercase)
+   */
+  async findDeployer(provider, tokenAddress, pairCreationTx, firstMintRecipient) {
+    if (pairCreationTx) {
+      const tx = await provider.getTransaction(pairCreationTx);
+      if (tx && tx.from) {
+        return tx.from.toLowerCase();
+      }
+    }
+
+    if (firstMintRecipient) {
+      return firstMintRecipient;
+    }
+
+    try {
+      const owner = await new ethers.Contract(tokenAddress, TOKEN_ABI, provider).owner();
+      return owner.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Wallets the deployer sent tokens or ETH to. ETH funding is found by scanning the
+   * last fundingLookbackBlocks blocks for transactions from the deployer.
+   * @param {ethers.providers.Provider} provider - Ethereum provider
+   * @param {string} deployer - Deployer address
+   * @param {Array<string>} tokenRecipients - Wallets that received tokens from the deployer
+   * @param {number} latest - Latest block
+   * @param {number} fromBlock - First block of the analysis window
+   * @returns {Promise<Set<string>>} Funded wallet addresses (lowercase)
+   */
+  async findFundedWallets(provider, deployer, tokenRecipients, latest, fromBlock) {
+    const funded = new Set(tokenRecipients);
+
+    for (let block = Math.max(fromBlock, latest - this.fundingLookbackBlocks + 1); block <= latest; block++) {
+      const { transactions } = await provider.getBlockWithTransactions(block);
+
+      transactions
+        .filter(tx => tx.from && tx.to && tx.from.toLowerCase() === deployer && ethers.BigNumber.from(tx.value).gt(0))
+        .forEach(tx => funded.add(tx.to.toLowerCase()));
+    }
+
+    return funded;
+  }
+
+  /**
+   * Turn the measurements into findings, reasons and a risk score
+   * @param {Object} report - Holder report
+   */
+  score(report) {
+    const add = (code, weight, message) => {
+      report.reasons.push(message);
+      report.findings.push({ code, weight, message });
+    };
+
+    if (report.top10Percent > this.maxTop10Percent) {
+      add('CONCENTRATED_SUPPLY', RISK_POINTS.concentratedTop10,
+        `Top ${this.topHolderCount} holders own ${report.top10Percent}% (max ${this.maxTop10Percent}%)`);
+    }
+
+    if (report.deployerPercent > this.maxDeployerPercent) {
+      add('DEPLOYER_HOLDING', RISK_POINTS.deployerHolding,
+        `Deployer still holds ${report.deployerPercent}% (max ${this.maxDeployerPercent}%)`);
+    }
+
+    if (report.fundedWallets.length > 0) {
+      add('FUNDED_WALLETS', Math.min(RISK_POINTS.fundedWalletsMax, report.fundedWallets.length * RISK_POINTS.fundedWallet),
+        `${report.fundedWallets.length} holder wallet(s) funded by the deployer`);
+    }
+
+    if (!report.complete) {
+      add('INCOMPLETE_HISTORY', 0, 'Transfers before the analysis window were not replayed');
+    }
+
+    report.riskScore = Math.min(100, report.findings.reduce((sum, { weight }) => sum + weight, 0));
+  }
+}
+
+module.exports = new HolderAnalyzer();
+module.exports.RISK_POINTS = RISK_POINTS;
@@ -0,0 +1,425 @@
+/**
+ * Honeypot simulator for the multi-chain trading bot
+ * Simulates a small buy, transfer and sell of a token against the Uniswap V2 router
+ * and reports taxes, transfer limits and revert reasons before a snipe is allowed
+ */
+
+const { ethers } = require('ethers');
+const ethereum = require('../core/ethereum');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+// Uniswap V2 Router functions used by the simulation
+const ROUTER_ABI = [
+  "function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)",
+  "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)",
+  "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable",
+  "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
+];
+
+const TOKEN_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function transfer(address to, uint256 value) returns (bool)"
+];
+
+// Common getters for transaction and wallet caps on launch tokens
+const LIMIT_GETTERS = {
+  maxTxAmount: ['_maxTxAmount', 'maxTxAmount', 'maxTransactionAmount', 'maxTransaction', '_maxTx'],
+  maxWalletAmount: ['_maxWalletSize', 'maxWalletSize', 'maxWallet', 'maxWalletAmount', '_maxWalletToken', 'maxWalletToken']
+};
+
+const LIMIT_ABI = Object.values(LIMIT_GETTERS)
+  .flat()
+  .map(name => `function ${name}() view returns (uint256)`);
+
+// Selector of the standard Error(string) revert payload
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+/**
+ * Extract a revert reason from an ethers error
+ * @param {Error} error - Error thrown by a call or transaction
+ * @returns {string} Revert reason
+ */
+function extractRevertReason(error) {
+  const data = error.data || (error.error && error.error.data) || null;
+
+  if (typeof data === 'string' && data.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+    } catch (decodeError) {
+      // Fall through to the error message
+    }
+  }
+
+  if (error.reason) {
+    return error.reason;
+  }
+
+  if (error.error && error.error.message) {
+    return error.error.message;
+  }
+
+  return error.message;
+}
+
+/**
+ * Percentage of an expected amount that was not received
+ * @param {ethers.BigNumber} expected - Expected amount
+ * @param {ethers.BigNumber} received - Received amount
+ * @returns {number} Tax percentage (0-100)
+ */
+function taxPercent(expected, received) {
+  if (expected.isZero()) {
+    return 100;
+  }
+
+  const lost = expected.sub(received);
+
+  if (lost.lte(0)) {
+    return 0;
+  }
+
+  // Basis points keep two decimals without overflowing a JS number
+  return lost.mul(10000).div(expected).toNumber() / 100;
+}
+
+class HoneypotSimulator {
+  constructor() {
+    this.forkUrl = config.get('trading.ethereum.simulationForkUrl', null);
+    this.simulationAmount = config.get(
+      'trading.ethereum.honeypotSimulationAmount',
+      config.get('trading.ethereum.snipeAmount', '0.1')
+    );
+    this.maxBuyTaxPercent = config.get('trading.ethereum.maxBuyTaxPercent', 10);
+    this.maxSellTaxPercent = config.get('trading.ethereum.maxSellTaxPercent', 10);
+    this.maxTransferTaxPercent = config.get('trading.ethereum.maxTransferTaxPercent', 10);
+    this.requireSellSimulation = config.get('trading.ethereum.requireSellSimulation', true);
+    this.forkProvider = null;
+    this.forkMethodPrefix = null;
+  }
+
+  /**
+   * Simulate buying and selling a token and build a risk report
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<Object>} Risk report
+   */
+  async simulate(tokenAddress) {
+    const report = {
+      tokenAddress,
+      mode: this.forkUrl ? 'fork' : 'eth_call',
+      amountIn: this.simulationAmount,
+      buy: null,
+      transfer: null,
+      sell: null,
+      limits: {},
+      buyTaxPercent: null,
+      sellTaxPercent: null,
+      transferTaxPercent: null,
+      isHoneypot: false,
+      blocked: false,
+      reasons: [],
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (!ethereum.initialized) {
+        throw new Error('Ethereum module not initialized');
+      }
+
+      logger.info('Simulating token buy and sell', {
+        tokenAddress,
+        mode: report.mode,
+        amountIn: this.simulationAmount
+      });
+
+      report.limits = await this.getTransferLimits(tokenAddress, ethereum.provider);
+
+      if (this.forkUrl) {
+        await this.simulateOnFork(tokenAddress, report);
+      } else {
+        await this.simulateWithCall(tokenAddress, report);
+      }
+    } catch (error) {
+      logger.error('Token simulation failed', {
+        tokenAddress,
+        error: error.message
+      });
+      report.reasons.push(`Simulation failed: ${error.message}`);
+      report.blocked = true;
+    }
+
+    this.applyThresholds(report);
+
+    const logContext = {
+      tokenAddress,
+      mode: report.mode,
+      buyTaxPercent: report.buyTaxPercent,
+      sellTaxPercent: report.sellTaxPercent,
+      transferTaxPercent: report.transferTaxPercent,
+      reasons: report.reasons
+    };
+
+    if (report.blocked) {
+      logger.security('Token simulation blocked snipe', logContext);
+    } else {
+      logger.info('Token simulation passed', logContext);
+    }
+
+    return report;
+  }
+
+  /**
+   * Buy, transfer and sell on a local fork (anvil or hardhat) reset to the latest block
+   * @param {string} tokenAddress - Token address
+   * @param {Object} report - Risk report to fill in
+   */
+  async simulateOnFork(tokenAddress, report) {
+    const provider = await this.resetFork();
+    const weth = ethereum.addresses.weth;
+    const router = new ethers.Contract(ethereum.addresses.uniswapRouter, ROUTER_ABI, provider);
+    const token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    const amountIn = ethers.utils.parseEther(String(this.simulationAmount));
+    const deadline = Math.floor(Date.now() / 1000) + 600;
+
+    // Fresh accounts so no existing whitelist or blacklist entry skews the result
+    const trader = ethers.Wallet.createRandom().address;
+    const recipient = ethers.Wallet.createRandom().address;
+
+    await provider.send(`${this.forkMethodPrefix}_setBalance`, [
+      trader,
+      ethers.utils.hexValue(amountIn.mul(10))
+    ]);
+    await provider.send(`${this.forkMethodPrefix}_impersonateAccount`, [trader]);
+    const signer = provider.getSigner(trader);
+
+    // Buy
+    const expectedTokens = (await router.getAmountsOut(amountIn, [weth, tokenAddress]))[1];
+    report.buy = await this.runStep(async () => {
+      const tx = await router.connect(signer).swapExactETHForTokensSupportingFeeOnTransferTokens(
+        0,
+        [weth, tokenAddress],
+        trader,
+        deadline,
+        { value: amountIn }
+      );
+      const receipt = await tx.wait();
+      const received = await token.balanceOf(trader);
+
+      return {
+        expectedAmount: expectedTokens.toString(),
+        receivedAmount: received.toString(),
+        taxPercent: taxPercent(expectedTokens, received),
+        gasUsed: receipt.gasUsed.toString()
+      };
+    });
+
+    if (!report.buy.success) {
+      return;
+    }
+    report.buyTaxPercent = report.buy.taxPercent;
+
+    // Transfer a tenth of the bought tokens to a second wallet
+    const bought = ethers.BigNumber.from(report.buy.receivedAmount);
+    const transferAmount = bought.div(10);
+    report.transfer = await this.runStep(async () => {
+      const tx = await token.connect(signer).transfer(recipient, transferAmount);
+      await tx.wait();
+      const received = await token.balanceOf(recipient);
+
+      return {
+        expectedAmount: transferAmount.toString(),
+        receivedAmount: received.toString(),
+        taxPercent: taxPercent(transferAmount, received)
+      };
+    });
+
+    if (report.transfer.success) {
+      report.transferTaxPercent = report.transfer.taxPercent;
+    }
+
+    // Sell everything left
+    const sellAmount = await token.balanceOf(trader);
+    report.sell = await this.runStep(async () => {
+      const approveTx = await token.connect(signer).approve(ethereum.addresses.uniswapRouter, sellAmount);
+      await approveTx.wait();
+
+      const expectedEth = (await router.getAmountsOut(sellAmount, [tokenAddress, weth]))[1];
+      const balanceBefore = await provider.getBalance(trader);
+      const tx = await router.connect(signer).swapExactTokensForETHSupportingFeeOnTransferTokens(
+        sellAmount,
+        0,
+        [tokenAddress, weth],
+        trader,
+        deadline
+      );
+      const receipt = await tx.wait();
+      const balanceAfter = await provider.getBalance(trader);
+
+      // Add back the gas the sell itself cost to isolate what the swap paid out
+      const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice || tx.gasPrice || 0);
+      const received = balanceAfter.sub(balanceBefore).add(gasCost);
+
+      return {
+        expectedAmount: expectedEth.toString(),
+        receivedAmount: received.toString(),
+        taxPercent: taxPercent(expectedEth, received),
+        gasUsed: receipt.gasUsed.toString()
+      };
+    });
+
+    if (report.sell.success) {
+      report.sellTaxPercent = report.sell.taxPercent;
+    }
+  }
+
+  /**
+   * Simulate the buy with eth_call against the live node. A sell cannot be
+   * simulated this way because the caller holds no tokens yet.
+   * @param {string} tokenAddress - Token address
+   * @param {Object} report - Risk report to fill in
+   */
+  async simulateWithCall(tokenAddress, report) {
+    const weth = ethereum.addresses.weth;
+    const router = new ethers.Contract(ethereum.addresses.uniswapRouter, ROUTER_ABI, ethereum.provider);
+    const amountIn = ethers.utils.parseEther(String(this.simulationAmount));
+    // Without a wallet, call from the zero address, which holds plenty of burned ETH
+    const from = ethereum.wallet ? await ethereum.wallet.getAddress() : ethers.constants.AddressZero;
+    const deadline = Math.floor(Date.now() / 1000) + 600;
+
+    report.buy = await this.runStep(async () => {
+      const amounts = await router.callStatic.swapExactETHForTokens(
+        0,
+        [weth, tokenAddress],
+        from,
+        deadline,
+        { value: amountIn, from }
+      );
+
+      return {
+        expectedAmount: amounts[1].toString(),
+        receivedAmount: null,
+        taxPercent: null
+      };
+    });
+  }
+
+  /**
+   * Run a simulation step, capturing its revert reason instead of throwing
+   * @param {Function} step - Async step returning the step result
+   * @returns {Promise<Object>} Step result with success flag
+   */
+  async runStep(step) {
+    try {
+      return { success: true, revertReason: null, ...(await step()) };
+    } catch (error) {
+      return { success: false, revertReason: extractRevertReason(error) };
+    }
+  }
+
+  /**
+   * Read transaction and wallet caps exposed by the token
+   * @param {string} tokenAddress - Token address
+   * @param {Object} provider - Ethers provider
+   * @returns {Promise<Object>} Limits in raw token units and as a share of supply
+   */
+  async getTransferLimits(tokenAddress, provider) {
+    const token = new ethers.Contract(tokenAddress, [...TOKEN_ABI, ...LIMIT_ABI], provider);
+    const limits = {
+      maxTxAmount: null,
+      maxTxPercent: null,
+      maxWalletAmount: null,
+      maxWalletPercent: null
+    };
+
+    let totalSupply;
+    try {
+      totalSupply = await token.totalSupply();
+    } catch (error) {
+      return limits;
+    }
+
+    for (const [limit, getters] of Object.entries(LIMIT_GETTERS)) {
+      for (const getter of getters) {
+        try {
+          const value = await token[getter]();
+          limits[limit] = value.toString();
+
+          if (!totalSupply.isZero()) {
+            const percentKey = limit.replace('Amount', 'Percent');
+            limits[percentKey] = value.mul(10000).div(totalSupply).toNumber() / 100;
+          }
+          break;
+        } catch (error) {
+          // Getter not implemented by this token, try the next name
+        }
+      }
+    }
+
+    return limits;
+  }
+
+  /**
+   * Decide whether the simulated results should block a snipe
+   * @param {Object} report - Risk report
+   */
+  applyThresholds(report) {
+    if (report.buy && !report.buy.success) {
+      report.reasons.push(`Buy reverted: ${report.buy.revertReason}`);
+    }
+
+    if (report.sell && !report.sell.success) {
+      report.isHoneypot = true;
+      report.reasons.push(`Sell reverted: ${report.sell.revertReason}`);
+    }
+
+    if (report.transfer && !report.transfer.success) {
+      report.reasons.push(`Transfer reverted: ${report.transfer.revertReason}`);
+    }
+
+    if (report.buyTaxPercent !== null && report.buyTaxPercent > this.maxBuyTaxPercent) {
+      report.reasons.push(`Buy tax ${report.buyTaxPercent}% exceeds ${this.maxBuyTaxPercent}%`);
+    }
+
+    if (report.sellTaxPercent !== null && report.sellTaxPercent > this.maxSellTaxPercent) {
+      // A sell that returns almost nothing is a honeypot in all but name
+      if (report.sellTaxPercent >= 90) {
+        report.isHoneypot = true;
+      }
+      report.reasons.push(`Sell tax ${report.sellTaxPercent}% exceeds ${this.maxSellTaxPercent}%`);
+    }
+
+    if (report.transferTaxPercent !== null && report.transferTaxPercent > this.maxTransferTaxPercent) {
+      report.reasons.push(`Transfer tax ${report.transferTaxPercent}% exceeds ${this.maxTransferTaxPercent}%`);
+    }
+
+    if (report.mode === 'eth_call' && this.requireSellSimulation) {
+      report.reasons.push('Sell could not be simulated (no fork configured)');
+    }
+
+    report.blocked = report.reasons.length > 0;
+  }
+
+  /**
+   * Reset the fork to the latest upstream block and detect its RPC namespace
+   * @returns {Promise<Object>} Fork provider
+   */
+  async resetFork() {
+    if (!this.forkProvider) {
+      this.forkProvider = new ethers.providers.JsonRpcProvider(this.forkUrl);
+
+      const clientVersion = await this.forkProvider.send('web3_clientVersion', []);
+      this.forkMethodPrefix = /anvil/i.test(clientVersion) ? 'anvil' : 'hardhat';
+    }
+
+    // Reset to the chain head so pairs created after the fork started are present
+    const upstreamUrl = ethereum.provider.connection.url;
+    const resetParams = upstreamUrl ? [{ forking: { jsonRpcUrl: upstreamUrl } }] : [];
+    await this.forkProvider.send(`${this.forkMethodPrefix}_reset`, resetParams);
+
+    return this.forkProvider;
+  }
+}
+
+module.exports = new HoneypotSimulator();
@@ -0,0 +1,372 @@
+/**
+ * Encrypted keystore for private keys and exchange API secrets
+ * Each secret is sealed in a versioned envelope: AES-256-GCM under a key derived from the
+ * keystore passphrase with scrypt (or PBKDF2), with its own salt and IV and the secret's name
+ * as additional authenticated data, so an envelope cannot be edited or moved to another name
+ * without failing to decrypt. Secrets carry a label and the date they were last rotated, and
+ * are listed as due for rotation after security.keystore.rotationDays.
+ *
+ * Config values of the form keystore:<name> are resolved through this module when read (see
+ * core/config.js); the keystore is then opened with the KEYSTORE_PASSPHRASE environment
+ * variable. Secrets are managed with security/keystoreCli.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+const ENVELOPE_VERSION = 1;
+const FILE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const REFERENCE_PREFIX = 'keystore:';
+
+class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeystoreError';
+  }
+}
+
+/**
+ * Key derivation parameters for a new envelope
+ * @param {string} name - Key derivation function (scrypt, pbkdf2)
+ * @returns {Object} Parameters, with a fresh salt
+ */
+function createKdf(name) {
+  const salt = crypto.randomBytes(16).toString('base64');
+
+  if (name === 'scrypt') {
+    return { name, salt, N: config.get('security.keystore.scryptCost', 32768), r: 8, p: 1 };
+  }
+  if (name === 'pbkdf2') {
+    return { name, salt, iterations: config.get('security.keystore.pbkdf2Iterations', 600000), digest: 'sha256' };
+  }
+
+  throw new KeystoreError(`Unsupported key derivation function: ${name}`);
+}
+
+/**
+ * Derive the envelope key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - Key derivation parameters from the envelope
+ * @returns {Buffer} 32 byte key
+ */
+function deriveKey(passphrase, kdf) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+
+  if (kdf.name === 'scrypt') {
+    return crypto.scryptSync(passphrase, salt, KEY_LENGTH, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    });
+  }
+  if (kdf.name === 'pbkdf2') {
+    return crypto.pbkdf2Sync(passphrase, salt, kdf.iterations, KEY_LENGTH, kdf.digest);
+  }
+
+  throw new KeystoreError(`Unsupported key derivation function: ${kdf.name}`);
+}
+
+/**
+ * Seal a value in a versioned envelope
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [options] - Options
+ * @param {string} [options.kdf] - Key derivation function (defaults to security.keystore.kdf)
+ * @param {string} [options.aad] - Additional authenticated data, e.g. the secret's name
+ * @param {Function} [options.keyFor] - Key lookup for the derivation parameters (lets a caller cache keys)
+ * @returns {Object} Envelope ({ version, cipher, kdf, iv, tag, ciphertext })
+ */
+function encrypt(plaintext, passphrase, { kdf = config.get('security.keystore.kdf', 'scrypt'), aad = null, keyFor = null } = {}) {
+  const params = createKdf(kdf);
+  const key = keyFor ? keyFor(params) : deriveKey(passphrase, params);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+
+  if (aad !== null) {
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER,
+    kdf: params,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Open a versioned envelope
+ * @param {Object} envelope - Envelope from encrypt
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [options] - Options
+ * @param {string} [options.aad] - Additional authenticated data the envelope was sealed with
+ * @param {Function} [options.keyFor] - Key lookup for the derivation parameters
+ * @returns {string} Plaintext
+ */
+function decrypt(envelope, passphrase, { aad = null, keyFor = null } = {}) {
+  if (!envelope || envelope.version !== ENVELOPE_VERSION || envelope.cipher !== CIPHER) {
+    throw new KeystoreError(`Unsupported envelope version ${envelope && envelope.version}`);
+  }
+
+  const key = keyFor ? keyFor(envelope.kdf) : deriveKey(passphrase, envelope.kdf);
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+
+  if (aad !== null) {
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new KeystoreError('Wrong passphrase or tampered envelope');
+  }
+}
+
+class Keystore {
+  constructor() {
+    this.filePath = null;
+    this.passphrase = null;
+    this.secrets = {};
+    this.keys = new Map();
+    this.opened = false;
+  }
+
+  /**
+   * Open the keystore file, creating an empty keystore if it does not exist yet
+   * @param {Object} [options] - Options
+   * @param {string} [options.filePath] - Keystore file (defaults to security.keystore.path, then <dataDir>/keystore.json)
+   * @param {string} [options.passphrase] - Passphrase (defaults to KEYSTORE_PASSPHRASE)
+   * @returns {Keystore} This keystore
+   */
+  open({ filePath = null, passphrase = process.env.KEYSTORE_PASSPHRASE } = {}) {
+    const targetPath = filePath || config.get('security.keystore.path', null) ||
+      path.join(config.get('storage.dataDir', 'data'), 'keystore.json');
+
+    if (!passphrase) {
+      throw new KeystoreError('No keystore passphrase; set KEYSTORE_PASSPHRASE');
+    }
+
+    let secrets = {};
+
+    if (fs.existsSync(targetPath)) {
+      const contents = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
+
+      if (contents.version !== FILE_VERSION) {
+        throw new KeystoreError(`Unsupported keystore version ${contents.version} in ${targetPath}`);
+      }
+      secrets = contents.secrets || {};
+    }
+
+    this.close();
+    this.filePath = targetPath;
+    this.passphrase = passphrase;
+    this.secrets = secrets;
+
+    // Every envelope shares the passphrase, so opening one proves it
+    const [first] = Object.keys(secrets);
+    if (first) {
+      try {
+        this.get(first);
+      } catch (error) {
+        this.close();
+        throw error;
+      }
+    }
+
+    this.opened = true;
+
+    this.list()
+      .filter(({ rotationDue }) => rotationDue)
+      .forEach(({ name, label, rotatedAt }) => {
+        logger.security('Keystore secret is due for rotation', { name, label, rotatedAt });
+      });
+
+    logger.info('Keystore opened', {
+      filePath: targetPath,
+      secrets: Object.keys(secrets).length
+    });
+
+    return this;
+  }
+
+  /**
+   * Forget the passphrase and derived keys
+   */
+  close() {
+    this.filePath = null;
+    this.passphrase = null;
+    this.secrets = {};
+    this.keys.clear();
+    this.opened = false;
+  }
+
+  /**
+   * Add a secret
+   * @param {string} name - Secret name, e.g. kraken.apiSecret
+   * @param {string} value - Secret value
+   * @param {Object} [options] - Options
+   * @param {string} [options.label] - Description shown by list
+   * @returns {Object} Secret metadata (see list)
+   */
+  add(name, value, { label = name } = {}) {
+    this.requireOpen();
+
+    if (this.secrets[name]) {
+      throw new KeystoreError(`Secret ${name} already exists; rotate it instead`);
+    }
+
+    const now = clock.date().toISOString();
+
+    this.secrets[name] = { label, createdAt: now, rotatedAt: now, envelope: this.seal(name, value) };
+    this.save();
+
+    logger.security('Keystore secret added', { name, label });
+
+    return this.describe(name);
+  }
+
+  /**
+   * Replace a secret's value and restart its rotation period
+   * @param {string} name - Secret name
+   * @param {string} value - New value
+   * @returns {Object} Secret metadata (see list)
+   */
+  rotate(name, value) {
+    this.requireSecret(name);
+
+    this.secrets[name] = {
+      ...this.secrets[name],
+      rotatedAt: clock.date().toISOString(),
+      envelope: this.seal(name, value)
+    };
+    this.save();
+
+    logger.security('Keystore secret rotated', { name, label: this.secrets[name].label });
+
+    return this.describe(name);
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} name - Secret name
+   */
+  remove(name) {
+    this.requireSecret(name);
+
+    delete this.secrets[name];
+    this.save();
+
+    logger.security('Keystore secret removed', { name });
+  }
+
+  /**
+   * Decrypt a secret
+   * @param {string} name - Secret name
+   * @returns {string} Secret value
+   */
+  get(name) {
+    if (!this.passphrase) {
+      throw new KeystoreError('Keystore is not open');
+    }
+    if (!this.secrets[name]) {
+      throw new KeystoreError(`No secret named ${name} in the keystore`);
+    }
+
+    return decrypt(this.secrets[name].envelope, this.passphrase, { aad: name, keyFor: kdf => this.keyFor(kdf) });
+  }
+
+  /**
+   * Secrets without their values
+   * @returns {Array<Object>} { name, label, createdAt, rotatedAt, rotateBy, rotationDue }
+   */
+  list() {
+    this.requireOpen();
+
+    return Object.keys(this.secrets).sort().map(name => this.describe(name));
+  }
+
+  /**
+   * Resolve a keystore:<name> config reference, opening the keystore from config and
+   * KEYSTORE_PASSPHRASE on first use
+   * @param {string} reference - Reference, e.g. keystore:kraken.apiSecret
+   * @returns {string} Secret value
+   */
+  resolveReference(reference) {
+    if (!this.opened) {
+      this.open();
+    }
+
+    return this.get(reference.slice(REFERENCE_PREFIX.length));
+  }
+
+  describe(name) {
+    const { label, createdAt, rotatedAt } = this.secrets[name];
+    const rotateBy = new Date(Date.parse(rotatedAt) + config.get('security.keystore.rotationDays', 90) * 86400000);
+
+    return { name, label, createdAt, rotatedAt, rotateBy: rotateBy.toISOString(), rotationDue: clock.now() >= rotateBy.getTime() };
+  }
+
+  seal(name, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new KeystoreError(`Secret ${name} needs a non-empty value`);
+    }
+
+    return encrypt(value, this.passphrase, { aad: name, keyFor: kdf => this.keyFor(kdf) });
+  }
+
+  /**
+   * Derived key for an envelope's parameters, cached so each salt is derived once per process
+   * @param {Object} kdf - Key derivation parameters
+   * @returns {Buffer} Key
+   */
+  keyFor(kdf) {
+    const cacheKey = JSON.stringify(kdf);
+
+    if (!this.keys.has(cacheKey)) {
+      this.keys.set(cacheKey, deriveKey(this.passphrase, kdf));
+    }
+
+    return this.keys.get(cacheKey);
+  }
+
+  requireOpen() {
+    if (!this.opened) {
+      throw new KeystoreError('Keystore is not open');
+    }
+  }
+
+  requireSecret(name) {
+    this.requireOpen();
+
+    if (!this.secrets[name]) {
+      throw new KeystoreError(`No secret named ${name} in the keystore`);
+    }
+  }
+
+  /**
+   * Write the keystore through a temporary file, readable by the owner only
+   */
+  save() {
+    writeFileAtomic(this.filePath, JSON.stringify({ version: FILE_VERSION, secrets: this.secrets }, null, 2), { mode: 0o600 });
+  }
+}
+
+module.exports = new Keystore();
+module.exports.Keystore = Keystore;
+module.exports.KeystoreError = KeystoreError;
+module.exports.REFERENCE_PREFIX = REFERENCE_PREFIX;
+module.exports.encrypt = encrypt;
+module.exports.decrypt = decrypt;
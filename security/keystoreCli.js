@@ -0,0 +1,155 @@
+/**
+ * Command line entry point for the keystore
+ *
+ * Usage: node security/keystoreCli.js <add|list|rotate|remove> [name] [--label <label>] [--file <keystore.json>]
+ *
+ * The keystore is unlocked with KEYSTORE_PASSPHRASE. Secret values for add and rotate are read
+ * from standard input so they never appear in the shell history, e.g.
+ *   node security/keystoreCli.js add kraken.apiSecret --label "Kraken trading key" < kraken.secret
+ * and are then referenced from the environment as KRAKEN_API_SECRET=keystore:kraken.apiSecret
+ */
+
+const readline = require('readline');
+
+// Keep the keystore's own logging out of the command output unless asked for
+if (require.main === module) {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+}
+
+const keystore = require('./keystore');
+
+const COMMANDS = ['add', 'list', 'rotate', 'remove'];
+const USAGE = 'Usage: node security/keystoreCli.js <add|list|rotate|remove> [name] [--label <label>] [--file <keystore.json>]';
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Command, secret name, label and keystore path
+ */
+function parseArgs(args) {
+  const positional = [];
+  let label = null;
+  let filePath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const value = args[++i];
+
+    if (value === undefined) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+
+    if (arg === '--label') {
+      label = value;
+    } else if (arg === '--file') {
+      filePath = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  const [command, name = null] = positional;
+
+  if (!COMMANDS.includes(command) || (command !== 'list' && !name)) {
+    throw new Error(USAGE);
+  }
+
+  return { command, name, label, filePath };
+}
+
+/**
+ * Read a secret value from standard input: the first line when typed, everything when piped.
+ * A typed value is not echoed.
+ * @param {stream.Readable} [input] - Input stream
+ * @param {stream.Writable} [output] - Stream the prompt is written to
+ * @returns {Promise<string>} Value without its trailing newline
+ */
+function readValue(input = process.stdin, output = process.stderr) {
+  if (input.isTTY) {
+    const prompt = readline.createInterface({ input, output, terminal: true });
+    let muted = false;
+
+    // Write the prompt, then nothing of what is typed
+    prompt._writeToOutput = text => {
+      if (!muted) {
+        output.write(text);
+      }
+    };
+
+    return new Promise(resolve => {
+      prompt.question('Secret value: ', answer => {
+        prompt.close();
+        // The muted line never got its newline
+        output.write('\n');
+        resolve(answer);
+      });
+      muted = true;
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+    input.setEncoding('utf8');
+    input.on('data', chunk => { value += chunk; });
+    input.on('end', () => resolve(value.replace(/\r?\n$/, '')));
+    input.on('error', reject);
+  });
+}
+
+/**
+ * One line per secret; values are never printed
+ * @param {Object} secret - Secret metadata from keystore.list
+ * @returns {string} Summary line
+ */
+function describe(secret) {
+  const due = secret.rotationDue ? ' ROTATION DUE' : '';
+
+  return `${secret.name}\t${secret.label}\trotated ${secret.rotatedAt}\trotate by ${secret.rotateBy}${due}`;
+}
+
+/**
+ * Run one command against the keystore
+ * @param {Object} options - Parsed arguments (see parseArgs)
+ * @param {Function} [getValue] - Source of the secret value for add and rotate
+ * @returns {Promise<Array<string>>} Output lines
+ */
+async function runCommand({ command, name, label, filePath }, getValue = readValue) {
+  keystore.open({ filePath });
+
+  try {
+    switch (command) {
+      case 'add':
+        return [`Added ${describe(keystore.add(name, await getValue(), { label: label || name }))}`];
+      case 'rotate':
+        return [`Rotated ${describe(keystore.rotate(name, await getValue()))}`];
+      case 'remove':
+        keystore.remove(name);
+        return [`Removed ${name}`];
+      default:
+        return keystore.list().map(describe);
+    }
+  } finally {
+    keystore.close();
+  }
+}
+
+async function main() {
+  const lines = await runCommand(parseArgs(process.argv.slice(2)));
+
+  lines.forEach(line => console.log(line));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, readValue, runCommand };
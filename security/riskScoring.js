@@ -0,0 +1,450 @@
+/**
+ * Token risk scoring for the multi-chain trading bot
+ * Runs a set of rules against a token, each contributing weighted findings, and sums them into
+ * one assessment with the same shape on every chain. Rules can be turned off under
+ * security.riskScoring.rules.<name>.enabled.
+ *
+ * Rules:
+ *   keywords            - suspicious terms in the token name or symbol (ethereum, solana)
+ *   taxSimulation       - buy/transfer/sell simulation for honeypots and taxes (ethereum)
+ *   ownership           - privileged contract functions, or live mint/freeze authorities (ethereum, solana)
+ *   liquidityLock       - share of the LP supply burned or held by a known locker (ethereum)
+ *   holderConcentration - supply concentration and deployer-funded holders (ethereum)
+ */
+
+const { ethers } = require('ethers');
+const ethereum = require('../core/ethereum');
+const solana = require('../core/solana');
+const { KNOWN_LP_LOCKERS } = require('../core/rugWatchdog');
+const bytecodeAnalyzer = require('./bytecodeAnalyzer');
+const honeypotSimulator = require('./honeypotSimulator');
+const holderAnalyzer = require('./holderAnalyzer');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+
+const { SEVERITY } = bytecodeAnalyzer;
+
+// Score added by a contract finding of each severity
+const SEVERITY_WEIGHTS = {
+  info: 0,
+  low: 5,
+  medium: 15,
+  high: 30,
+  critical: 50
+};
+
+const DEFAULT_TERMS = ['scam', 'ponzi', 'moon', 'elon', 'safe', 'gem', 'pump'];
+
+// Solana mint authorities, each blocking unless allowed under trading.solana
+const SOLANA_AUTHORITIES = [
+  { field: 'mintAuthority', code: 'MINT_AUTHORITY', label: 'Mint authority', allowPath: 'trading.solana.allowMintAuthority' },
+  { field: 'freezeAuthority', code: 'FREEZE_AUTHORITY', label: 'Freeze authority', allowPath: 'trading.solana.allowFreezeAuthority' }
+];
+
+const PAIR_ABI = [
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)"
+];
+
+// LP tokens sent here can never be withdrawn
+const LP_BURN_ADDRESSES = {
+  [ethers.constants.AddressZero]: 'burned',
+  '0x000000000000000000000000000000000000dead': 'burned'
+};
+
+/**
+ * Create a finding
+ * @param {string} code - Stable finding code
+ * @param {string} severity - info, low, medium, high or critical
+ * @param {number} weight - Score added by the finding
+ * @param {string} message - Human readable explanation
+ * @param {boolean} [blocking] - Whether the finding rejects the token regardless of the score
+ * @returns {Object} Finding
+ */
+function finding(code, severity, weight, message, blocking = false) {
+  return { code, severity, weight, message, blocking };
+}
+
+class RiskScoring {
+  constructor() {
+    this.rules = new Map();
+
+    this.register('keywords', ['ethereum', 'solana'], context => this.checkKeywords(context));
+    this.register('taxSimulation', ['ethereum'], context => this.checkTaxSimulation(context));
+    this.register('ownership', ['ethereum', 'solana'], context => this.checkOwnership(context));
+    this.register('liquidityLock', ['ethereum'], context => this.checkLiquidityLock(context));
+    this.register('holderConcentration', ['ethereum'], context => this.checkHolderConcentration(context));
+  }
+
+  /**
+   * Register a rule. Rules run in registration order.
+   * @param {string} name - Rule name used in security.riskScoring.rules
+   * @param {Array<string>} chains - Chains the rule applies to
+   * @param {Function} run - context => Promise<{ findings, data? }|null>; null means the rule had nothing to check
+   */
+  register(name, chains, run) {
+    this.rules.set(name, { name, chains, run });
+  }
+
+  /**
+   * Whether a rule is enabled in config
+   * @param {string} name - Rule name
+   * @returns {boolean} Enabled
+   */
+  isEnabled(name) {
+    return config.get(`security.riskScoring.rules.${name}.enabled`, true) !== false;
+  }
+
+  /**
+   * Score a token
+   * @param {string} chain - Chain name (ethereum, solana)
+   * @param {string} tokenAddress - Token address
+   * @param {Object} [context] - What the caller already knows about the token
+   * @param {Object} [context.mintData] - Decoded Solana mint account (mintAuthority, freezeAuthority)
+   * @param {string} [context.pairAddress] - Uniswap pair address
+   * @param {number} [context.pairCreatedBlock] - Block the pair was created in
+   * @param {string} [context.pairCreationTx] - Transaction that created the pair
+   * @param {Object} [options] - Assessment options
+   * @param {Array<string>} [options.rules] - Only run these rules
+   * @returns {Promise<Object>} Assessment ({ chain, tokenAddress, score, maxScore, safe, blocked, findings, rules, explanation, data, timestamp })
+   */
+  async assess(chain, tokenAddress, context = {}, { rules = null } = {}) {
+    const maxScore = config.get('security.riskScoring.maxScore', 50);
+    const assessment = {
+      chain,
+      tokenAddress,
+      score: 0,
+      maxScore,
+      safe: false,
+      blocked: false,
+      findings: [],
+      rules: {},
+      explanation: [],
+      data: {},
+      timestamp: new Date().toISOString()
+    };
+
+    let tokenInfo = null;
+    const ruleContext = {
+      ...context,
+      chain,
+      tokenAddress,
+      // Several rules need the name and symbol; fetch them once
+      getTokenInfo: () => {
+        tokenInfo = tokenInfo || (chain === 'solana' ? solana : ethereum).getTokenInfo(tokenAddress);
+        return tokenInfo;
+      }
+    };
+
+    for (const rule of this.rules.values()) {
+      if (rules && !rules.includes(rule.name)) {
+        continue;
+      }
+
+      if (!rule.chains.includes(chain)) {
+        continue;
+      }
+
+      if (!this.isEnabled(rule.name)) {
+        assessment.rules[rule.name] = 'disabled';
+        continue;
+      }
+
+      try {
+        const result = await rule.run(ruleContext);
+
+        if (!result) {
+          assessment.rules[rule.name] = 'skipped';
+          continue;
+        }
+
+        result.findings.forEach(ruleFinding => assessment.findings.push({ rule: rule.name, ...ruleFinding }));
+        assessment.rules[rule.name] = result.findings.length > 0 ? 'flagged' : 'passed';
+
+        if (result.data !== undefined) {
+          assessment.data[rule.name] = result.data;
+        }
+      } catch (error) {
+        logger.warn('Token risk rule failed, considering unsafe', {
+          chain,
+          tokenAddress,
+          rule: rule.name,
+          error: error.message
+        });
+        assessment.findings.push({
+          rule: rule.name,
+          ...finding('RULE_FAILED', SEVERITY.CRITICAL, 0, `Check failed: ${error.message}`, true)
+        });
+        assessment.rules[rule.name] = 'error';
+      }
+    }
+
+    assessment.score = Math.min(100, assessment.findings.reduce((sum, { weight }) => sum + weight, 0));
+    assessment.blocked = assessment.findings.some(({ blocking }) => blocking);
+    assessment.safe = !assessment.blocked && assessment.score <= maxScore;
+    assessment.explanation = this.explain(assessment);
+
+    const logContext = {
+      chain,
+      tokenAddress,
+      score: assessment.score,
+      maxScore,
+      blocked: assessment.blocked,
+      findings: assessment.findings.map(({ rule, code }) => `${rule}:${code}`)
+    };
+
+    if (assessment.safe) {
+      logger.info('Token risk assessment passed', logContext);
+    } else {
+      logger.security('Token risk assessment failed', logContext);
+    }
+
+    return assessment;
+  }
+
+  /**
+   * One line per finding, heaviest first, followed by the verdict
+   * @param {Object} assessment - Assessment with findings and score
+   * @returns {Array<string>} Explanation lines
+   */
+  explain(assessment) {
+    const lines = [...assessment.findings]
+      .sort((a, b) => Number(b.blocking) - Number(a.blocking) || b.weight - a.weight)
+      .map(({ rule, message, weight, blocking }) => `${rule}: ${message} (${blocking ? 'blocking' : `+${weight}`})`);
+
+    let verdict;
+    if (assessment.blocked) {
+      verdict = `Rejected by a blocking finding (score ${assessment.score})`;
+    } else if (assessment.score > assessment.maxScore) {
+      verdict = `Rejected: score ${assessment.score} exceeds ${assessment.maxScore}`;
+    } else {
+      verdict = `Accepted: score ${assessment.score} of at most ${assessment.maxScore}`;
+    }
+
+    return [...lines, verdict];
+  }
+
+  /**
+   * Suspicious terms in the token name or symbol
+   * @param {Object} context - Rule context
+   * @returns {Promise<Object>} Rule result
+   */
+  async checkKeywords(context) {
+    const tokenInfo = await context.getTokenInfo();
+    const terms = config.get('security.riskScoring.rules.keywords.terms', DEFAULT_TERMS);
+    const weight = config.get('security.riskScoring.rules.keywords.weight', 10);
+    const nameSymbolLower = `${tokenInfo.name || ''} ${tokenInfo.symbol || ''}`.toLowerCase();
+
+    const findings = terms
+      .filter(term => nameSymbolLower.includes(term.toLowerCase()))
+      .map(term => finding('SUSPICIOUS_NAME', SEVERITY.LOW, weight, `Name or symbol contains "${term}"`));
+
+    return { findings, data: { name: tokenInfo.name, symbol: tokenInfo.symbol } };
+  }
+
+  /**
+   * Price the token against WETH and simulate a buy, transfer and sell
+   * @param {Object} context - Rule context
+   * @returns {Promise<Object>} Rule result
+   */
+  async checkTaxSimulation({ tokenAddress }) {
+    const tokenPrice = await ethereum.getTokenPrice(tokenAddress);
+
+    if (tokenPrice === '0') {
+      return {
+        findings: [finding('NO_PRICE', SEVERITY.HIGH, 0, 'Unable to determine token price, possible honeypot', true)]
+      };
+    }
+
+    const report = await honeypotSimulator.simulate(tokenAddress);
+    const findings = [];
+
+    if (report.blocked) {
+      findings.push(finding(
+        report.isHoneypot ? 'HONEYPOT' : 'SIMULATION_BLOCKED',
+        SEVERITY.CRITICAL,
+        0,
+        report.reasons.length > 0 ? report.reasons.join('; ') : 'Buy/sell simulation failed',
+        true
+      ));
+    } else {
+      // Taxes under the simulator's limits still eat into every trade
+      const taxPercent = Math.max(report.buyTaxPercent || 0, report.sellTaxPercent || 0, report.transferTaxPercent || 0);
+
+      if (taxPercent > 0) {
+        findings.push(finding('TOKEN_TAX', SEVERITY.LOW, Math.ceil(taxPercent), `Highest tax is ${taxPercent}%`));
+      }
+    }
+
+    return {
+      findings,
+      data: {
+        tokenPrice,
+        isHoneypot: report.isHoneypot,
+        buyTaxPercent: report.buyTaxPercent,
+        sellTaxPercent: report.sellTaxPercent,
+        transferTaxPercent: report.transferTaxPercent,
+        reasons: report.reasons
+      }
+    };
+  }
+
+  /**
+   * Who can still change the token: privileged contract functions on Ethereum, mint and freeze
+   * authorities on Solana. Solana mints are read from the chain unless the caller passes the decoded
+   * account; an authority that cannot be read is scored as unknown rather than treated as live.
+   * @param {Object} context - Rule context
+   * @returns {Promise<Object>} Rule result
+   */
+  async checkOwnership({ chain, tokenAddress, mintData = null }) {
+    if (chain === 'solana') {
+      const mint = mintData && mintData.mintAuthority !== undefined && mintData.freezeAuthority !== undefined
+        ? mintData
+        : (await solana.getMintData(tokenAddress)) || {};
+      const unknownWeight = config.get('security.riskScoring.rules.ownership.unknownAuthorityWeight', SEVERITY_WEIGHTS.medium);
+      const findings = [];
+
+      SOLANA_AUTHORITIES.forEach(({ field, code, label, allowPath }) => {
+        if (mint[field] === undefined) {
+          findings.push(finding(`${code}_UNKNOWN`, SEVERITY.MEDIUM, unknownWeight, `${label} could not be read`));
+        } else if (mint[field] !== null) {
+          const allowed = config.get(allowPath, false);
+          findings.push(finding(code, SEVERITY.HIGH, allowed ? SEVERITY_WEIGHTS.high : 0, `${label} not revoked`, !allowed));
+        }
+      });
+
+      return {
+        findings,
+        data: {
+          mintAuthority: mint.mintAuthority !== undefined ? mint.mintAuthority : 'unknown',
+          freezeAuthority: mint.freezeAuthority !== undefined ? mint.freezeAuthority : 'unknown'
+        }
+      };
+    }
+
+    if (!ethereum.initialized) {
+      throw new Error('Ethereum module not initialized');
+    }
+
+    const analysis = await bytecodeAnalyzer.analyzeContract(tokenAddress, ethereum.provider);
+    const blockingSeverity = config.get('security.contractBlockingSeverity', 'high');
+
+    return {
+      findings: analysis.issues.map(({ code, severity, message }) => finding(
+        code,
+        severity,
+        SEVERITY_WEIGHTS[severity] || 0,
+        message,
+        bytecodeAnalyzer.hasSeverity([{ severity }], blockingSeverity)
+      )),
+      data: analysis
+    };
+  }
+
+  /**
+   * Share of the pair's LP supply that is burned or held by a known locker
+   * @param {Object} context - Rule context
+   * @returns {Promise<Object|null>} Rule result, null without a WETH pair
+   */
+  async checkLiquidityLock({ tokenAddress, pairAddress = null }) {
+    if (!pairAddress) {
+      const liquidity = await ethereum.getPairLiquidity(tokenAddress, ethereum.addresses.weth);
+
+      if (!liquidity.exists) {
+        return null;
+      }
+      pairAddress = liquidity.pairAddress;
+    }
+
+    const lock = await this.getLockedLiquidity(pairAddress);
+    const minLockedPercent = config.get('security.riskScoring.rules.liquidityLock.minLockedPercent', 80);
+    const findings = [];
+
+    if (lock.lockedPercent < minLockedPercent) {
+      findings.push(finding(
+        'LIQUIDITY_UNLOCKED',
+        SEVERITY.MEDIUM,
+        config.get('security.riskScoring.rules.liquidityLock.weight', 25),
+        `Only ${lock.lockedPercent}% of the liquidity is locked or burned (min ${minLockedPercent}%)`
+      ));
+    }
+
+    return { findings, data: { pairAddress, ...lock } };
+  }
+
+  /**
+   * Read how much of the LP supply sits at burn addresses and LP lockers
+   * @param {string} pairAddress - Pair address
+   * @returns {Promise<Object>} { lockedPercent, holders: [{ address, label, percent }] }
+   */
+  async getLockedLiquidity(pairAddress) {
+    const lockers = { ...LP_BURN_ADDRESSES, ...KNOWN_LP_LOCKERS };
+    config.get('trading.ethereum.rugWatchdog.lpLockers', []).forEach(address => {
+      lockers[address.toLowerCase()] = 'configured';
+    });
+
+    const pair = new ethers.Contract(pairAddress, PAIR_ABI, ethereum.provider);
+    const totalSupply = await pair.totalSupply();
+
+    if (totalSupply.isZero()) {
+      return { lockedPercent: 0, holders: [] };
+    }
+
+    const holders = [];
+    for (const [address, label] of Object.entries(lockers)) {
+      const balance = await pair.balanceOf(address);
+
+      if (balance.gt(0)) {
+        holders.push({ address, label, percent: balance.mul(10000).div(totalSupply).toNumber() / 100 });
+      }
+    }
+
+    return {
+      lockedPercent: Math.min(100, holders.reduce((sum, { percent }) => sum + percent, 0)),
+      holders
+    };
+  }
+
+  /**
+   * Holder distribution around pair creation (see holderAnalyzer)
+   * @param {Object} context - Rule context
+   * @returns {Promise<Object>} Rule result
+   */
+  async checkHolderConcentration({ tokenAddress, pairAddress = null, pairCreatedBlock = null, pairCreationTx = null }) {
+    const report = await holderAnalyzer.analyze(tokenAddress, { pairAddress, pairCreatedBlock, pairCreationTx });
+    const maxRiskScore = config.get('security.riskScoring.rules.holderConcentration.maxRiskScore', 50);
+    const findings = (report.findings || []).map(({ code, weight, message }) => finding(
+      code,
+      weight > 0 ? SEVERITY.MEDIUM : SEVERITY.INFO,
+      weight,
+      message,
+      code === 'ANALYSIS_FAILED'
+    ));
+
+    // The analyzer's own score still rejects on its own, whatever the other rules add
+    if (report.riskScore > maxRiskScore) {
+      findings.push(finding(
+        'HOLDER_RISK_EXCEEDED',
+        SEVERITY.HIGH,
+        0,
+        `Holder risk score ${report.riskScore} exceeds ${maxRiskScore}`,
+        true
+      ));
+    }
+
+    return {
+      findings,
+      data: {
+        holders: report.holders,
+        top10Percent: report.top10Percent,
+        deployer: report.deployer,
+        deployerPercent: report.deployerPercent,
+        fundedWallets: report.fundedWallets,
+        riskScore: report.riskScore
+      }
+    };
+  }
+}
+
+module.exports = new RiskScoring();
+module.exports.SEVERITY_WEIGHTS = SEVERITY_WEIGHTS;
@@ -4,8 +4,24 @@
  */
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const riskScoring = require('./riskScoring');
+const keystore = require('./keystore');
+const riskManager = require('../core/riskManager');
 const config = require('../core/config');
 const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+// Transaction amounts are summed in micro-dollars so repeated additions do not drift
+const USD_DECIMALS = 6;
+const NATIVE_ASSETS = { ethereum: 'ETH', bitcoin: 'BTC', solana: 'SOL' };
+const LIMIT_SCOPES = [['chain', 'chains'], ['exchange', 'exchanges'], ['strategy', 'strategies']];
+
+const toUnits = value => ethers.utils.parseUnits(Number(value).toFixed(USD_DECIMALS), USD_DECIMALS);
+const fromUnits = units => ethers.utils.formatUnits(units, USD_DECIMALS);
 
 class SecurityModule {
   constructor() {
@@ -16,43 +32,33 @@ class SecurityModule {
     this.apiKeyRotationDays = config.get('security.apiKeyRotationDays', 30);
     this.lastApiKeyRotation = null;
     this.suspiciousActivities = [];
-    this.transactionLimits = {
-      ethereum: {
-        maxTransactionAmount: config.get('trading.ethereum.maxTransactionAmount', '1'),
-        dailyLimit: config.get('trading.ethereum.dailyLimit', '5')
-      },
-      bitcoin: {
-        maxTransactionAmount: config.get('trading.bitcoin.maxTransactionAmount', '0.1'),
-        dailyLimit: config.get('trading.bitcoin.dailyLimit', '0.5')
-      },
-      solana: {
-        maxTransactionAmount: config.get('trading.solana.maxTransactionAmount', '20'),
-        dailyLimit: config.get('trading.solana.dailyLimit', '100')
-      }
-    };
-    this.dailyTransactions = {
-      ethereum: { total: '0', count: 0, transactions: [] },
-      bitcoin: { total: '0', count: 0, transactions: [] },
-      solana: { total: '0', count: 0, transactions: [] }
-    };
+    this.filePath = null;
+    this.persist = false;
+    this.transactions = [];
+    this.reservations = new Map();
   }
 
   /**
    * Initialize the security module
+   * @param {Object} [options] - Options
+   * @param {string} [options.filePath] - Transaction window file (defaults to <dataDir>/transactions.json)
+   * @param {boolean} [options.persist] - Whether to save the transaction window to disk
    * @returns {Promise<boolean>} Initialization success
    */
-  async initialize() {
+  async initialize({ filePath = null, persist = true } = {}) {
     try {
       logger.info('Initializing security module');
       
-      // Set up daily transaction reset
-      this.setupDailyReset();
+      // Load the transactions still inside the rolling window
+      this.loadTransactions(filePath || path.join(config.get('storage.dataDir', 'data'), 'transactions.json'), persist);
       
       // Set up API key rotation reminder
       this.setupApiKeyRotationCheck();
       
       this.initialized = true;
-      logger.info('Security module initialized successfully');
+      logger.info('Security module initialized successfully', {
+        transactionsInWindow: this.transactions.length
+      });
       
       return true;
     } catch (error) {
@@ -64,41 +70,42 @@ class SecurityModule {
   }
 
   /**
-   * Set up daily transaction reset
+   * Load the saved transaction window
+   * @param {string} filePath - Transaction window file
+   * @param {boolean} persist - Whether to save the window to disk
    */
-  setupDailyReset() {
-    // Reset daily transaction counters at midnight
-    const resetDaily = () => {
-      const now = new Date();
-      const night = new Date(
-        now.getFullYear(),
-        now.getMonth(),
-        now.getDate() + 1, // tomorrow
-        0, 0, 0 // midnight
-      );
-      const msToMidnight = night.getTime() - now.getTime();
-      
-      setTimeout(() => {
-        this.resetDailyTransactions();
-        resetDaily(); // Set up next day's reset
-      }, msToMidnight);
-    };
+  loadTransactions(filePath, persist) {
+    this.filePath = filePath;
+    this.persist = persist;
+    this.transactions = [];
+    this.reservations.clear();
     
-    resetDaily();
-    logger.info('Daily transaction reset scheduled');
+    if (persist && fs.existsSync(filePath)) {
+      this.transactions = JSON.parse(fs.readFileSync(filePath, 'utf8')).transactions || [];
+    }
+    
+    this.pruneTransactions();
   }
 
   /**
-   * Reset daily transaction counters
+   * Switch to an empty transaction window that is never saved, e.g. for a backtest
+   * @returns {Function} Restores the previous window
    */
-  resetDailyTransactions() {
-    this.dailyTransactions = {
-      ethereum: { total: '0', count: 0, transactions: [] },
-      bitcoin: { total: '0', count: 0, transactions: [] },
-      solana: { total: '0', count: 0, transactions: [] }
+  isolateTransactions() {
+    const previous = {
+      initialized: this.initialized,
+      filePath: this.filePath,
+      persist: this.persist,
+      transactions: this.transactions,
+      reservations: this.reservations
     };
     
-    logger.info('Daily transaction counters reset');
+    this.initialized = true;
+    this.persist = false;
+    this.transactions = [];
+    this.reservations = new Map();
+    
+    return () => Object.assign(this, previous);
   }
 
   /**
@@ -208,77 +215,122 @@ class SecurityModule {
   }
 
   /**
-   * Validate transaction against security limits
+   * Validate a transaction against the USD limits of its chain, exchange and strategy. A valid
+   * transaction is reserved against the rolling window until settleTransaction confirms or
+   * releases it, so concurrent orders cannot both slip under a limit and a trade refused
+   * further down is never counted.
    * @param {string} chain - Chain name (ethereum, bitcoin, solana)
    * @param {string} amount - Transaction amount
    * @param {string} type - Transaction type (buy, sell, swap)
-   * @returns {Object} Validation result
+   * @param {Object} [options] - Options
+   * @param {string} [options.asset] - Asset the amount is in (defaults to the chain's native asset)
+   * @param {string} [options.exchange] - Exchange the transaction is placed on
+   * @param {string} [options.strategy] - Strategy placing it (dca, trend, triangular, ...)
+   * @returns {Promise<Object>} Validation result ({ valid, reason, amountUSD, reservationId })
    */
-  validateTransaction(chain, amount, type) {
+  async validateTransaction(chain, amount, type, { asset = NATIVE_ASSETS[chain], exchange = null, strategy = null } = {}) {
     try {
       if (!this.initialized) {
         throw new Error('Security module not initialized');
       }
       
-      if (!this.transactionLimits[chain]) {
+      if (!config.get(`security.transactionLimits.chains.${chain}`, null)) {
         throw new Error(`Unknown chain: ${chain}`);
       }
       
-      const limits = this.transactionLimits[chain];
-      const daily = this.dailyTransactions[chain];
+      const value = await riskManager.toUSD(asset, parseFloat(amount));
       
-      // Check transaction amount limit
-      if (parseFloat(amount) > parseFloat(limits.maxTransactionAmount)) {
-        logger.security('Transaction exceeds maximum amount', {
-          chain,
-          amount,
-          maxAmount: limits.maxTransactionAmount,
-          type
-        });
+      if (value === null || !(value > 0)) {
+        logger.security('Transaction cannot be valued in USD', { chain, asset, amount, type });
         
         return {
           valid: false,
-          reason: 'Transaction amount exceeds maximum allowed'
+          reason: value === null ? `No USD price for ${asset}` : 'Transaction amount must be positive'
         };
       }
       
-      // Check daily limit
-      const newTotal = parseFloat(daily.total) + parseFloat(amount);
-      if (newTotal > parseFloat(limits.dailyLimit)) {
-        logger.security('Transaction would exceed daily limit', {
-          chain,
-          amount,
-          currentTotal: daily.total,
-          newTotal: newTotal.toString(),
-          dailyLimit: limits.dailyLimit,
-          type
-        });
+      const amountUSD = toUnits(value);
+      const transaction = { chain, exchange, strategy };
+      
+      this.pruneTransactions();
+      
+      for (const [field, scope] of LIMIT_SCOPES) {
+        const limits = transaction[field] && config.get(`security.transactionLimits.${scope}.${transaction[field]}`, null);
         
-        return {
-          valid: false,
-          reason: 'Transaction would exceed daily limit'
-        };
+        if (!limits) {
+          continue;
+        }
+        
+        const name = `${transaction[field]} ${field}`;
+        
+        // Check transaction amount limit
+        if (limits.maxTransactionUSD !== undefined && amountUSD.gt(toUnits(limits.maxTransactionUSD))) {
+          logger.security('Transaction exceeds maximum amount', {
+            chain,
+            scope: name,
+            amount,
+            amountUSD: fromUnits(amountUSD),
+            maxTransactionUSD: limits.maxTransactionUSD,
+            type
+          });
+          
+          return {
+            valid: false,
+            reason: `Transaction of ${fromUnits(amountUSD)} USD exceeds the ${limits.maxTransactionUSD} USD ${name} limit`,
+            amountUSD: fromUnits(amountUSD)
+          };
+        }
+        
+        // Check the rolling window limit, counting reserved transactions as spent
+        const windowTotal = this.getWindowTotal(field, transaction[field]);
+        const newTotal = windowTotal.add(amountUSD);
+        if (limits.windowLimitUSD !== undefined && newTotal.gt(toUnits(limits.windowLimitUSD))) {
+          logger.security('Transaction would exceed window limit', {
+            chain,
+            scope: name,
+            amount,
+            amountUSD: fromUnits(amountUSD),
+            currentTotal: fromUnits(windowTotal),
+            windowLimitUSD: limits.windowLimitUSD,
+            windowHours: config.get('security.transactionLimits.windowHours', 24),
+            type
+          });
+          
+          return {
+            valid: false,
+            reason: `Transaction would bring the ${name} to ${fromUnits(newTotal)} USD, above its ${limits.windowLimitUSD} USD window limit`,
+            amountUSD: fromUnits(amountUSD)
+          };
+        }
       }
       
-      // Transaction is valid, update daily counters
-      daily.total = newTotal.toString();
-      daily.count++;
-      daily.transactions.push({
-        amount,
+      // Transaction is valid, reserve it until it is settled
+      const reservationId = crypto.randomBytes(8).toString('hex');
+      this.reservations.set(reservationId, {
+        id: reservationId,
+        ...transaction,
+        asset,
+        amount: String(amount),
+        amountUSD: fromUnits(amountUSD),
         type,
-        timestamp: new Date().toISOString()
+        timestamp: clock.date().toISOString()
       });
       
       logger.debug('Transaction validated', {
         chain,
+        exchange,
+        strategy,
         amount,
+        amountUSD: fromUnits(amountUSD),
         type,
-        dailyTotal: daily.total,
-        dailyCount: daily.count
+        reservationId
       });
       
       return {
-        valid: true
+        valid: true,
+        reason: null,
+        amountUSD: fromUnits(amountUSD),
+        reservationId
       };
     } catch (error) {
       logger.error('Error validating transaction', {
@@ -295,6 +347,97 @@ class SecurityModule {
     }
   }
 
+  /**
+   * Settle a reserved transaction: executed ones are added to the saved window, the rest are
+   * dropped. Settling the same reservation twice has no effect.
+   * @param {string} reservationId - Reservation ID from validateTransaction
+   * @param {boolean} executed - Whether the transaction was executed
+   * @returns {boolean} Whether the reservation was found
+   */
+  settleTransaction(reservationId, executed) {
+    const reservation = this.reservations.get(reservationId);
+    
+    if (!reservation) {
+      return false;
+    }
+    
+    this.reservations.delete(reservationId);
+    
+    if (executed) {
+      this.transactions.push(reservation);
+      this.saveTransactions();
+    }
+    
+    logger.debug(executed ? 'Transaction confirmed' : 'Transaction reservation released', {
+      reservationId,
+      chain: reservation.chain,
+      amountUSD: reservation.amountUSD
+    });
+    
+    return true;
+  }
+
+  /**
+   * USD total of confirmed and reserved transactions in the rolling window for one chain, exchange or strategy
+   * @param {string} field - Transaction field (chain, exchange, strategy)
+   * @param {string} value - Field value
+   * @returns {ethers.BigNumber} Total in micro-dollars
+   */
+  getWindowTotal(field, value) {
+    return [...this.transactions, ...this.reservations.values()]
+      .filter(transaction => transaction[field] === value)
+      .reduce((total, transaction) => total.add(toUnits(transaction.amountUSD)), ethers.BigNumber.from(0));
+  }
+
+  /**
+   * Settle reservations left open longer than security.transactionLimits.reservationTtlMs, e.g. by a
+   * caller that crashed mid-trade. Whether they went through is unknown, so they count as executed
+   * and leave with the rest of the window.
+   */
+  expireReservations() {
+    const expiry = clock.now() - config.get('security.transactionLimits.reservationTtlMs', 600000);
+    
+    [...this.reservations.values()]
+      .filter(({ timestamp }) => Date.parse(timestamp) <= expiry)
+      .forEach(reservation => {
+        logger.security('Transaction reservation expired unsettled, counting it as executed', {
+          reservationId: reservation.id,
+          chain: reservation.chain,
+          exchange: reservation.exchange,
+          strategy: reservation.strategy,
+          amountUSD: reservation.amountUSD,
+          reservedAt: reservation.timestamp
+        });
+        this.settleTransaction(reservation.id, true);
+      });
+  }
+
+  /**
+   * Expire stale reservations and drop confirmed transactions that have left the rolling window
+   */
+  pruneTransactions() {
+    this.expireReservations();
+    
+    const windowStart = clock.now() - config.get('security.transactionLimits.windowHours', 24) * 3600000;
+    const remaining = this.transactions.filter(({ timestamp }) => Date.parse(timestamp) > windowStart);
+    
+    if (remaining.length !== this.transactions.length) {
+      this.transactions = remaining;
+      this.saveTransactions();
+    }
+  }
+
+  /**
+   * Write the transaction window through a temporary file so a crash never leaves it half written
+   */
+  saveTransactions() {
+    if (!this.persist || !this.filePath) {
+      return;
+    }
+    
+    writeFileAtomic(this.filePath, JSON.stringify({ transactions: this.transactions }, null, 2));
+  }
+
   /**
    * Detect suspicious activity in trading patterns
    * @param {Array} transactions - Recent transactions to analyze
@@ -393,41 +536,36 @@ class SecurityModule {
         tokenAddress
       });
       
-      // In a real implementation, you would perform thorough contract analysis
-      // For this prototype, we'll simulate the validation
+      if (chain !== 'ethereum' && chain !== 'solana') {
+        throw new Error(`Contract analysis not supported for chain: ${chain}`);
+      }
+      
+      // Only the ownership rule looks at the contract itself; issues at or above
+      // security.contractBlockingSeverity are blocking findings
+      const assessment = await riskScoring.assess(chain, tokenAddress, {}, { rules: ['ownership'] });
+      const analysis = assessment.data.ownership || {};
       
-      // Simulate token validation
       const validationResult = {
-        valid: Math.random() > 0.2, // 80% chance of being valid
-        issues: []
+        valid: !assessment.blocked,
+        issues: analysis.issues || assessment.findings.map(({ code, severity, message }) => ({ code, severity, message })),
+        isProxy: Boolean(analysis.isProxy),
+        implementation: analysis.implementation || null,
+        ownershipRenounced: Boolean(analysis.ownershipRenounced),
+        score: assessment.score,
+        findings: assessment.findings
       };
       
       if (!validationResult.valid) {
-        // Simulate potential issues
-        const possibleIssues = [
-          'Honeypot detection: Cannot sell tokens',
-          'Ownership not renounced',
-          'Hidden mint function',
-          'Fee manipulation capability',
-          'Blacklist function detected'
-        ];
-        
-        // Add 1-3 random issues
-        const issueCount = Math.floor(Math.random() * 3) + 1;
-        for (let i = 0; i < issueCount; i++) {
-          const issueIndex = Math.floor(Math.random() * possibleIssues.length);
-          validationResult.issues.push(possibleIssues[issueIndex]);
-        }
-        
         logger.security('Token contract validation failed', {
           chain,
           tokenAddress,
-          issues: validationResult.issues
+          issues: validationResult.issues.map(({ code, severity }) => `${code}:${severity}`)
         });
       } else {
         logger.info('Token contract validation passed', {
           chain,
-          tokenAddress
+          tokenAddress,
+          issues: validationResult.issues.map(({ code }) => code)
         });
       }
       
@@ -441,7 +579,7 @@ class SecurityModule {
       
       return {
         valid: false,
-        issues: [`Error: ${error.message}`]
+        issues: [{ code: 'ANALYSIS_FAILED', severity: 'critical', message: `Error: ${error.message}` }]
       };
     }
   }
@@ -458,22 +596,12 @@ class SecurityModule {
   /**
    * Encrypt sensitive data
    * @param {string} data - Data to encrypt
-   * @param {string} key - Encryption key
-   * @returns {string} Encrypted data
+   * @param {string} key - Encryption passphrase
+   * @returns {string} Encrypted data (a versioned AES-256-GCM envelope, see security/keystore.js)
    */
   encryptData(data, key) {
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv(
-        'aes-256-cbc',
-        crypto.createHash('sha256').update(key).digest(),
-        iv
-      );
-      
-      let encrypted = cipher.update(data, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      return `${iv.toString('hex')}:${encrypted}`;
+      return JSON.stringify(keystore.encrypt(data, key));
     } catch (error) {
       logger.error('Error encrypting data', {
         error: error.message
@@ -484,12 +612,17 @@ class SecurityModule {
 
   /**
    * Decrypt sensitive data
-   * @param {string} encryptedData - Data to decrypt
-   * @param {string} key - Encryption key
+   * @param {string} encryptedData - Data to decrypt (an envelope, or the older iv:ciphertext AES-256-CBC form)
+   * @param {string} key - Encryption passphrase
    * @returns {string} Decrypted data
    */
   decryptData(encryptedData, key) {
     try {
+      if (encryptedData.startsWith('{')) {
+        return keystore.decrypt(JSON.parse(encryptedData), key);
+      }
+      
+      // Data encrypted before envelopes were introduced: unauthenticated, so only ever read
       const [ivHex, encrypted] = encryptedData.split(':');
       const iv = Buffer.from(ivHex, 'hex');
       const decipher = crypto.createDecipheriv(
@@ -572,6 +705,22 @@ class SecurityModule {
     }
   }
 
+  /**
+   * USD totals in the rolling window for every configured chain, exchange and strategy limit
+   * @returns {Object} Totals keyed by scope, then name ({ count, totalUSD })
+   */
+  getWindowReport() {
+    this.pruneTransactions();
+    
+    return Object.fromEntries(LIMIT_SCOPES.map(([field, scope]) => [
+      scope,
+      Object.fromEntries(Object.keys(config.get(`security.transactionLimits.${scope}`, {})).map(name => [name, {
+        count: this.transactions.filter(transaction => transaction[field] === name).length,
+        totalUSD: fromUnits(this.getWindowTotal(field, name))
+      }]))
+    ]));
+  }
+
   /**
    * Get security status report
    * @returns {Object} Security status report
@@ -583,21 +732,8 @@ class SecurityModule {
       ipWhitelistCount: this.ipWhitelist.length,
       suspiciousActivitiesCount: this.suspiciousActivities.length,
       recentSuspiciousActivities: this.suspiciousActivities.slice(-5),
-      transactionLimits: this.transactionLimits,
-      dailyTransactions: {
-        ethereum: {
-          count: this.dailyTransactions.ethereum.count,
-          total: this.dailyTransactions.ethereum.total
-        },
-        bitcoin: {
-          count: this.dailyTransactions.bitcoin.count,
-          total: this.dailyTransactions.bitcoin.total
-        },
-        solana: {
-          count: this.dailyTransactions.solana.count,
-          total: this.dailyTransactions.solana.total
-        }
-      },
+      transactionLimits: config.get('security.transactionLimits', {}),
+      transactionWindow: this.getWindowReport(),
       apiKeyRotationDays: this.apiKeyRotationDays,
       daysSinceLastRotation: this.lastApiKeyRotation ? 
         Math.floor((new Date() - this.lastApiKeyRotation) / (1000 * 60 * 60 * 24)) : 
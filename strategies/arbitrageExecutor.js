@@ -0,0 +1,556 @@
+/**
+ * Cross-exchange Bitcoin arbitrage executor for the multi-chain trading bot
+ * Sizes each trade by walking both order books against both exchanges' balances, sends the
+ * buy and sell legs together, and unwinds or hedges whatever one leg filled beyond the other.
+ * Arbitrage keeps moving BTC to the cheaper exchange and quote to the richer one, so the
+ * inventory split is checked after every trade and a rebalance is requested when it drifts.
+ */
+
+const EventEmitter = require('events');
+const bitcoin = require('../core/bitcoin');
+const exchanges = require('../exchanges/registry');
+const paperVenue = require('../execution/paperVenue');
+const riskManager = require('../core/riskManager');
+const securityModule = require('../security/securityModule');
+const { ORDER_STATUS, parseSymbol } = require('../exchanges/exchangeAdapter');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// Differences below this are float noise, not exposure
+const QUANTITY_EPSILON = 1e-9;
+
+const levelQuantity = level => (level.quantity === null || level.quantity === undefined ? Infinity : parseFloat(level.quantity));
+const roundQuantity = quantity => Math.floor(quantity * 1e8 + 1e-6) / 1e8;
+
+/**
+ * Walk the buy exchange's asks against the sell exchange's bids, best levels first, for as
+ * long as each added slice still clears the minimum net edge after both taker fees
+ * @param {Array<Object>} asks - Buy exchange asks ({ price, quantity }, null quantity = unknown depth)
+ * @param {Array<Object>} bids - Sell exchange bids
+ * @param {Object} limits - Sizing limits
+ * @param {number} limits.buyFeePercent - Taker fee on the buy exchange
+ * @param {number} limits.sellFeePercent - Taker fee on the sell exchange
+ * @param {number} limits.minProfitPercent - Net edge every slice must clear
+ * @param {number} limits.maxQuantity - Most BTC to trade (size cap and sell-side BTC balance)
+ * @param {number} [limits.quoteBalance] - Quote available on the buy exchange, fees included
+ * @returns {Object} { quantity, cost, proceeds, profit, profitPercent, buyPrice, sellPrice } with the worst prices reached
+ */
+function sizeOpportunity(asks, bids, { buyFeePercent, sellFeePercent, minProfitPercent, maxQuantity, quoteBalance = Infinity }) {
+  let askIndex = 0;
+  let bidIndex = 0;
+  let askLeft = asks.length > 0 ? levelQuantity(asks[0]) : 0;
+  let bidLeft = bids.length > 0 ? levelQuantity(bids[0]) : 0;
+  const sized = { quantity: 0, cost: 0, proceeds: 0, buyPrice: null, sellPrice: null };
+
+  while (askIndex < asks.length && bidIndex < bids.length && sized.quantity < maxQuantity - QUANTITY_EPSILON) {
+    const ask = parseFloat(asks[askIndex].price);
+    const bid = parseFloat(bids[bidIndex].price);
+    const unitCost = ask * (1 + buyFeePercent / 100);
+    const unitProceeds = bid * (1 - sellFeePercent / 100);
+
+    if (((unitProceeds - unitCost) / unitCost) * 100 < minProfitPercent) {
+      break;
+    }
+
+    const slice = Math.min(askLeft, bidLeft, maxQuantity - sized.quantity, (quoteBalance - sized.cost) / unitCost);
+    if (slice <= QUANTITY_EPSILON) {
+      break;
+    }
+
+    sized.quantity += slice;
+    sized.cost += slice * unitCost;
+    sized.proceeds += slice * unitProceeds;
+    sized.buyPrice = ask;
+    sized.sellPrice = bid;
+    askLeft -= slice;
+    bidLeft -= slice;
+
+    if (askLeft <= QUANTITY_EPSILON) {
+      askIndex++;
+      askLeft = askIndex < asks.length ? levelQuantity(asks[askIndex]) : 0;
+    }
+    if (bidLeft <= QUANTITY_EPSILON) {
+      bidIndex++;
+      bidLeft = bidIndex < bids.length ? levelQuantity(bids[bidIndex]) : 0;
+    }
+  }
+
+  return {
+    ...sized,
+    profit: sized.proceeds - sized.cost,
+    profitPercent: sized.cost > 0 ? ((sized.proceeds - sized.cost) / sized.cost) * 100 : 0
+  };
+}
+
+class ArbitrageExecutor extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+    this.results = [];
+    this.inventory = null;
+  }
+
+  /**
+   * Current settings; read on every run so backtests and tests can change them
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return {
+      exchanges: config.get('trading.bitcoin.arbitrage.exchanges', ['kraken', 'binance']),
+      maxQuantity: parseFloat(config.get('trading.bitcoin.arbitrageAmount', '0.01')),
+      minProfitPercent: parseFloat(config.get('trading.bitcoin.minArbitrageProfit', 0.5)),
+      minQuantity: config.get('trading.bitcoin.arbitrage.minQuantity', 0.0001),
+      bookDepth: config.get('trading.bitcoin.arbitrage.bookDepth', 20),
+      legTimeoutMs: config.get('trading.bitcoin.arbitrage.legTimeoutMs', 10000),
+      orderPollMs: config.get('trading.bitcoin.arbitrage.orderPollMs', 500),
+      onLegFailure: config.get('trading.bitcoin.arbitrage.onLegFailure', 'unwind'),
+      // Same switch as bitcoin.executeTrade: without live trading both legs fill on the paper venue
+      paper: !config.get('trading.bitcoin.tradingEnabled', false)
+    };
+  }
+
+  /**
+   * Taker fee charged on an exchange
+   * @param {string} exchange - Exchange key
+   * @param {Object} settings - Settings
+   * @returns {number} Fee percentage
+   */
+  getFeePercent(exchange, settings) {
+    if (settings.paper) {
+      return paperVenue.takerFeePercent;
+    }
+
+    return config.get('trading.bitcoin.arbitrage.takerFeePercent', {})[exchange] || 0.1;
+  }
+
+  /**
+   * Free BTC and quote balance on an exchange
+   * @param {string} exchange - Exchange key
+   * @param {string} symbol - Normalized symbol (e.g. BTC/USD)
+   * @param {Object} settings - Settings
+   * @returns {Promise<Object>} { base, quote }
+   */
+  async getBalances(exchange, symbol, settings) {
+    const { base, quote } = parseSymbol(symbol);
+
+    if (settings.paper) {
+      return {
+        base: parseFloat(paperVenue.getBalance(exchange, base)),
+        quote: parseFloat(paperVenue.getBalance(exchange, quote))
+      };
+    }
+
+    const balances = await exchanges.get(exchange).getBalance();
+    const free = asset => (balances[asset] ? parseFloat(balances[asset].free) : 0);
+
+    return { base: free(base), quote: free(quote) };
+  }
+
+  /**
+   * Find the most profitable executable trade
+   * @param {Object} [options] - Direction to check; both directions when omitted
+   * @param {string} [options.buyExchange] - Exchange to buy on
+   * @param {string} [options.sellExchange] - Exchange to sell on
+   * @returns {Promise<Object|null>} Opportunity ({ buyExchange, sellExchange, quantity, buyPrice, sellPrice, expectedProfit, profitPercent }) or null
+   */
+  async findOpportunity({ buyExchange = null, sellExchange = null } = {}) {
+    const settings = this.getSettings();
+    const names = buyExchange && sellExchange ? [buyExchange, sellExchange] : settings.exchanges;
+
+    const markets = {};
+    await Promise.all(names.map(async exchange => {
+      const symbol = bitcoin.getSymbol(exchange);
+      const [book, balances] = await Promise.all([
+        exchanges.get(exchange).getOrderBook(symbol, settings.bookDepth),
+        this.getBalances(exchange, symbol, settings)
+      ]);
+      markets[exchange] = { symbol, book, balances };
+    }));
+
+    const directions = buyExchange && sellExchange
+      ? [[buyExchange, sellExchange]]
+      : names.flatMap(buy => names.filter(sell => sell !== buy).map(sell => [buy, sell]));
+
+    let best = null;
+    directions.forEach(([buy, sell]) => {
+      const sized = sizeOpportunity(markets[buy].book.asks, markets[sell].book.bids, {
+        buyFeePercent: this.getFeePercent(buy, settings),
+        sellFeePercent: this.getFeePercent(sell, settings),
+        minProfitPercent: settings.minProfitPercent,
+        maxQuantity: Math.min(settings.maxQuantity, markets[sell].balances.base),
+        quoteBalance: markets[buy].balances.quote
+      });
+      const quantity = roundQuantity(sized.quantity);
+
+      if (quantity >= settings.minQuantity && (!best || sized.profit > best.expectedProfit)) {
+        best = {
+          buyExchange: buy,
+          sellExchange: sell,
+          buySymbol: markets[buy].symbol,
+          sellSymbol: markets[sell].symbol,
+          quantity,
+          buyPrice: sized.buyPrice,
+          sellPrice: sized.sellPrice,
+          expectedProfit: sized.profit * (quantity / sized.quantity),
+          profitPercent: sized.profitPercent
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Find and execute an arbitrage trade. Only one trade runs at a time.
+   * @param {Object} [options] - Direction to check (see findOpportunity)
+   * @returns {Promise<Object>} Result ({ executed, status, buy, sell, repair, realizedProfit, simulated, ... } or { executed: false, reason })
+   */
+  async execute(options = {}) {
+    if (this.running) {
+      return { executed: false, reason: 'Arbitrage already running' };
+    }
+
+    this.running = true;
+    let reservationId = null;
+    let traded = false;
+
+    try {
+      const settings = this.getSettings();
+      const opportunity = await this.findOpportunity(options);
+
+      if (!opportunity) {
+        logger.trading('No executable Bitcoin arbitrage', {
+          ...options,
+          minProfitPercent: settings.minProfitPercent
+        });
+        return { executed: false, reason: 'No profitable size', minProfitPercent: settings.minProfitPercent };
+      }
+
+      // The buy leg is the capital the trade puts at risk
+      const { quote: quoteAsset } = parseSymbol(opportunity.buySymbol);
+      const validation = await securityModule.validateTransaction('bitcoin', (opportunity.quantity * opportunity.buyPrice).toString(), 'buy', {
+        asset: quoteAsset,
+        exchange: opportunity.buyExchange,
+        strategy: 'arbitrage'
+      });
+
+      if (!validation.valid) {
+        logger.security('Bitcoin arbitrage rejected by transaction limits', {
+          buyExchange: opportunity.buyExchange,
+          sellExchange: opportunity.sellExchange,
+          reason: validation.reason
+        });
+        return { executed: false, reason: validation.reason };
+      }
+
+      reservationId = validation.reservationId;
+
+      const risk = await riskManager.checkOrder({
+        chain: 'bitcoin',
+        strategy: 'arbitrage',
+        asset: 'BTC',
+        quoteAsset,
+        quoteAmount: opportunity.quantity * opportunity.buyPrice,
+        hedged: true
+      });
+
+      if (!risk.allowed) {
+        return { executed: false, reason: risk.reason };
+      }
+
+      logger.trading('Executing Bitcoin arbitrage', opportunity);
+
+      // Marketable limits at the worst level sized, so a book that moved does not fill at a loss
+      const [buy, sell] = await Promise.all([
+        this.placeLeg(opportunity.buyExchange, opportunity.buySymbol, 'buy', opportunity.quantity, opportunity.buyPrice, settings),
+        this.placeLeg(opportunity.sellExchange, opportunity.sellSymbol, 'sell', opportunity.quantity, opportunity.sellPrice, settings)
+      ]);
+
+      // A leg the adapter only simulated (its own trading switch is off) moved no funds
+      traded = [buy, sell].some(leg => leg.status !== ORDER_STATUS.SIMULATED && leg.filled > QUANTITY_EPSILON);
+
+      const result = {
+        executed: true,
+        ...opportunity,
+        status: null,
+        filledQuantity: Math.min(buy.filled, sell.filled),
+        buy,
+        sell,
+        repair: null,
+        timestamp: clock.date().toISOString()
+      };
+
+      const excess = buy.filled - sell.filled;
+      if (Math.abs(excess) > QUANTITY_EPSILON) {
+        result.repair = await this.repairExposure(opportunity, excess, settings);
+        result.status = result.repair.status;
+      } else {
+        result.status = buy.filled > QUANTITY_EPSILON ? 'completed' : 'failed';
+      }
+
+      if (result.status === 'exposed') {
+        logger.security('Bitcoin arbitrage left an open position', {
+          buyExchange: opportunity.buyExchange,
+          sellExchange: opportunity.sellExchange,
+          remaining: result.repair.remaining
+        });
+      } else {
+        logger.trading('Bitcoin arbitrage finished', {
+          status: result.status,
+          buyExchange: opportunity.buyExchange,
+          sellExchange: opportunity.sellExchange,
+          filledQuantity: result.filledQuantity,
+          expectedProfit: opportunity.expectedProfit
+        });
+      }
+
+      const legs = [buy, sell, ...(result.repair ? result.repair.legs : [])];
+      result.realizedProfit = this.realizedProfit(opportunity, legs, settings);
+      result.simulated = legs.some(leg => leg.status === ORDER_STATUS.SIMULATED);
+
+      // Simulated legs are assumed filled in full at their limit, so their profit stays out of the live daily PnL
+      if (result.simulated) {
+        logger.info('Bitcoin arbitrage included simulated legs, not recording its PnL', {
+          buyExchange: opportunity.buyExchange,
+          sellExchange: opportunity.sellExchange,
+          realizedProfit: result.realizedProfit
+        });
+      } else {
+        await riskManager.recordPnl({ source: 'arbitrage', asset: quoteAsset, amount: result.realizedProfit });
+      }
+
+      this.results.push(result);
+      this.emit('executed', result);
+
+      await this.checkInventory();
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to execute Bitcoin arbitrage', {
+        ...options,
+        error: error.message
+      });
+
+      return { executed: false, reason: 'Error', error: error.message };
+    } finally {
+      // The trade counts toward the transaction limits once either leg has really filled
+      securityModule.settleTransaction(reservationId, traded);
+      this.running = false;
+    }
+  }
+
+  /**
+   * Quote gained over every leg of a trade after taker fees. BTC still held because a leg
+   * could not be repaired is counted at the planned buy price, so it is not booked as a loss.
+   * @param {Object} opportunity - Opportunity executed
+   * @param {Array<Object>} legs - Buy, sell and repair legs
+   * @param {Object} settings - Settings
+   * @returns {number} Realized profit in the quote asset
+   */
+  realizedProfit(opportunity, legs, settings) {
+    let profit = 0;
+    let held = 0;
+
+    legs.forEach(leg => {
+      const notional = leg.filled * (leg.averagePrice || 0);
+      const fee = notional * (this.getFeePercent(leg.exchange, settings) / 100);
+
+      profit += (leg.side === 'sell' ? notional : -notional) - fee;
+      held += leg.side === 'buy' ? leg.filled : -leg.filled;
+    });
+
+    return profit + held * opportunity.buyPrice;
+  }
+
+  /**
+   * Place one leg and wait until it stops filling. Never throws; a failed leg has filled 0.
+   * @param {string} exchange - Exchange key
+   * @param {string} symbol - Normalized symbol
+   * @param {string} side - buy or sell
+   * @param {number} quantity - BTC quantity
+   * @param {number|null} limitPrice - Limit price, market order when null
+   * @param {Object} settings - Settings
+   * @returns {Promise<Object>} Leg ({ exchange, symbol, side, requested, filled, averagePrice, status, orderId, error })
+   */
+  async placeLeg(exchange, symbol, side, quantity, limitPrice, settings) {
+    const leg = { exchange, symbol, side, requested: quantity, filled: 0, averagePrice: null, status: null, orderId: null, error: null };
+
+    try {
+      if (settings.paper) {
+        const fill = await paperVenue.fillExchangeOrder(exchange, symbol, side, quantity, limitPrice);
+
+        return {
+          ...leg,
+          filled: parseFloat(side === 'buy' ? fill.amountOut : fill.amountIn),
+          averagePrice: fill.price,
+          status: fill.partial ? ORDER_STATUS.PARTIALLY_FILLED : ORDER_STATUS.FILLED,
+          orderId: fill.id
+        };
+      }
+
+      const adapter = exchanges.get(exchange);
+      const order = await adapter.placeOrder({
+        symbol,
+        side,
+        type: limitPrice !== null ? 'limit' : 'market',
+        quantity: quantity.toFixed(8),
+        price: limitPrice
+      });
+      const final = await adapter.waitForOrder(order, {
+        timeoutMs: settings.legTimeoutMs,
+        pollMs: settings.orderPollMs
+      });
+
+      return {
+        ...leg,
+        filled: final.status === ORDER_STATUS.SIMULATED ? quantity : parseFloat(final.filledQuantity),
+        averagePrice: parseFloat(final.averagePrice || final.price || limitPrice) || null,
+        status: final.status,
+        orderId: final.id
+      };
+    } catch (error) {
+      logger.error('Bitcoin arbitrage leg failed', {
+        exchange,
+        side,
+        quantity,
+        limitPrice,
+        error: error.message
+      });
+
+      return { ...leg, status: ORDER_STATUS.REJECTED, error: error.message };
+    }
+  }
+
+  /**
+   * Close the BTC exposure left when one leg filled more than the other. unwind reverses the
+   * excess on the exchange that filled it; hedge completes the short leg at market instead and
+   * falls back to unwinding what it could not fill.
+   * @param {Object} opportunity - Opportunity being executed
+   * @param {number} excess - Bought minus sold BTC
+   * @param {Object} settings - Settings
+   * @returns {Promise<Object>} Repair ({ status: hedged|unwound|exposed, legs, remaining })
+   */
+  async repairExposure(opportunity, excess, settings) {
+    const { buyExchange, sellExchange } = opportunity;
+    const side = excess > 0 ? 'sell' : 'buy';
+    const unwind = { status: 'unwound', exchange: excess > 0 ? buyExchange : sellExchange };
+    const hedge = { status: 'hedged', exchange: excess > 0 ? sellExchange : buyExchange };
+    const attempts = settings.onLegFailure === 'hedge' ? [hedge, unwind] : [unwind];
+    const legs = [];
+    let remaining = roundQuantity(Math.abs(excess));
+
+    logger.warn('Bitcoin arbitrage legs filled unevenly, closing the difference', {
+      buyExchange,
+      sellExchange,
+      excess,
+      policy: settings.onLegFailure
+    });
+
+    for (const attempt of attempts) {
+      const leg = await this.placeLeg(attempt.exchange, bitcoin.getSymbol(attempt.exchange), side, remaining, null, settings);
+      legs.push(leg);
+      remaining = roundQuantity(remaining - leg.filled);
+
+      if (remaining <= QUANTITY_EPSILON) {
+        return { status: attempt.status, legs, remaining: 0 };
+      }
+    }
+
+    return { status: 'exposed', legs, remaining };
+  }
+
+  /**
+   * BTC and quote held on each arbitrage exchange, with each exchange's drift from its target share
+   * @returns {Promise<Object>} { base: { total, exchanges: { [name]: { amount, sharePercent, driftPercent } } }, quote: { ... } }
+   */
+  async getInventory() {
+    const settings = this.getSettings();
+    const targets = config.get('trading.bitcoin.arbitrage.targetShares', {});
+    const balances = {};
+
+    await Promise.all(settings.exchanges.map(async exchange => {
+      balances[exchange] = await this.getBalances(exchange, bitcoin.getSymbol(exchange), settings);
+    }));
+
+    const inventory = {};
+    ['base', 'quote'].forEach(asset => {
+      const total = settings.exchanges.reduce((sum, exchange) => sum + balances[exchange][asset], 0);
+      inventory[asset] = { total, exchanges: {} };
+
+      settings.exchanges.forEach(exchange => {
+        const sharePercent = total > 0 ? (balances[exchange][asset] / total) * 100 : 0;
+        const targetPercent = targets[exchange] !== undefined ? targets[exchange] : 100 / settings.exchanges.length;
+        inventory[asset].exchanges[exchange] = {
+          amount: balances[exchange][asset],
+          sharePercent,
+          driftPercent: sharePercent - targetPercent
+        };
+      });
+    });
+
+    return inventory;
+  }
+
+  /**
+   * Transfers that move each asset from the most over-weight to the most under-weight exchange
+   * once an exchange drifts more than maxInventoryDriftPercent from its target share
+   * @param {Object} inventory - Inventory (see getInventory)
+   * @returns {Array<Object>} Transfers ({ asset: base|quote, from, to, amount })
+   */
+  getRebalancePlan(inventory) {
+    const maxDrift = config.get('trading.bitcoin.arbitrage.maxInventoryDriftPercent', 20);
+    const plan = [];
+
+    Object.entries(inventory).forEach(([asset, { total, exchanges: holdings }]) => {
+      const ranked = Object.entries(holdings).sort(([, a], [, b]) => b.driftPercent - a.driftPercent);
+      const [from, over] = ranked[0];
+      const [to, under] = ranked[ranked.length - 1];
+
+      if (total > 0 && from !== to && Math.max(over.driftPercent, -under.driftPercent) > maxDrift) {
+        plan.push({
+          asset,
+          from,
+          to,
+          amount: (Math.min(over.driftPercent, -under.driftPercent) / 100) * total
+        });
+      }
+    });
+
+    return plan;
+  }
+
+  /**
+   * Refresh the inventory and ask for a rebalance when it drifted too far
+   * @returns {Promise<Array<Object>>} Rebalance plan
+   */
+  async checkInventory() {
+    try {
+      this.inventory = await this.getInventory();
+      const plan = this.getRebalancePlan(this.inventory);
+
+      if (plan.length > 0) {
+        logger.warn('Arbitrage inventory drifted, rebalance needed', { plan });
+        this.emit('rebalance', plan);
+      }
+
+      return plan;
+    } catch (error) {
+      logger.error('Failed to check arbitrage inventory', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Results of the trades executed since startup
+   * @returns {Array<Object>} Results
+   */
+  getResults() {
+    return [...this.results];
+  }
+}
+
+module.exports = new ArbitrageExecutor();
+module.exports.sizeOpportunity = sizeOpportunity;
@@ -0,0 +1,536 @@
+/**
+ * Dollar-cost-averaging strategy for the multi-chain trading bot
+ * Spends a fixed budget on a target asset every time a cron expression ticks, using the
+ * bundled node-cron engine. Buys go through an exchange adapter, or through
+ * solana.swapTokens for SPL tokens, and each one must pass the security module's
+ * transaction limits and the risk manager. Plans and their run history are saved to a JSON
+ * state file; runs missed while the bot was down are skipped or caught up according to each
+ * plan's policy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const cron = require('../node-cron');
+const TimeMatcher = require('../time-matcher');
+const exchanges = require('../exchanges/registry');
+const priceFeed = require('../core/priceFeed');
+const paperVenue = require('../execution/paperVenue');
+const solana = require('../core/solana');
+const securityModule = require('../security/securityModule');
+const riskManager = require('../core/riskManager');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+// skip: drop missed runs, once: run one catch-up, all: run every missed run (up to maxCatchUpRuns)
+const MISSED_RUN_POLICIES = ['skip', 'once', 'all'];
+
+/**
+ * Times an expression ticked after `from` and up to `to`
+ * @param {string} expression - Cron expression (5 fields, or 6 with seconds)
+ * @param {Date} from - Exclusive start
+ * @param {Date} to - Inclusive end
+ * @param {Object} [options] - Options
+ * @param {string} [options.timezone] - Timezone the expression is in
+ * @param {number} [options.limit] - Stop after this many ticks
+ * @returns {Array<Date>} Tick times, oldest first
+ */
+function missedTicks(expression, from, to, { timezone = null, limit = Infinity } = {}) {
+  const matcher = new TimeMatcher(expression, timezone);
+  const stepMs = expression.trim().split(/\s+/).length === 6 ? 1000 : 60000;
+  const ticks = [];
+
+  for (let time = Math.floor(from.getTime() / stepMs) * stepMs + stepMs; time <= to.getTime() && ticks.length < limit; time += stepMs) {
+    if (matcher.match(new Date(time))) {
+      ticks.push(new Date(time));
+    }
+  }
+
+  return ticks;
+}
+
+class DcaStrategy extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.filePath = null;
+    this.persist = true;
+    this.plans = new Map();
+    this.tasks = new Map();
+    this.running = new Set();
+  }
+
+  /**
+   * Load saved plans, deal with the runs they missed while stopped and schedule them again
+   * @param {Object} [options] - Options (omit to keep an already initialized state as is)
+   * @param {string} [options.filePath] - State file (defaults to <dataDir>/dca.json)
+   * @param {boolean} [options.persist] - Whether to save state to disk
+   * @returns {Promise<boolean>} Initialization success
+   */
+  async initialize(options = null) {
+    if (this.initialized && options === null) {
+      return true;
+    }
+
+    const { filePath = null, persist = true } = options || {};
+    const targetPath = filePath || path.join(config.get('storage.dataDir', 'data'), 'dca.json');
+
+    try {
+      this.stopAll();
+      this.plans.clear();
+      this.filePath = targetPath;
+      this.persist = persist;
+
+      if (persist && fs.existsSync(targetPath)) {
+        const state = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
+        state.plans.forEach(plan => this.plans.set(plan.id, plan));
+      }
+
+      this.initialized = true;
+
+      const active = [...this.plans.values()].filter(plan => plan.status === 'active');
+      for (const plan of active) {
+        await this.recoverMissedRuns(plan);
+        this.schedule(plan);
+      }
+
+      logger.info('DCA strategy initialized', {
+        filePath: persist ? targetPath : null,
+        plans: this.plans.size,
+        resumed: active.length
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize DCA strategy', {
+        filePath: targetPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Create and schedule a DCA plan
+   * @param {Object} params - Plan parameters
+   * @param {string} params.chain - Chain whose trading switch and transaction limits apply (bitcoin, solana)
+   * @param {string} params.cron - Cron expression
+   * @param {number} params.budget - Amount spent per run, in the symbol's quote asset (exchange) or SOL (swap)
+   * @param {string} [params.exchange] - Exchange key; without one a Solana plan swaps SOL on a DEX
+   * @param {string} [params.symbol] - Normalized symbol bought on the exchange (e.g. BTC/USDT)
+   * @param {string} [params.asset] - Token address bought by a Solana swap
+   * @param {string} [params.missedRuns] - Missed run policy (skip, once, all)
+   * @param {string} [params.timezone] - Timezone of the cron expression
+   * @param {number} [params.slippagePercent] - Swap slippage tolerance
+   * @returns {Promise<Object>} Plan
+   */
+  async createPlan({
+    chain,
+    cron: expression,
+    budget,
+    exchange = null,
+    symbol = null,
+    asset = null,
+    missedRuns = config.get('trading.dca.missedRuns', 'skip'),
+    timezone = null,
+    slippagePercent = 1
+  }) {
+    try {
+      await this.initialize();
+
+      if (!cron.validate(expression)) {
+        throw new Error(`Invalid cron expression ${expression}`);
+      }
+      if (!(parseFloat(budget) > 0)) {
+        throw new Error(`Invalid DCA budget ${budget}`);
+      }
+      if (!MISSED_RUN_POLICIES.includes(missedRuns)) {
+        throw new Error(`Unknown missed run policy ${missedRuns}, expected one of ${MISSED_RUN_POLICIES.join(', ')}`);
+      }
+      if (exchange ? !symbol : chain !== 'solana' || !asset) {
+        throw new Error('A DCA plan needs an exchange and symbol, or a Solana token to swap into');
+      }
+
+      const createdAt = clock.date().toISOString();
+      const plan = {
+        id: `dca-${crypto.randomUUID()}`,
+        chain,
+        cron: expression,
+        timezone,
+        budget: parseFloat(budget),
+        venue: exchange || 'dex',
+        symbol: exchange ? symbol : null,
+        asset: exchange ? symbol.split('/')[0] : asset,
+        slippagePercent,
+        missedRuns,
+        status: 'active',
+        lastScheduledAt: createdAt,
+        runs: [],
+        stats: { runs: 0, filled: 0, spent: 0, received: 0, averagePrice: null },
+        createdAt
+      };
+
+      this.plans.set(plan.id, plan);
+      this.save();
+      this.schedule(plan);
+
+      logger.trading('DCA plan scheduled', {
+        planId: plan.id,
+        chain,
+        cron: expression,
+        budget: plan.budget,
+        venue: plan.venue,
+        asset: plan.asset,
+        missedRuns
+      });
+
+      return this.getPlan(plan.id);
+    } catch (error) {
+      logger.error('Failed to create DCA plan', {
+        chain,
+        cron: expression,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a plan once: check the transaction limits, buy, and record the run
+   * @param {string} planId - Plan ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.trigger] - What started the run (schedule, catchUp, manual)
+   * @param {Date} [options.scheduledAt] - Tick the run belongs to
+   * @returns {Promise<Object>} Run ({ status: filled|rejected|failed|skipped, spent, received, price, reason })
+   */
+  async run(planId, { trigger = 'manual', scheduledAt = null } = {}) {
+    const plan = this.requirePlan(planId);
+
+    if (plan.status !== 'active' || this.running.has(planId)) {
+      return { status: 'skipped', reason: plan.status !== 'active' ? `Plan is ${plan.status}` : 'Previous run still in progress' };
+    }
+
+    this.running.add(planId);
+    const run = {
+      id: crypto.randomUUID(),
+      trigger,
+      scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+      executedAt: clock.date().toISOString(),
+      status: null,
+      spent: 0,
+      received: 0,
+      price: null,
+      reason: null,
+      paper: !config.get(`trading.${plan.chain}.tradingEnabled`, false)
+    };
+
+    try {
+      Object.assign(run, plan.venue === 'dex' ? await this.swap(plan) : await this.buy(plan, run.paper));
+    } catch (error) {
+      logger.error('DCA run failed', {
+        planId,
+        trigger,
+        error: error.message
+      });
+      run.status = 'failed';
+      run.reason = error.message;
+    } finally {
+      this.running.delete(planId);
+    }
+
+    this.record(plan, run);
+
+    return { ...run };
+  }
+
+  /**
+   * Buy on an exchange: budget / ask, rounded down to 8 decimals
+   * @param {Object} plan - Plan
+   * @param {boolean} paper - Fill on the paper venue
+   * @returns {Promise<Object>} Run fields
+   */
+  async buy(plan, paper) {
+    const quote = await priceFeed.getQuote(plan.venue, plan.symbol);
+    const quantity = Math.floor((plan.budget / quote.ask) * 1e8) / 1e8;
+    const validation = await securityModule.validateTransaction(plan.chain, quantity.toFixed(8), 'buy', {
+      asset: plan.asset,
+      exchange: plan.venue,
+      strategy: 'dca'
+    });
+
+    if (!validation.valid) {
+      return { status: 'rejected', reason: validation.reason };
+    }
+
+    let fields = { status: 'failed' };
+    let risk = null;
+
+    try {
+      risk = await riskManager.checkOrder({
+        chain: plan.chain,
+        strategy: 'dca',
+        asset: plan.asset,
+        quoteAsset: plan.symbol.split('/')[1],
+        quoteAmount: quantity * quote.ask,
+        opensPosition: false
+      });
+
+      if (!risk.allowed) {
+        fields = { status: 'rejected', reason: risk.reason };
+        return fields;
+      }
+
+      if (paper) {
+        const fill = await paperVenue.fillExchangeOrder(plan.venue, plan.symbol, 'buy', quantity);
+
+        fields = {
+          status: 'filled',
+          spent: parseFloat(fill.amountIn),
+          received: parseFloat(fill.amountOut),
+          price: fill.price,
+          orderId: fill.id
+        };
+        return fields;
+      }
+
+      const adapter = exchanges.get(plan.venue);
+      const order = await adapter.placeOrder({ symbol: plan.symbol, side: 'buy', type: 'market', quantity: quantity.toFixed(8) });
+      const final = await adapter.waitForOrder(order, {
+        timeoutMs: config.get('trading.dca.orderTimeoutMs', 30000),
+        pollMs: config.get('trading.dca.orderPollMs', 1000)
+      });
+      const received = parseFloat(final.filledQuantity);
+      const price = parseFloat(final.averagePrice || quote.ask);
+
+      fields = {
+        status: received > 0 ? 'filled' : 'failed',
+        spent: received * price + (final.feeAsset === plan.asset ? 0 : parseFloat(final.fee || '0')),
+        received: received - (final.feeAsset === plan.asset ? parseFloat(final.fee || '0') : 0),
+        price,
+        orderId: final.id,
+        reason: received > 0 ? null : `Order ended ${final.status} without a fill`
+      };
+      return fields;
+    } finally {
+      // Only filled orders count toward the transaction limits
+      securityModule.settleTransaction(validation.reservationId, fields.status === 'filled');
+      riskManager.releaseOrder(risk && risk.reservationId);
+    }
+  }
+
+  /**
+   * Swap SOL into the plan's token
+   * @param {Object} plan - Plan
+   * @returns {Promise<Object>} Run fields
+   */
+  async swap(plan) {
+    const validation = await securityModule.validateTransaction('solana', plan.budget.toString(), 'buy', { strategy: 'dca' });
+
+    if (!validation.valid) {
+      return { status: 'rejected', reason: validation.reason };
+    }
+
+    let fields = { status: 'failed' };
+    let risk = null;
+
+    try {
+      risk = await riskManager.checkOrder({
+        chain: 'solana',
+        strategy: 'dca',
+        asset: plan.asset,
+        quoteAsset: 'SOL',
+        quoteAmount: plan.budget,
+        opensPosition: false
+      });
+
+      if (!risk.allowed) {
+        fields = { status: 'rejected', reason: risk.reason };
+        return fields;
+      }
+
+      const result = await solana.swapTokens('SOL', plan.asset, plan.budget.toString(), plan.slippagePercent);
+      const spent = parseFloat(result.inputAmount);
+      const received = parseFloat(result.outputAmount);
+
+      fields = {
+        status: 'filled',
+        spent,
+        received,
+        price: received > 0 ? spent / received : null,
+        orderId: result.id
+      };
+      return fields;
+    } finally {
+      securityModule.settleTransaction(validation.reservationId, fields.status === 'filled');
+      riskManager.releaseOrder(risk && risk.reservationId);
+    }
+  }
+
+
+  /**
+   * Handle the ticks a plan missed since its last scheduled run, as its policy says
+   * @param {Object} plan - Plan
+   * @returns {Promise<Array<Object>>} Catch-up runs
+   */
+  async recoverMissedRuns(plan) {
+    const now = clock.date();
+    const maxWindowMs = config.get('trading.dca.maxCatchUpWindowHours', 168) * 3600000;
+    const from = new Date(Math.max(new Date(plan.lastScheduledAt).getTime(), now.getTime() - maxWindowMs));
+    const missed = missedTicks(plan.cron, from, now, { timezone: plan.timezone });
+
+    if (missed.length === 0) {
+      return [];
+    }
+
+    const limit = { skip: 0, once: 1, all: config.get('trading.dca.maxCatchUpRuns', 24) }[plan.missedRuns];
+    // Catch-up runs stand in for the most recent ticks
+    const toRun = limit > 0 ? missed.slice(-limit) : [];
+
+    logger.warn('DCA plan missed scheduled runs', {
+      planId: plan.id,
+      missed: missed.length,
+      policy: plan.missedRuns,
+      catchingUp: toRun.length
+    });
+
+    const runs = [];
+    for (const scheduledAt of toRun) {
+      runs.push(await this.run(plan.id, { trigger: 'catchUp', scheduledAt }));
+    }
+
+    plan.lastScheduledAt = missed[missed.length - 1].toISOString();
+    this.save();
+
+    return runs;
+  }
+
+  /**
+   * Pause a plan
+   * @param {string} planId - Plan ID
+   * @returns {Object} Plan
+   */
+  stopPlan(planId) {
+    const plan = this.requirePlan(planId);
+
+    this.unschedule(planId);
+    plan.status = 'stopped';
+    this.save();
+
+    logger.info('DCA plan stopped', { planId, runs: plan.stats.runs });
+
+    return this.getPlan(planId);
+  }
+
+  /**
+   * Stop every cron task without changing the saved plans, e.g. on shutdown
+   */
+  stopAll() {
+    [...this.tasks.keys()].forEach(planId => this.unschedule(planId));
+  }
+
+  /**
+   * Get a copy of a plan
+   * @param {string} planId - Plan ID
+   * @returns {Object|null} Plan
+   */
+  getPlan(planId) {
+    const plan = this.plans.get(planId);
+    return plan ? JSON.parse(JSON.stringify(plan)) : null;
+  }
+
+  /**
+   * Get copies of all plans
+   * @param {Object} [filter] - Filter ({ status, chain })
+   * @returns {Array<Object>} Plans
+   */
+  getPlans(filter = {}) {
+    return [...this.plans.values()]
+      .filter(plan => Object.entries(filter).every(([key, value]) => plan[key] === value))
+      .map(plan => this.getPlan(plan.id));
+  }
+
+  schedule(plan) {
+    this.unschedule(plan.id);
+
+    const task = cron.schedule(plan.cron, now => {
+      const scheduledAt = now instanceof Date ? now : clock.date();
+      plan.lastScheduledAt = scheduledAt.toISOString();
+      return this.run(plan.id, { trigger: 'schedule', scheduledAt });
+    }, { scheduled: true, timezone: plan.timezone || undefined, name: plan.id });
+
+    this.tasks.set(plan.id, task);
+  }
+
+  unschedule(planId) {
+    if (this.tasks.has(planId)) {
+      this.tasks.get(planId).stop();
+      this.tasks.delete(planId);
+    }
+  }
+
+  /**
+   * Add a run to the plan's history and totals
+   * @param {Object} plan - Plan
+   * @param {Object} run - Run
+   */
+  record(plan, run) {
+    plan.runs.push(run);
+    if (plan.runs.length > config.get('trading.dca.maxRunHistory', 500)) {
+      plan.runs.shift();
+    }
+
+    plan.stats.runs++;
+    if (run.status === 'filled') {
+      plan.stats.filled++;
+      plan.stats.spent += run.spent;
+      plan.stats.received += run.received;
+      plan.stats.averagePrice = plan.stats.spent / plan.stats.received;
+    }
+
+    this.save();
+
+    if (run.status === 'rejected') {
+      logger.security('DCA run rejected by transaction or risk limits', {
+        planId: plan.id,
+        reason: run.reason
+      });
+    } else if (run.status === 'filled') {
+      logger.trading('DCA run filled', {
+        planId: plan.id,
+        trigger: run.trigger,
+        spent: run.spent,
+        received: run.received,
+        price: run.price
+      });
+    }
+
+    this.emit('run', { planId: plan.id, ...run });
+  }
+
+  requirePlan(planId) {
+    const plan = this.plans.get(planId);
+
+    if (!plan) {
+      throw new Error(`Unknown DCA plan ${planId}`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Write every plan to the state file, through a temporary file so a crash never leaves it half written
+   */
+  save() {
+    if (!this.persist) {
+      return;
+    }
+
+    writeFileAtomic(this.filePath, JSON.stringify({ plans: [...this.plans.values()] }, null, 2));
+  }
+}
+
+module.exports = new DcaStrategy();
+module.exports.missedTicks = missedTicks;
@@ -0,0 +1,575 @@
+/**
+ * Grid trading strategy for the multi-chain trading bot
+ * Keeps a ladder of limit orders between a lower and an upper price on an exchange: a filled
+ * buy is replaced by a sell one level up and a filled sell by a buy one level down, so every
+ * step the price travels through the range books one level of profit. Grids, their resting
+ * orders and their profit are saved to a JSON state file and resumed after a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const exchanges = require('../exchanges/registry');
+const priceFeed = require('../core/priceFeed');
+const paperVenue = require('../execution/paperVenue');
+const riskManager = require('../core/riskManager');
+const securityModule = require('../security/securityModule');
+const { ORDER_STATUS } = require('../exchanges/exchangeAdapter');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+// Statuses after which a live order has to be placed again
+const DEAD_STATUSES = [ORDER_STATUS.CANCELED, ORDER_STATUS.REJECTED, ORDER_STATUS.EXPIRED];
+
+/**
+ * Evenly spaced grid prices from lower to upper, both included
+ * @param {number} lowerPrice - Lowest level
+ * @param {number} upperPrice - Highest level
+ * @param {number} count - Number of levels (at least 2)
+ * @param {number} [decimals] - Price decimals (the market's tick)
+ * @returns {Array<number>} Level prices, ascending
+ */
+function buildLevels(lowerPrice, upperPrice, count, decimals = 8) {
+  const step = (upperPrice - lowerPrice) / (count - 1);
+  return Array.from({ length: count }, (_, index) => parseFloat((lowerPrice + step * index).toFixed(decimals)));
+}
+
+/**
+ * Decimals of a tick or lot step (0.01 -> 2)
+ * @param {string|number} [step] - Step size, 8 decimals when unknown
+ * @returns {number} Decimals
+ */
+function stepDecimals(step) {
+  const value = parseFloat(step);
+  return value > 0 ? Math.max(0, Math.ceil(-Math.log10(value) - 1e-9)) : 8;
+}
+
+class GridStrategy extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.filePath = null;
+    this.persist = true;
+    this.grids = new Map();
+    this.timers = new Map();
+    this.syncing = new Set();
+  }
+
+  /**
+   * Load saved grids and resume the active ones
+   * @param {Object} [options] - Options (omit to keep an already initialized state as is)
+   * @param {string} [options.filePath] - State file (defaults to <dataDir>/grids.json)
+   * @param {boolean} [options.persist] - Whether to save state to disk
+   * @returns {Promise<boolean>} Initialization success
+   */
+  async initialize(options = null) {
+    if (this.initialized && options === null) {
+      return true;
+    }
+
+    const { filePath = null, persist = true } = options || {};
+    const targetPath = filePath || path.join(config.get('storage.dataDir', 'data'), 'grids.json');
+
+    try {
+      this.stopAll();
+      this.grids.clear();
+      this.filePath = targetPath;
+      this.persist = persist;
+
+      if (persist && fs.existsSync(targetPath)) {
+        const state = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
+        state.grids.forEach(grid => this.grids.set(grid.id, grid));
+      }
+
+      this.initialized = true;
+
+      const active = this.getGrids({ status: 'active' });
+      active.forEach(grid => this.schedule(grid));
+
+      logger.info('Grid strategy initialized', {
+        filePath: persist ? targetPath : null,
+        grids: this.grids.size,
+        resumed: active.length
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize grid strategy', {
+        filePath: targetPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Create a grid and place its initial ladder: buys below the level nearest the current
+   * price, sells above it, and that level left empty
+   * @param {Object} params - Grid parameters
+   * @param {string} params.chain - Chain whose trading switch applies (bitcoin, solana)
+   * @param {string} params.exchange - Exchange key
+   * @param {string} params.symbol - Normalized symbol (e.g. BTC/USDT)
+   * @param {number} params.lowerPrice - Lowest grid price
+   * @param {number} params.upperPrice - Highest grid price
+   * @param {number} params.levels - Number of grid prices, bounds included
+   * @param {number} params.quantity - Base asset quantity per order
+   * @param {number} [params.pollMs] - How often orders are checked
+   * @returns {Promise<Object>} Grid
+   */
+  async createGrid({ chain, exchange, symbol, lowerPrice, upperPrice, levels, quantity, pollMs = null }) {
+    try {
+      await this.initialize();
+
+      const lower = parseFloat(lowerPrice);
+      const upper = parseFloat(upperPrice);
+      const count = parseInt(levels, 10);
+      const size = parseFloat(quantity);
+
+      if (!(lower > 0) || !(upper > lower)) {
+        throw new Error(`Invalid grid range ${lowerPrice} - ${upperPrice}`);
+      }
+      if (!(count >= 2)) {
+        throw new Error(`A grid needs at least 2 levels, got ${levels}`);
+      }
+      if (!(size > 0)) {
+        throw new Error(`Invalid grid order quantity ${quantity}`);
+      }
+
+      const paper = !config.get(`trading.${chain}.tradingEnabled`, false);
+      const market = paper ? null : await this.getMarket(exchange, symbol);
+      const priceDecimals = market ? stepDecimals(market.tickSize) : 8;
+      const quote = await priceFeed.getQuote(exchange, symbol);
+      const prices = buildLevels(lower, upper, count, priceDecimals);
+      const emptyLevel = prices.reduce((nearest, price, index) =>
+        (Math.abs(price - quote.mid) < Math.abs(prices[nearest] - quote.mid) ? index : nearest), 0);
+      const createdAt = clock.date().toISOString();
+
+      const grid = {
+        id: `grid-${crypto.randomUUID()}`,
+        chain,
+        exchange,
+        symbol,
+        lowerPrice: lower,
+        upperPrice: upper,
+        levels: prices,
+        quantity: parseFloat(size.toFixed(market ? stepDecimals(market.stepSize) : 8)),
+        priceDecimals,
+        pollMs: pollMs || config.get('trading.grid.pollMs', 30000),
+        paper,
+        status: 'active',
+        orders: [],
+        fills: [],
+        stats: { buys: 0, sells: 0, roundTrips: 0, grossProfit: 0, fees: 0, profit: 0 },
+        createdAt,
+        updatedAt: createdAt
+      };
+
+      this.grids.set(grid.id, grid);
+
+      for (let level = 0; level < prices.length; level++) {
+        if (level !== emptyLevel) {
+          await this.placeOrder(grid, level < emptyLevel ? 'buy' : 'sell', level, null);
+        }
+      }
+
+      this.save();
+      this.schedule(grid);
+
+      logger.trading('Grid strategy started', {
+        gridId: grid.id,
+        exchange,
+        symbol,
+        lowerPrice: lower,
+        upperPrice: upper,
+        levels: count,
+        quantity: grid.quantity,
+        price: quote.mid,
+        paper
+      });
+
+      return this.getGrid(grid.id);
+    } catch (error) {
+      logger.error('Failed to create grid', {
+        exchange,
+        symbol,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a grid's resting orders once and replace the filled ones
+   * @param {string} gridId - Grid ID
+   * @returns {Promise<Array<Object>>} Fills processed
+   */
+  async sync(gridId) {
+    const grid = this.requireGrid(gridId);
+
+    if (grid.status !== 'active' || this.syncing.has(gridId)) {
+      return [];
+    }
+
+    this.syncing.add(gridId);
+    const fills = [];
+    let changed = false;
+
+    try {
+      const quote = grid.paper ? await priceFeed.getQuote(grid.exchange, grid.symbol) : null;
+
+      for (const order of [...grid.orders]) {
+        if (order.id === null) {
+          this.removeOrder(grid, order);
+          await this.placeOrder(grid, order.side, order.level, order.pairedPrice);
+          changed = true;
+          continue;
+        }
+
+        const fill = grid.paper ? this.checkPaperOrder(grid, order, quote) : await this.checkLiveOrder(grid, order);
+
+        if (fill) {
+          fills.push(fill);
+          await this.handleFill(grid, order, fill);
+        }
+      }
+
+      if (fills.length > 0 || changed) {
+        this.save();
+      }
+
+      return fills;
+    } catch (error) {
+      logger.error('Grid sync failed', {
+        gridId,
+        error: error.message
+      });
+      return fills;
+    } finally {
+      this.syncing.delete(gridId);
+    }
+  }
+
+  /**
+   * Fill a paper order when the market trades through its price
+   * @param {Object} grid - Grid
+   * @param {Object} order - Grid order
+   * @param {Object} quote - Current quote
+   * @returns {Object|null} Fill ({ price, quantity, fee }) or null
+   */
+  checkPaperOrder(grid, order, quote) {
+    const crossed = order.side === 'buy' ? quote.ask <= order.price : quote.bid >= order.price;
+
+    if (!crossed) {
+      return null;
+    }
+
+    try {
+      const fill = paperVenue.fillOrder({
+        venue: grid.exchange,
+        symbol: grid.symbol,
+        side: order.side,
+        quantity: order.quantity,
+        book: { bids: [{ price: order.price, quantity: null }], asks: [{ price: order.price, quantity: null }] },
+        limitPrice: order.price
+      });
+
+      return { price: fill.price, quantity: order.quantity, fee: parseFloat(fill.fee), id: fill.id };
+    } catch (error) {
+      logger.warn('Grid paper order could not fill', {
+        gridId: grid.id,
+        side: order.side,
+        price: order.price,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Look up a live order, placing it again if the exchange dropped it
+   * @param {Object} grid - Grid
+   * @param {Object} order - Grid order
+   * @returns {Promise<Object|null>} Fill ({ price, quantity, fee }) or null
+   */
+  async checkLiveOrder(grid, order) {
+    const adapter = exchanges.get(grid.exchange);
+    const status = await adapter.getOrderStatus(order.id, grid.symbol);
+
+    if (status.status === ORDER_STATUS.FILLED) {
+      const quantity = parseFloat(status.filledQuantity);
+      const price = parseFloat(status.averagePrice || status.price || order.price);
+      const fee = parseFloat(status.fee || '0');
+      const [base] = grid.symbol.split('/');
+
+      return {
+        price,
+        quantity,
+        // Fees charged in the base asset are converted so profit stays in the quote asset
+        fee: status.feeAsset === base ? fee * price : fee,
+        id: status.id
+      };
+    }
+
+    if (DEAD_STATUSES.includes(status.status)) {
+      logger.warn('Grid order was closed without filling, placing it again', {
+        gridId: grid.id,
+        orderId: order.id,
+        status: status.status
+      });
+
+      this.removeOrder(grid, order);
+      await this.placeOrder(grid, order.side, order.level, order.pairedPrice);
+      this.save();
+    }
+
+    return null;
+  }
+
+  /**
+   * Book a fill and place the opposite order one level away. Closing a round trip (a buy
+   * that was placed after a sell one level up, or the reverse) realizes one grid step.
+   * @param {Object} grid - Grid
+   * @param {Object} order - Filled grid order
+   * @param {Object} fill - Fill
+   */
+  async handleFill(grid, order, fill) {
+    const gross = order.pairedPrice === null
+      ? 0
+      : (order.side === 'sell' ? fill.price - order.pairedPrice : order.pairedPrice - fill.price) * fill.quantity;
+    const recorded = {
+      orderId: order.id,
+      fillId: fill.id,
+      side: order.side,
+      level: order.level,
+      price: fill.price,
+      quantity: fill.quantity,
+      fee: fill.fee,
+      profit: gross,
+      timestamp: clock.date().toISOString()
+    };
+
+    grid.stats[order.side === 'buy' ? 'buys' : 'sells']++;
+    grid.stats.fees += fill.fee;
+    if (order.pairedPrice !== null) {
+      grid.stats.roundTrips++;
+      grid.stats.grossProfit += gross;
+    }
+    grid.stats.profit = grid.stats.grossProfit - grid.stats.fees;
+    grid.fills.push(recorded);
+    if (grid.fills.length > config.get('trading.grid.maxFillHistory', 100)) {
+      grid.fills.shift();
+    }
+
+    this.removeOrder(grid, order);
+
+    const side = order.side === 'buy' ? 'sell' : 'buy';
+    const level = order.level + (order.side === 'buy' ? 1 : -1);
+    await this.placeOrder(grid, side, level, fill.price);
+
+    logger.trading('Grid order filled', {
+      gridId: grid.id,
+      side: order.side,
+      price: fill.price,
+      quantity: fill.quantity,
+      profit: gross,
+      gridProfit: grid.stats.profit
+    });
+
+    await riskManager.recordPnl({ source: 'grid', asset: grid.symbol.split('/')[1], amount: gross - fill.fee, reference: grid.id });
+
+    this.emit('fill', { gridId: grid.id, ...recorded });
+  }
+
+  /**
+   * Place a grid order at a level. An order the exchange, the transaction limits or the risk
+   * manager refuse is kept without an ID and placed again on the next sync, so the ladder never
+   * loses a level. A buy ties up its quote while it rests, so it counts toward the transaction
+   * limits once placed.
+   * @param {Object} grid - Grid
+   * @param {string} side - Order side (buy, sell)
+   * @param {number} level - Level index
+   * @param {number|null} pairedPrice - Fill price of the order this one closes, null for the initial ladder
+   * @returns {Promise<Object>} Grid order
+   */
+  async placeOrder(grid, side, level, pairedPrice) {
+    const price = grid.levels[level];
+    let id = `${grid.id}-paper-${crypto.randomUUID()}`;
+    const [base, quote] = grid.symbol.split('/');
+    const validation = side === 'buy'
+      ? await securityModule.validateTransaction(grid.chain, (grid.quantity * price).toString(), 'buy', {
+        asset: quote,
+        exchange: grid.exchange,
+        strategy: 'grid'
+      })
+      : { valid: true, reservationId: null };
+    const risk = side === 'buy' && validation.valid
+      ? await riskManager.checkOrder({
+        chain: grid.chain,
+        strategy: 'grid',
+        asset: base,
+        quoteAsset: quote,
+        quoteAmount: grid.quantity * price,
+        opensPosition: false
+      })
+      : { allowed: validation.valid };
+
+    if (!risk.allowed) {
+      id = null;
+    } else if (!grid.paper) {
+      try {
+        const order = await exchanges.get(grid.exchange).placeOrder({
+          symbol: grid.symbol,
+          side,
+          type: 'limit',
+          quantity: grid.quantity,
+          price: price.toFixed(grid.priceDecimals)
+        });
+        id = order.id;
+      } catch (error) {
+        logger.error('Failed to place grid order, retrying on the next sync', {
+          gridId: grid.id,
+          side,
+          price,
+          error: error.message
+        });
+        id = null;
+      }
+    }
+
+    securityModule.settleTransaction(validation.reservationId, id !== null);
+    riskManager.releaseOrder(risk.reservationId);
+
+    const order = { id, side, level, price, quantity: grid.quantity, pairedPrice, placedAt: clock.date().toISOString() };
+    grid.orders.push(order);
+    grid.updatedAt = order.placedAt;
+
+    return order;
+  }
+
+  /**
+   * Stop a grid
+   * @param {string} gridId - Grid ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.cancelOrders] - Cancel its resting orders on the exchange
+   * @returns {Promise<Object>} Grid
+   */
+  async stopGrid(gridId, { cancelOrders = true } = {}) {
+    const grid = this.requireGrid(gridId);
+
+    this.unschedule(gridId);
+
+    if (cancelOrders && !grid.paper) {
+      const adapter = exchanges.get(grid.exchange);
+
+      for (const order of grid.orders) {
+        try {
+          await adapter.cancelOrder(order.id, grid.symbol);
+        } catch (error) {
+          logger.warn('Failed to cancel grid order', {
+            gridId,
+            orderId: order.id,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (cancelOrders) {
+      grid.orders = [];
+    }
+
+    grid.status = 'stopped';
+    grid.updatedAt = clock.date().toISOString();
+    this.save();
+
+    logger.info('Grid strategy stopped', {
+      gridId,
+      profit: grid.stats.profit,
+      roundTrips: grid.stats.roundTrips
+    });
+
+    return this.getGrid(gridId);
+  }
+
+  /**
+   * Stop polling every grid without changing their saved state, e.g. on shutdown
+   */
+  stopAll() {
+    [...this.timers.keys()].forEach(gridId => this.unschedule(gridId));
+  }
+
+  /**
+   * Get a copy of a grid
+   * @param {string} gridId - Grid ID
+   * @returns {Object|null} Grid
+   */
+  getGrid(gridId) {
+    const grid = this.grids.get(gridId);
+    return grid ? JSON.parse(JSON.stringify(grid)) : null;
+  }
+
+  /**
+   * Get copies of all grids
+   * @param {Object} [filter] - Filter ({ status, chain })
+   * @returns {Array<Object>} Grids
+   */
+  getGrids(filter = {}) {
+    return [...this.grids.values()]
+      .filter(grid => Object.entries(filter).every(([key, value]) => grid[key] === value))
+      .map(grid => this.getGrid(grid.id));
+  }
+
+  /**
+   * Fetch the exchange's tick and lot size for a symbol
+   * @param {string} exchange - Exchange key
+   * @param {string} symbol - Normalized symbol
+   * @returns {Promise<Object|null>} Market
+   */
+  async getMarket(exchange, symbol) {
+    const markets = await exchanges.get(exchange).getMarkets();
+    return markets.find(market => market.symbol === symbol) || null;
+  }
+
+  schedule(grid) {
+    this.unschedule(grid.id);
+    this.timers.set(grid.id, clock.setInterval(() => this.sync(grid.id), grid.pollMs));
+  }
+
+  unschedule(gridId) {
+    if (this.timers.has(gridId)) {
+      clock.clearInterval(this.timers.get(gridId));
+      this.timers.delete(gridId);
+    }
+  }
+
+  removeOrder(grid, order) {
+    grid.orders = grid.orders.filter(({ id }) => id !== order.id);
+  }
+
+  requireGrid(gridId) {
+    const grid = this.grids.get(gridId);
+
+    if (!grid) {
+      throw new Error(`Unknown grid ${gridId}`);
+    }
+
+    return grid;
+  }
+
+  /**
+   * Write every grid to the state file, through a temporary file so a crash never leaves it half written
+   */
+  save() {
+    if (!this.persist) {
+      return;
+    }
+
+    writeFileAtomic(this.filePath, JSON.stringify({ grids: [...this.grids.values()] }, null, 2));
+  }
+}
+
+module.exports = new GridStrategy();
+module.exports.buildLevels = buildLevels;
@@ -0,0 +1,817 @@
+/**
+ * Trend-following strategy for the multi-chain trading bot
+ * Builds OHLCV candles from an exchange's ticker stream (Binance watchPrice) or from polled
+ * tickers (Kraken and any adapter without a stream), and trades a fast/slow EMA crossover
+ * filtered by RSI, with an ATR trailing stop. Ticks are bucketed on the shared clock and
+ * orders go through the paper venue unless the chain's trading switch is on, so the same
+ * signals come out live, on paper and in a backtest. Strategies are saved to a JSON state
+ * file; their positions live in the position ledger.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const exchanges = require('../exchanges/registry');
+const priceFeed = require('../core/priceFeed');
+const positionLedger = require('../core/positionLedger');
+const paperVenue = require('../execution/paperVenue');
+const securityModule = require('../security/securityModule');
+const riskManager = require('../core/riskManager');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+// Indicator settings a strategy can override, defaulting to trading.trend and then to these values
+const SETTINGS = {
+  candleIntervalMs: 60000,
+  fastPeriod: 12,
+  slowPeriod: 26,
+  rsiPeriod: 14,
+  rsiOverbought: 70,
+  atrPeriod: 14,
+  atrStopMultiplier: 2
+};
+
+/**
+ * Exponential moving average seeded with the simple average of the first period values
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - Period
+ * @returns {Array<number|null>} Average per value, null until period values are in
+ */
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  let average = null;
+
+  return values.map((value, index) => {
+    if (index < period - 1) {
+      return null;
+    }
+
+    average = average === null
+      ? values.slice(0, period).reduce((sum, item) => sum + item, 0) / period
+      : value * k + average * (1 - k);
+
+    return average;
+  });
+}
+
+/**
+ * Relative strength index with Wilder smoothing
+ * @param {Array<number>} closes - Closing prices, oldest first
+ * @param {number} period - Period
+ * @returns {number|null} Latest RSI (0-100), null with fewer than period + 1 closes
+ */
+function rsi(closes, period) {
+  if (closes.length <= period) {
+    return null;
+  }
+
+  let gain = 0;
+  let loss = 0;
+
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    const up = Math.max(change, 0);
+    const down = Math.max(-change, 0);
+
+    if (i <= period) {
+      gain += up / period;
+      loss += down / period;
+    } else {
+      gain = (gain * (period - 1) + up) / period;
+      loss = (loss * (period - 1) + down) / period;
+    }
+  }
+
+  if (loss === 0) {
+    return gain === 0 ? 50 : 100;
+  }
+
+  return 100 - 100 / (1 + gain / loss);
+}
+
+/**
+ * Average true range with Wilder smoothing
+ * @param {Array<Object>} candles - Candles ({ high, low, close }), oldest first
+ * @param {number} period - Period
+ * @returns {number|null} Latest ATR, null with fewer than period + 1 candles
+ */
+function atr(candles, period) {
+  if (candles.length <= period) {
+    return null;
+  }
+
+  let average = 0;
+
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const previousClose = candles[i - 1].close;
+    const trueRange = Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+
+    average = i <= period ? average + trueRange / period : (average * (period - 1) + trueRange) / period;
+  }
+
+  return average;
+}
+
+/**
+ * Aggregates ticks into fixed-interval OHLCV candles
+ */
+class CandleAggregator {
+  /**
+   * @param {number} intervalMs - Candle length
+   * @param {number} [maxCandles] - Closed candles kept
+   */
+  constructor(intervalMs, maxCandles = 500) {
+    this.intervalMs = intervalMs;
+    this.maxCandles = maxCandles;
+    this.candles = [];
+    this.current = null;
+    this.lastVolume = null;
+  }
+
+  /**
+   * Add a tick. A tick in a later interval closes the open candle; intervals without
+   * ticks are filled with flat candles at the last close so indicators keep their timing.
+   * @param {number} price - Traded price
+   * @param {number} time - Tick time (epoch milliseconds)
+   * @param {number} [volume] - Rolling 24h volume reported with the tick; candles add up its increases
+   * @returns {Array<Object>} Candles closed by this tick ({ openTime, open, high, low, close, volume })
+   */
+  add(price, time, volume = null) {
+    const openTime = Math.floor(time / this.intervalMs) * this.intervalMs;
+    const traded = volume !== null && this.lastVolume !== null ? Math.max(volume - this.lastVolume, 0) : 0;
+    const closed = [];
+
+    if (volume !== null) {
+      this.lastVolume = volume;
+    }
+
+    if (this.current && openTime < this.current.openTime) {
+      // Late tick from a closed interval
+      return closed;
+    }
+
+    if (this.current && openTime > this.current.openTime) {
+      closed.push(this.current);
+
+      for (let gap = this.current.openTime + this.intervalMs; gap < openTime; gap += this.intervalMs) {
+        const last = this.current.close;
+        closed.push({ openTime: gap, open: last, high: last, low: last, close: last, volume: 0 });
+      }
+
+      this.current = null;
+      this.candles.push(...closed);
+      this.candles.splice(0, Math.max(this.candles.length - this.maxCandles, 0));
+    }
+
+    if (!this.current) {
+      this.current = { openTime, open: price, high: price, low: price, close: price, volume: traded };
+    } else {
+      this.current.high = Math.max(this.current.high, price);
+      this.current.low = Math.min(this.current.low, price);
+      this.current.close = price;
+      this.current.volume += traded;
+    }
+
+    return closed;
+  }
+}
+
+class TrendStrategy extends EventEmitter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.filePath = null;
+    this.persist = true;
+    this.strategies = new Map();
+    this.feeds = new Map();
+    this.trading = new Set();
+  }
+
+  /**
+   * Load saved strategies and resume the active ones; candles are rebuilt from the live feed
+   * @param {Object} [options] - Options (omit to keep an already initialized state as is)
+   * @param {string} [options.filePath] - State file (defaults to <dataDir>/trend.json)
+   * @param {boolean} [options.persist] - Whether to save state to disk
+   * @returns {Promise<boolean>} Initialization success
+   */
+  async initialize(options = null) {
+    if (this.initialized && options === null) {
+      return true;
+    }
+
+    const { filePath = null, persist = true } = options || {};
+    const targetPath = filePath || path.join(config.get('storage.dataDir', 'data'), 'trend.json');
+
+    try {
+      this.stopAll();
+      this.strategies.clear();
+      this.filePath = targetPath;
+      this.persist = persist;
+
+      await positionLedger.initialize();
+
+      if (persist && fs.existsSync(targetPath)) {
+        const state = JSON.parse(fs.readFileSync(targetPath, 'utf8'));
+        state.strategies.forEach(strategy => this.strategies.set(strategy.id, strategy));
+      }
+
+      this.initialized = true;
+
+      const active = [...this.strategies.values()].filter(strategy => strategy.status === 'active');
+      active.forEach(strategy => {
+        // The position may have been closed by hand while the bot was down
+        const position = strategy.positionId ? positionLedger.getPosition(strategy.positionId) : null;
+        if (strategy.positionId && (!position || position.status !== 'open')) {
+          this.clearPosition(strategy);
+        }
+        this.subscribe(strategy);
+      });
+      this.save();
+
+      logger.info('Trend strategy initialized', {
+        filePath: persist ? targetPath : null,
+        strategies: this.strategies.size,
+        resumed: active.length
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize trend strategy', {
+        filePath: targetPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Create a trend strategy and start feeding it ticks
+   * @param {Object} params - Strategy parameters; indicator settings default to trading.trend
+   * @param {string} params.chain - Chain whose trading switch and transaction limits apply (bitcoin, solana)
+   * @param {string} params.exchange - Exchange key
+   * @param {string} params.symbol - Normalized symbol (e.g. BTC/USDT)
+   * @param {number} [params.candleIntervalMs] - Candle length
+   * @param {number} [params.fastPeriod] - Fast EMA period
+   * @param {number} [params.slowPeriod] - Slow EMA period
+   * @param {number} [params.rsiPeriod] - RSI period
+   * @param {number} [params.rsiOverbought] - RSI at or above which entries are skipped
+   * @param {number} [params.atrPeriod] - ATR period
+   * @param {number} [params.atrStopMultiplier] - ATRs the trailing stop keeps below the highest close
+   * @returns {Promise<Object>} Strategy
+   */
+  async createStrategy({ chain, exchange, symbol, ...overrides }) {
+    try {
+      await this.initialize();
+
+      if (!exchange || !symbol || !symbol.includes('/')) {
+        throw new Error('A trend strategy needs an exchange and a symbol like BTC/USDT');
+      }
+      if (!exchanges.has(exchange)) {
+        throw new Error(`Unknown exchange ${exchange}`);
+      }
+
+      const settings = {};
+      Object.entries(SETTINGS).forEach(([name, defaultValue]) => {
+        settings[name] = parseFloat(overrides[name] !== undefined ? overrides[name] : config.get(`trading.trend.${name}`, defaultValue));
+      });
+
+      if (!(settings.candleIntervalMs > 0)) {
+        throw new Error(`Invalid candle interval ${settings.candleIntervalMs}`);
+      }
+      if (!(settings.fastPeriod >= 1) || !(settings.slowPeriod > settings.fastPeriod)) {
+        throw new Error(`Invalid EMA periods ${settings.fastPeriod}/${settings.slowPeriod}`);
+      }
+      if (!(settings.rsiPeriod >= 1) || !(settings.atrPeriod >= 1) || !(settings.atrStopMultiplier > 0)) {
+        throw new Error('Invalid RSI or ATR settings');
+      }
+
+      const [asset, quoteAsset] = symbol.split('/');
+      const strategy = {
+        id: `trend-${crypto.randomUUID()}`,
+        chain,
+        exchange,
+        symbol,
+        asset,
+        quoteAsset,
+        ...settings,
+        status: 'active',
+        positionId: null,
+        highestClose: null,
+        stopPrice: null,
+        signals: [],
+        stats: { signals: 0, entries: 0, exits: 0, skipped: 0, realizedPnl: 0 },
+        createdAt: clock.date().toISOString()
+      };
+
+      this.strategies.set(strategy.id, strategy);
+      this.save();
+      this.subscribe(strategy);
+
+      logger.trading('Trend strategy started', {
+        strategyId: strategy.id,
+        chain,
+        exchange,
+        symbol,
+        fastPeriod: settings.fastPeriod,
+        slowPeriod: settings.slowPeriod,
+        candleIntervalMs: settings.candleIntervalMs
+      });
+
+      return this.getStrategy(strategy.id);
+    } catch (error) {
+      logger.error('Failed to create trend strategy', {
+        chain,
+        exchange,
+        symbol,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Feed a tick to a strategy: evaluate every candle it closed, then check the trailing stop
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} ticker - Ticker ({ price, bidPrice, askPrice, volume })
+   * @returns {Promise<void>}
+   */
+  async handleTicker(strategyId, ticker) {
+    const strategy = this.strategies.get(strategyId);
+    const feed = this.feeds.get(strategyId);
+
+    if (!strategy || !feed || strategy.status !== 'active') {
+      return;
+    }
+
+    const last = parseFloat(ticker.price);
+    const price = last > 0 ? last : (parseFloat(ticker.bidPrice) + parseFloat(ticker.askPrice)) / 2;
+    const volume = ticker.volume !== undefined && ticker.volume !== null ? parseFloat(ticker.volume) : null;
+
+    if (!(price > 0)) {
+      return;
+    }
+
+    const closed = feed.aggregator.add(price, clock.now(), volume);
+
+    for (const candle of closed) {
+      await this.evaluate(strategy, feed.aggregator.candles.slice(0, feed.aggregator.candles.indexOf(candle) + 1));
+    }
+
+    if (strategy.positionId && strategy.stopPrice !== null && price <= strategy.stopPrice) {
+      await this.signal(strategy, 'exit', 'atr-stop', price, {});
+    }
+  }
+
+  /**
+   * Evaluate the indicators on a closed candle and act on any signal
+   * @param {Object} strategy - Strategy
+   * @param {Array<Object>} candles - Closed candles up to the one just closed
+   * @returns {Promise<void>}
+   */
+  async evaluate(strategy, candles) {
+    const closes = candles.map(({ close }) => close);
+    const fast = ema(closes, strategy.fastPeriod);
+    const slow = ema(closes, strategy.slowPeriod);
+    const last = closes.length - 1;
+
+    if (last < 1 || slow[last - 1] === null) {
+      return;
+    }
+
+    const indicators = {
+      fastEma: fast[last],
+      slowEma: slow[last],
+      rsi: rsi(closes, strategy.rsiPeriod),
+      atr: atr(candles, strategy.atrPeriod)
+    };
+    const crossedUp = fast[last - 1] <= slow[last - 1] && fast[last] > slow[last];
+    const crossedDown = fast[last - 1] >= slow[last - 1] && fast[last] < slow[last];
+    const close = closes[last];
+
+    if (strategy.positionId) {
+      strategy.highestClose = Math.max(strategy.highestClose, close);
+      if (indicators.atr !== null) {
+        strategy.stopPrice = Math.max(strategy.stopPrice || 0, strategy.highestClose - strategy.atrStopMultiplier * indicators.atr);
+      }
+
+      if (crossedDown) {
+        await this.signal(strategy, 'exit', 'crossover', close, indicators);
+      } else if (close <= strategy.stopPrice) {
+        await this.signal(strategy, 'exit', 'atr-stop', close, indicators);
+      } else {
+        this.save();
+      }
+      return;
+    }
+
+    if (crossedUp && indicators.rsi !== null && indicators.rsi < strategy.rsiOverbought) {
+      await this.signal(strategy, 'entry', 'crossover', close, indicators);
+    }
+  }
+
+  /**
+   * Record a signal, emit it and trade it
+   * @param {Object} strategy - Strategy
+   * @param {string} type - Signal type (entry, exit)
+   * @param {string} reason - What triggered it (crossover, atr-stop, manual, ...)
+   * @param {number} price - Price the signal fired at
+   * @param {Object} indicators - Indicator values ({ fastEma, slowEma, rsi, atr })
+   * @returns {Promise<Object>} Trade result ({ status: filled|rejected|skipped|failed, ... })
+   */
+  async signal(strategy, type, reason, price, indicators) {
+    if (this.trading.has(strategy.id)) {
+      return { status: 'skipped', reason: 'Previous trade still in progress' };
+    }
+
+    const signal = {
+      strategyId: strategy.id,
+      type,
+      reason,
+      price,
+      indicators,
+      time: clock.date().toISOString()
+    };
+
+    strategy.signals.push(signal);
+    if (strategy.signals.length > config.get('trading.trend.maxSignalHistory', 100)) {
+      strategy.signals.shift();
+    }
+    strategy.stats.signals++;
+
+    logger.trading('Trend signal', {
+      strategyId: strategy.id,
+      symbol: strategy.symbol,
+      type,
+      reason,
+      price
+    });
+
+    this.emit('signal', { ...signal, symbol: strategy.symbol, exchange: strategy.exchange });
+
+    this.trading.add(strategy.id);
+    let result;
+
+    try {
+      result = type === 'entry' ? await this.enter(strategy, price, indicators) : await this.exit(strategy, reason);
+    } catch (error) {
+      logger.error('Trend trade failed', {
+        strategyId: strategy.id,
+        type,
+        error: error.message
+      });
+      result = { status: 'failed', reason: error.message };
+    } finally {
+      this.trading.delete(strategy.id);
+    }
+
+    if (result.status === 'skipped' || result.status === 'rejected') {
+      strategy.stats.skipped++;
+    }
+
+    this.save();
+    this.emit('trade', { strategyId: strategy.id, type, ...result });
+
+    return result;
+  }
+
+  /**
+   * Open a position with maxPositionSize of the quote balance, if the risk manager allows it
+   * @param {Object} strategy - Strategy
+   * @param {number} price - Signal price
+   * @param {Object} indicators - Indicator values at the signal
+   * @returns {Promise<Object>} Trade result
+   */
+  async enter(strategy, price, indicators) {
+    const paper = !config.get(`trading.${strategy.chain}.tradingEnabled`, false);
+    const balance = await this.getQuoteBalance(strategy, paper);
+    const budget = balance * parseFloat(config.get('trading.maxPositionSize', 0.1));
+    const quote = await priceFeed.getQuote(strategy.exchange, strategy.symbol);
+    const quantity = Math.floor((budget / quote.ask) * 1e8) / 1e8;
+
+    if (!(quantity > 0)) {
+      return { status: 'skipped', reason: `No ${strategy.quoteAsset} balance to trade` };
+    }
+
+    const validation = await securityModule.validateTransaction(strategy.chain, quantity.toFixed(8), 'buy', {
+      asset: strategy.asset,
+      exchange: strategy.exchange,
+      strategy: 'trend'
+    });
+
+    if (!validation.valid) {
+      logger.security('Trend entry rejected by transaction limits', {
+        strategyId: strategy.id,
+        reason: validation.reason
+      });
+      return { status: 'rejected', reason: validation.reason };
+    }
+
+    let fill = null;
+    let risk = null;
+
+    try {
+      risk = await riskManager.checkOrder({
+        chain: strategy.chain,
+        strategy: 'trend',
+        asset: strategy.asset,
+        quoteAsset: strategy.quoteAsset,
+        quoteAmount: quantity * quote.ask
+      });
+
+      if (!risk.allowed) {
+        return { status: 'rejected', reason: risk.reason };
+      }
+
+      fill = await this.placeOrder(strategy, 'buy', quantity, paper, quote.ask);
+    } finally {
+      // Only filled orders count toward the transaction limits. The position below is opened without
+      // awaiting, so the risk limits see it as soon as its reservation is released
+      securityModule.settleTransaction(validation.reservationId, Boolean(fill && fill.quantity > 0));
+      riskManager.releaseOrder(risk && risk.reservationId);
+    }
+
+    if (!(fill.quantity > 0)) {
+      return { status: 'failed', reason: fill.reason };
+    }
+
+    const position = positionLedger.openPosition({
+      chain: strategy.chain,
+      strategy: 'trend',
+      asset: strategy.asset,
+      quoteAsset: strategy.quoteAsset,
+      quantity: fill.quantity.toString(),
+      cost: fill.amount.toString(),
+      fee: fill.fee.toString(),
+      entryPrice: fill.price.toString(),
+      venue: paper ? 'paper' : 'live',
+      txHash: fill.orderId,
+      meta: { strategyId: strategy.id, exchange: strategy.exchange, symbol: strategy.symbol }
+    });
+
+    strategy.positionId = position.id;
+    strategy.highestClose = price;
+    strategy.stopPrice = indicators.atr ? price - strategy.atrStopMultiplier * indicators.atr : null;
+    strategy.stats.entries++;
+
+    return { status: 'filled', side: 'buy', positionId: position.id, ...fill, paper };
+  }
+
+  /**
+   * Sell the strategy's whole position and close it in the ledger
+   * @param {Object} strategy - Strategy
+   * @param {string} reason - Close reason
+   * @returns {Promise<Object>} Trade result
+   */
+  async exit(strategy, reason) {
+    const position = strategy.positionId ? positionLedger.getPosition(strategy.positionId) : null;
+
+    if (!position || position.status !== 'open') {
+      this.clearPosition(strategy);
+      return { status: 'skipped', reason: 'No open position' };
+    }
+
+    const paper = position.venue === 'paper';
+    const quote = await priceFeed.getQuote(strategy.exchange, strategy.symbol);
+    const fill = await this.placeOrder(strategy, 'sell', parseFloat(position.quantity), paper, quote.bid);
+
+    if (!(fill.quantity > 0)) {
+      return { status: 'failed', reason: fill.reason };
+    }
+
+    const closed = positionLedger.closePosition(position.id, {
+      reason,
+      fill: {
+        quantity: fill.quantity.toString(),
+        amount: fill.amount.toString(),
+        fee: fill.fee.toString(),
+        price: fill.price.toString(),
+        txHash: fill.orderId
+      }
+    });
+
+    this.clearPosition(strategy);
+    strategy.stats.exits++;
+    strategy.stats.realizedPnl += parseFloat(closed.realizedPnl);
+
+    return { status: 'filled', side: 'sell', positionId: position.id, ...fill, realizedPnl: parseFloat(closed.realizedPnl), paper };
+  }
+
+  /**
+   * Fill a market order on the paper venue or the exchange
+   * @param {Object} strategy - Strategy
+   * @param {string} side - Order side (buy, sell)
+   * @param {number} quantity - Base asset quantity
+   * @param {boolean} paper - Fill on the paper venue
+   * @param {number} referencePrice - Price used when the exchange reports no average price
+   * @returns {Promise<Object>} Fill ({ quantity, amount, fee, price, orderId }); amount is the quote notional before fees
+   */
+  async placeOrder(strategy, side, quantity, paper, referencePrice) {
+    if (paper) {
+      const fill = await paperVenue.fillExchangeOrder(strategy.exchange, strategy.symbol, side, quantity);
+      const filled = parseFloat(side === 'buy' ? fill.amountOut : fill.amountIn);
+
+      return { quantity: filled, amount: filled * fill.price, fee: parseFloat(fill.fee), price: fill.price, orderId: fill.id };
+    }
+
+    const adapter = exchanges.get(strategy.exchange);
+    const order = await adapter.placeOrder({ symbol: strategy.symbol, side, type: 'market', quantity: quantity.toFixed(8) });
+    const final = await adapter.waitForOrder(order, {
+      timeoutMs: config.get('trading.trend.orderTimeoutMs', 30000),
+      pollMs: config.get('trading.trend.orderPollMs', 1000)
+    });
+    const filled = parseFloat(final.filledQuantity);
+    const price = parseFloat(final.averagePrice || referencePrice);
+    const fee = parseFloat(final.fee || '0');
+    // A fee charged in the base asset comes off the quantity received rather than the quote spent
+    const baseFee = final.feeAsset === strategy.asset;
+
+    const received = baseFee && side === 'buy' ? filled - fee : filled;
+
+    return {
+      quantity: received,
+      amount: received * price,
+      fee: baseFee ? fee * price : fee,
+      price,
+      orderId: final.id,
+      reason: filled > 0 ? null : `Order ended ${final.status} without a fill`
+    };
+  }
+
+  /**
+   * Quote asset available to a strategy
+   * @param {Object} strategy - Strategy
+   * @param {boolean} paper - Read the paper venue balance
+   * @returns {Promise<number>} Free balance
+   */
+  async getQuoteBalance(strategy, paper) {
+    if (paper) {
+      return parseFloat(paperVenue.getBalance(strategy.exchange, strategy.quoteAsset));
+    }
+
+    const balances = await exchanges.get(strategy.exchange).getBalance();
+    return balances[strategy.quoteAsset] ? parseFloat(balances[strategy.quoteAsset].free) : 0;
+  }
+
+  /**
+   * Sell a strategy's open position now
+   * @param {string} strategyId - Strategy ID
+   * @param {string} [reason] - Close reason
+   * @returns {Promise<Object>} Trade result
+   */
+  async closePosition(strategyId, reason = 'manual') {
+    const strategy = this.requireStrategy(strategyId);
+
+    if (!strategy.positionId) {
+      return { status: 'skipped', reason: 'No open position' };
+    }
+
+    const quote = await priceFeed.getQuote(strategy.exchange, strategy.symbol);
+    return this.signal(strategy, 'exit', reason, quote.bid, {});
+  }
+
+  /**
+   * Stop a strategy, optionally selling its open position first
+   * @param {string} strategyId - Strategy ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.closePosition] - Sell the open position
+   * @returns {Promise<Object>} Strategy
+   */
+  async stopStrategy(strategyId, { closePosition = false } = {}) {
+    const strategy = this.requireStrategy(strategyId);
+
+    if (closePosition && strategy.positionId) {
+      await this.closePosition(strategyId, 'strategy-stopped');
+    }
+
+    this.unsubscribe(strategyId);
+    strategy.status = 'stopped';
+    this.save();
+
+    logger.info('Trend strategy stopped', {
+      strategyId,
+      positionId: strategy.positionId,
+      stats: strategy.stats
+    });
+
+    return this.getStrategy(strategyId);
+  }
+
+  /**
+   * Close every feed without changing the saved strategies, e.g. on shutdown
+   */
+  stopAll() {
+    [...this.feeds.keys()].forEach(strategyId => this.unsubscribe(strategyId));
+  }
+
+  /**
+   * Stop every feed and forget all strategies without saving, e.g. after a backtest
+   */
+  reset() {
+    this.stopAll();
+    this.strategies.clear();
+    this.trading.clear();
+    this.initialized = false;
+  }
+
+  /**
+   * Get a copy of a strategy with its latest candles
+   * @param {string} strategyId - Strategy ID
+   * @returns {Object|null} Strategy
+   */
+  getStrategy(strategyId) {
+    const strategy = this.strategies.get(strategyId);
+
+    if (!strategy) {
+      return null;
+    }
+
+    const feed = this.feeds.get(strategyId);
+    return { ...JSON.parse(JSON.stringify(strategy)), candles: feed ? feed.aggregator.candles.map(candle => ({ ...candle })) : [] };
+  }
+
+  /**
+   * Get copies of all strategies
+   * @param {Object} [filter] - Filter ({ status, chain, exchange })
+   * @returns {Array<Object>} Strategies
+   */
+  getStrategies(filter = {}) {
+    return [...this.strategies.values()]
+      .filter(strategy => Object.entries(filter).every(([key, value]) => strategy[key] === value))
+      .map(strategy => this.getStrategy(strategy.id));
+  }
+
+  /**
+   * Start the strategy's ticker feed: the adapter's stream when it has one, polling otherwise
+   * @param {Object} strategy - Strategy
+   */
+  subscribe(strategy) {
+    this.unsubscribe(strategy.id);
+
+    const adapter = exchanges.get(strategy.exchange);
+    const aggregator = new CandleAggregator(strategy.candleIntervalMs, config.get('trading.trend.maxCandles', 500));
+    const onTicker = ticker => this.handleTicker(strategy.id, ticker).catch(error => logger.error('Trend ticker handling failed', {
+      strategyId: strategy.id,
+      error: error.message
+    }));
+    let close;
+
+    if (typeof adapter.watchPrice === 'function') {
+      close = adapter.watchPrice(strategy.symbol, onTicker);
+    } else {
+      const timer = clock.setInterval(() => adapter.getTicker(strategy.symbol)
+        .then(onTicker)
+        .catch(error => logger.warn('Trend ticker poll failed', {
+          strategyId: strategy.id,
+          exchange: strategy.exchange,
+          error: error.message
+        })), config.get('trading.trend.pollMs', 5000));
+      close = () => clock.clearInterval(timer);
+    }
+
+    this.feeds.set(strategy.id, { aggregator, close });
+  }
+
+  unsubscribe(strategyId) {
+    if (this.feeds.has(strategyId)) {
+      this.feeds.get(strategyId).close();
+      this.feeds.delete(strategyId);
+    }
+  }
+
+  clearPosition(strategy) {
+    strategy.positionId = null;
+    strategy.highestClose = null;
+    strategy.stopPrice = null;
+  }
+
+  requireStrategy(strategyId) {
+    const strategy = this.strategies.get(strategyId);
+
+    if (!strategy) {
+      throw new Error(`Unknown trend strategy ${strategyId}`);
+    }
+
+    return strategy;
+  }
+
+  /**
+   * Write every strategy to the state file, through a temporary file so a crash never leaves it half written
+   */
+  save() {
+    if (!this.persist) {
+      return;
+    }
+
+    writeFileAtomic(this.filePath, JSON.stringify({ strategies: [...this.strategies.values()] }, null, 2));
+  }
+}
+
+module.exports = new TrendStrategy();
+module.exports.CandleAggregator = CandleAggregator;
+module.exports.ema = ema;
+module.exports.rsi = rsi;
+module.exports.atr = atr;
@@ -0,0 +1,609 @@
+/**
+ * Triangular arbitrage scanner for the multi-chain trading bot
+ * Loads every market on an exchange into a currency graph, keeps each market's top of book
+ * current from the exchange's book ticker stream and prices the three-leg cycles through the
+ * configured start assets after taker fees and lot-size rounding. Profitable cycles are
+ * reported, and traded leg by leg when autoExecute is on, after the same transaction limits
+ * as every other Bitcoin trade.
+ */
+
+const EventEmitter = require('events');
+const exchanges = require('../exchanges/registry');
+const paperVenue = require('../execution/paperVenue');
+const securityModule = require('../security/securityModule');
+const riskManager = require('../core/riskManager');
+const { ORDER_STATUS } = require('../exchanges/exchangeAdapter');
+const config = require('../core/config');
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+
+// Opportunities kept for getOpportunities()
+const MAX_OPPORTUNITIES = 100;
+
+/**
+ * Number of decimals in a lot step (0.001 -> 3)
+ * @param {string|number} [stepSize] - Lot step, 1e-8 when unknown
+ * @returns {number} Decimals
+ */
+function stepDecimals(stepSize) {
+  const step = parseFloat(stepSize) || 1e-8;
+  return Math.max(0, Math.ceil(-Math.log10(step) - 1e-9));
+}
+
+/**
+ * Round a quantity down to a whole number of lot steps
+ * @param {number} quantity - Quantity
+ * @param {string|number} [stepSize] - Lot step, 1e-8 when unknown
+ * @returns {number} Rounded quantity
+ */
+function roundToStep(quantity, stepSize) {
+  const step = parseFloat(stepSize) || 1e-8;
+  return parseFloat((Math.floor(quantity / step + 1e-9) * step).toFixed(stepDecimals(stepSize)));
+}
+
+/**
+ * Build every three-leg cycle that starts and ends in one of the start assets. Each market
+ * is an edge both ways: base -> quote sells at the bid, quote -> base buys at the ask.
+ * @param {Array<Object>} markets - Normalized markets ({ symbol, base, quote, stepSize, minQuantity, minNotional })
+ * @param {Array<string>} startAssets - Assets a cycle may start from
+ * @returns {Array<Object>} Cycles ({ id, startAsset, legs: [{ symbol, side, from, to, market }] })
+ */
+function buildCycles(markets, startAssets) {
+  const edges = new Map();
+  const addEdge = (from, to, side, market) => {
+    if (!edges.has(from)) {
+      edges.set(from, []);
+    }
+    edges.get(from).push({ symbol: market.symbol, side, from, to, market });
+  };
+
+  markets.forEach(market => {
+    addEdge(market.base, market.quote, 'sell', market);
+    addEdge(market.quote, market.base, 'buy', market);
+  });
+
+  const cycles = [];
+
+  startAssets.forEach(startAsset => {
+    (edges.get(startAsset) || []).forEach(first => {
+      (edges.get(first.to) || []).forEach(second => {
+        if (second.to === startAsset) {
+          return;
+        }
+
+        const third = (edges.get(second.to) || []).find(edge => edge.to === startAsset);
+        if (third) {
+          cycles.push({
+            id: [startAsset, first.to, second.to, startAsset].join('>'),
+            startAsset,
+            legs: [first, second, third]
+          });
+        }
+      });
+    });
+  });
+
+  return cycles;
+}
+
+/**
+ * Price a cycle against the top of book. The start amount is capped by what each level can
+ * absorb, every leg is rounded down to its lot step, and taker fees are charged in the quote
+ * asset; rounding leftovers stay behind and count against the profit.
+ * @param {Object} cycle - Cycle from buildCycles
+ * @param {Map<string, Object>} tickers - Top of book by symbol ({ bid, bidQty, ask, askQty }, Infinity qty = unknown depth)
+ * @param {Object} options - Options
+ * @param {number} options.feePercent - Taker fee percentage
+ * @param {number} options.startAmount - Most of the start asset to trade
+ * @returns {Object|null} { id, startAsset, startAmount, endAmount, profit, profitPercent, legs }, or null when a
+ *   ticker is missing or a leg falls below its market minimums
+ */
+function evaluateCycle(cycle, tickers, { feePercent, startAmount }) {
+  const fee = feePercent / 100;
+  const quotes = cycle.legs.map(leg => tickers.get(leg.symbol));
+
+  if (quotes.some(quote => !quote)) {
+    return null;
+  }
+
+  // Largest start amount the top of book can absorb, before rounding
+  let perUnit = 1;
+  let amount = startAmount;
+  cycle.legs.forEach((leg, index) => {
+    const quote = quotes[index];
+    const quantity = leg.side === 'buy' ? perUnit / (quote.ask * (1 + fee)) : perUnit;
+
+    amount = Math.min(amount, (leg.side === 'buy' ? quote.askQty : quote.bidQty) / quantity);
+    perUnit = leg.side === 'buy' ? quantity : quantity * quote.bid * (1 - fee);
+  });
+
+  const legs = [];
+
+  for (const [index, leg] of cycle.legs.entries()) {
+    const { market } = leg;
+    const price = leg.side === 'buy' ? quotes[index].ask : quotes[index].bid;
+    const quantity = roundToStep(leg.side === 'buy' ? amount / (price * (1 + fee)) : amount, market.stepSize);
+    const notional = quantity * price;
+
+    if (quantity <= 0 ||
+      (market.minQuantity && quantity < parseFloat(market.minQuantity)) ||
+      (market.minNotional && notional < parseFloat(market.minNotional))) {
+      return null;
+    }
+
+    const input = leg.side === 'buy' ? notional * (1 + fee) : quantity;
+    const output = leg.side === 'buy' ? quantity : notional * (1 - fee);
+
+    legs.push({ symbol: leg.symbol, side: leg.side, from: leg.from, to: leg.to, price, quantity, input, output });
+    amount = output;
+  }
+
+  const spent = legs[0].input;
+
+  return {
+    id: cycle.id,
+    startAsset: cycle.startAsset,
+    startAmount: spent,
+    endAmount: amount,
+    profit: amount - spent,
+    profitPercent: ((amount - spent) / spent) * 100,
+    legs
+  };
+}
+
+const depth = quantity => (quantity === null || quantity === undefined || !(parseFloat(quantity) > 0) ? Infinity : parseFloat(quantity));
+
+class TriangularArbitrage extends EventEmitter {
+  constructor() {
+    super();
+    this.scanners = new Map();
+    this.opportunities = [];
+    this.results = [];
+    this.executing = false;
+    this.lastExecutionAt = null;
+  }
+
+  /**
+   * Current settings for an exchange; read on every use so tests can change them
+   * @param {string} exchange - Exchange key
+   * @returns {Object} Settings
+   */
+  getSettings(exchange) {
+    const paper = !config.get('trading.triangular.tradingEnabled', false);
+
+    return {
+      startAssets: config.get('trading.triangular.startAssets', ['USDT', 'USD', 'BTC']),
+      startAmounts: config.get('trading.triangular.startAmounts', {}),
+      // Paper fills charge the paper venue's fee, so price cycles with it too
+      feePercent: paper
+        ? paperVenue.takerFeePercent
+        : config.get('trading.triangular.takerFeePercent', {})[exchange] || 0.1,
+      minProfitPercent: config.get('trading.triangular.minProfitPercent', 0.2),
+      maxTickerAgeMs: config.get('trading.triangular.maxTickerAgeMs', 2000),
+      autoExecute: config.get('trading.triangular.autoExecute', false),
+      legTimeoutMs: config.get('trading.triangular.legTimeoutMs', 5000),
+      orderPollMs: config.get('trading.triangular.orderPollMs', 250),
+      cooldownMs: config.get('trading.triangular.cooldownMs', 5000),
+      paper
+    };
+  }
+
+  /**
+   * Load an exchange's markets (Binance exchangeInfo, Kraken AssetPairs) and build its cycles
+   * @param {string} exchange - Exchange key
+   * @returns {Promise<Object>} Scanner state ({ exchange, markets, cycles, cyclesBySymbol, tickers })
+   */
+  async loadMarkets(exchange) {
+    try {
+      const markets = await exchanges.get(exchange).getMarkets();
+      const cycles = buildCycles(markets, this.getSettings(exchange).startAssets);
+      const cyclesBySymbol = new Map();
+
+      cycles.forEach(cycle => cycle.legs.forEach(leg => {
+        if (!cyclesBySymbol.has(leg.symbol)) {
+          cyclesBySymbol.set(leg.symbol, []);
+        }
+        cyclesBySymbol.get(leg.symbol).push(cycle);
+      }));
+
+      const previous = this.scanners.get(exchange);
+      const scanner = {
+        exchange,
+        markets: new Map(markets.map(market => [market.symbol, market])),
+        cycles,
+        cyclesBySymbol,
+        tickers: previous ? previous.tickers : new Map(),
+        close: previous ? previous.close : null
+      };
+
+      this.scanners.set(exchange, scanner);
+
+      logger.info('Loaded triangular arbitrage cycles', {
+        exchange,
+        markets: markets.length,
+        cycles: cycles.length,
+        symbols: cyclesBySymbol.size
+      });
+
+      return scanner;
+    } catch (error) {
+      logger.error('Failed to load triangular arbitrage markets', {
+        exchange,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Load markets and stream book tickers on every configured exchange
+   * @returns {Promise<Array<string>>} Exchanges being scanned
+   */
+  async start() {
+    const names = config.get('trading.triangular.exchanges', ['binance']);
+
+    for (const exchange of names) {
+      try {
+        const adapter = exchanges.get(exchange);
+
+        if (typeof adapter.watchBookTickers !== 'function') {
+          throw new Error(`${adapter.displayName} does not stream book tickers`);
+        }
+
+        const scanner = await this.loadMarkets(exchange);
+
+        if (!scanner.close) {
+          scanner.close = adapter.watchBookTickers([...scanner.cyclesBySymbol.keys()], ticker => {
+            this.handleTicker(exchange, ticker);
+          });
+        }
+      } catch (error) {
+        logger.warn('Triangular arbitrage scanner not started', {
+          exchange,
+          error: error.message
+        });
+      }
+    }
+
+    return [...this.scanners.values()].filter(scanner => scanner.close).map(scanner => scanner.exchange);
+  }
+
+  /**
+   * Close every book ticker stream
+   */
+  stop() {
+    this.scanners.forEach(scanner => {
+      if (scanner.close) {
+        scanner.close();
+        scanner.close = null;
+      }
+    });
+  }
+
+  /**
+   * Record a top of book update and price the cycles that trade the symbol
+   * @param {string} exchange - Exchange key
+   * @param {Object} ticker - Book ticker ({ symbol, bidPrice, bidQty, askPrice, askQty })
+   * @returns {Array<Object>} Profitable opportunities found
+   */
+  handleTicker(exchange, ticker) {
+    const scanner = this.scanners.get(exchange);
+    const bid = parseFloat(ticker.bidPrice);
+    const ask = parseFloat(ticker.askPrice);
+
+    if (!scanner || !(bid > 0) || !(ask > 0) || bid > ask) {
+      return [];
+    }
+
+    scanner.tickers.set(ticker.symbol, {
+      bid,
+      ask,
+      bidQty: depth(ticker.bidQty),
+      askQty: depth(ticker.askQty),
+      receivedAt: clock.now()
+    });
+
+    const settings = this.getSettings(exchange);
+    const found = (scanner.cyclesBySymbol.get(ticker.symbol) || [])
+      .map(cycle => this.evaluate(scanner, cycle, settings))
+      .filter(opportunity => opportunity && opportunity.profitPercent >= settings.minProfitPercent);
+
+    found.forEach(opportunity => this.report(opportunity, settings));
+
+    return found;
+  }
+
+  /**
+   * Price a cycle from fresh tickers only
+   * @param {Object} scanner - Scanner state
+   * @param {Object} cycle - Cycle
+   * @param {Object} settings - Settings
+   * @returns {Object|null} Opportunity
+   */
+  evaluate(scanner, cycle, settings) {
+    const startAmount = parseFloat(settings.startAmounts[cycle.startAsset]);
+    const oldest = clock.now() - settings.maxTickerAgeMs;
+
+    if (!(startAmount > 0) || cycle.legs.some(leg => {
+      const ticker = scanner.tickers.get(leg.symbol);
+      return !ticker || ticker.receivedAt < oldest;
+    })) {
+      return null;
+    }
+
+    const priced = evaluateCycle(cycle, scanner.tickers, { feePercent: settings.feePercent, startAmount });
+
+    return priced && {
+      exchange: scanner.exchange,
+      ...priced,
+      timestamp: clock.date().toISOString()
+    };
+  }
+
+  /**
+   * Report an opportunity and execute it when autoExecute is on and no trade is running
+   * @param {Object} opportunity - Opportunity
+   * @param {Object} settings - Settings
+   */
+  report(opportunity, settings) {
+    this.opportunities.push(opportunity);
+    if (this.opportunities.length > MAX_OPPORTUNITIES) {
+      this.opportunities.shift();
+    }
+
+    logger.trading('Triangular arbitrage opportunity detected', {
+      exchange: opportunity.exchange,
+      cycle: opportunity.id,
+      startAmount: opportunity.startAmount,
+      profit: opportunity.profit,
+      profitPercent: opportunity.profitPercent
+    });
+
+    this.emit('opportunity', opportunity);
+
+    const coolingDown = this.lastExecutionAt !== null && clock.now() - this.lastExecutionAt < settings.cooldownMs;
+    if (settings.autoExecute && !this.executing && !coolingDown) {
+      this.execute(opportunity);
+    }
+  }
+
+  /**
+   * Execute an opportunity leg by leg, sizing each leg from what the previous one returned
+   * @param {Object} opportunity - Opportunity from handleTicker
+   * @returns {Promise<Object>} Result ({ status: completed|incomplete|failed|rejected|skipped, legs, holding, ... })
+   */
+  async execute(opportunity) {
+    if (this.executing) {
+      return { status: 'skipped', reason: 'Another triangular arbitrage is executing' };
+    }
+
+    this.executing = true;
+    this.lastExecutionAt = clock.now();
+
+    const { exchange } = opportunity;
+    const settings = this.getSettings(exchange);
+    const scanner = this.scanners.get(exchange);
+    const result = {
+      exchange,
+      cycle: opportunity.id,
+      startAsset: opportunity.startAsset,
+      startAmount: opportunity.startAmount,
+      endAmount: null,
+      profit: null,
+      status: null,
+      reason: null,
+      legs: [],
+      holding: null,
+      paper: settings.paper,
+      timestamp: clock.date().toISOString()
+    };
+
+    let reservationId = null;
+
+    try {
+      const validation = await securityModule.validateTransaction('bitcoin', opportunity.startAmount.toString(), 'swap', {
+        asset: opportunity.startAsset,
+        exchange,
+        strategy: 'triangular'
+      });
+
+      if (!validation.valid) {
+        logger.security('Triangular arbitrage rejected by transaction limits', {
+          exchange,
+          cycle: opportunity.id,
+          reason: validation.reason
+        });
+
+        return this.record({ ...result, status: 'rejected', reason: validation.reason });
+      }
+
+      reservationId = validation.reservationId;
+
+      // The cycle ends in the asset it starts from, so it only adds exposure if a leg fails
+      const risk = await riskManager.checkOrder({
+        chain: 'bitcoin',
+        strategy: 'triangular',
+        asset: opportunity.legs[0].to,
+        quoteAsset: opportunity.startAsset,
+        quoteAmount: opportunity.startAmount,
+        hedged: true
+      });
+
+      if (!risk.allowed) {
+        return this.record({ ...result, status: 'rejected', reason: risk.reason });
+      }
+
+      let held = opportunity.startAmount;
+
+      for (const [index, planned] of opportunity.legs.entries()) {
+        const market = scanner.markets.get(planned.symbol);
+        const quantity = index === 0
+          ? planned.quantity
+          : roundToStep(planned.side === 'buy' ? held / (planned.price * (1 + settings.feePercent / 100)) : held, market.stepSize);
+        const leg = await this.placeLeg(scanner, planned, quantity, settings);
+
+        result.legs.push(leg);
+
+        if (leg.error || !(leg.output > 0)) {
+          result.status = index === 0 ? 'failed' : 'incomplete';
+          result.reason = leg.error || `${planned.symbol} ${planned.side} did not fill`;
+          result.holding = index === 0 ? null : { asset: planned.from, amount: held };
+          break;
+        }
+
+        held = leg.output;
+      }
+
+      if (!result.status) {
+        result.status = 'completed';
+        result.endAmount = held;
+        result.profit = held - opportunity.startAmount;
+        await riskManager.recordPnl({ source: 'triangular', asset: opportunity.startAsset, amount: result.profit, reference: opportunity.id });
+      }
+
+      if (result.status === 'incomplete') {
+        logger.security('Triangular arbitrage stopped mid-cycle, inventory left in an intermediate asset', {
+          exchange,
+          cycle: opportunity.id,
+          holding: result.holding,
+          reason: result.reason
+        });
+      } else {
+        logger.trading('Triangular arbitrage executed', {
+          exchange,
+          cycle: opportunity.id,
+          status: result.status,
+          startAmount: result.startAmount,
+          endAmount: result.endAmount,
+          profit: result.profit
+        });
+      }
+
+      return this.record(result);
+    } catch (error) {
+      logger.error('Triangular arbitrage execution failed', {
+        exchange,
+        cycle: opportunity.id,
+        error: error.message
+      });
+
+      return this.record({ ...result, status: 'failed', reason: error.message });
+    } finally {
+      // The cycle counts toward the transaction limits once its first leg has traded
+      securityModule.settleTransaction(reservationId, result.legs.some(leg => leg.output > 0));
+      this.executing = false;
+    }
+  }
+
+  /**
+   * Fill one leg as a limit order at the price the cycle was evaluated at; never throws
+   * @param {Object} scanner - Scanner state
+   * @param {Object} planned - Planned leg ({ symbol, side, from, to, price })
+   * @param {number} quantity - Base asset quantity
+   * @param {Object} settings - Settings
+   * @returns {Promise<Object>} Leg ({ symbol, side, quantity, filled, output, averagePrice, status, orderId, error })
+   */
+  async placeLeg(scanner, planned, quantity, settings) {
+    const { symbol, side, price } = planned;
+    const market = scanner.markets.get(symbol);
+    const leg = { symbol, side, quantity, filled: 0, output: 0, averagePrice: null, status: null, orderId: null, error: null };
+
+    try {
+      if (settings.paper) {
+        const ticker = scanner.tickers.get(symbol);
+        const fill = paperVenue.fillOrder({
+          venue: scanner.exchange,
+          symbol,
+          side,
+          quantity,
+          book: {
+            bids: [{ price: ticker.bid, quantity: Number.isFinite(ticker.bidQty) ? ticker.bidQty : null }],
+            asks: [{ price: ticker.ask, quantity: Number.isFinite(ticker.askQty) ? ticker.askQty : null }]
+          },
+          feePercent: settings.feePercent,
+          limitPrice: price
+        });
+
+        return {
+          ...leg,
+          filled: parseFloat(side === 'buy' ? fill.amountOut : fill.amountIn),
+          output: parseFloat(fill.amountOut),
+          averagePrice: fill.price,
+          status: fill.partial ? ORDER_STATUS.PARTIALLY_FILLED : ORDER_STATUS.FILLED,
+          orderId: fill.id
+        };
+      }
+
+      const adapter = exchanges.get(scanner.exchange);
+      const order = await adapter.placeOrder({
+        symbol,
+        side,
+        type: 'limit',
+        quantity: quantity.toFixed(stepDecimals(market.stepSize)),
+        price
+      });
+      const final = await adapter.waitForOrder(order, {
+        timeoutMs: settings.legTimeoutMs,
+        pollMs: settings.orderPollMs
+      });
+      const simulated = final.status === ORDER_STATUS.SIMULATED;
+      const filled = simulated ? quantity : parseFloat(final.filledQuantity);
+      const averagePrice = parseFloat(final.averagePrice || final.price || price);
+      const notional = filled * averagePrice;
+      const fee = simulated ? notional * (settings.feePercent / 100) : parseFloat(final.fee || '0');
+      const feeInBase = final.feeAsset === market.base;
+
+      return {
+        ...leg,
+        filled,
+        output: side === 'buy' ? filled - (feeInBase ? fee : 0) : notional - (feeInBase ? 0 : fee),
+        averagePrice,
+        status: final.status,
+        orderId: final.id
+      };
+    } catch (error) {
+      logger.error('Triangular arbitrage leg failed', {
+        exchange: scanner.exchange,
+        symbol,
+        side,
+        quantity,
+        price,
+        error: error.message
+      });
+
+      return { ...leg, status: ORDER_STATUS.REJECTED, error: error.message };
+    }
+  }
+
+  /**
+   * Store and announce an execution result
+   * @param {Object} result - Execution result
+   * @returns {Object} The result
+   */
+  record(result) {
+    this.results.push(result);
+    this.emit('executed', result);
+    return result;
+  }
+
+  /**
+   * Recently reported opportunities
+   * @returns {Array<Object>} Opportunities, oldest first
+   */
+  getOpportunities() {
+    return [...this.opportunities];
+  }
+
+  /**
+   * Execution results
+   * @returns {Array<Object>} Results, oldest first
+   */
+  getResults() {
+    return [...this.results];
+  }
+}
+
+module.exports = new TriangularArbitrage();
+module.exports.buildCycles = buildCycles;
+module.exports.evaluateCycle = evaluateCycle;
+module.exports.roundToStep = roundToStep;
@@ -4,6 +4,9 @@
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Test configuration values
 module.exports = {
@@ -19,6 +22,17 @@ module.exports = {
     ipWhitelist: [],
     maxLoginAttempts: 5,
     sessionTimeoutMinutes: 30,
+    // Transaction limits in USD over a rolling window (see core/config.js)
+    transactionLimits: {
+      windowHours: 24,
+      chains: {
+        ethereum: { maxTransactionUSD: 300, windowLimitUSD: 1500 },
+        bitcoin: { maxTransactionUSD: 600, windowLimitUSD: 3000 },
+        solana: { maxTransactionUSD: 150, windowLimitUSD: 750 },
+      },
+      exchanges: {},
+      strategies: {},
+    },
   },
   
   // Exchange API configurations
@@ -45,6 +59,38 @@ module.exports = {
     takeProfitPercentage: 0.1, // 10% take profit
     maxOpenPositions: 3,
     
+    // Portfolio risk limits, generous so only the tests that tighten them see refusals
+    risk: {
+      enabled: true,
+      capitalUSD: 1000000,
+      maxAssetExposureUSD: 100000,
+      maxPortfolioExposureUSD: 500000,
+      maxDailyLossUSD: 50000,
+      correlationBuckets: {},
+      usdPrices: { USD: 1, USDT: 1, USDC: 1 },
+      priceSources: {
+        BTC: 'binance:BTC/USDT',
+        ETH: 'binance:ETH/USDT',
+        SOL: 'binance:SOL/USDT',
+      },
+    },
+    
+    // Trend following on one-minute candles, as in production
+    trend: {
+      candleIntervalMs: 60000,
+      pollMs: 5000,
+      fastPeriod: 12,
+      slowPeriod: 26,
+      rsiPeriod: 14,
+      rsiOverbought: 70,
+      atrPeriod: 14,
+      atrStopMultiplier: 2,
+      maxCandles: 500,
+      maxSignalHistory: 100,
+      orderTimeoutMs: 30000,
+      orderPollMs: 1000,
+    },
+    
     // Ethereum specific settings
     ethereum: {
       gasLimitMultiplier: 1.2,
@@ -55,8 +101,6 @@ module.exports = {
       snipeAmount: '0.01',
       snipeSlippage: 5,
       tradingEnabled: false,
-      maxTransactionAmount: '0.1',
-      dailyLimit: '0.5',
     },
     
     // Bitcoin specific settings
@@ -66,8 +110,6 @@ module.exports = {
       arbitrageAmount: '0.001',
       minArbitrageProfit: 0.5,
       tradingEnabled: false,
-      maxTransactionAmount: '0.01',
-      dailyLimit: '0.05',
     },
     
     // Solana specific settings
@@ -76,11 +118,15 @@ module.exports = {
       snipingEnabled: true,
       snipeAmount: '0.1',
       tradingEnabled: false,
-      maxTransactionAmount: '1',
-      dailyLimit: '5',
     },
   },
   
+  // Persistent state, kept out of the working directory and fresh for every run so no run
+  // loads what an earlier one saved
+  storage: {
+    dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-test-')),
+  },
+  
   // Monitoring and alerts
   monitoring: {
     logLevel: 'debug', // More verbose logging for testing
@@ -3,13 +3,67 @@
  * Executes tests for all components in testnet environments
  */
 
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { PassThrough, Writable } = require('stream');
+const WebSocket = require('ws');
+const { ethers } = require('ethers');
 const testConfig = require('./testConfig');
 const logger = require('../utils/logger');
 const ethereum = require('../core/ethereum');
+const dexRouter = require('../core/dexRouter');
+const { encodeV3Path } = require('../core/dexRouter');
+const ethereumFees = require('../core/ethereumFees');
+const transactionManager = require('../core/transactionManager');
+const { TransactionManager } = require('../core/transactionManager');
+const txSubmission = require('../core/txSubmission');
+const rugWatchdog = require('../core/rugWatchdog');
+const { KNOWN_LP_LOCKERS } = require('../core/rugWatchdog');
+const liquidityDetector = require('../core/liquidityDetector');
+const holderAnalyzer = require('../security/holderAnalyzer');
+const honeypotSimulator = require('../security/honeypotSimulator');
+const riskScoring = require('../security/riskScoring');
+const positionLedger = require('../core/positionLedger');
+const config = require('../core/config');
 const bitcoin = require('../core/bitcoin');
 const solana = require('../core/solana');
+const SolanaTokenMonitor = require('../core/solanaTokenMonitor');
+const PairEventMonitor = require('../core/pairEventMonitor');
 const multiChainLiquidityDetector = require('../core/multiChainLiquidityDetector');
 const securityModule = require('../security/securityModule');
+const keystore = require('../security/keystore');
+const { Keystore, KeystoreError } = require('../security/keystore');
+const keystoreCli = require('../security/keystoreCli');
+const bytecodeAnalyzer = require('../security/bytecodeAnalyzer');
+const priceFeed = require('../core/priceFeed');
+const exchanges = require('../exchanges/registry');
+const {
+  ExchangeError,
+  ExchangeDisabledError,
+  AuthenticationError,
+  InsufficientFundsError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError,
+  NetworkError,
+  splitConcatenatedSymbol
+} = require('../exchanges/exchangeAdapter');
+const paperVenue = require('../execution/paperVenue');
+const backtestEngine = require('../backtest/backtestEngine');
+const arbitrageExecutor = require('../strategies/arbitrageExecutor');
+const triangularArbitrage = require('../strategies/triangularArbitrage');
+const gridStrategy = require('../strategies/gridStrategy');
+const dcaStrategy = require('../strategies/dcaStrategy');
+const riskManager = require('../core/riskManager');
+const trendStrategy = require('../strategies/trendStrategy');
+const { CandleAggregator, ema, rsi, atr } = require('../strategies/trendStrategy');
+const { evaluateCycle } = require('../strategies/triangularArbitrage');
+const exitPolicy = require('../core/exitPolicy');
+const clock = require('../utils/clock');
 
 // Override global config with test config
 jest.mock('../core/config', () => {
@@ -25,13 +79,53 @@ jest.mock('../core/config', () => {
         current = current[part];
       }
       
-      return current;
+      return typeof current === 'string' && current.startsWith('keystore:')
+        ? require('../security/keystore').resolveReference(current)
+        : current;
+    },
+    set: (path, value) => {
+      const parts = path.split('.');
+      const key = parts.pop();
+      let current = testConfig;
+      
+      for (const part of parts) {
+        if (typeof current[part] !== 'object' || current[part] === null) {
+          current[part] = {};
+        }
+        current = current[part];
+      }
+      
+      const previous = current[key];
+      current[key] = value;
+      return previous;
     },
     validate: () => [],
     getAll: () => JSON.parse(JSON.stringify(testConfig))
   };
 });
 
+/**
+ * Load a recorded fixture from test/fixtures
+ * @param {string} name - Fixture path relative to test/fixtures
+ * @returns {any} Parsed fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// Recordings snipe whole ETH and SOL, well past the risk and transaction limits a live bot runs with
+const BACKTEST_RISK_LIMITS = {
+  'trading.risk.capitalUSD': 1000000,
+  'trading.risk.maxAssetExposureUSD': 100000,
+  'trading.risk.maxPortfolioExposureUSD': 500000,
+  'trading.risk.correlationBuckets': {},
+  'security.transactionLimits.chains': {
+    ethereum: { maxTransactionUSD: 100000, windowLimitUSD: 1000000 },
+    bitcoin: { maxTransactionUSD: 100000, windowLimitUSD: 1000000 },
+    solana: { maxTransactionUSD: 100000, windowLimitUSD: 1000000 }
+  }
+};
+
 /**
  * Run all tests for the multi-chain trading bot
  */
@@ -39,14 +133,102 @@ async function runTests() {
   logger.info('Starting multi-chain trading bot tests');
   
   try {
+    // Keep the simulated positions and PnL of the tests in memory
+    await positionLedger.initialize({ persist: false });
+    await riskManager.initialize({ persist: false });
+    
     // Initialize security module
     logger.info('Testing security module initialization');
     await testSecurityModule();
     
+    // Test USD transaction limits, reservations and the persisted rolling window
+    logger.info('Testing transaction limits');
+    await testTransactionLimits();
+    
+    // Test the encrypted keystore, its CLI and keystore references in config
+    logger.info('Testing keystore');
+    await testKeystore();
+    
+    // Test bytecode analysis against recorded contracts
+    logger.info('Testing bytecode analyzer');
+    await testBytecodeAnalyzer();
+    
+    // Test honeypot simulation against recorded fork outcomes
+    logger.info('Testing honeypot simulator');
+    await testHoneypotSimulator();
+    
     // Test Ethereum functionality
     logger.info('Testing Ethereum module');
     await testEthereumModule();
     
+    // Test DEX route selection against recorded pool reserves
+    logger.info('Testing DEX router');
+    await testDexRouter();
+    
+    // Test EIP-1559 fee pricing against recorded fee history
+    logger.info('Testing Ethereum fees');
+    await testEthereumFees();
+    
+    // Test nonce allocation and transaction lifecycle
+    logger.info('Testing transaction manager');
+    await testTransactionManager();
+    
+    // Test private submission against a local mock relay
+    logger.info('Testing transaction submission');
+    await testTxSubmission();
+    
+    // Test snipe entries and position ledger persistence
+    logger.info('Testing position ledger');
+    await testPositionLedger();
+    
+    // Test rug pull detection and emergency exits
+    logger.info('Testing rug watchdog');
+    await testRugWatchdog();
+    
+    // Test holder concentration analysis
+    logger.info('Testing holder analyzer');
+    await testHolderAnalyzer();
+    
+    // Test token risk scoring rules
+    logger.info('Testing token risk scoring');
+    await testRiskScoring();
+    
+    // Test the exchange adapters against recorded Crypto.com and Uphold responses
+    logger.info('Testing exchange adapters');
+    await testExchangeAdapters();
+    
+    // Test price feed against recorded tickers
+    logger.info('Testing price feed');
+    await testPriceFeed();
+    
+    // Test paper trading fills against a recorded order book
+    logger.info('Testing paper trading');
+    await testPaperTrading();
+    
+    // Test cross-exchange arbitrage against mock Kraken and Binance servers
+    logger.info('Testing arbitrage executor');
+    await testArbitrageExecutor();
+    
+    // Test the triangular arbitrage scanner against a mock Binance REST and websocket server
+    logger.info('Testing triangular arbitrage scanner');
+    await testTriangularArbitrage();
+    
+    // Test the grid strategy on the paper venue, including a restart from its state file
+    logger.info('Testing grid strategy');
+    await testGridStrategy();
+    
+    // Test DCA runs, transaction limits and missed run recovery
+    logger.info('Testing DCA strategy');
+    await testDcaStrategy();
+    
+    // Test trend indicators, candle aggregation and a backtest of the trend strategy
+    logger.info('Testing trend strategy');
+    await testTrendStrategy();
+    
+    // Test position, exposure and daily loss limits across chains
+    logger.info('Testing risk manager');
+    await testRiskManager();
+    
     // Test Bitcoin functionality
     logger.info('Testing Bitcoin module');
     await testBitcoinModule();
@@ -55,6 +237,22 @@ async function runTests() {
     logger.info('Testing Solana module');
     await testSolanaModule();
     
+    // Test Solana token monitor against recorded websocket frames
+    logger.info('Testing Solana token monitor');
+    await testSolanaTokenMonitor();
+    
+    // Test pair event monitor against recorded websocket frames
+    logger.info('Testing pair event monitor');
+    await testPairEventMonitor();
+    
+    // Test the backtesting engine against a recorded replay
+    logger.info('Testing backtest engine');
+    await testBacktest();
+    
+    // Test laddered, trailing and time-based exits
+    logger.info('Testing exit policies');
+    await testExitPolicies();
+    
     // Test multi-chain liquidity detector
     logger.info('Testing multi-chain liquidity detector');
     await testMultiChainLiquidityDetector();
@@ -67,6 +265,8 @@ async function runTests() {
       stack: error.stack
     });
     return false;
+  } finally {
+    fs.rmSync(testConfig.storage.dataDir, { recursive: true, force: true });
   }
 }
 
@@ -74,9 +274,11 @@ async function runTests() {
  * Test security module functionality
  */
 async function testSecurityModule() {
+  const previousPrices = config.set('trading.risk.usdPrices', { USDT: 1, ETH: 3000, BTC: 60000, SOL: 150 });
+  
   try {
     // Initialize security module
-    const initialized = await securityModule.initialize();
+    const initialized = await securityModule.initialize({ persist: false });
     if (!initialized) {
       throw new Error('Failed to initialize security module');
     }
@@ -84,21 +286,24 @@ async function testSecurityModule() {
     logger.info('Security module initialized successfully');
     
     // Test transaction validation
-    const ethValidation = securityModule.validateTransaction('ethereum', '0.05', 'buy');
+    const ethValidation = await securityModule.validateTransaction('ethereum', '0.05', 'buy');
     if (!ethValidation.valid) {
       throw new Error(`Ethereum transaction validation failed: ${ethValidation.reason}`);
     }
     
-    const btcValidation = securityModule.validateTransaction('bitcoin', '0.005', 'buy');
+    const btcValidation = await securityModule.validateTransaction('bitcoin', '0.005', 'buy');
     if (!btcValidation.valid) {
       throw new Error(`Bitcoin transaction validation failed: ${btcValidation.reason}`);
     }
     
-    const solValidation = securityModule.validateTransaction('solana', '0.5', 'buy');
+    const solValidation = await securityModule.validateTransaction('solana', '0.5', 'buy');
     if (!solValidation.valid) {
       throw new Error(`Solana transaction validation failed: ${solValidation.reason}`);
     }
     
+    // Nothing was traded, so the reservations are released
+    [ethValidation, btcValidation, solValidation].forEach(({ reservationId }) => securityModule.settleTransaction(reservationId, false));
+    
     logger.info('Transaction validation tests passed');
     
     // Test encryption/decryption
@@ -134,6 +339,594 @@ async function testSecurityModule() {
       error: error.message
     });
     throw error;
+  } finally {
+    config.set('trading.risk.usdPrices', previousPrices);
+  }
+}
+
+/**
+ * Test USD transaction limits: per chain, exchange and strategy limits, reservations that are
+ * released when a trade does not happen, and a rolling window that survives a restart
+ */
+async function testTransactionLimits() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-limits-test-'));
+  const filePath = path.join(dataDir, 'transactions.json');
+  const settings = {
+    'trading.risk.usdPrices': { USDT: 1, ETH: 2000 },
+    'security.transactionLimits': {
+      windowHours: 1,
+      chains: { ethereum: { maxTransactionUSD: 1000, windowLimitUSD: 1500 } },
+      exchanges: { binance: { windowLimitUSD: 0.3 } },
+      strategies: { dca: { maxTransactionUSD: 300 } }
+    }
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const securityState = {
+    initialized: securityModule.initialized,
+    filePath: securityModule.filePath,
+    persist: securityModule.persist,
+    transactions: securityModule.transactions
+  };
+  const start = Date.parse('2024-05-01T00:00:00.000Z');
+  const windowTotal = () => securityModule.getSecurityReport().transactionWindow.chains.ethereum.totalUSD;
+  
+  try {
+    clock.useVirtual(start);
+    await securityModule.initialize({ filePath });
+    
+    // 0.6 ETH is 1200 USD, over the Ethereum transaction limit; 0.2 ETH is over the DCA one
+    const oversized = await securityModule.validateTransaction('ethereum', '0.6', 'buy');
+    const strategy = await securityModule.validateTransaction('ethereum', '0.2', 'buy', { strategy: 'dca' });
+    if (oversized.valid || oversized.amountUSD !== '1200.0' || strategy.valid || !/dca strategy/.test(strategy.reason)) {
+      throw new Error(`Transaction limits not applied: ${JSON.stringify({ oversized, strategy })}`);
+    }
+    
+    // A trade refused further down releases its reservation instead of counting
+    const refused = await securityModule.validateTransaction('ethereum', '0.4', 'buy');
+    securityModule.settleTransaction(refused.reservationId, false);
+    if (!refused.valid || windowTotal() !== '0.0') {
+      throw new Error(`Released transaction was counted: ${windowTotal()}`);
+    }
+    
+    // A pending reservation counts, and settling twice counts once
+    const first = await securityModule.validateTransaction('ethereum', '0.4', 'buy');
+    const concurrent = await securityModule.validateTransaction('ethereum', '0.4', 'buy');
+    securityModule.settleTransaction(first.reservationId, true);
+    if (!first.valid || concurrent.valid || securityModule.settleTransaction(first.reservationId, true) || windowTotal() !== '800.0') {
+      throw new Error(`Reservations miscounted: ${windowTotal()}`);
+    }
+    
+    // Three 0.1 USDT trades fill the 0.3 USD Binance window exactly, without float drift
+    for (let i = 0; i < 3; i++) {
+      const small = await securityModule.validateTransaction('ethereum', '0.1', 'buy', { asset: 'USDT', exchange: 'binance' });
+      if (!small.valid) {
+        throw new Error(`Trade ${i + 1} within the Binance window refused: ${small.reason}`);
+      }
+      securityModule.settleTransaction(small.reservationId, true);
+    }
+    const fourth = await securityModule.validateTransaction('ethereum', '0.1', 'buy', { asset: 'USDT', exchange: 'binance' });
+    if (fourth.valid || !/binance exchange/.test(fourth.reason)) {
+      throw new Error(`Binance window limit not applied: ${JSON.stringify(fourth)}`);
+    }
+    
+    // The window is reloaded after a restart and drops transactions older than windowHours
+    await securityModule.initialize({ filePath });
+    const reloaded = await securityModule.validateTransaction('ethereum', '0.4', 'buy');
+    if (windowTotal() !== '800.3' || reloaded.valid || !/above its 1500 USD window limit/.test(reloaded.reason)) {
+      throw new Error(`Transaction window not restored: ${windowTotal()} ${JSON.stringify(reloaded)}`);
+    }
+    
+    await clock.advanceTo(start + 61 * 60000);
+    const later = await securityModule.validateTransaction('ethereum', '0.4', 'buy');
+    securityModule.settleTransaction(later.reservationId, false);
+    if (!later.valid || JSON.parse(fs.readFileSync(filePath, 'utf8')).transactions.length !== 0) {
+      throw new Error(`Rolling window did not expire: ${JSON.stringify(later)}`);
+    }
+    
+    // A reservation its caller never settles expires after reservationTtlMs and counts as executed
+    const abandoned = await securityModule.validateTransaction('ethereum', '0.1', 'buy');
+    await clock.advanceTo(start + 72 * 60000);
+    securityModule.pruneTransactions();
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).transactions;
+    if (!abandoned.valid || securityModule.reservations.size !== 0 || saved.length !== 1 || saved[0].id !== abandoned.reservationId) {
+      throw new Error(`Abandoned reservation did not expire: ${JSON.stringify(saved)}`);
+    }
+
+    logger.info('Transaction limit tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Transaction limit test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    clock.useReal();
+    Object.assign(securityModule, securityState);
+    securityModule.reservations.clear();
+    previousConfig.reverse().forEach(([configPath, value]) => config.set(configPath, value));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the keystore: GCM envelopes under scrypt and PBKDF2, refusal of wrong passphrases and
+ * edited envelopes, rotation dates, the CLI, and config values that reference the keystore
+ */
+async function testKeystore() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+  const filePath = path.join(dataDir, 'keystore.json');
+  const passphrase = 'correct horse battery staple';
+  const settings = {
+    'security.keystore.path': filePath,
+    'security.keystore.kdf': 'scrypt',
+    'security.keystore.scryptCost': 1024, // cheap derivation for tests only
+    'security.keystore.pbkdf2Iterations': 1000,
+    'security.keystore.rotationDays': 90,
+    'exchanges.kraken.apiSecret': 'keystore:kraken.apiSecret'
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const previousPassphrase = process.env.KEYSTORE_PASSPHRASE;
+  const start = Date.parse('2024-05-01T00:00:00.000Z');
+  const refused = fn => {
+    try {
+      fn();
+    } catch (error) {
+      return error instanceof KeystoreError;
+    }
+    return false;
+  };
+  const writeCopy = (name, contents) => {
+    const copyPath = path.join(dataDir, name);
+    fs.writeFileSync(copyPath, JSON.stringify(contents));
+    return copyPath;
+  };
+  
+  try {
+    clock.useVirtual(start);
+    const store = new Keystore().open({ filePath, passphrase });
+    store.add('kraken.apiSecret', 'kraken-secret-1', { label: 'Kraken trading key' });
+    config.set('security.keystore.kdf', 'pbkdf2');
+    store.add('ethereum.privateKey', `0x${'11'.repeat(32)}`, { label: 'Sniper wallet' });
+    
+    // Values are sealed in versioned GCM envelopes, each with its own salt
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const saved = JSON.parse(contents);
+    const kraken = saved.secrets['kraken.apiSecret'];
+    if (contents.includes('kraken-secret-1') || saved.version !== 1 || kraken.envelope.version !== 1 ||
+      kraken.envelope.cipher !== 'aes-256-gcm' || kraken.envelope.kdf.name !== 'scrypt' ||
+      saved.secrets['ethereum.privateKey'].envelope.kdf.name !== 'pbkdf2' || kraken.label !== 'Kraken trading key') {
+      throw new Error(`Unexpected keystore file: ${contents}`);
+    }
+    
+    // The file is replaced whole through a temporary file and stays readable by the owner only
+    if ((fs.statSync(filePath).mode & 0o777) !== 0o600 || fs.existsSync(`${filePath}.tmp`)) {
+      throw new Error(`Unexpected keystore file mode ${(fs.statSync(filePath).mode & 0o777).toString(8)}`);
+    }
+    
+    // A wrong passphrase, an edited envelope or an envelope moved to another name does not decrypt
+    const tampered = JSON.parse(contents);
+    const ciphertext = Buffer.from(tampered.secrets['kraken.apiSecret'].envelope.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    tampered.secrets['kraken.apiSecret'].envelope.ciphertext = ciphertext.toString('base64');
+    const moved = JSON.parse(contents);
+    moved.secrets['ethereum.privateKey'].envelope = moved.secrets['kraken.apiSecret'].envelope;
+    const reopened = new Keystore().open({ filePath: writeCopy('moved.json', moved), passphrase });
+    if (!refused(() => new Keystore().open({ filePath, passphrase: 'wrong passphrase' })) ||
+      !refused(() => new Keystore().open({ filePath: writeCopy('tampered.json', tampered), passphrase })) ||
+      !refused(() => reopened.get('ethereum.privateKey')) || reopened.get('kraken.apiSecret') !== 'kraken-secret-1') {
+      throw new Error('Keystore accepted a wrong passphrase or an altered envelope');
+    }
+    
+    // Secrets fall due after rotationDays and rotating restarts the period
+    await clock.advanceTo(start + 91 * 86400000);
+    const due = store.list().find(({ name }) => name === 'kraken.apiSecret');
+    const rotated = store.rotate('kraken.apiSecret', 'kraken-secret-2');
+    if (!due.rotationDue || rotated.rotationDue || rotated.rotatedAt !== clock.date().toISOString() ||
+      rotated.createdAt !== new Date(start).toISOString()) {
+      throw new Error(`Unexpected rotation: ${JSON.stringify({ due, rotated })}`);
+    }
+    
+    // The CLI unlocks with KEYSTORE_PASSPHRASE and never prints values
+    process.env.KEYSTORE_PASSPHRASE = passphrase;
+    await keystoreCli.runCommand(keystoreCli.parseArgs(['remove', 'ethereum.privateKey', '--file', filePath]));
+    await keystoreCli.runCommand(keystoreCli.parseArgs(['add', 'binance.apiSecret', '--label', 'Binance', '--file', filePath]), async () => 'binance-secret');
+    const listed = await keystoreCli.runCommand(keystoreCli.parseArgs(['list', '--file', filePath]));
+    if (listed.length !== 2 || !listed[0].startsWith('binance.apiSecret\tBinance') || listed.some(line => line.includes('secret-'))) {
+      throw new Error(`Unexpected keystore listing: ${listed.join(' | ')}`);
+    }
+    
+    // A value typed at a terminal is read without being echoed
+    const terminal = Object.assign(new PassThrough(), { isTTY: true });
+    const screen = [];
+    const echo = Object.assign(new Writable({ write: (chunk, encoding, callback) => { screen.push(String(chunk)); callback(); } }), { isTTY: true });
+    const typed = keystoreCli.readValue(terminal, echo);
+    terminal.write('typed-secret\r');
+    if (await typed !== 'typed-secret' || !screen.includes('Secret value: ') || screen.join('').includes('typed') || !screen.join('').endsWith('\n')) {
+      throw new Error(`Typed secret was echoed: ${JSON.stringify(screen)}`);
+    }
+    
+    // Config values referencing the keystore are decrypted when read
+    if (config.get('exchanges.kraken.apiSecret') !== 'kraken-secret-2') {
+      throw new Error('Keystore reference in config was not resolved');
+    }
+    
+    // securityModule.encryptData seals with the same envelopes
+    const sealed = securityModule.encryptData('api-key', passphrase);
+    if (JSON.parse(sealed).cipher !== 'aes-256-gcm' || securityModule.decryptData(sealed, passphrase) !== 'api-key') {
+      throw new Error(`Unexpected encrypted data: ${sealed}`);
+    }
+    
+    logger.info('Keystore tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Keystore test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    clock.useReal();
+    keystore.close();
+    if (previousPassphrase === undefined) {
+      delete process.env.KEYSTORE_PASSPHRASE;
+    } else {
+      process.env.KEYSTORE_PASSPHRASE = previousPassphrase;
+    }
+    previousConfig.reverse().forEach(([configPath, value]) => config.set(configPath, value));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test static bytecode analysis against fixtures
+ */
+async function testBytecodeAnalyzer() {
+  const originalEthereum = { initialized: ethereum.initialized, provider: ethereum.provider };
+  
+  try {
+    const issueCodes = (fixture, context) => bytecodeAnalyzer
+      .analyze(loadFixture(`bytecode/${fixture}`).bytecode, context)
+      .issues.map(({ code }) => code)
+      .sort()
+      .join(',');
+    
+    // PUSH data containing 0xf4/0xff and the metadata trailer must not be read as opcodes
+    if (issueCodes('plain-erc20.json') !== '') {
+      throw new Error('Plain ERC-20 should have no issues');
+    }
+    
+    const owner = '0x1111111111111111111111111111111111111111';
+    const ownedIssues = issueCodes('owned-mintable-token.json', { owner });
+    if (ownedIssues !== 'BLACKLIST_FUNCTION,FEE_SETTER,MINT_FUNCTION,OWNERSHIP_NOT_RENOUNCED,PAUSABLE') {
+      throw new Error(`Unexpected owned token issues: ${ownedIssues}`);
+    }
+    
+    const renounced = bytecodeAnalyzer.analyze(
+      loadFixture('bytecode/owned-mintable-token.json').bytecode,
+      { owner: '0x000000000000000000000000000000000000dEaD' }
+    );
+    if (!renounced.ownershipRenounced || bytecodeAnalyzer.hasSeverity(renounced.issues, 'medium')) {
+      throw new Error('Renounced ownership should downgrade privileged functions');
+    }
+    
+    if (issueCodes('eip1967-proxy.json') !== 'UPGRADEABLE,UPGRADEABLE_PROXY') {
+      throw new Error('EIP-1967 proxy not detected');
+    }
+    
+    const clone = bytecodeAnalyzer.analyze(loadFixture('bytecode/eip1167-minimal-proxy.json').bytecode);
+    if (!clone.isProxy || clone.implementation !== '0xBEbeBeBEbeBebeBeBEBEbebEBeBeBebeBeBebebe') {
+      throw new Error('EIP-1167 minimal proxy implementation not extracted');
+    }
+    
+    if (issueCodes('selfdestruct-token.json') !== 'SELFDESTRUCT') {
+      throw new Error('SELFDESTRUCT not detected');
+    }
+    
+    // validateTokenContract follows the proxy to its implementation through the provider
+    const codeByAddress = {
+      '0x2222222222222222222222222222222222222222': loadFixture('bytecode/eip1167-minimal-proxy.json').bytecode,
+      '0xbebebebebebebebebebebebebebebebebebebebe': loadFixture('bytecode/owned-mintable-token.json').bytecode
+    };
+    ethereum.initialized = true;
+    ethereum.provider = {
+      getCode: async address => codeByAddress[address.toLowerCase()] || '0x',
+      getStorageAt: async () => '0x' + '0'.repeat(64),
+      call: async () => '0x' + owner.slice(2).padStart(64, '0')
+    };
+    
+    const validation = await securityModule.validateTokenContract('ethereum', '0x2222222222222222222222222222222222222222');
+    const validationCodes = validation.issues.map(({ code }) => code);
+    if (validation.valid || !validationCodes.includes('MINIMAL_PROXY') || !validationCodes.includes('MINT_FUNCTION')) {
+      throw new Error('Proxy implementation issues were not reported');
+    }
+    
+    const repeated = await securityModule.validateTokenContract('ethereum', '0x2222222222222222222222222222222222222222');
+    if (JSON.stringify(repeated) !== JSON.stringify(validation)) {
+      throw new Error('Contract validation is not deterministic');
+    }
+
+    // Loaded through core/solana first, the security module must still see a complete risk scoring module
+    let isolated;
+    jest.isolateModules(() => {
+      require('../core/solana');
+      isolated = {
+        ethereum: require('../core/ethereum'),
+        securityModule: require('../security/securityModule')
+      };
+    });
+    isolated.ethereum.initialized = true;
+    isolated.ethereum.provider = ethereum.provider;
+    isolated.securityModule.initialized = true;
+
+    const throughSolana = await isolated.securityModule.validateTokenContract('ethereum', '0x2222222222222222222222222222222222222222');
+    if (JSON.stringify(throughSolana) !== JSON.stringify(validation)) {
+      throw new Error('Contract validation differs when the security module is loaded through core/solana');
+    }
+
+    logger.info('Bytecode analyzer tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Bytecode analyzer test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    ethereum.initialized = originalEthereum.initialized;
+    ethereum.provider = originalEthereum.provider;
+  }
+}
+
+/**
+ * Test the honeypot simulator's buy, transfer and sell against a mock fork that replays
+ * recorded outcomes for a clean, a high-tax and a sell-blocked token
+ */
+async function testHoneypotSimulator() {
+  const { tokens } = loadFixture('ethereum/honeypot-tokens.json');
+  const byAddress = Object.fromEntries(Object.values(tokens).map(token => [token.address, token]));
+  const weth = ethereum.addresses.weth.toLowerCase();
+  const gas = { used: 200000, price: ethers.utils.parseUnits('1', 'gwei') };
+  const fork = { block: 100, balances: {}, transactions: {}, receipts: {} };
+  const forkInterface = new ethers.utils.Interface([
+    'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] path, address to, uint deadline) payable',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function totalSupply() view returns (uint256)',
+    'function approve(address spender, uint256 value) returns (bool)',
+    'function transfer(address to, uint256 value) returns (bool)',
+    'function _maxTxAmount() view returns (uint256)'
+  ]);
+  const balanceOf = (asset, owner) => fork.balances[`${asset}:${owner.toLowerCase()}`] || ethers.BigNumber.from(0);
+  const credit = (asset, owner, amount) => {
+    fork.balances[`${asset}:${owner.toLowerCase()}`] = balanceOf(asset, owner).add(amount);
+  };
+  const afterTax = (amount, taxBps) => ethers.BigNumber.from(amount).mul(10000 - taxBps).div(10000);
+  const revert = (reason = null) => {
+    const error = new Error(reason ? `execution reverted: ${reason}` : 'execution reverted');
+    error.data = reason ? `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)}` : '0x';
+    throw error;
+  };
+  
+  // Runs a call or transaction against the fork state, applying its effects only when sent
+  const execute = ({ from, to, data, value = '0x0' }, send) => {
+    let call;
+    try {
+      call = forkInterface.parseTransaction({ data });
+    } catch (error) {
+      revert();
+    }
+    const token = byAddress[to.toLowerCase()];
+    
+    switch (call.name) {
+      case 'getAmountsOut': {
+        const [amountIn, tradePath] = call.args;
+        const buying = tradePath[0].toLowerCase() === weth;
+        const traded = byAddress[tradePath[buying ? 1 : 0].toLowerCase()];
+        return forkInterface.encodeFunctionResult(call.name, [[amountIn, traded[buying ? 'buy' : 'sell'].amountOut]]);
+      }
+      case 'swapExactETHForTokensSupportingFeeOnTransferTokens': {
+        const bought = byAddress[call.args.path[1].toLowerCase()];
+        if (send) {
+          credit('ETH', from, ethers.BigNumber.from(value).mul(-1));
+          credit(bought.address, call.args.to, afterTax(bought.buy.amountOut, bought.buy.taxBps));
+        }
+        return '0x';
+      }
+      case 'swapExactTokensForETHSupportingFeeOnTransferTokens': {
+        const sold = byAddress[call.args.path[0].toLowerCase()];
+        if (sold.sell.revert) {
+          revert(sold.sell.revert);
+        }
+        if (send) {
+          credit(sold.address, from, call.args.amountIn.mul(-1));
+          credit('ETH', call.args.to, afterTax(sold.sell.amountOut, sold.sell.taxBps));
+        }
+        return '0x';
+      }
+      case 'transfer':
+        if (token.transfer.revert) {
+          revert(token.transfer.revert);
+        }
+        if (send) {
+          credit(token.address, from, call.args.value.mul(-1));
+          credit(token.address, call.args.to, afterTax(call.args.value, token.transfer.taxBps));
+        }
+        return forkInterface.encodeFunctionResult(call.name, [true]);
+      case 'approve':
+        return forkInterface.encodeFunctionResult(call.name, [true]);
+      case 'balanceOf':
+        return forkInterface.encodeFunctionResult(call.name, [balanceOf(token.address, call.args.owner)]);
+      case 'totalSupply':
+        return forkInterface.encodeFunctionResult(call.name, [token.totalSupply]);
+      default:
+        if (!token.limits[call.name]) {
+          revert();
+        }
+        return forkInterface.encodeFunctionResult(call.name, [token.limits[call.name]]);
+    }
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      const results = {
+        web3_clientVersion: () => 'anvil/v0.2.0',
+        anvil_reset: () => {
+          Object.assign(fork, { balances: {}, transactions: {}, receipts: {} });
+          return null;
+        },
+        anvil_setBalance: () => {
+          fork.balances[`ETH:${params[0].toLowerCase()}`] = ethers.BigNumber.from(params[1]);
+          return null;
+        },
+        anvil_impersonateAccount: () => null,
+        eth_chainId: () => '0x1',
+        net_version: () => '1',
+        eth_blockNumber: () => ethers.utils.hexValue(fork.block),
+        eth_getBalance: () => balanceOf('ETH', params[0]).toHexString(),
+        eth_call: () => execute(params[0], false),
+        eth_estimateGas: () => {
+          execute(params[0], false);
+          return ethers.utils.hexValue(gas.used);
+        },
+        eth_sendTransaction: () => {
+          const tx = params[0];
+          execute(tx, true);
+          credit('ETH', tx.from, gas.price.mul(gas.used).mul(-1));
+          
+          const hash = ethers.utils.id(`fork-tx-${++fork.block}`);
+          const blockHash = ethers.utils.hexZeroPad(ethers.utils.hexValue(fork.block), 32);
+          const blockNumber = ethers.utils.hexValue(fork.block);
+          fork.transactions[hash] = {
+            hash,
+            blockHash,
+            blockNumber,
+            transactionIndex: '0x0',
+            from: tx.from,
+            to: tx.to,
+            gas: ethers.utils.hexValue(gas.used),
+            gasPrice: gas.price.toHexString(),
+            value: tx.value || '0x0',
+            nonce: '0x0',
+            input: tx.data,
+            chainId: '0x1',
+            v: '0x25',
+            r: '0x1',
+            s: '0x1',
+            type: '0x0'
+          };
+          fork.receipts[hash] = {
+            transactionHash: hash,
+            transactionIndex: '0x0',
+            blockHash,
+            blockNumber,
+            from: tx.from,
+            to: tx.to,
+            cumulativeGasUsed: ethers.utils.hexValue(gas.used),
+            gasUsed: ethers.utils.hexValue(gas.used),
+            effectiveGasPrice: gas.price.toHexString(),
+            contractAddress: null,
+            logs: [],
+            logsBloom: ethers.utils.hexZeroPad('0x', 256),
+            status: '0x1',
+            type: '0x0'
+          };
+          return hash;
+        },
+        eth_getTransactionByHash: () => fork.transactions[params[0]] || null,
+        eth_getTransactionReceipt: () => fork.receipts[params[0]] || null
+      };
+      let payload;
+      try {
+        payload = results[method]
+          ? { jsonrpc: '2.0', id, result: results[method]() }
+          : { jsonrpc: '2.0', id, error: { code: -32601, message: `Unsupported method ${method}` } };
+      } catch (error) {
+        payload = { jsonrpc: '2.0', id, error: { code: 3, message: error.message, data: error.data } };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(payload));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const originalEthereum = { initialized: ethereum.initialized, provider: ethereum.provider };
+  const simulatorSettings = {
+    forkUrl: url,
+    forkProvider: null,
+    forkMethodPrefix: null,
+    simulationAmount: '0.1',
+    maxBuyTaxPercent: 10,
+    maxSellTaxPercent: 10,
+    maxTransferTaxPercent: 10,
+    requireSellSimulation: true
+  };
+  const originalSimulator = Object.fromEntries(Object.keys(simulatorSettings).map(key => [key, honeypotSimulator[key]]));
+  
+  try {
+    ethereum.initialized = true;
+    ethereum.provider = new ethers.providers.StaticJsonRpcProvider(url, { chainId: 1, name: 'homestead' });
+    Object.assign(honeypotSimulator, simulatorSettings);
+    
+    // Every step receives what the router quoted
+    const clean = await honeypotSimulator.simulate(tokens.clean.address);
+    if (clean.mode !== 'fork' || clean.blocked || clean.isHoneypot || clean.buyTaxPercent !== 0 ||
+      clean.transferTaxPercent !== 0 || clean.sellTaxPercent !== 0 || clean.limits.maxTxAmount !== null) {
+      throw new Error(`Unexpected clean token report: ${JSON.stringify(clean)}`);
+    }
+    if (clean.buy.receivedAmount !== tokens.clean.buy.amountOut || clean.sell.receivedAmount !== tokens.clean.sell.amountOut) {
+      throw new Error(`Unexpected clean token amounts: ${JSON.stringify({ buy: clean.buy, sell: clean.sell })}`);
+    }
+    
+    // 15% buy and 30% sell taxes are over the 10% thresholds; the 5% transfer tax is not
+    const highTax = await honeypotSimulator.simulate(tokens.highTax.address);
+    if (!highTax.blocked || highTax.isHoneypot || highTax.buyTaxPercent !== 15 || highTax.transferTaxPercent !== 5 ||
+      highTax.sellTaxPercent !== 30 || highTax.limits.maxTxPercent !== 2 ||
+      highTax.reasons.join('|') !== 'Buy tax 15% exceeds 10%|Sell tax 30% exceeds 10%') {
+      throw new Error(`Unexpected high-tax token report: ${JSON.stringify(highTax)}`);
+    }
+    
+    // Tokens that cannot leave the buyer's wallet are a honeypot
+    const sellBlocked = await honeypotSimulator.simulate(tokens.sellBlocked.address);
+    if (!sellBlocked.blocked || !sellBlocked.isHoneypot || !sellBlocked.buy.success || sellBlocked.buyTaxPercent !== 0 ||
+      sellBlocked.transfer.success || sellBlocked.sell.success || sellBlocked.sellTaxPercent !== null ||
+      !/TRANSFER_FAILED/.test(sellBlocked.transfer.revertReason) || !/TRANSFER_FAILED/.test(sellBlocked.sell.revertReason) ||
+      !sellBlocked.reasons.some(reason => reason.startsWith('Sell reverted:')) ||
+      !sellBlocked.reasons.some(reason => reason.startsWith('Transfer reverted:'))) {
+      throw new Error(`Unexpected sell-blocked token report: ${JSON.stringify(sellBlocked)}`);
+    }
+    
+    // A sell that returns under a tenth of its quote is a honeypot even though it went through,
+    // and without a fork the unsimulated sell blocks on its own
+    const thresholds = [
+      { mode: 'fork', buyTaxPercent: 0, sellTaxPercent: 95, transferTaxPercent: null },
+      { mode: 'eth_call', buyTaxPercent: null, sellTaxPercent: null, transferTaxPercent: null }
+    ].map(report => {
+      const decided = { buy: null, transfer: null, sell: null, isHoneypot: false, reasons: [], ...report };
+      honeypotSimulator.applyThresholds(decided);
+      return decided;
+    });
+    if (!thresholds[0].isHoneypot || !thresholds[0].blocked || thresholds[1].isHoneypot ||
+      thresholds[1].reasons.join('|') !== 'Sell could not be simulated (no fork configured)') {
+      throw new Error(`Unexpected threshold decisions: ${JSON.stringify(thresholds)}`);
+    }
+    
+    logger.info('Honeypot simulator tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Honeypot simulator test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    Object.assign(ethereum, originalEthereum);
+    Object.assign(honeypotSimulator, originalSimulator);
+    await new Promise(resolve => server.close(resolve));
   }
 }
 
@@ -207,67 +1000,2340 @@ async function testEthereumModule() {
 }
 
 /**
- * Test Bitcoin module functionality
+ * Test DEX route selection by quoting fake V2 routers and a V3 quoter over recorded pool reserves
  */
-async function testBitcoinModule() {
-  try {
-    // Initialize Bitcoin module
-    const initialized = await bitcoin.initialize();
+async function testDexRouter() {
+  const { token, pools, expected } = loadFixture('ethereum/dex-pools.json');
+  const previous = { dexes: dexRouter.dexes, contracts: dexRouter.contracts, v3FeeTiers: dexRouter.v3FeeTiers };
+  
+  // Constant product output for one hop on a venue, fee in hundredths of a basis point like V3 tiers
+  const hop = (dex, fee, amountIn, tokenIn, tokenOut) => {
+    const pool = pools.find(candidate => candidate.dex === dex && (fee === null || candidate.fee === fee) &&
+      candidate.tokens.map(address => address.toLowerCase()).sort().join() === [tokenIn, tokenOut].map(address => address.toLowerCase()).sort().join());
     
-    if (!initialized) {
-      throw new Error('Failed to initialize Bitcoin module');
+    if (!pool) {
+      throw new Error('No pool');
     }
     
-    logger.info('Bitcoin module initialized successfully');
+    const inIndex = pool.tokens[0].toLowerCase() === tokenIn.toLowerCase() ? 0 : 1;
+    const reserveIn = ethers.BigNumber.from(pool.reserves[inIndex]);
+    const reserveOut = ethers.BigNumber.from(pool.reserves[1 - inIndex]);
+    const amountInWithFee = amountIn.mul(1000000 - pool.fee);
+    return amountInWithFee.mul(reserveOut).div(reserveIn.mul(1000000).add(amountInWithFee));
+  };
+  
+  const fakeV2 = dex => ({
+    router: {
+      getAmountsOut: async (amountIn, path) => path.slice(1).reduce(
+        (amounts, tokenOut, index) => [...amounts, hop(dex, null, amounts[index], path[index], tokenOut)],
+        [amountIn]
+      )
+    }
+  });
+  
+  const fakeV3 = {
+    quoter: {
+      callStatic: {
+        quoteExactInput: async (encodedPath, amountIn) => {
+          // Decode address (20 bytes) then fee (3 bytes) pairs
+          const bytes = ethers.utils.arrayify(encodedPath);
+          let amountOut = amountIn;
+          for (let offset = 0; offset + 43 <= bytes.length; offset += 23) {
+            const tokenIn = ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset, offset + 20)));
+            const fee = parseInt(ethers.utils.hexlify(bytes.slice(offset + 20, offset + 23)), 16);
+            const tokenOut = ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset + 23, offset + 43)));
+            amountOut = hop('uniswapV3', fee, amountOut, tokenIn, tokenOut);
+          }
+          return { amountOut };
+        }
+      }
+    }
+  };
+  
+  try {
+    dexRouter.dexes = ['uniswap', 'sushiswap', 'uniswapV3'];
+    dexRouter.v3FeeTiers = [500, 3000, 10000];
+    dexRouter.contracts = { uniswap: fakeV2('uniswap'), sushiswap: fakeV2('sushiswap'), uniswapV3: fakeV3 };
     
-    // Test getting BTC price
-    const btcPrice = await bitcoin.getBitcoinPrice('binance');
-    logger.info('Retrieved BTC price from Binance', { btcPrice });
+    const weth = ethereum.addresses.weth;
+    const amountIn = ethers.utils.parseUnits('1000', 18);
+    const route = await dexRouter.findBestRoute(token, weth, amountIn);
     
-    const btcPriceKraken = await bitcoin.getBitcoinPrice('kraken');
-    logger.info('Retrieved BTC price from Kraken', { btcPriceKraken });
+    if (route.dex !== expected.dex || route.path.join() !== expected.path.join() || route.spender !== '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F') {
+      throw new Error(`Unexpected best route: ${route.dex} ${route.path.join(' -> ')}`);
+    }
     
-    // Test fee estimation
-    const feeEstimates = await bitcoin.getFeeEstimates();
-    logger.info('Retrieved BTC fee estimates', { feeEstimates });
+    // Every venue with a pool is compared, best first
+    const quotes = await dexRouter.quoteAll(token, weth, amountIn);
+    if (quotes.map(({ dex }) => dex).join() !== expected.quotes.join()) {
+      throw new Error(`Unexpected quote comparison: ${quotes.map(({ dex, path }) => `${dex}:${path.length - 1}`).join(', ')}`);
+    }
     
-    // Test recommended fee rate
-    const fastFeeRate = await bitcoin.getRecommendedFeeRate('fast');
-    logger.info('Retrieved fast fee rate', { fastFeeRate });
+    if (quotes[1].fees.join() !== '10000') {
+      throw new Error(`Unexpected V3 fee tier: ${quotes[1].fees}`);
+    }
     
-    const mediumFeeRate = await bitcoin.getRecommendedFeeRate('medium');
-    logger.info('Retrieved medium fee rate', { mediumFeeRate });
+    const encoded = encodeV3Path([token, expected.path[1], weth], [3000, 500]);
+    if (ethers.utils.hexDataLength(encoded) !== 66 || ethers.utils.hexDataSlice(encoded, 20, 23) !== '0x000bb8') {
+      throw new Error(`Unexpected V3 path encoding: ${encoded}`);
+    }
     
-    // Test simulated trade execution
-    const tradeResult = await bitcoin.executeTrade('binance', 'buy', '0.001');
-    logger.info('Executed simulated BTC trade', { tradeResult });
+    logger.info('DEX router tests passed', {
+      best: route.dex,
+      amountOut: ethers.utils.formatEther(route.amountOut)
+    });
     
     return true;
   } catch (error) {
-    logger.error('Bitcoin module test failed', {
+    logger.error('DEX router test failed', {
       error: error.message
     });
     throw error;
+  } finally {
+    Object.assign(dexRouter, previous);
   }
 }
 
 /**
- * Test Solana module functionality
+ * Test EIP-1559 fee pricing per urgency profile against recorded eth_feeHistory responses
  */
-async function testSolanaModule() {
+async function testEthereumFees() {
+  const history = loadFixture('ethereum/fee-history.json');
+  const fakeProvider = set => ({
+    send: async (method, params) => history[set][String(params[2][0])],
+    getGasPrice: async () => ethers.utils.parseUnits('20', 'gwei')
+  });
+  const gwei = value => ethers.utils.formatUnits(value, 'gwei');
+  const previousMaxGasPrice = config.get('trading.ethereum.maxGasPrice');
+  
   try {
-    // Initialize Solana module
-    const initialized = await solana.initialize();
+    config.set('trading.ethereum.maxGasPrice', '50');
     
-    if (!initialized) {
-      throw new Error('Failed to initialize Solana module');
+    for (const urgency of ['snipe', 'exit', 'standard']) {
+      const fees = await ethereumFees.getFeeData(fakeProvider('normal'), urgency);
+      const expected = history.expected[urgency];
+      
+      if (gwei(fees.maxFeePerGas) !== expected.maxFeePerGas || gwei(fees.maxPriorityFeePerGas) !== expected.maxPriorityFeePerGas) {
+        throw new Error(`Unexpected ${urgency} fees: ${gwei(fees.maxFeePerGas)} / ${gwei(fees.maxPriorityFeePerGas)}`);
+      }
     }
     
-    logger.info('Solana module initialized successfully');
+    // Headroom is capped at the configured maximum gas price
+    const congested = await ethereumFees.getFeeData(fakeProvider('congested'), 'snipe');
+    if (gwei(congested.maxFeePerGas) !== history.expected.congestedSnipe.maxFeePerGas) {
+      throw new Error(`Congested snipe fee not capped: ${gwei(congested.maxFeePerGas)}`);
+    }
     
-    // Test getting SOL price
-    const solPrice = await solana.getSolanaPrice('binance');
-    logger.info('Retrieved SOL price from Binance', { solPrice });
+    // Refuses to transact when the base fee plus tip alone exceeds the maximum
+    config.set('trading.ethereum.maxGasPrice', '30');
+    let refused = false;
+    try {
+      await ethereumFees.getFeeData(fakeProvider('congested'), 'snipe');
+    } catch (error) {
+      refused = error.message.includes('exceeds maximum allowed');
+    }
+    config.set('trading.ethereum.maxGasPrice', previousMaxGasPrice);
+    
+    if (!refused) {
+      throw new Error('Fee above the maximum gas price was not refused');
+    }
+    
+    // Pre-London networks fall back to a legacy gas price; gas limits carry the configured multiplier
+    const legacyProvider = {
+      send: async () => { throw new Error('the method eth_feeHistory does not exist'); },
+      getGasPrice: async () => ethers.utils.parseUnits('20', 'gwei')
+    };
+    const params = await ethereumFees.getTransactionParams(legacyProvider, {
+      estimateGas: async () => ethers.BigNumber.from(150000)
+    });
+    
+    if (gwei(params.gasPrice) !== '20.0' || params.maxFeePerGas || params.gasLimit.toString() !== '180000') {
+      throw new Error(`Unexpected legacy transaction params: ${JSON.stringify(params)}`);
+    }
+    
+    logger.info('Ethereum fee tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Ethereum fee test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    config.set('trading.ethereum.maxGasPrice', previousMaxGasPrice);
+  }
+}
+
+/**
+ * Test nonce allocation, speed-up, cancel and lifecycle events against a fake wallet
+ */
+async function testTransactionManager() {
+  const gwei = value => ethers.utils.parseUnits(value, 'gwei');
+  const walletAddress = '0x00000000000000000000000000000000000000a1';
+  const chain = { pendingNonce: 7, minedNonce: 7, block: 100, receipts: {}, sent: [], failNext: null };
+  const wallet = {
+    provider: {
+      send: async () => { throw new Error('the method eth_feeHistory does not exist'); },
+      getGasPrice: async () => gwei('10'),
+      getBlockNumber: async () => chain.block,
+      getTransactionCount: async () => chain.minedNonce,
+      getTransactionReceipt: async hash => chain.receipts[hash] || null
+    },
+    getAddress: async () => walletAddress,
+    getTransactionCount: async () => chain.pendingNonce,
+    sendTransaction: async tx => {
+      if (chain.failNext) {
+        const error = new Error(chain.failNext);
+        chain.failNext = null;
+        throw error;
+      }
+      const hash = ethers.utils.hexZeroPad(ethers.utils.hexValue(chain.sent.length + 1), 32);
+      chain.sent.push({ ...tx, hash });
+      return { hash };
+    }
+  };
+  const mine = (hash, status = 1) => {
+    chain.receipts[hash] = { transactionHash: hash, status, blockNumber: 100 };
+    chain.minedNonce++;
+  };
+  const request = { to: '0x00000000000000000000000000000000000000b2', data: '0x1234', gasLimit: 150000, maxFeePerGas: gwei('30'), maxPriorityFeePerGas: gwei('2') };
+  const previousMaxGasPrice = config.get('trading.ethereum.maxGasPrice');
+  const start = Date.UTC(2024, 0, 1);
+  
+  try {
+    config.set('trading.ethereum.maxGasPrice', '100');
+    clock.useVirtual(start);
+    
+    const manager = new TransactionManager();
+    const events = [];
+    ['sent', 'replaced', 'mined', 'dropped', 'reverted'].forEach(event => {
+      manager.on(event, tx => events.push(`${event}:${tx.nonce}${tx.reason ? `:${tx.reason}` : ''}`));
+    });
+    manager.connect(wallet);
+    
+    // Concurrent sends get consecutive nonces from the pending count, in order
+    const [exit, approval] = await Promise.all([
+      manager.send(request, { urgency: 'exit', label: 'swap', meta: { purpose: 'exit' } }),
+      manager.send(request, { urgency: 'standard', label: 'approve' })
+    ]);
+    if (exit.nonce !== 7 || approval.nonce !== 8 || chain.sent.map(tx => tx.nonce).join(',') !== '7,8') {
+      throw new Error(`Unexpected nonces: ${chain.sent.map(tx => tx.nonce).join(',')}`);
+    }
+    
+    // The exit is re-priced at the same nonce once it has waited 20s
+    const exitMined = manager.wait(exit.id);
+    await clock.advanceTo(start + 21000);
+    const replacement = chain.sent[2];
+    if (!replacement || replacement.nonce !== 7 || !replacement.maxFeePerGas.eq(gwei('33.75')) || !replacement.maxPriorityFeePerGas.eq(gwei('2.25'))) {
+      throw new Error(`Exit was not sped up correctly: ${JSON.stringify(replacement)}`);
+    }
+    
+    mine(replacement.hash);
+    await clock.advanceTo(start + 24000);
+    const receipt = await exitMined;
+    if (receipt.transactionHash !== replacement.hash) {
+      throw new Error('Exit resolved with the wrong receipt');
+    }
+    
+    // Cancelling sends a zero-value transfer to self at the same nonce; once mined the original is dropped
+    const cancel = await manager.cancel(approval.id);
+    const cancelTx = chain.sent[3];
+    if (cancel.nonce !== 8 || cancelTx.to !== walletAddress || cancelTx.value !== 0 || !cancelTx.maxFeePerGas.eq(gwei('33.75'))) {
+      throw new Error(`Unexpected cancel transaction: ${JSON.stringify(cancelTx)}`);
+    }
+    const approvalOutcome = manager.wait(approval.id).then(() => 'mined', error => error.message);
+    mine(cancelTx.hash);
+    await clock.advanceTo(start + 27000);
+    if (!(await approvalOutcome).includes('dropped (cancelled)')) {
+      throw new Error('Cancelled transaction did not report dropped');
+    }
+    
+    // Reverts reject the waiter with the receipt attached
+    const swap = await manager.send(request, { urgency: 'snipe', label: 'swap' });
+    const swapOutcome = manager.wait(swap.id).then(() => null, error => error);
+    mine(chain.sent[4].hash, 0);
+    await clock.advanceTo(start + 30000);
+    const revertError = await swapOutcome;
+    if (!revertError || !revertError.receipt || revertError.receipt.status !== 0) {
+      throw new Error('Reverted transaction was not reported');
+    }
+    
+    // A nonce rejected by the node is read again from the pending count
+    chain.failNext = 'nonce too low';
+    let rejected = false;
+    try {
+      await manager.send(request);
+    } catch (error) {
+      rejected = true;
+    }
+    chain.pendingNonce = 12;
+    const resynced = await manager.send(request);
+    if (!rejected || resynced.nonce !== 12) {
+      throw new Error(`Nonce was not resynced after rejection: ${resynced.nonce}`);
+    }
+    
+    const expectedEvents = 'sent:7,sent:8,replaced:7:speed-up,mined:7,replaced:8:cancel,dropped:8:cancelled,sent:9,reverted:9,sent:12';
+    if (events.join(',') !== expectedEvents) {
+      throw new Error(`Unexpected lifecycle events: ${events.join(',')}`);
+    }
+    
+    // Private submissions target the next block only
+    let relayDown = false;
+    const privateSubmit = async (signer, tx) => {
+      if (relayDown) {
+        throw new Error('relay unavailable');
+      }
+      const response = await signer.sendTransaction(tx);
+      return { ...response, targetBlocks: [chain.block + 1] };
+    };
+    
+    // Already at the fee cap, an expired snipe cannot be resubmitted and is dropped at once
+    const capped = await manager.send({ ...request, maxFeePerGas: gwei('95') }, { urgency: 'snipe', label: 'swap', submit: privateSubmit });
+    const sentBefore = chain.sent.length;
+    const cappedOutcome = manager.wait(capped.id).then(() => 'mined', error => error.message);
+    chain.block += 2;
+    await manager.poll();
+    const stillPending = tx => manager.getPending().some(({ id }) => id === tx.id);
+    if (stillPending(capped) || !(await cappedOutcome).includes('dropped (not-included)') ||
+      chain.sent.length !== sentBefore || manager.nextNonce !== null) {
+      throw new Error(`Capped private submission was not dropped: ${await cappedOutcome}`);
+    }
+    
+    // Every resubmit the relay refuses counts toward maxReplacements
+    const refused = await manager.send(request, { urgency: 'snipe', label: 'swap', submit: privateSubmit });
+    const refusedOutcome = manager.wait(refused.id).then(() => 'mined', error => error.message);
+    relayDown = true;
+    chain.block += 2;
+    for (let i = 0; i <= manager.maxReplacements; i++) {
+      await manager.poll();
+    }
+    if (stillPending(refused) || !(await refusedOutcome).includes('dropped (not-included)') || manager.nextNonce !== null) {
+      throw new Error(`Private submission the relay refused to resubmit stayed pending: ${await refusedOutcome}`);
+    }
+    
+    // Only the newest final transactions are kept; pending ones never leave
+    manager.historySize = 2;
+    chain.pendingNonce = 15;
+    const latest = await manager.send(request);
+    mine(chain.sent[chain.sent.length - 1].hash);
+    await manager.poll();
+    const kept = [...manager.transactions.keys()];
+    if (kept.length !== 3 || !kept.includes(refused.id) || !kept.includes(latest.id) || !kept.includes(resynced.id) ||
+      manager.getPending().length !== 1) {
+      throw new Error(`Unexpected transaction history: ${kept.join(',')}`);
+    }
+    
+    manager.stopPolling();
+    logger.info('Transaction manager tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Transaction manager test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    clock.useReal();
+    config.set('trading.ethereum.maxGasPrice', previousMaxGasPrice);
+  }
+}
+
+/**
+ * Test public, private relay and hint-only bundle submission against a local mock
+ * server that answers both the node's JSON-RPC and the relay's bundle methods
+ */
+async function testTxSubmission() {
+  const chain = { block: 100, nonce: 0, receipts: {}, bundles: [], raw: [] };
+  const receipt = (hash, blockNumber) => ({
+    transactionHash: hash,
+    transactionIndex: '0x0',
+    blockHash: ethers.utils.hexZeroPad(ethers.utils.hexValue(blockNumber), 32),
+    blockNumber: ethers.utils.hexValue(blockNumber),
+    from: wallet.address,
+    to: request.to,
+    cumulativeGasUsed: '0x30d40',
+    gasUsed: '0x30d40',
+    effectiveGasPrice: '0x6fc23ac00',
+    contractAddress: null,
+    logs: [],
+    logsBloom: ethers.utils.hexZeroPad('0x', 256),
+    status: '0x1',
+    type: '0x2'
+  });
+  const mine = (hash, blockNumber) => {
+    chain.receipts[hash] = receipt(hash, blockNumber);
+    chain.block = blockNumber;
+    chain.nonce++;
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      const results = {
+        eth_chainId: () => '0x1',
+        eth_blockNumber: () => ethers.utils.hexValue(chain.block),
+        eth_getTransactionCount: () => ethers.utils.hexValue(chain.nonce),
+        eth_getTransactionReceipt: () => chain.receipts[params[0]] || null,
+        eth_sendRawTransaction: () => {
+          chain.raw.push(params[0]);
+          return ethers.utils.keccak256(params[0]);
+        },
+        eth_sendBundle: () => {
+          chain.bundles.push({ method, params, body, signature: req.headers['x-flashbots-signature'] });
+          return { bundleHash: ethers.utils.id(`bundle-${chain.bundles.length}`) };
+        },
+        mev_sendBundle: () => {
+          chain.bundles.push({ method, params, body, signature: req.headers['x-flashbots-signature'] });
+          return { bundleHash: ethers.utils.id(`bundle-${chain.bundles.length}`) };
+        }
+      };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(results[method]
+        ? { jsonrpc: '2.0', id, result: results[method]() }
+        : { jsonrpc: '2.0', id, error: { code: -32601, message: `Unsupported method ${method}` } }));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const provider = new ethers.providers.StaticJsonRpcProvider(url, { chainId: 1, name: 'homestead' });
+  const wallet = new ethers.Wallet(`0x${'11'.repeat(32)}`, provider);
+  const request = {
+    to: '0x00000000000000000000000000000000000000b2',
+    data: '0x1234',
+    gasLimit: 200000,
+    maxFeePerGas: ethers.utils.parseUnits('30', 'gwei'),
+    maxPriorityFeePerGas: ethers.utils.parseUnits('3', 'gwei')
+  };
+  const previous = {
+    wallet: transactionManager.wallet,
+    relayUrl: txSubmission.relayUrl,
+    modes: txSubmission.modes,
+    pollIntervalMs: transactionManager.pollIntervalMs,
+    maxReplacements: transactionManager.maxReplacements,
+    maxGasPrice: config.get('trading.ethereum.maxGasPrice')
+  };
+  
+  try {
+    config.set('trading.ethereum.maxGasPrice', '100');
+    transactionManager.pollIntervalMs = 600000;
+    transactionManager.connect(wallet);
+    txSubmission.relayUrl = url;
+    txSubmission.modes = { standard: 'public', exit: 'bundle', snipe: 'private' };
+    
+    // Snipes go to the relay as a one-transaction bundle for each of the next three blocks
+    const snipe = await txSubmission.send(request, { urgency: 'snipe', label: 'swap' });
+    const privateBundles = chain.bundles.filter(bundle => bundle.method === 'eth_sendBundle');
+    if (privateBundles.map(bundle => parseInt(bundle.params[0].blockNumber, 16)).join() !== '101,102,103' || chain.raw.length !== 0) {
+      throw new Error(`Unexpected private bundles: ${JSON.stringify(privateBundles.map(bundle => bundle.params))}`);
+    }
+    if (ethers.utils.keccak256(privateBundles[0].params[0].txs[0]) !== snipe.hash || snipe.meta.submission !== 'private') {
+      throw new Error('Bundle does not carry the tracked transaction');
+    }
+    const [signer, signature] = privateBundles[0].signature.split(':');
+    if (ethers.utils.verifyMessage(ethers.utils.id(privateBundles[0].body), signature) !== signer) {
+      throw new Error('Relay request signature does not match its body');
+    }
+    
+    // Past its target blocks the snipe is resubmitted with higher fees, then lands
+    chain.block = 104;
+    await transactionManager.poll();
+    const resubmitted = transactionManager.getPending()[0];
+    if (!resubmitted || resubmitted.attempts !== 2 || chain.bundles.length !== 6 || parseInt(chain.bundles[5].params[0].blockNumber, 16) !== 107) {
+      throw new Error('Expired private submission was not resubmitted');
+    }
+    
+    mine(resubmitted.hash, 106);
+    await transactionManager.poll();
+    await transactionManager.wait(snipe.id);
+    const first = txSubmission.getSubmission(snipe.hash);
+    const landed = txSubmission.getSubmission(resubmitted.hash);
+    if (first.status !== 'not-included' || landed.status !== 'included' || landed.blockNumber !== 106 || landed.mode !== 'private') {
+      throw new Error(`Unexpected inclusion status: ${JSON.stringify([first, landed])}`);
+    }
+    
+    // Hint-only bundles share just the hash and are given up once their blocks pass without replacements left
+    transactionManager.maxReplacements = 0;
+    const exit = await txSubmission.send(request, { urgency: 'exit', label: 'swap' });
+    const protectedBundle = chain.bundles[chain.bundles.length - 1];
+    const { inclusion, privacy } = protectedBundle.params[0];
+    if (protectedBundle.method !== 'mev_sendBundle' || privacy.hints.join() !== 'hash' || parseInt(inclusion.block, 16) !== 107 || parseInt(inclusion.maxBlock, 16) !== 109) {
+      throw new Error(`Unexpected protected bundle: ${JSON.stringify(protectedBundle.params)}`);
+    }
+    
+    chain.block = 110;
+    const exitOutcome = transactionManager.wait(exit.id).then(() => 'mined', error => error.message);
+    await transactionManager.poll();
+    if (!(await exitOutcome).includes('not-included') || txSubmission.getSubmission(exit.hash).status !== 'not-included') {
+      throw new Error('Expired bundle was not reported as not included');
+    }
+    
+    // Public transactions are broadcast by the node and reuse the nonce the expired bundle never used
+    const approval = await txSubmission.send({ ...request, data: '0x095ea7b3' }, { urgency: 'standard', label: 'approve' });
+    if (chain.raw.length !== 1 || approval.nonce !== 1) {
+      throw new Error(`Public submission was not broadcast with the next nonce: ${approval.nonce}`);
+    }
+    mine(approval.hash, 111);
+    await transactionManager.poll();
+    
+    const stats = txSubmission.getInclusionStats();
+    if (stats.private.included !== 1 || stats.private['not-included'] !== 1 || stats.bundle['not-included'] !== 1 || stats.public.included !== 1) {
+      throw new Error(`Unexpected inclusion stats: ${JSON.stringify(stats)}`);
+    }
+    
+    logger.info('Transaction submission tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Transaction submission test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    transactionManager.stopPolling();
+    transactionManager.connect(previous.wallet);
+    transactionManager.pollIntervalMs = previous.pollIntervalMs;
+    transactionManager.maxReplacements = previous.maxReplacements;
+    txSubmission.relayUrl = previous.relayUrl;
+    txSubmission.modes = previous.modes;
+    config.set('trading.ethereum.maxGasPrice', previous.maxGasPrice);
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Test snipe entries, snipes refused by the transaction limits, and the position ledger's JSONL
+ * file surviving a restart
+ */
+async function testPositionLedger() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-ledger-'));
+  const filePath = path.join(dataDir, 'positions.jsonl');
+  const token = '0xdddd00000000000000000000000000000000dddd';
+  const solanaToken = 'So1anaSnipeMint111111111111111111111111111';
+  const original = {};
+  ['initialized', 'getTokenBalance', 'swapTokens'].forEach(key => {
+    original[key] = ethereum[key];
+  });
+  const originalSolana = {};
+  ['initialized', 'getTokenBalance', 'swapTokens'].forEach(key => {
+    originalSolana[key] = solana[key];
+  });
+  const setupPositionManagement = liquidityDetector.setupPositionManagement;
+  const setupSolanaPositionManagement = multiChainLiquidityDetector.setupSolanaPositionManagement;
+  const settings = {
+    'exchanges.ethereum.tradingEnabled': true,
+    'trading.ethereum.snipeAmount': '0.05',
+    'trading.solana.snipeAmount': '0.5',
+    'trading.risk.usdPrices': { USDT: 1, ETH: 2000, SOL: 150 },
+    'security.transactionLimits.chains.ethereum': { maxTransactionUSD: 1000, windowLimitUSD: 5000 },
+    'security.transactionLimits.chains.solana': { maxTransactionUSD: 1000, windowLimitUSD: 5000 },
+    'security.transactionLimits.strategies.snipe': null
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const restoreTransactions = securityModule.isolateTransactions();
+  const managed = [];
+  let balance = '250';
+  let swaps = 0;
+
+  try {
+    await positionLedger.initialize({ filePath });
+
+    // The wallet already holds 250 tokens; the position gets only the 1000 this snipe bought
+    ethereum.initialized = true;
+    ethereum.getTokenBalance = async () => balance;
+    ethereum.swapTokens = async () => {
+      swaps++;
+      balance = '1250';
+      return { transactionHash: '0xsnipe' };
+    };
+    liquidityDetector.setupPositionManagement = position => managed.push(position.id);
+
+    const snipe = await liquidityDetector.executeSnipe(ethereum.addresses.weth, token);
+    const entry = snipe.success ? positionLedger.getPosition(snipe.positionId) : null;
+    if (!entry || entry.quantity !== '1000' || entry.costBasis !== '0.05' || entry.fills[0].txHash !== '0xsnipe' ||
+      managed[0] !== snipe.positionId) {
+      throw new Error(`Unexpected snipe position: ${JSON.stringify(entry || snipe)}`);
+    }
+
+    // A 100 USD snipe over the snipe strategy's transaction limit never swaps
+    config.set('security.transactionLimits.strategies.snipe', { maxTransactionUSD: 50 });
+    const refused = await liquidityDetector.executeSnipe(ethereum.addresses.weth, token);
+    if (refused.success || !/snipe strategy limit/.test(refused.error) || swaps !== 1 || positionLedger.getOpenPositions().length !== 1) {
+      throw new Error(`Snipe over the transaction limit was not refused: ${JSON.stringify(refused)}`);
+    }
+    config.set('security.transactionLimits.strategies.snipe', null);
+
+    positionLedger.recordFill(entry.id, { side: 'sell', quantity: '400', amount: '0.03' });
+    positionLedger.updatePosition(entry.id, { exitsTaken: ['tp1'] });
+    const trend = positionLedger.openPosition({
+      chain: 'bitcoin', strategy: 'trend', asset: 'BTC', quoteAsset: 'USDT', quantity: '0.01', cost: '600'
+    });
+    positionLedger.closePosition(trend.id, { reason: 'trailing-stop', fill: { quantity: '0.01', amount: '630' } });
+
+    // A crash mid-write leaves a truncated last line, which the replay skips
+    positionLedger.reset();
+    fs.appendFileSync(filePath, '{"type":"fill","positionId":"');
+    await positionLedger.initialize({ filePath });
+
+    const open = positionLedger.getOpenPositions();
+    const closed = positionLedger.getClosedPositions();
+    if (open.length !== 1 || open[0].id !== entry.id || open[0].quantity !== '600' ||
+      Math.abs(parseFloat(open[0].realizedPnl) - 0.01) > 1e-12 || JSON.stringify(open[0].exitsTaken) !== '["tp1"]') {
+      throw new Error(`Unexpected open positions after reload: ${JSON.stringify(open)}`);
+    }
+    if (closed.length !== 1 || closed[0].closeReason !== 'trailing-stop' || closed[0].realizedPnl !== '30') {
+      throw new Error(`Unexpected closed positions after reload: ${JSON.stringify(closed)}`);
+    }
+
+    // Events written after the truncated line survive the next restart
+    positionLedger.closePosition(entry.id, { reason: 'take-profit', fill: { quantity: '600', amount: '0.06' } });
+    positionLedger.reset();
+    await positionLedger.initialize({ filePath });
+    const reopened = positionLedger.getPosition(entry.id);
+    if (!reopened || reopened.status !== 'closed' || reopened.closeReason !== 'take-profit' || reopened.quantity !== '0') {
+      throw new Error(`Event appended after a truncated line was lost: ${JSON.stringify(reopened)}`);
+    }
+
+    // A Solana snipe records what the swap returned, not the wallet's whole balance
+    solana.initialized = true;
+    solana.getTokenBalance = async () => '1000.0';
+    solana.swapTokens = async () => ({ inputAmount: '0.5', outputAmount: '420', id: 'sol-swap-1' });
+    multiChainLiquidityDetector.setupSolanaPositionManagement = position => managed.push(position.id);
+
+    const solanaSnipe = await multiChainLiquidityDetector.executeSolanaSnipe(solanaToken);
+    const solanaEntry = solanaSnipe.success ? positionLedger.getPosition(solanaSnipe.positionId) : null;
+    if (!solanaEntry || solanaEntry.quantity !== '420' || solanaEntry.costBasis !== '0.5' || solanaEntry.fills[0].txHash !== 'sol-swap-1') {
+      throw new Error(`Unexpected Solana snipe position: ${JSON.stringify(solanaEntry || solanaSnipe)}`);
+    }
+
+    logger.info('Position ledger tests passed');
+
+    return true;
+  } catch (error) {
+    logger.error('Position ledger test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    liquidityDetector.setupPositionManagement = setupPositionManagement;
+    multiChainLiquidityDetector.setupSolanaPositionManagement = setupSolanaPositionManagement;
+    Object.assign(ethereum, original);
+    Object.assign(solana, originalSolana);
+    restoreTransactions();
+    previousConfig.reverse().forEach(([configPath, value]) => config.set(configPath, value));
+    await positionLedger.initialize({ persist: false });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test rug pull alerts from fake pair and token contract events, and the emergency exits they trigger
+ */
+async function testRugWatchdog() {
+  const weth = ethereum.addresses.weth;
+  const token = suffix => `0x${suffix.repeat(40)}`;
+  const [alpha, bravo, charlie] = [token('a'), token('b'), token('c')];
+  const pairs = {
+    [alpha]: { pairAddress: token('1'), tokenAReserve: '1000000', tokenBReserve: '10' },
+    [bravo]: { pairAddress: token('2'), tokenAReserve: '500000', tokenBReserve: '20' },
+    [charlie]: { pairAddress: token('3'), tokenAReserve: '800000', tokenBReserve: '8' }
+  };
+  const contracts = {};
+  const fakeContract = methods => Object.assign(new EventEmitter(), methods);
+  const sales = [];
+  const original = {};
+  ['initialized', 'getPairLiquidity', 'getTokenBalance', 'getTokenPrice', 'swapTokens'].forEach(key => {
+    original[key] = ethereum[key];
+  });
+  const alertDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rug-watchdog-'));
+  const flush = async () => {
+    for (let i = 0; i < 5; i++) {
+      await clock.settle();
+    }
+  };
+  const start = Date.UTC(2024, 0, 1);
+  
+  try {
+    clock.useVirtual(start);
+    await positionLedger.initialize({ persist: false });
+    rugWatchdog.alertFile = path.join(alertDir, 'alerts.jsonl');
+    
+    ethereum.initialized = true;
+    ethereum.getPairLiquidity = async tokenAddress => ({ exists: true, ...pairs[tokenAddress] });
+    ethereum.getTokenBalance = async () => '1000';
+    ethereum.getTokenPrice = async () => '0.5';
+    ethereum.swapTokens = async (tokenIn, tokenOut, amountIn, slippagePercent, urgency, meta) => {
+      sales.push({ tokenIn, urgency, reason: meta.reason });
+      return { transactionHash: `0xsale${sales.length}`, amountOut: '0.4' };
+    };
+    rugWatchdog.createContracts = (tokenAddress, pairAddress) => {
+      contracts[tokenAddress] = {
+        // The watched token sorts after WETH, so WETH is token0
+        pair: fakeContract({ token0: async () => weth, totalSupply: async () => ethers.utils.parseEther('100') }),
+        token: fakeContract({ decimals: async () => 18 })
+      };
+      return contracts[tokenAddress];
+    };
+    
+    liquidityDetector.watchForRugs();
+    [alpha, bravo].forEach(asset => positionLedger.openPosition({
+      chain: 'ethereum',
+      strategy: 'snipe',
+      asset,
+      quoteAsset: 'ETH',
+      quantity: '1000',
+      cost: '0.1',
+      venue: 'paper'
+    }));
+    for (const asset of [alpha, bravo, charlie]) {
+      if (!(await rugWatchdog.watch(asset))) {
+        throw new Error(`Failed to watch ${asset}`);
+      }
+    }
+    
+    // Renouncing ownership and small sells are not alerts
+    const { pair: alphaPair, token: alphaToken } = contracts[alpha];
+    alphaToken.emit('OwnershipTransferred', token('d'), ethers.constants.AddressZero, {});
+    alphaToken.emit('Transfer', token('e'), pairs[alpha].pairAddress, ethers.utils.parseEther('50000'), {});
+    alphaPair.emit('Burn', token('f'), ethers.utils.parseEther('0.5'), ethers.utils.parseEther('25000'), token('e'), {});
+    await flush();
+    if (rugWatchdog.getAlerts().length !== 0 || sales.length !== 0) {
+      throw new Error(`Unexpected rug alerts: ${JSON.stringify(rugWatchdog.getAlerts())}`);
+    }
+    
+    // Removing half the WETH reserve is a rug: the position is sold at exit urgency and closed
+    alphaPair.emit('Burn', token('f'), ethers.utils.parseEther('5'), ethers.utils.parseEther('500000'), token('e'), { transactionHash: '0xburn' });
+    await flush();
+    
+    // A sudden reserve drop between polls
+    pairs[bravo] = { ...pairs[bravo], tokenBReserve: '12' };
+    await clock.advanceTo(start + 15000);
+    await flush();
+    
+    // LP tokens leaving a known locker; nothing is held, so there is nothing to sell
+    const uncx = Object.keys(KNOWN_LP_LOCKERS)[0];
+    contracts[charlie].pair.emit('Transfer', uncx, token('d'), ethers.utils.parseEther('40'), { transactionHash: '0xunlock' });
+    await flush();
+    
+    const alerts = rugWatchdog.getAlerts().map(alert => `${alert.type}:${alert.tokenAddress.slice(2, 3)}`);
+    if (alerts.join() !== 'liquidity-removed:a,reserve-drop:b,lp-unlocked:c') {
+      throw new Error(`Unexpected rug alerts: ${alerts.join()}`);
+    }
+    
+    const reasons = positionLedger.getPositions().map(position => `${position.status}:${position.closeReason}`);
+    if (reasons.join() !== 'closed:rug-liquidity-removed,closed:rug-reserve-drop' || sales.some(sale => sale.urgency !== 'exit')) {
+      throw new Error(`Positions not exited on rug alerts: ${reasons.join()}`);
+    }
+    
+    const written = fs.readFileSync(rugWatchdog.alertFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    if (written.length !== 3 || written[0].txHash !== '0xburn' || written[0].removedPercent !== 50) {
+      throw new Error('Rug alerts were not written to the alert file');
+    }
+    
+    if (rugWatchdog.watches.size !== 0) {
+      throw new Error('Tokens still watched after their positions were exited');
+    }
+    
+    logger.info('Rug watchdog tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Rug watchdog test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    rugWatchdog.stop();
+    rugWatchdog.removeListener('alert', liquidityDetector.rugAlertHandler);
+    liquidityDetector.rugAlertHandler = null;
+    delete rugWatchdog.createContracts;
+    rugWatchdog.alertFile = null;
+    rugWatchdog.alerts = [];
+    Object.assign(ethereum, original);
+    positionLedger.reset();
+    clock.useReal();
+    fs.rmSync(alertDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test holder reconstruction, deployer funding detection and the risk score against recorded Transfer logs
+ */
+async function testHolderAnalyzer() {
+  const fixture = loadFixture('ethereum/holder-transfers.json');
+  const requestedRanges = [];
+  const original = { initialized: ethereum.initialized, provider: ethereum.provider };
+  const previousChunk = holderAnalyzer.logChunkBlocks;
+  
+  try {
+    ethereum.initialized = true;
+    ethereum.provider = {
+      getBlockNumber: async () => fixture.latestBlock,
+      getLogs: async ({ fromBlock, toBlock }) => {
+        requestedRanges.push(`${fromBlock}-${toBlock}`);
+        return fixture.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+      },
+      getTransaction: async hash => (hash === fixture.pairCreationTx ? { from: fixture.deployer } : null),
+      getBlockWithTransactions: async block => ({ transactions: fixture.blocks[block] || [] })
+    };
+    holderAnalyzer.logChunkBlocks = 400;
+    
+    const report = await holderAnalyzer.analyze(fixture.token, {
+      pairAddress: fixture.pairAddress,
+      pairCreatedBlock: fixture.pairCreatedBlock,
+      pairCreationTx: fixture.pairCreationTx
+    });
+    const { expected } = fixture;
+    
+    // The window starts preLaunchBlocks before the pair and is fetched in chunks
+    if (requestedRanges.join() !== '3990-4389,4390-4789,4790-5000' || report.transfers !== fixture.logs.length) {
+      throw new Error(`Unexpected log ranges: ${requestedRanges.join()}`);
+    }
+    
+    // The pair and the burn address are not holders
+    if (report.holders !== expected.holders || report.top10Percent !== expected.top10Percent || report.deployerPercent !== expected.deployerPercent) {
+      throw new Error(`Unexpected holder distribution: ${JSON.stringify(report)}`);
+    }
+    
+    if (report.deployer !== fixture.deployer || report.fundedWallets.join() !== expected.fundedWallets.join()) {
+      throw new Error(`Unexpected deployer funding: ${report.deployer} ${report.fundedWallets.join()}`);
+    }
+    
+    if (report.riskScore !== expected.riskScore || report.reasons.length !== 3 || !report.complete) {
+      throw new Error(`Unexpected holder risk: ${report.riskScore} ${report.reasons.join('; ')}`);
+    }
+    
+    logger.info('Holder analyzer tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Holder analyzer test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    Object.assign(ethereum, original);
+    holderAnalyzer.logChunkBlocks = previousChunk;
+  }
+}
+
+/**
+ * Test token risk scoring with stubbed chain data
+ */
+async function testRiskScoring() {
+  const token = '0x2222222222222222222222222222222222222222';
+  const owner = '0x1111111111111111111111111111111111111111';
+  const original = {
+    ethereum: { initialized: ethereum.initialized, provider: ethereum.provider, getTokenInfo: ethereum.getTokenInfo, getTokenPrice: ethereum.getTokenPrice },
+    simulate: honeypotSimulator.simulate,
+    analyze: holderAnalyzer.analyze,
+    solanaTokenInfo: solana.getTokenInfo,
+    solanaMintData: solana.getMintData
+  };
+  const configPaths = [
+    'security.riskScoring.maxScore',
+    'security.riskScoring.rules.ownership.enabled',
+    'security.riskScoring.rules.holderConcentration.enabled',
+    'security.riskScoring.rules.liquidityLock.minLockedPercent',
+    'security.contractBlockingSeverity',
+    'trading.solana.allowMintAuthority',
+    'trading.solana.allowFreezeAuthority'
+  ];
+  const previousConfig = configPaths.map(configPath => [configPath, config.get(configPath)]);
+  
+  try {
+    [
+      ['security.riskScoring.maxScore', 50],
+      ['security.riskScoring.rules.ownership.enabled', true],
+      ['security.riskScoring.rules.holderConcentration.enabled', true],
+      ['security.riskScoring.rules.liquidityLock.minLockedPercent', 80],
+      ['security.contractBlockingSeverity', 'high'],
+      ['trading.solana.allowMintAuthority', false],
+      ['trading.solana.allowFreezeAuthority', false]
+    ].forEach(([configPath, value]) => config.set(configPath, value));
+    
+    let tokenInfoCalls = 0;
+    let holderContext = null;
+    let lockedPercent = 60;
+    let holderFindings = [{ code: 'CONCENTRATED_SUPPLY', weight: 40, message: 'Top 10 holders own 70% (max 50%)' }];
+    
+    ethereum.initialized = true;
+    ethereum.provider = {
+      getCode: async () => loadFixture('bytecode/owned-mintable-token.json').bytecode,
+      getStorageAt: async () => '0x' + '0'.repeat(64),
+      call: async () => '0x' + owner.slice(2).padStart(64, '0')
+    };
+    ethereum.getTokenInfo = async address => {
+      tokenInfoCalls++;
+      return { address, name: 'SafeMoon Inu', symbol: 'SMI', decimals: 18 };
+    };
+    ethereum.getTokenPrice = async () => '0.001';
+    honeypotSimulator.simulate = async tokenAddress => ({
+      tokenAddress,
+      buyTaxPercent: 3,
+      sellTaxPercent: 4.5,
+      transferTaxPercent: 0,
+      isHoneypot: false,
+      blocked: false,
+      reasons: []
+    });
+    holderAnalyzer.analyze = async (tokenAddress, context) => {
+      holderContext = context;
+      return { tokenAddress, riskScore: 40, findings: holderFindings };
+    };
+    riskScoring.getLockedLiquidity = async () => ({ lockedPercent, holders: [] });
+    
+    // Privileged functions at or above the blocking severity reject the token whatever the score
+    const pairContext = { pairAddress: '0x3333333333333333333333333333333333333333', pairCreatedBlock: 100, pairCreationTx: '0xabc' };
+    const owned = await liquidityDetector.analyzeToken(token, pairContext);
+    if (owned.safe || !owned.blocked || owned.rules.ownership !== 'flagged' || !owned.explanation[0].startsWith('ownership:')) {
+      throw new Error(`Owned mintable token should be blocked: ${owned.explanation.join('; ')}`);
+    }
+    
+    if (holderContext.pairAddress !== pairContext.pairAddress || holderContext.pairCreationTx !== '0xabc' || tokenInfoCalls !== 1) {
+      throw new Error('Pair context not passed to the holder rule or token info fetched twice');
+    }
+    
+    // Without the ownership rule the weights add up: 2 keywords, 5% tax, unlocked LP, concentration
+    config.set('security.riskScoring.rules.ownership.enabled', false);
+    const weighted = await riskScoring.assess('ethereum', token, pairContext);
+    const codes = weighted.findings.map(({ rule, code, weight }) => `${rule}:${code}:${weight}`).join();
+    if (codes !== 'keywords:SUSPICIOUS_NAME:10,keywords:SUSPICIOUS_NAME:10,taxSimulation:TOKEN_TAX:5,liquidityLock:LIQUIDITY_UNLOCKED:25,holderConcentration:CONCENTRATED_SUPPLY:40') {
+      throw new Error(`Unexpected findings: ${codes}`);
+    }
+    
+    if (weighted.score !== 90 || weighted.safe || weighted.blocked || weighted.rules.ownership !== 'disabled') {
+      throw new Error(`Unexpected weighted assessment: ${JSON.stringify(weighted.rules)} ${weighted.score}`);
+    }
+    
+    lockedPercent = 100;
+    holderFindings = [];
+    const clean = await riskScoring.assess('ethereum', token, pairContext);
+    if (!clean.safe || clean.score !== 25 || clean.rules.liquidityLock !== 'passed' || !clean.explanation[clean.explanation.length - 1].startsWith('Accepted')) {
+      throw new Error(`Token under the max score should be safe: ${clean.explanation.join('; ')}`);
+    }
+    
+    // The holder analyzer's own score above its limit rejects the token whatever the other rules add
+    holderAnalyzer.analyze = async tokenAddress => ({ tokenAddress, riskScore: 60, findings: [] });
+    const holderRisk = await riskScoring.assess('ethereum', token, pairContext);
+    if (!holderRisk.blocked || holderRisk.score !== 25 || holderRisk.findings[holderRisk.findings.length - 1].code !== 'HOLDER_RISK_EXCEEDED') {
+      throw new Error(`Holder risk score over the limit should block: ${holderRisk.explanation.join('; ')}`);
+    }
+    
+    // A rule that throws is a blocking finding
+    holderAnalyzer.analyze = async () => {
+      throw new Error('RPC down');
+    };
+    const failed = await riskScoring.assess('ethereum', token, pairContext);
+    if (failed.safe || failed.rules.holderConcentration !== 'error' || !failed.findings.some(({ code }) => code === 'RULE_FAILED')) {
+      throw new Error('Failing rule should block the token');
+    }
+    
+    // Solana shares the schema; authorities block unless allowed, then only add weight
+    config.set('security.riskScoring.rules.ownership.enabled', true);
+    solana.getTokenInfo = async address => ({ address, name: 'Gem', symbol: 'GEM' });
+    const frozen = await multiChainLiquidityDetector.analyzeSolanaToken('Mint111', { mintAuthority: null, freezeAuthority: 'Auth111' });
+    if (frozen.safe || !frozen.blocked || frozen.findings.map(({ code }) => code).join() !== 'SUSPICIOUS_NAME,FREEZE_AUTHORITY') {
+      throw new Error(`Unexpected Solana findings: ${frozen.explanation.join('; ')}`);
+    }
+    
+    if (Object.keys(frozen).join() !== Object.keys(clean).join()) {
+      throw new Error('Assessments differ in shape between chains');
+    }
+    
+    config.set('trading.solana.allowFreezeAuthority', true);
+    const allowed = await multiChainLiquidityDetector.analyzeSolanaToken('Mint111', { mintAuthority: null, freezeAuthority: 'Auth111' });
+    if (!allowed.safe || allowed.score !== 40) {
+      throw new Error(`Allowed freeze authority should only add weight: ${allowed.score}`);
+    }
+    
+    // Without a decoded mint the authorities are read from the chain; unreadable ones only add weight
+    config.set('trading.solana.allowFreezeAuthority', false);
+    let mintAccount = { mintAuthority: null, freezeAuthority: null };
+    solana.getMintData = async () => mintAccount;
+    const revoked = await multiChainLiquidityDetector.analyzeSolanaToken('Mint111');
+    if (!revoked.safe || revoked.findings.map(({ code }) => code).join() !== 'SUSPICIOUS_NAME') {
+      throw new Error(`Revoked authorities read from the chain should pass: ${revoked.explanation.join('; ')}`);
+    }
+    
+    mintAccount = null;
+    const unknown = await multiChainLiquidityDetector.analyzeSolanaToken('Mint111');
+    if (unknown.blocked || unknown.score !== 40 ||
+      unknown.findings.map(({ code }) => code).join() !== 'SUSPICIOUS_NAME,MINT_AUTHORITY_UNKNOWN,FREEZE_AUTHORITY_UNKNOWN') {
+      throw new Error(`Unknown authorities should add weight without blocking: ${unknown.explanation.join('; ')}`);
+    }
+    
+    logger.info('Token risk scoring tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Token risk scoring test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    Object.assign(ethereum, original.ethereum);
+    honeypotSimulator.simulate = original.simulate;
+    holderAnalyzer.analyze = original.analyze;
+    solana.getTokenInfo = original.solanaTokenInfo;
+    solana.getMintData = original.solanaMintData;
+    delete riskScoring.getLockedLiquidity;
+    previousConfig.forEach(([configPath, value]) => config.set(configPath, value));
+  }
+}
+
+/**
+ * Test the exchange registry, the adapter contract and the Crypto.com and Uphold adapters
+ * against a local server replaying recorded API responses: symbol mapping, order and balance
+ * normalization, error mapping and request signing
+ */
+async function testExchangeAdapters() {
+  const cryptoComFixture = loadFixture('exchanges/crypto-com-responses.json');
+  const upholdFixture = loadFixture('exchanges/uphold-responses.json');
+  const requests = [];
+  let nextError = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+      
+      if (nextError) {
+        const { status, body: errorBody } = nextError;
+        nextError = null;
+        return send(status, errorBody);
+      }
+      
+      // Crypto.com paths are the API method; Uphold responses are keyed by HTTP method and path
+      const response = cryptoComFixture.responses[url.pathname.slice(1)] ||
+        upholdFixture.responses[`${req.method} ${url.pathname}`];
+      return response ? send(200, response) : send(404, { code: 'not_found', message: `Unexpected request ${req.method} ${url.pathname}` });
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const cryptoCom = exchanges.get('cryptoCom');
+  const uphold = exchanges.get('uphold');
+  const previous = {
+    cryptoCom: ['enabled', 'tradingEnabled', 'apiKey', 'apiSecret', 'apiUrl', 'requestId'].map(key => [key, cryptoCom[key]]),
+    uphold: ['enabled', 'tradingEnabled', 'clientId', 'clientSecret', 'apiUrl', 'accessToken', 'accessTokenExpiresAt', 'cards'].map(key => [key, uphold[key]])
+  };
+  const expectError = async (call, ErrorType, error = null) => {
+    nextError = error;
+    try {
+      await call();
+    } catch (caught) {
+      if (!(caught instanceof ErrorType)) {
+        throw new Error(`Expected ${ErrorType.name}, got ${caught.name}: ${caught.message}`);
+      }
+      return caught;
+    } finally {
+      nextError = null;
+    }
+    throw new Error(`Expected ${ErrorType.name}`);
+  };
+  
+  try {
+    // Built-in adapters load on first use; unknown exchanges are an exchange error
+    if (exchanges.get('cryptoCom') !== require('../exchanges/cryptoCom') || !exchanges.has('uphold')) {
+      throw new Error('Registry did not load the built-in adapters');
+    }
+    await expectError(async () => exchanges.get('nowhere'), ExchangeError);
+    const fixtureAdapter = { name: 'fixture', enabled: true };
+    exchanges.register('fixture', fixtureAdapter);
+    if (exchanges.get('fixture') !== fixtureAdapter || !exchanges.getNames().includes('fixture')) {
+      throw new Error('Registered adapter not returned');
+    }
+    exchanges.unregister('fixture');
+    if (exchanges.has('fixture')) {
+      throw new Error('Unregistered adapter still available');
+    }
+    
+    // Symbols map both ways, with exchange asset codes normalized
+    const symbols = {
+      cryptoComTo: cryptoCom.toExchangeSymbol('btc/usd'),
+      cryptoComFrom: cryptoCom.fromExchangeSymbol('CRO_USDT'),
+      upholdTo: uphold.toExchangeSymbol('XBT/USD'),
+      upholdFrom: uphold.fromExchangeSymbol('ETH-EUR'),
+      concatenated: splitConcatenatedSymbol('XBTUSDT')
+    };
+    if (symbols.cryptoComTo !== 'BTC_USD' || symbols.cryptoComFrom !== 'CRO/USDT' || symbols.upholdTo !== 'BTC-USD' ||
+      symbols.upholdFrom !== 'ETH/EUR' || symbols.concatenated !== 'BTC/USDT') {
+      throw new Error(`Unexpected symbol mapping: ${JSON.stringify(symbols)}`);
+    }
+    
+    Object.assign(cryptoCom, { enabled: true, tradingEnabled: true, apiKey: 'fixture-key', apiSecret: 'fixture-secret', apiUrl: url, requestId: 0 });
+    Object.assign(uphold, {
+      enabled: true, tradingEnabled: true, clientId: 'fixture-client', clientSecret: 'fixture-secret', apiUrl: url,
+      accessToken: null, accessTokenExpiresAt: 0, cards: null
+    });
+    
+    // Crypto.com market data
+    const ticker = await cryptoCom.getTicker('BTC/USD');
+    const book = await cryptoCom.getOrderBook('BTC/USD', 2);
+    if (ticker.price !== '64012.50' || ticker.bidPrice !== '64012.10' || ticker.askQty !== '0.38000' || ticker.timestamp !== 1714521600000 ||
+      requests[0].query.get('instrument_name') !== 'BTC_USD') {
+      throw new Error(`Unexpected Crypto.com ticker: ${JSON.stringify(ticker)}`);
+    }
+    if (book.bids[0].price !== '64012.10' || book.bids[0].quantity !== '0.51230' || book.asks.length !== 2 ||
+      book.timestamp !== 1714521600123 || requests[1].query.get('depth') !== '2') {
+      throw new Error(`Unexpected Crypto.com order book: ${JSON.stringify(book)}`);
+    }
+    
+    // Reserved quantities are locked, and empty positions are left out
+    const cryptoComBalance = await cryptoCom.getBalance();
+    if (cryptoComBalance.BTC.free !== '0.5' || cryptoComBalance.BTC.locked !== '0.25' || cryptoComBalance.BTC.total !== '0.75' ||
+      cryptoComBalance.USD.free !== '12000' || cryptoComBalance.CRO) {
+      throw new Error(`Unexpected Crypto.com balance: ${JSON.stringify(cryptoComBalance)}`);
+    }
+    
+    // Private calls are signed over method, id, key, the sorted parameters and the nonce
+    const placed = await cryptoCom.placeOrder({ symbol: 'BTC/USD', side: 'buy', type: 'limit', quantity: '0.0100', price: '64000.00' });
+    const signed = JSON.parse(requests[requests.length - 1].body);
+    const payload = `private/create-order${signed.id}fixture-key` +
+      'instrument_nameBTC_USDprice64000.00quantity0.0100sideBUYtime_in_forceGOOD_TILL_CANCELtypeLIMIT' +
+      `${signed.nonce}`;
+    if (signed.sig !== crypto.createHmac('sha256', 'fixture-secret').update(payload).digest('hex') ||
+      signed.api_key !== 'fixture-key' || signed.method !== 'private/create-order') {
+      throw new Error(`Crypto.com request signed wrongly: ${JSON.stringify(signed)}`);
+    }
+    if (placed.id !== '6530219599901245088' || placed.status !== 'open' || placed.price !== '64000.00') {
+      throw new Error(`Unexpected Crypto.com order: ${JSON.stringify(placed)}`);
+    }
+    
+    // An active order with a partial fill reports it
+    const detail = await cryptoCom.getOrderStatus(placed.id, 'BTC/USD');
+    if (detail.status !== 'partially_filled' || detail.side !== 'buy' || detail.type !== 'limit' || detail.filledQuantity !== '0.0040' ||
+      detail.averagePrice !== '63999.50' || detail.fee !== '0.00000040' || detail.feeAsset !== 'BTC' || detail.timestamp !== 1714521600456) {
+      throw new Error(`Unexpected Crypto.com order detail: ${JSON.stringify(detail)}`);
+    }
+    
+    // Error bodies map onto the common error types
+    const order = { symbol: 'BTC/USD', side: 'buy', type: 'market', quantity: '1' };
+    const insufficient = await expectError(() => cryptoCom.placeOrder(order), InsufficientFundsError, cryptoComFixture.errors.insufficientFunds);
+    if (insufficient.code !== 306 || insufficient.exchange !== 'cryptoCom') {
+      throw new Error(`Unexpected Crypto.com error details: ${JSON.stringify(insufficient)}`);
+    }
+    await expectError(() => cryptoCom.getOrderStatus('1', 'BTC/USD'), OrderNotFoundError, cryptoComFixture.errors.orderNotFound);
+    await expectError(() => cryptoCom.getBalance(), AuthenticationError, cryptoComFixture.errors.unauthorized);
+    await expectError(() => cryptoCom.getBalance(), RateLimitError, cryptoComFixture.errors.rateLimited);
+    
+    // Uphold authenticates with client credentials once and reuses the bearer token
+    const upholdBalance = await uphold.getBalance();
+    const upholdTicker = await uphold.getTicker('BTC/USD');
+    const tokenRequests = requests.filter(({ path: requestPath }) => requestPath === '/oauth2/token');
+    const basic = `Basic ${Buffer.from('fixture-client:fixture-secret').toString('base64')}`;
+    if (tokenRequests.length !== 1 || tokenRequests[0].headers.authorization !== basic || tokenRequests[0].body !== 'grant_type=client_credentials' ||
+      requests[requests.length - 2].headers.authorization !== `Bearer ${upholdFixture.responses['POST /oauth2/token'].access_token}`) {
+      throw new Error('Uphold requests not authenticated with client credentials and a bearer token');
+    }
+    
+    // The first card of a currency is its default card; empty cards are left out
+    if (upholdBalance.BTC.free !== '0.40000000' || Math.abs(parseFloat(upholdBalance.BTC.locked) - 0.1) > 1e-9 ||
+      upholdBalance.USD.total !== '2500' || upholdBalance.ETH) {
+      throw new Error(`Unexpected Uphold balance: ${JSON.stringify(upholdBalance)}`);
+    }
+    if (upholdTicker.price !== '64010.1' || upholdTicker.bidPrice !== '64000.10' || upholdTicker.askQty !== null) {
+      throw new Error(`Unexpected Uphold ticker: ${JSON.stringify(upholdTicker)}`);
+    }
+    
+    // A buy converts from the quote card into the base card, denominated in the base asset
+    const conversion = await uphold.placeOrder({ symbol: 'BTC/USD', side: 'buy', type: 'market', quantity: '0.01' });
+    const conversionRequest = requests[requests.length - 1];
+    const conversionBody = JSON.parse(conversionRequest.body);
+    if (conversionRequest.path !== '/v0/me/cards/3c9a8e41-usd-default/transactions' || conversionRequest.query.get('commit') !== 'true' ||
+      conversionBody.denomination.currency !== 'BTC' || conversionBody.denomination.amount !== '0.01' ||
+      conversionBody.destination !== '7b1d2f0e-btc-default') {
+      throw new Error(`Unexpected Uphold conversion request: ${conversionRequest.body}`);
+    }
+    if (conversion.status !== 'filled' || conversion.filledQuantity !== '0.01' || conversion.averagePrice !== '64010.50' ||
+      conversion.fee !== '0.64' || conversion.feeAsset !== 'USD' || conversion.timestamp !== Date.parse('2024-05-01T00:00:00.000Z')) {
+      throw new Error(`Unexpected Uphold order: ${JSON.stringify(conversion)}`);
+    }
+    const upholdDetail = await uphold.getOrderStatus(conversion.id, 'BTC/USD');
+    if (upholdDetail.side !== 'buy' || upholdDetail.status !== 'filled') {
+      throw new Error(`Unexpected Uphold order detail: ${JSON.stringify(upholdDetail)}`);
+    }
+    
+    await expectError(() => uphold.placeOrder(order), InsufficientFundsError, upholdFixture.errors.insufficientFunds);
+    await expectError(() => uphold.getOrderStatus('missing', 'BTC/USD'), OrderNotFoundError, upholdFixture.errors.orderNotFound);
+    await expectError(() => uphold.getBalance(), AuthenticationError, upholdFixture.errors.unauthorized);
+    await expectError(() => uphold.getBalance(), RateLimitError, upholdFixture.errors.rateLimited);
+    
+    // Invalid requests, disabled adapters and switched off trading never reach the exchange
+    const sent = requests.length;
+    await expectError(() => uphold.placeOrder({ ...order, type: 'limit', price: '64000' }), InvalidOrderError);
+    await expectError(() => cryptoCom.placeOrder({ ...order, quantity: '0' }), InvalidOrderError);
+    cryptoCom.enabled = false;
+    await expectError(() => cryptoCom.getBalance(), ExchangeDisabledError);
+    cryptoCom.enabled = true;
+    cryptoCom.tradingEnabled = false;
+    const simulated = await cryptoCom.placeOrder(order);
+    if (simulated.status !== 'simulated' || !simulated.simulated || requests.length !== sent) {
+      throw new Error(`Order reached the exchange: ${JSON.stringify(simulated)}`);
+    }
+    
+    // Transport failures are network errors
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    if (!(cryptoCom.normalizeError(refused) instanceof NetworkError)) {
+      throw new Error('Connection failure not mapped to a network error');
+    }
+    
+    logger.info('Exchange adapter tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Exchange adapter test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    exchanges.unregister('fixture');
+    Object.assign(cryptoCom, Object.fromEntries(previous.cryptoCom));
+    Object.assign(uphold, Object.fromEntries(previous.uphold));
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Test price feed against recorded ticker fixtures
+ */
+async function testPriceFeed() {
+  const kraken = exchanges.get('kraken');
+  const binance = exchanges.get('binance');
+  const originalClients = { kraken: kraken.client, binance: binance.client };
+  
+  try {
+    // Replay recorded API responses through the real adapters
+    kraken.client = { api: async () => loadFixture('tickers/kraken-ticker-xbtusd.json') };
+    binance.client = {
+      prices: async () => loadFixture('tickers/binance-prices-btcusdt.json'),
+      book: async () => loadFixture('tickers/binance-book-btcusdt.json')
+    };
+    exchanges.register('outlier', {
+      name: 'outlier',
+      enabled: true,
+      getTicker: async () => loadFixture('tickers/outlier-ticker-btcusd.json')
+    });
+    priceFeed.clear();
+    
+    const krakenQuote = await priceFeed.getQuote('kraken', 'BTC/USD');
+    if (krakenQuote.bid !== 64011.9 || krakenQuote.ask !== 64012.1 || krakenQuote.last !== 64012) {
+      throw new Error('Kraken quote does not match recorded ticker');
+    }
+    
+    const binanceQuote = await priceFeed.getQuote('binance', 'BTC/USDT');
+    if (binanceQuote.bid !== 64030 || binanceQuote.ask !== 64030.01 || binanceQuote.askQty !== 2.10345) {
+      throw new Error('Binance quote does not match recorded ticker');
+    }
+    
+    // Cached quotes are served while fresh
+    kraken.client = { api: async () => { throw new Error('Cache was not used'); } };
+    await priceFeed.getQuote('kraken', 'BTC/USD');
+    kraken.client = { api: async () => loadFixture('tickers/kraken-ticker-xbtusd.json') };
+    
+    const { quotes, rejected } = await priceFeed.getQuotes({
+      kraken: 'BTC/USD',
+      binance: 'BTC/USDT',
+      outlier: 'BTC/USD'
+    });
+    if (!quotes.kraken || !quotes.binance || quotes.outlier || rejected.outlier !== 'outlier') {
+      throw new Error('Outlier quote was not rejected');
+    }
+    
+    const expectRejection = (ticker, reason) => {
+      try {
+        priceFeed.recordTicker('kraken', ticker);
+      } catch (error) {
+        if (error.reason === reason) {
+          return;
+        }
+        throw error;
+      }
+      throw new Error(`Expected ${reason} quote to be rejected`);
+    };
+    
+    const recorded = { symbol: 'BTC/USD', price: '64012', bidPrice: '64011.9', askPrice: '64012.1' };
+    expectRejection({ ...recorded, timestamp: Date.now() - 60000 }, 'stale');
+    expectRejection({ ...recorded, bidPrice: '64100', askPrice: '64000' }, 'crossed');
+    expectRejection({ ...recorded, price: '80000', bidPrice: '79999', askPrice: '80001' }, 'jump');
+    
+    logger.info('Price feed tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Price feed test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    kraken.client = originalClients.kraken;
+    binance.client = originalClients.binance;
+    exchanges.unregister('outlier');
+    priceFeed.clear();
+  }
+}
+
+/**
+ * Test paper trading fills with trading disabled, walking a recorded Kraken order book, and
+ * Bitcoin and Solana trades refused by the security module's limits
+ */
+async function testPaperTrading() {
+  const kraken = exchanges.get('kraken');
+  const originalClient = kraken.client;
+  const originalBalances = paperVenue.getBalances();
+  const settings = {
+    'trading.risk.usdPrices': { USD: 1, USDT: 1, BTC: 64000, SOL: 150 },
+    'security.transactionLimits.chains.bitcoin': { maxTransactionUSD: 100000, windowLimitUSD: 200000 },
+    'security.transactionLimits.chains.solana': { maxTransactionUSD: 1000, windowLimitUSD: 5000 },
+    'security.transactionLimits.exchanges.kraken': null
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const restoreTransactions = securityModule.isolateTransactions();
+  
+  try {
+    kraken.client = { api: async () => loadFixture('tickers/kraken-depth-xbtusd.json') };
+    paperVenue.reset({ kraken: { USD: 50000, BTC: 0 } });
+    
+    if (!bitcoin.initialized) {
+      await bitcoin.initialize();
+    }
+    
+    // 0.5 BTC is more than the three recorded asks hold, so the order fills partially
+    const buy = await bitcoin.executeTrade('kraken', 'buy', '0.5');
+    const notional = 0.2 * 64012.1 + 0.15 * 64013 + 0.1 * 64020;
+    
+    if (!buy.paper || !buy.partial || Math.abs(parseFloat(buy.amount) - 0.45) > 1e-9) {
+      throw new Error(`Unexpected paper buy: ${JSON.stringify(buy)}`);
+    }
+    
+    if (Math.abs(parseFloat(buy.price) - notional / 0.45) > 1e-6) {
+      throw new Error(`Paper buy price ${buy.price} does not match the order book`);
+    }
+    
+    const usdLeft = parseFloat(paperVenue.getBalance('kraken', 'USD'));
+    const btcHeld = parseFloat(paperVenue.getBalance('kraken', 'BTC'));
+    if (Math.abs(usdLeft - (50000 - notional * 1.001)) > 1e-6 || Math.abs(btcHeld - 0.45) > 1e-9) {
+      throw new Error(`Unexpected paper balances: ${JSON.stringify(paperVenue.getBalances())}`);
+    }
+    
+    // A limit above the best bid cannot fill, and selling more than is held is refused
+    for (const [amount, price] of [['0.1', '64100'], ['1', null]]) {
+      try {
+        await bitcoin.executeTrade('kraken', 'sell', amount, price);
+      } catch (error) {
+        continue;
+      }
+      throw new Error(`Paper sell of ${amount} at ${price} should have failed`);
+    }
+    
+    // A trade over the Kraken transaction limit never reaches the paper venue
+    config.set('security.transactionLimits.exchanges.kraken', { maxTransactionUSD: 1000 });
+    try {
+      await bitcoin.executeTrade('kraken', 'buy', '0.1');
+      throw new Error('Paper buy over the Kraken limit should have been refused');
+    } catch (error) {
+      if (!/Rejected by transaction limits: .*kraken exchange limit/.test(error.message)) {
+        throw error;
+      }
+    }
+    if (Math.abs(parseFloat(paperVenue.getBalance('kraken', 'BTC')) - 0.45) > 1e-9) {
+      throw new Error(`Refused trade changed the paper balances: ${JSON.stringify(paperVenue.getBalances())}`);
+    }
+    
+    // Solana trades are reserved against the same limits and counted once they fill
+    kraken.client = {
+      api: async () => ({
+        error: [],
+        result: { SOLUSD: { asks: [['150.00', '20', 1714521600]], bids: [['149.90', '20', 1714521600]] } }
+      })
+    };
+    if (!solana.initialized) {
+      await solana.initialize();
+    }
+    const windowCount = securityModule.transactions.length;
+    const solBuy = await solana.executeTrade('kraken', 'buy', '2');
+    if (!solBuy.paper || parseFloat(solBuy.amount) !== 2 || securityModule.transactions.length !== windowCount + 1 ||
+      securityModule.transactions[windowCount].chain !== 'solana') {
+      throw new Error(`Unexpected paper Solana buy: ${JSON.stringify(solBuy)}`);
+    }
+    
+    // Over the Solana chain limit, and selling more than is held, neither is counted
+    for (const [side, amount, reason] of [['buy', '10', /Rejected by transaction limits: .*solana chain limit/], ['sell', '5', /Insufficient paper balance/]]) {
+      try {
+        await solana.executeTrade('kraken', side, amount);
+      } catch (error) {
+        if (!reason.test(error.message)) {
+          throw error;
+        }
+        continue;
+      }
+      throw new Error(`Paper Solana ${side} of ${amount} should have failed`);
+    }
+    if (securityModule.transactions.length !== windowCount + 1 || securityModule.reservations.size !== 0 ||
+      parseFloat(paperVenue.getBalance('kraken', 'SOL')) !== 2) {
+      throw new Error(`Failed Solana trades were counted: ${JSON.stringify(securityModule.transactions)}`);
+    }
+    
+    logger.info('Paper trading tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Paper trading test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    kraken.client = originalClient;
+    paperVenue.reset(originalBalances);
+    restoreTransactions();
+    previousConfig.reverse().forEach(([configPath, value]) => config.set(configPath, value));
+  }
+}
+
+/**
+ * Test cross-exchange arbitrage and live Bitcoin trades through the real Kraken and Binance
+ * adapters against a local mock server that answers both exchanges' REST endpoints
+ */
+async function testArbitrageExecutor() {
+  const mock = {
+    kraken: {
+      book: {
+        asks: [['64000', '0.05', 1714521600], ['64050', '0.1', 1714521600]],
+        bids: [['63990', '1', 1714521600]]
+      },
+      balances: { XXBT: '0.2', ZUSD: '10000' },
+      orders: []
+    },
+    binance: {
+      book: { asks: [['64610', '1']], bids: [['64600', '0.03'], ['64300', '0.5']] },
+      balances: [{ asset: 'BTC', free: '0.5', locked: '0' }, { asset: 'USDT', free: '5000', locked: '0' }],
+      orders: [],
+      rejectOrders: 0
+    }
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      const params = { ...Object.fromEntries(url.searchParams), ...Object.fromEntries(new URLSearchParams(body)) };
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      const kraken = result => send(200, { error: [], result });
+      
+      switch (`${req.method} ${url.pathname}`) {
+        case 'POST /0/public/Depth':
+          return kraken({ XXBTZUSD: mock.kraken.book });
+        case 'POST /0/private/Balance':
+          return kraken(mock.kraken.balances);
+        case 'POST /0/private/AddOrder': {
+          const order = { id: `OKRAKEN-${mock.kraken.orders.length + 1}`, ...params };
+          mock.kraken.orders.push(order);
+          return kraken({ txid: [order.id] });
+        }
+        case 'POST /0/private/QueryOrders': {
+          const order = mock.kraken.orders.find(({ id }) => id === params.txid);
+          const book = order.type === 'buy' ? mock.kraken.book.asks : mock.kraken.book.bids;
+          return kraken({
+            [order.id]: {
+              status: 'closed',
+              vol: order.volume,
+              vol_exec: order.volume,
+              price: order.price || book[0][0],
+              fee: '0',
+              descr: { pair: 'XBTUSD', type: order.type, ordertype: order.ordertype, price: order.price || '0' }
+            }
+          });
+        }
+        case 'GET /api/v3/time':
+          return send(200, { serverTime: Date.now() });
+        case 'GET /api/v3/depth':
+          return send(200, { lastUpdateId: 1, ...mock.binance.book });
+        case 'GET /api/v3/account':
+          return send(200, { balances: mock.binance.balances });
+        case 'POST /api/v3/order': {
+          if (mock.binance.rejectOrders > 0) {
+            mock.binance.rejectOrders--;
+            return send(400, { code: -2010, msg: 'Account has insufficient balance for requested action.' });
+          }
+          const order = { orderId: mock.binance.orders.length + 1, ...params };
+          mock.binance.orders.push(order);
+          const price = order.price || (order.side === 'BUY' ? mock.binance.book.asks : mock.binance.book.bids)[0][0];
+          return send(200, {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            side: order.side,
+            type: order.type,
+            status: 'FILLED',
+            price: order.price || '0',
+            origQty: order.quantity,
+            executedQty: order.quantity,
+            cummulativeQuoteQty: String(parseFloat(order.quantity) * parseFloat(price)),
+            fills: [{ commission: '0', commissionAsset: 'USDT' }],
+            transactTime: Date.now()
+          });
+        }
+        default:
+          return send(404, { code: -1, msg: `Unexpected request ${req.method} ${url.pathname}` });
+      }
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const kraken = exchanges.get('kraken');
+  const binance = exchanges.get('binance');
+  const previous = {
+    kraken: { client: kraken.client, enabled: kraken.enabled, tradingEnabled: kraken.tradingEnabled },
+    binance: { client: binance.client, enabled: binance.enabled, tradingEnabled: binance.tradingEnabled }
+  };
+  const settings = {
+    'exchanges.kraken.apiUrl': url,
+    'exchanges.kraken.apiKey': 'kraken-key',
+    'exchanges.kraken.apiSecret': Buffer.from('kraken-secret').toString('base64'),
+    'exchanges.binance.apiUrl': url,
+    'exchanges.binance.apiKey': 'binance-key',
+    'exchanges.binance.apiSecret': 'binance-secret',
+    'trading.bitcoin.tradingEnabled': true,
+    'trading.bitcoin.arbitrageAmount': '1',
+    'trading.bitcoin.minArbitrageProfit': 0.5,
+    'trading.bitcoin.arbitrage.exchanges': ['kraken', 'binance'],
+    'trading.bitcoin.arbitrage.takerFeePercent': { kraken: 0.26, binance: 0.1 },
+    'trading.bitcoin.arbitrage.onLegFailure': 'unwind',
+    'trading.bitcoin.arbitrage.orderPollMs': 10,
+    'trading.bitcoin.arbitrage.targetShares': { kraken: 50, binance: 50 },
+    'trading.bitcoin.arbitrage.maxInventoryDriftPercent': 20,
+    'trading.risk.capitalUSD': 1000000,
+    'trading.risk.usdPrices': { USD: 1, USDT: 1, BTC: 64000 },
+    'security.transactionLimits.chains.bitcoin': { maxTransactionUSD: 5000, windowLimitUSD: 50000 },
+    'security.transactionLimits.strategies.arbitrage': null
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const restoreTransactions = securityModule.isolateTransactions();
+  const rebalances = [];
+  const onRebalance = plan => rebalances.push(plan);
+  arbitrageExecutor.on('rebalance', onRebalance);
+  
+  try {
+    [kraken, binance].forEach(adapter => {
+      adapter.client = adapter.createClient();
+      adapter.enabled = true;
+      adapter.tradingEnabled = true;
+    });
+    
+    // Only the first Binance bid level clears 0.5% after 0.26% + 0.1% fees
+    const completed = await arbitrageExecutor.execute();
+    if (completed.status !== 'completed' || completed.buyExchange !== 'kraken' || completed.quantity !== 0.03) {
+      throw new Error(`Unexpected arbitrage: ${JSON.stringify(completed)}`);
+    }
+    
+    const [krakenBuy] = mock.kraken.orders;
+    const [binanceSell] = mock.binance.orders;
+    if (krakenBuy.pair !== 'XBTUSD' || krakenBuy.type !== 'buy' || krakenBuy.ordertype !== 'limit' ||
+      krakenBuy.price !== '64000' || krakenBuy.volume !== '0.03000000') {
+      throw new Error(`Unexpected Kraken leg: ${JSON.stringify(krakenBuy)}`);
+    }
+    if (binanceSell.symbol !== 'BTCUSDT' || binanceSell.side !== 'SELL' || binanceSell.type !== 'LIMIT' ||
+      binanceSell.price !== '64600' || binanceSell.quantity !== '0.03000000') {
+      throw new Error(`Unexpected Binance leg: ${JSON.stringify(binanceSell)}`);
+    }
+    
+    // 0.2 of 0.7 BTC sits on Kraken, 21% under its target share
+    const plan = rebalances[0] || [];
+    if (plan.length !== 1 || plan[0].asset !== 'base' || plan[0].from !== 'binance' || plan[0].to !== 'kraken' ||
+      Math.abs(plan[0].amount - 0.15) > 1e-9) {
+      throw new Error(`Unexpected rebalance plan: ${JSON.stringify(rebalances)}`);
+    }
+    
+    // The Kraken USD balance caps the size
+    mock.kraken.balances.ZUSD = '500';
+    const capped = await arbitrageExecutor.findOpportunity();
+    if (Math.abs(capped.quantity - 0.00779224) > 1e-8) {
+      throw new Error(`Balance did not cap the size: ${capped.quantity}`);
+    }
+    mock.kraken.balances.ZUSD = '10000';
+    
+    // Binance rejects the sell: the Kraken buy is sold back at market
+    mock.binance.rejectOrders = 1;
+    const unwound = await arbitrageExecutor.execute();
+    const unwind = mock.kraken.orders[mock.kraken.orders.length - 1];
+    if (unwound.status !== 'unwound' || !/insufficient/i.test(unwound.sell.error) ||
+      unwind.type !== 'sell' || unwind.ordertype !== 'market' || unwind.volume !== '0.03000000') {
+      throw new Error(`Failed leg was not unwound: ${unwound.status} ${JSON.stringify(unwind)}`);
+    }
+    
+    // With the hedge policy the missing sell is retried at market on Binance instead
+    config.set('trading.bitcoin.arbitrage.onLegFailure', 'hedge');
+    mock.binance.rejectOrders = 1;
+    const krakenOrders = mock.kraken.orders.length;
+    const hedged = await arbitrageExecutor.execute();
+    const hedge = mock.binance.orders[mock.binance.orders.length - 1];
+    if (hedged.status !== 'hedged' || hedge.side !== 'SELL' || hedge.type !== 'MARKET' || mock.kraken.orders.length !== krakenOrders + 1) {
+      throw new Error(`Failed leg was not hedged: ${hedged.status} ${JSON.stringify(hedge)}`);
+    }
+    
+    // With the adapters' own trading switched off the legs are only simulated: nothing reaches
+    // the exchanges, the daily PnL or the transaction window
+    [kraken, binance].forEach(adapter => {
+      adapter.tradingEnabled = false;
+    });
+    const placed = mock.kraken.orders.length + mock.binance.orders.length;
+    const { realizedPnlUSD, trades } = riskManager.getStatus();
+    const counted = securityModule.transactions.length;
+    const simulated = await arbitrageExecutor.execute();
+    if (!simulated.simulated || simulated.status !== 'completed' || mock.kraken.orders.length + mock.binance.orders.length !== placed ||
+      riskManager.getStatus().realizedPnlUSD !== realizedPnlUSD || riskManager.getStatus().trades !== trades ||
+      securityModule.transactions.length !== counted) {
+      throw new Error(`Simulated arbitrage was counted as live: ${JSON.stringify(simulated)}`);
+    }
+    [kraken, binance].forEach(adapter => {
+      adapter.tradingEnabled = true;
+    });
+    
+    // Over the arbitrage strategy's transaction limit no leg is placed
+    config.set('security.transactionLimits.strategies.arbitrage', { maxTransactionUSD: 1000 });
+    const orders = mock.kraken.orders.length + mock.binance.orders.length;
+    const refused = await arbitrageExecutor.execute();
+    if (refused.executed || !/arbitrage strategy limit/.test(refused.reason) ||
+      mock.kraken.orders.length + mock.binance.orders.length !== orders) {
+      throw new Error(`Arbitrage over the transaction limit was not refused: ${JSON.stringify(refused)}`);
+    }
+    
+    // A live trade is an order on the exchange, counted toward the limits with what it filled
+    if (!bitcoin.initialized) {
+      await bitcoin.initialize();
+    }
+    const windowCount = securityModule.transactions.length;
+    const trade = await bitcoin.executeTrade('kraken', 'buy', '0.01');
+    const tradeOrder = mock.kraken.orders[mock.kraken.orders.length - 1];
+    if (trade.paper || trade.id !== tradeOrder.id || parseFloat(trade.amount) !== 0.01 || tradeOrder.ordertype !== 'market' ||
+      securityModule.transactions.length !== windowCount + 1) {
+      throw new Error(`Unexpected live Bitcoin trade: ${JSON.stringify(trade)}`);
+    }
+    
+    // A rejected order releases its reservation
+    mock.binance.rejectOrders = 1;
+    try {
+      await bitcoin.executeTrade('binance', 'sell', '0.01');
+      throw new Error('Rejected Binance order was reported as a trade');
+    } catch (error) {
+      if (!/insufficient/i.test(error.message)) {
+        throw error;
+      }
+    }
+    if (securityModule.transactions.length !== windowCount + 1 || securityModule.reservations.size !== 0) {
+      throw new Error(`Rejected order was counted: ${JSON.stringify(securityModule.transactions)}`);
+    }
+    
+    logger.info('Arbitrage executor tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Arbitrage executor test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    arbitrageExecutor.off('rebalance', onRebalance);
+    Object.assign(kraken, previous.kraken);
+    Object.assign(binance, previous.binance);
+    previousConfig.forEach(([configPath, value]) => config.set(configPath, value));
+    restoreTransactions();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Test the triangular arbitrage scanner: markets come from a mock Binance exchangeInfo and
+ * tickers from a mock book ticker stream, and opportunities fill on the paper venue
+ */
+async function testTriangularArbitrage() {
+  const lotSize = (minQty, stepSize, minNotional) => [
+    { filterType: 'LOT_SIZE', minQty, maxQty: '9000', stepSize },
+    { filterType: 'NOTIONAL', minNotional }
+  ];
+  const exchangeInfo = {
+    symbols: [
+      { symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT', filters: lotSize('0.00001', '0.00001', '5') },
+      { symbol: 'ETHBTC', status: 'TRADING', baseAsset: 'ETH', quoteAsset: 'BTC', filters: lotSize('0.0001', '0.0001', '0.0001') },
+      { symbol: 'ETHUSDT', status: 'TRADING', baseAsset: 'ETH', quoteAsset: 'USDT', filters: lotSize('0.0001', '0.0001', '5') },
+      { symbol: 'XRPUSDT', status: 'BREAK', baseAsset: 'XRP', quoteAsset: 'USDT', filters: lotSize('1', '1', '5') }
+    ]
+  };
+  // ETH is cheap against BTC: USDT -> BTC -> ETH -> USDT returns about 2.8% after 0.1% fees
+  const tickers = [
+    { s: 'BTCUSDT', b: '60000', B: '2', a: '60010', A: '2' },
+    { s: 'ETHBTC', b: '0.05', B: '10', a: '0.0501', A: '10' },
+    { s: 'ETHUSDT', b: '3100', B: '10', a: '3101', A: '10' }
+  ];
+  const server = http.createServer((req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    
+    if (req.url.startsWith('/api/v3/exchangeInfo')) {
+      return send(200, exchangeInfo);
+    }
+    return send(404, { code: -1, msg: `Unexpected request ${req.url}` });
+  });
+  const streams = [];
+  const wss = new WebSocket.Server({ server });
+  wss.on('connection', (socket, req) => {
+    streams.push(req.url);
+    tickers.forEach(ticker => socket.send(JSON.stringify({ u: 1, ...ticker })));
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const binance = exchanges.get('binance');
+  const previous = { client: binance.client, enabled: binance.enabled };
+  const settings = {
+    'exchanges.binance.apiUrl': url,
+    'exchanges.binance.wsUrl': `ws://127.0.0.1:${server.address().port}/ws`,
+    'exchanges.binance.apiKey': 'binance-key',
+    'exchanges.binance.apiSecret': 'binance-secret',
+    'trading.triangular.exchanges': ['binance'],
+    'trading.triangular.startAssets': ['USDT'],
+    'trading.triangular.startAmounts': { USDT: 100 },
+    'trading.triangular.minProfitPercent': 0.5,
+    'trading.triangular.maxTickerAgeMs': 60000,
+    'trading.triangular.autoExecute': false,
+    'trading.triangular.tradingEnabled': false,
+    'security.transactionLimits.strategies.triangular': { maxTransactionUSD: 1000 }
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const originalBalances = paperVenue.getBalances();
+  const securityState = {
+    initialized: securityModule.initialized,
+    transactions: [...securityModule.transactions]
+  };
+  const opportunities = [];
+  const onOpportunity = opportunity => opportunities.push(opportunity);
+  triangularArbitrage.on('opportunity', onOpportunity);
+  
+  try {
+    binance.client = binance.createClient();
+    binance.enabled = true;
+    paperVenue.reset({ binance: { USDT: 1000 } });
+    securityModule.initialized = true;
+    
+    const scanning = await triangularArbitrage.start();
+    const scanner = triangularArbitrage.scanners.get('binance');
+    if (scanning[0] !== 'binance' || scanner.cycles.length !== 2 || scanner.markets.has('XRP/USDT')) {
+      throw new Error(`Unexpected cycles: ${scanner && scanner.cycles.map(cycle => cycle.id)}`);
+    }
+    
+    const deadline = Date.now() + 5000;
+    while (opportunities.length === 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    
+    // Only the cheap-ETH direction pays; quantities are rounded down to each lot step
+    const opportunity = opportunities[0];
+    if (!opportunity || opportunity.id !== 'USDT>BTC>ETH>USDT' || opportunities.some(found => found.id !== opportunity.id) ||
+      opportunity.legs[0].quantity !== 0.00166 || opportunity.legs[1].quantity !== 0.0331 ||
+      Math.abs(opportunity.endAmount - 0.0331 * 3100 * 0.999) > 1e-9 || !(opportunity.profitPercent > 2.5)) {
+      throw new Error(`Unexpected opportunity: ${JSON.stringify(opportunities)}`);
+    }
+    if (streams.length !== 1 || !streams[0].includes('btcusdt@bookTicker/')) {
+      throw new Error(`Tickers were not streamed on one socket: ${JSON.stringify(streams)}`);
+    }
+    
+    // Thin ETH/USDT bids cap the size until a leg falls below the 5 USDT minimum notional
+    const thin = new Map(scanner.tickers);
+    thin.set('ETH/USDT', { ...thin.get('ETH/USDT'), bidQty: 0.001 });
+    if (evaluateCycle(scanner.cycles.find(cycle => cycle.id === opportunity.id), thin, { feePercent: 0.1, startAmount: 100 }) !== null) {
+      throw new Error('Cycle below the minimum notional was priced');
+    }
+    
+    const executed = await triangularArbitrage.execute(opportunity);
+    const usdt = parseFloat(paperVenue.getBalance('binance', 'USDT'));
+    if (executed.status !== 'completed' || executed.legs.length !== 3 || Math.abs(usdt - (1000 + executed.profit)) > 1e-6 ||
+      !(executed.profit > 2.5)) {
+      throw new Error(`Unexpected execution: ${JSON.stringify(executed)} with ${usdt} USDT`);
+    }
+    
+    // The 100 USDT cycle is above the triangular strategy's transaction limit
+    config.set('security.transactionLimits.strategies.triangular.maxTransactionUSD', 50);
+    const rejected = await triangularArbitrage.execute(opportunity);
+    if (rejected.status !== 'rejected' || rejected.legs.length !== 0) {
+      throw new Error(`Transaction limits were not applied: ${JSON.stringify(rejected)}`);
+    }
+    
+    logger.info('Triangular arbitrage tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Triangular arbitrage test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    triangularArbitrage.off('opportunity', onOpportunity);
+    triangularArbitrage.stop();
+    triangularArbitrage.scanners.clear();
+    Object.assign(binance, previous);
+    paperVenue.reset(originalBalances);
+    securityModule.initialized = securityState.initialized;
+    securityModule.transactions = securityState.transactions;
+    previousConfig.forEach(([configPath, value]) => config.set(configPath, value));
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Test a paper grid: fills are replaced by the opposite side one level away, a round trip
+ * books one step of profit and the grid resumes from its state file
+ */
+async function testGridStrategy() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grid-test-'));
+  const filePath = path.join(dataDir, 'grids.json');
+  const originalBalances = paperVenue.getBalances();
+  const setPrice = (bid, ask) => priceFeed.recordTicker('binance', { symbol: 'BTC/USDT', bidPrice: bid, askPrice: ask });
+  const sides = grid => grid.orders.map(order => `${order.side}@${order.price}`).sort().join(',');
+  const previousLimit = config.set('security.transactionLimits.strategies.grid', null);
+  const restoreTransactions = securityModule.isolateTransactions();
+  
+  try {
+    await gridStrategy.initialize({ filePath });
+    priceFeed.clear();
+    paperVenue.reset({ binance: { USDT: 10000, BTC: 0.1 } });
+    if (!bitcoin.initialized) {
+      await bitcoin.initialize();
+    }
+    setPrice('60990', '61010');
+    
+    // The 61000 level is nearest the price and stays empty
+    const setup = await bitcoin.setupTradingStrategy('grid', {
+      exchange: 'binance',
+      lowerPrice: 59000,
+      upperPrice: 63000,
+      levels: 5,
+      quantity: 0.01,
+      pollMs: 60000
+    });
+    if (setup.type !== 'grid' || !setup.grid.paper || setup.grid.symbol !== 'BTC/USDT' ||
+      sides(setup.grid) !== 'buy@59000,buy@60000,sell@62000,sell@63000') {
+      throw new Error(`Unexpected grid: ${JSON.stringify(setup)}`);
+    }
+    
+    // The 60000 buy fills and is replaced by a sell one level up
+    setPrice('59990', '60000');
+    const bought = await gridStrategy.sync(setup.id);
+    if (bought.length !== 1 || sides(gridStrategy.getGrid(setup.id)) !== 'buy@59000,sell@61000,sell@62000,sell@63000') {
+      throw new Error(`Unexpected orders after the buy: ${sides(gridStrategy.getGrid(setup.id))}`);
+    }
+    
+    // Selling it at 61000 completes a round trip worth one step less both fees
+    setPrice('61000', '61010');
+    await gridStrategy.sync(setup.id);
+    const grid = gridStrategy.getGrid(setup.id);
+    const fees = 0.01 * 60000 * 0.001 + 0.01 * 61000 * 0.001;
+    if (grid.stats.roundTrips !== 1 || Math.abs(grid.stats.profit - (10 - fees)) > 1e-9 ||
+      sides(grid) !== 'buy@59000,buy@60000,sell@62000,sell@63000') {
+      throw new Error(`Unexpected grid after the round trip: ${JSON.stringify(grid)}`);
+    }
+    if (Math.abs(parseFloat(paperVenue.getBalance('binance', 'USDT')) - (10000 + 10 - fees)) > 1e-6) {
+      throw new Error(`Unexpected paper balances: ${JSON.stringify(paperVenue.getBalances())}`);
+    }
+    
+    // A restart resumes the grid with its orders and profit from the state file
+    gridStrategy.stopAll();
+    await gridStrategy.initialize({ filePath });
+    const resumed = gridStrategy.getGrid(setup.id);
+    if (!resumed || resumed.status !== 'active' || sides(resumed) !== sides(grid) ||
+      resumed.stats.profit !== grid.stats.profit || !gridStrategy.timers.has(setup.id)) {
+      throw new Error(`Grid did not survive the restart: ${JSON.stringify(resumed)}`);
+    }
+    
+    // A buy over the grid strategy's transaction limit is kept without an ID and not counted
+    config.set('security.transactionLimits.strategies.grid', { maxTransactionUSD: 100 });
+    const counted = securityModule.transactions.length;
+    const refused = await gridStrategy.placeOrder(resumed, 'buy', 1, null);
+    resumed.orders.pop();
+    if (refused.id !== null || securityModule.transactions.length !== counted || securityModule.reservations.size !== 0) {
+      throw new Error(`Grid buy over the transaction limit was placed: ${JSON.stringify(refused)}`);
+    }
+    
+    const stopped = await gridStrategy.stopGrid(setup.id);
+    if (stopped.status !== 'stopped' || stopped.orders.length !== 0 || gridStrategy.timers.has(setup.id)) {
+      throw new Error(`Grid did not stop: ${JSON.stringify(stopped)}`);
+    }
+    
+    logger.info('Grid strategy tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Grid strategy test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    gridStrategy.stopAll();
+    await gridStrategy.initialize({ persist: false });
+    priceFeed.clear();
+    paperVenue.reset(originalBalances);
+    restoreTransactions();
+    config.set('security.transactionLimits.strategies.grid', previousLimit);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test DCA plans on the paper venue: manual runs, the security module's limits, and the
+ * catch-up policies applied to runs missed while the bot was stopped
+ */
+async function testDcaStrategy() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dca-test-'));
+  const filePath = path.join(dataDir, 'dca.json');
+  const originalBalances = paperVenue.getBalances();
+  const securityState = {
+    initialized: securityModule.initialized,
+    transactions: [...securityModule.transactions]
+  };
+  const previousPrices = config.set('trading.risk.usdPrices', { ...config.get('trading.risk.usdPrices', {}), SOL: 150 });
+  
+  // Rewrite a saved plan as if the bot had been down for three hourly ticks
+  const rewindPlan = (planId, missedRuns) => {
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const plan = state.plans.find(({ id }) => id === planId);
+    const hour = new Date();
+    hour.setMinutes(0, 0, 0);
+    plan.cron = '0 * * * *';
+    plan.missedRuns = missedRuns;
+    plan.lastScheduledAt = new Date(hour.getTime() - 3 * 3600000 + 30000).toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(state));
+    return hour;
+  };
+  
+  try {
+    await dcaStrategy.initialize({ filePath });
+    priceFeed.clear();
+    paperVenue.reset({ binance: { USDT: 1000 } });
+    securityModule.initialized = true;
+    if (!bitcoin.initialized) {
+      await bitcoin.initialize();
+    }
+    priceFeed.recordTicker('binance', { symbol: 'BTC/USDT', bidPrice: '49990', askPrice: '50010' });
+    
+    for (const expression of ['not a cron', '61 * * * *']) {
+      try {
+        await bitcoin.setupTradingStrategy('dca', { cron: expression, budget: 100 });
+      } catch (error) {
+        continue;
+      }
+      throw new Error(`Cron expression ${expression} should have been refused`);
+    }
+    
+    const setup = await bitcoin.setupTradingStrategy('dca', { exchange: 'binance', cron: '0 0 1 1 *', budget: 100, missedRuns: 'all' });
+    if (setup.type !== 'dca' || setup.plan.symbol !== 'BTC/USDT' || setup.plan.asset !== 'BTC') {
+      throw new Error(`Unexpected DCA plan: ${JSON.stringify(setup)}`);
+    }
+    
+    // 100 USDT at the 50010 ask, rounded down to 8 decimals, plus the paper taker fee
+    const run = await dcaStrategy.run(setup.id);
+    const quantity = Math.floor((100 / 50010) * 1e8) / 1e8;
+    if (run.status !== 'filled' || Math.abs(run.received - quantity) > 1e-12 ||
+      Math.abs(parseFloat(paperVenue.getBalance('binance', 'USDT')) - (1000 - quantity * 50010 * 1.001)) > 1e-6) {
+      throw new Error(`Unexpected DCA run: ${JSON.stringify(run)}`);
+    }
+    
+    // Runs above the strategy's transaction limit are refused and recorded
+    const previousLimits = config.set('security.transactionLimits.strategies.dca', { maxTransactionUSD: 50 });
+    const rejected = await dcaStrategy.run(setup.id);
+    if (rejected.status !== 'rejected' || Math.abs(parseFloat(paperVenue.getBalance('binance', 'BTC')) - quantity) > 1e-12) {
+      throw new Error(`Transaction limits were not applied: ${JSON.stringify(rejected)}`);
+    }
+    config.set('security.transactionLimits.strategies.dca', previousLimits);
+    
+    // SOL swaps are checked against the Solana limits before anything is swapped: 50 SOL is 7500 USD
+    const swapPlan = await dcaStrategy.createPlan({ chain: 'solana', cron: '0 0 1 1 *', budget: 50, asset: 'So1anaTokenMint111111111111111111111111111' });
+    const swapRun = await dcaStrategy.run(swapPlan.id);
+    if (swapPlan.venue !== 'dex' || swapRun.status !== 'rejected' || !/solana chain/.test(swapRun.reason)) {
+      throw new Error(`Oversized swap was not rejected: ${JSON.stringify(swapRun)}`);
+    }
+    
+    // After a restart the 'all' policy replays each of the three missed ticks
+    dcaStrategy.stopAll();
+    const hour = rewindPlan(setup.id, 'all');
+    await dcaStrategy.initialize({ filePath });
+    const caughtUp = dcaStrategy.getPlan(setup.id).runs.filter(({ trigger }) => trigger === 'catchUp');
+    if (caughtUp.length !== 3 || caughtUp.some(({ status }) => status !== 'filled') ||
+      dcaStrategy.getPlan(setup.id).lastScheduledAt !== hour.toISOString()) {
+      throw new Error(`Missed runs were not caught up: ${JSON.stringify(caughtUp)}`);
+    }
+    
+    // 'once' runs a single catch-up for the same gap and 'skip' none
+    for (const [policy, expected] of [['once', 1], ['skip', 0]]) {
+      dcaStrategy.stopAll();
+      const before = dcaStrategy.getPlan(setup.id).runs.length;
+      rewindPlan(setup.id, policy);
+      await dcaStrategy.initialize({ filePath });
+      const added = dcaStrategy.getPlan(setup.id).runs.length - before;
+      if (added !== expected) {
+        throw new Error(`Policy ${policy} ran ${added} catch-up runs, expected ${expected}`);
+      }
+    }
+    
+    const stopped = dcaStrategy.stopPlan(setup.id);
+    if (stopped.status !== 'stopped' || dcaStrategy.tasks.has(setup.id) || stopped.stats.filled !== 5) {
+      throw new Error(`Unexpected plan after stopping: ${JSON.stringify(stopped.stats)}`);
+    }
+    
+    logger.info('DCA strategy tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('DCA strategy test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    dcaStrategy.stopAll();
+    await dcaStrategy.initialize({ persist: false });
+    priceFeed.clear();
+    paperVenue.reset(originalBalances);
+    securityModule.initialized = securityState.initialized;
+    securityModule.transactions = securityState.transactions;
+    config.set('trading.risk.usdPrices', previousPrices);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the trend strategy's indicators and candles, then trade it through a replayed price swing
+ */
+async function testTrendStrategy() {
+  const securityState = {
+    initialized: securityModule.initialized,
+    transactions: [...securityModule.transactions]
+  };
+  const signals = [];
+  const trades = [];
+  const onSignal = signal => signals.push(signal);
+  const onTrade = trade => trades.push(trade);
+  
+  // 20 minutes down 100 a minute, 15 up 200 a minute, 10 down 300 a minute; a ticker every 10 seconds
+  const start = Date.parse('2024-03-01T00:00:00.000Z');
+  const tickers = [];
+  for (let minute = 0; minute < 45; minute++) {
+    const price = minute < 20 ? 60000 - 100 * minute
+      : minute < 35 ? 58100 + 200 * (minute - 19)
+        : 61100 - 300 * (minute - 34);
+    for (let second = 0; second < 60; second += 10) {
+      tickers.push({
+        timestamp: new Date(start + minute * 60000 + second * 1000).toISOString(),
+        exchange: 'binance',
+        symbol: 'BTC/USDT',
+        bid: price - 5,
+        ask: price + 5,
+        last: price
+      });
+    }
+  }
+  const dataset = {
+    name: 'trend-swing',
+    start: new Date(start).toISOString(),
+    end: new Date(start + 45 * 60000).toISOString(),
+    bitcoin: { tickers }
+  };
+  const options = {
+    balances: { binance: { USDT: 10000, BTC: 0 } },
+    overrides: {
+      ...BACKTEST_RISK_LIMITS,
+      'trading.maxPositionSize': 0.1,
+      'security.transactionLimits.chains.bitcoin': { maxTransactionUSD: 2000, windowLimitUSD: 10000 },
+      'trading.bitcoin.arbitrageEnabled': false,
+      'trading.trend.pollMs': 10000
+    },
+    strategies: [{
+      type: 'trend',
+      chain: 'bitcoin',
+      exchange: 'binance',
+      symbol: 'BTC/USDT',
+      fastPeriod: 3,
+      slowPeriod: 6,
+      rsiPeriod: 3,
+      atrPeriod: 3,
+      rsiOverbought: 101 // a steady climb reads as overbought
+    }]
+  };
+  
+  try {
+    const averages = ema([1, 2, 3, 4, 5], 3);
+    if (JSON.stringify(averages) !== JSON.stringify([null, null, 2, 3, 4])) {
+      throw new Error(`Unexpected EMA: ${JSON.stringify(averages)}`);
+    }
+    
+    const flat = { high: 11, low: 9, close: 10 };
+    if (rsi([1, 2, 3, 4], 3) !== 100 || rsi([3, 2, 1, 2], 3) >= 50 || rsi([1, 2], 3) !== null ||
+      Math.abs(atr([flat, flat, flat, flat], 3) - 2) > 1e-12) {
+      throw new Error('Unexpected RSI or ATR');
+    }
+    
+    // A tick three intervals later closes the open candle and fills the gap with flat candles
+    const aggregator = new CandleAggregator(60000);
+    aggregator.add(100, 0, 1000);
+    aggregator.add(105, 20000, 1002);
+    aggregator.add(98, 40000, 1003);
+    const closed = aggregator.add(101, 185000, 1010);
+    const first = closed[0];
+    if (closed.length !== 3 || first.open !== 100 || first.high !== 105 || first.low !== 98 || first.close !== 98 ||
+      first.volume !== 3 || closed[2].openTime !== 120000 || closed[2].close !== 98 || aggregator.current.volume !== 7) {
+      throw new Error(`Unexpected candles: ${JSON.stringify(closed)}`);
+    }
+    
+    securityModule.initialized = true;
+    trendStrategy.on('signal', onSignal);
+    trendStrategy.on('trade', onTrade);
+    
+    // The climb's crossover buys 10% of the USDT balance and the drop sells it
+    const report = await backtestEngine.run(dataset, options);
+    const types = signals.map(({ type }) => type);
+    const entry = trades.find(({ type }) => type === 'entry');
+    const exit = trades.find(({ type }) => type === 'exit');
+    if (types[0] !== 'entry' || types[1] !== 'exit' || !entry || entry.status !== 'filled' || !exit || exit.status !== 'filled') {
+      throw new Error(`Unexpected trend signals: ${JSON.stringify(signals)}`);
+    }
+    if (Math.abs(entry.quantity * entry.price - 1000) > entry.price * 1e-8 || report.totals.trades !== 1 ||
+      report.totals.openPositions !== 0) {
+      throw new Error(`Unexpected trend trades: ${JSON.stringify(trades)}`);
+    }
+    if (Math.abs(report.balances.change.binance.USDT - exit.realizedPnl) > 1e-6 || report.balances.end.binance.BTC > 1e-12) {
+      throw new Error(`Trend PnL does not match the balances: ${JSON.stringify(report.balances.change)}`);
+    }
+    
+    // With maxOpenPositions reached the risk manager refuses the same signal
+    signals.length = 0;
+    trades.length = 0;
+    options.overrides['trading.maxOpenPositions'] = 0;
+    const capped = await backtestEngine.run(dataset, options);
+    if (signals[0].type !== 'entry' || trades[0].status !== 'rejected' || capped.totals.trades !== 0) {
+      throw new Error(`maxOpenPositions was not applied: ${JSON.stringify(trades)}`);
+    }
+    
+    logger.info('Trend strategy tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Trend strategy test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    trendStrategy.removeListener('signal', onSignal);
+    trendStrategy.removeListener('trade', onTrade);
+    securityModule.initialized = securityState.initialized;
+    securityModule.transactions = securityState.transactions;
+  }
+}
+
+/**
+ * Test the portfolio risk manager: position size, open position, exposure and bucket limits,
+ * a daily loss kill switch that stops the monitors and survives a restart, and orders checked
+ * at the same time counting toward each other's limits
+ */
+async function testRiskManager() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+  const filePath = path.join(dataDir, 'risk.json');
+  const settings = {
+    'trading.maxPositionSize': 0.1,
+    'trading.maxOpenPositions': 2,
+    'trading.risk.enabled': true,
+    'trading.risk.capitalUSD': 10000,
+    'trading.risk.maxAssetExposureUSD': 1500,
+    'trading.risk.maxPortfolioExposureUSD': 2500,
+    'trading.risk.maxDailyLossUSD': 300,
+    'trading.risk.correlationBuckets': { newListings: { assets: ['ethereum:snipe'], maxExposureUSD: 1500 } },
+    'trading.risk.usdPrices': { USDT: 1, ETH: 2000 },
+    'trading.risk.priceSources': {}
+  };
+  const previousConfig = Object.entries(settings).map(([configPath, value]) => [configPath, config.set(configPath, value)]);
+  const stopAllMonitors = multiChainLiquidityDetector.stopAllMonitors;
+  const snipe = { chain: 'ethereum', strategy: 'snipe', asset: '0xaaaa00000000000000000000000000000000aaaa', quoteAsset: 'ETH' };
+  const killSwitches = [];
+  const onKillSwitch = event => killSwitches.push(event);
+  let monitorsStopped = 0;
+  
+  try {
+    multiChainLiquidityDetector.stopAllMonitors = () => { monitorsStopped++; };
+    riskManager.on('killSwitch', onKillSwitch);
+    await positionLedger.initialize({ persist: false });
+    await riskManager.initialize({ filePath });
+    
+    // 0.6 ETH is 1200 USD, above 10% of the 10000 USD capital
+    const oversized = await riskManager.checkOrder({ ...snipe, quoteAmount: '0.6' });
+    if (oversized.allowed || oversized.notionalUSD !== 1200 || !/position size/.test(oversized.reason)) {
+      throw new Error(`Oversized order not refused: ${JSON.stringify(oversized)}`);
+    }
+    
+    const first = await riskManager.checkOrder({ ...snipe, quoteAmount: '0.45' });
+    if (!first.allowed) {
+      throw new Error(`Order within limits refused: ${first.reason}`);
+    }
+    positionLedger.openPosition({ ...snipe, quantity: '1000', cost: '0.45' });
+    riskManager.releaseOrder(first.reservationId);
+    const btc = positionLedger.openPosition({
+      chain: 'bitcoin', strategy: 'trend', asset: 'BTC', quoteAsset: 'USDT', quantity: '0.015', cost: '900'
+    });
+    
+    // 900 USD of snipes are open, so a 700 USD launch overfills the new listings bucket
+    const bucket = await riskManager.checkOrder({ ...snipe, asset: '0xbbbb00000000000000000000000000000000bbbb', quoteAmount: '0.35', opensPosition: false });
+    const asset = await riskManager.checkOrder({ ...snipe, strategy: 'dca', quoteAsset: 'USDT', quoteAmount: '700', opensPosition: false });
+    const portfolio = await riskManager.checkOrder({ chain: 'bitcoin', strategy: 'dca', asset: 'ETH', quoteAsset: 'USDT', quoteAmount: '800', opensPosition: false });
+    const count = await riskManager.checkOrder({ chain: 'solana', strategy: 'trend', asset: 'SOL', quoteAsset: 'USDT', quoteAmount: '100' });
+    if (bucket.allowed || !/newListings/.test(bucket.reason) || asset.allowed || !/0xaaaa.* exposure/.test(asset.reason) ||
+      portfolio.allowed || !/Portfolio/.test(portfolio.reason) || count.allowed || !/2 positions open/.test(count.reason)) {
+      throw new Error(`Exposure limits not applied: ${JSON.stringify({ bucket, asset, portfolio, count })}`);
+    }
+    
+    // Arbitrage sells what it buys in the same trade, so only the size limit applies
+    const hedged = await riskManager.checkOrder({ chain: 'bitcoin', strategy: 'arbitrage', asset: 'BTC', quoteAsset: 'USDT', quoteAmount: '900', hedged: true });
+    if (!hedged.allowed) {
+      throw new Error(`Hedged order refused: ${hedged.reason}`);
+    }
+    
+    // A 200 USDT stop loss is within the daily limit; another 150 USDT loss trips the kill switch
+    positionLedger.closePosition(btc.id, { reason: 'stop-loss', fill: { quantity: '0.015', amount: '700' } });
+    await new Promise(resolve => setImmediate(resolve));
+    if (riskManager.getStatus().realizedPnlUSD !== -200 || riskManager.getStatus().killSwitch || monitorsStopped !== 0) {
+      throw new Error(`Unexpected daily tally: ${JSON.stringify(riskManager.getStatus())}`);
+    }
+    await riskManager.recordPnl({ source: 'arbitrage', asset: 'USDT', amount: -150 });
+    const stopped = await riskManager.checkOrder({ ...snipe, quoteAmount: '0.01' });
+    if (monitorsStopped !== 1 || killSwitches.length !== 1 || stopped.allowed || !/kill switch/.test(stopped.reason)) {
+      throw new Error(`Kill switch not tripped: ${JSON.stringify(riskManager.getStatus())}`);
+    }
+    
+    // The kill switch is reloaded from the state file until it is reset
+    await riskManager.initialize({ filePath });
+    const status = riskManager.getStatus();
+    if (!status.killSwitch || status.realizedPnlUSD !== -350 || status.trades !== 2) {
+      throw new Error(`Risk state not restored: ${JSON.stringify(status)}`);
+    }
+    riskManager.resetKillSwitch();
+    const resumed = await riskManager.checkOrder({ ...snipe, asset: '0xcccc00000000000000000000000000000000cccc', quoteAmount: '0.05' });
+    if (!resumed.allowed) {
+      throw new Error(`Orders still refused after reset: ${resumed.reason}`);
+    }
+    riskManager.releaseOrder(resumed.reservationId);
+    
+    // One position is open, so of three snipes checked at once only one gets the last slot
+    const launches = ['dddd', 'eeee', 'ffff'].map(tag => `0x${tag}00000000000000000000000000000000${tag}`);
+    const concurrent = await Promise.all(launches.map(asset => riskManager.checkOrder({ ...snipe, asset, quoteAmount: '0.1' })));
+    const slot = concurrent.filter(decision => decision.allowed);
+    if (slot.length !== 1 || concurrent.some(decision => !decision.allowed && !/2 positions open or pending/.test(decision.reason))) {
+      throw new Error(`Concurrent orders exceeded the open position limit: ${JSON.stringify(concurrent)}`);
+    }
+    
+    // Releasing an order that failed frees its slot
+    riskManager.releaseOrder(slot[0].reservationId);
+    const retried = await riskManager.checkOrder({ ...snipe, asset: launches[1], quoteAmount: '0.1' });
+    if (!retried.allowed) {
+      throw new Error(`Released order still counted: ${retried.reason}`);
+    }
+    riskManager.releaseOrder(retried.reservationId);
+    
+    // Two 600 USD buys of one asset checked at once would make a 1200 USD position
+    const sameAsset = await Promise.all([1, 2].map(() =>
+      riskManager.checkOrder({ ...snipe, asset: '0xcccc00000000000000000000000000000000cccc', quoteAmount: '0.3', opensPosition: false })));
+    if (sameAsset.filter(decision => decision.allowed).length !== 1 ||
+      !sameAsset.some(decision => /1200\.00 USD with pending orders\) is above the 1000\.00 USD position size limit/.test(decision.reason))) {
+      throw new Error(`Concurrent orders exceeded the position size limit: ${JSON.stringify(sameAsset)}`);
+    }
+    
+    logger.info('Risk manager tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Risk manager test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    riskManager.removeListener('killSwitch', onKillSwitch);
+    multiChainLiquidityDetector.stopAllMonitors = stopAllMonitors;
+    previousConfig.reverse().forEach(([configPath, value]) => config.set(configPath, value));
+    riskManager.reset();
+    positionLedger.reset();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Bitcoin module functionality
+ */
+async function testBitcoinModule() {
+  try {
+    // Initialize Bitcoin module
+    const initialized = await bitcoin.initialize();
+    
+    if (!initialized) {
+      throw new Error('Failed to initialize Bitcoin module');
+    }
+    
+    logger.info('Bitcoin module initialized successfully');
+    
+    // Test getting BTC price
+    const btcPrice = await bitcoin.getBitcoinPrice('binance');
+    logger.info('Retrieved BTC price from Binance', { btcPrice });
+    
+    const btcPriceKraken = await bitcoin.getBitcoinPrice('kraken');
+    logger.info('Retrieved BTC price from Kraken', { btcPriceKraken });
+    
+    // Test fee estimation
+    const feeEstimates = await bitcoin.getFeeEstimates();
+    logger.info('Retrieved BTC fee estimates', { feeEstimates });
+    
+    // Test recommended fee rate
+    const fastFeeRate = await bitcoin.getRecommendedFeeRate('fast');
+    logger.info('Retrieved fast fee rate', { fastFeeRate });
+    
+    const mediumFeeRate = await bitcoin.getRecommendedFeeRate('medium');
+    logger.info('Retrieved medium fee rate', { mediumFeeRate });
+    
+    // Test paper trade execution
+    const tradeResult = await bitcoin.executeTrade('binance', 'buy', '0.001');
+    logger.info('Executed paper BTC trade', { tradeResult });
+    
+    return true;
+  } catch (error) {
+    logger.error('Bitcoin module test failed', {
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Test Solana module functionality
+ */
+async function testSolanaModule() {
+  try {
+    // Initialize Solana module
+    const initialized = await solana.initialize();
+    
+    if (!initialized) {
+      throw new Error('Failed to initialize Solana module');
+    }
+    
+    logger.info('Solana module initialized successfully');
+    
+    // Test getting SOL price
+    const solPrice = await solana.getSolanaPrice('binance');
+    logger.info('Retrieved SOL price from Binance', { solPrice });
     
     // Test token info retrieval (simulated)
     const testTokenAddress = 'So11111111111111111111111111111111111111112'; // Wrapped SOL
@@ -278,13 +3344,13 @@ async function testSolanaModule() {
     const tokenBalance = await solana.getTokenBalance(testTokenAddress);
     logger.info('Retrieved SOL token balance', { tokenBalance });
     
-    // Test simulated trade execution
+    // Test paper trade execution
     const tradeResult = await solana.executeTrade('binance', 'buy', '1');
-    logger.info('Executed simulated SOL trade', { tradeResult });
+    logger.info('Executed paper SOL trade', { tradeResult });
     
-    // Test simulated token swap
+    // Test paper token swap
     const swapResult = await solana.swapTokens('SOL', testTokenAddress, '0.1', 1);
-    logger.info('Executed simulated SOL token swap', { swapResult });
+    logger.info('Executed paper SOL token swap', { swapResult });
     
     return true;
   } catch (error) {
@@ -295,6 +3361,342 @@ async function testSolanaModule() {
   }
 }
 
+/**
+ * Test the Solana token monitor by replaying recorded logsSubscribe frames
+ * from a local websocket server, dropping the connection and backfilling
+ */
+async function testSolanaTokenMonitor() {
+  const { subscriptions, frames } = loadFixture('solana/logs-frames.json');
+  const responses = loadFixture('solana/rpc-responses.json');
+  const server = new WebSocket.Server({ port: 0 });
+  let connections = 0;
+  let monitor = null;
+  
+  server.on('connection', socket => {
+    connections++;
+    let confirmed = 0;
+    
+    socket.on('message', data => {
+      const request = JSON.parse(data.toString());
+      const programId = request.params[0].mentions[0];
+      socket.send(JSON.stringify({ jsonrpc: '2.0', result: subscriptions[programId], id: request.id }));
+      
+      // Replay the recording on the first connection once every program is subscribed, then drop it
+      if (++confirmed === Object.keys(subscriptions).length && connections === 1) {
+        frames.forEach(frame => socket.send(JSON.stringify(frame)));
+        setTimeout(() => socket.terminate(), 100);
+      }
+    });
+  });
+  
+  try {
+    await new Promise(resolve => server.on('listening', resolve));
+    
+    const rpc = async (method, params) => {
+      const byKey = responses[method];
+      return byKey ? byKey[params[0]] || null : null;
+    };
+    
+    monitor = new SolanaTokenMonitor({
+      rpcUrl: 'http://127.0.0.1:0',
+      wsUrl: `ws://127.0.0.1:${server.address().port}`,
+      programs: ['splToken', 'raydium'],
+      reconnectDelayMs: 50,
+      rpc
+    });
+    
+    const tokens = [];
+    const done = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Timed out waiting for Solana tokens')), 5000);
+      monitor.on('token', token => {
+        tokens.push(token);
+        if (tokens.length === responses.expected.tokens.length) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+    });
+    
+    monitor.start();
+    await done;
+    
+    if (tokens.map(({ address }) => address).join() !== responses.expected.tokens.join()) {
+      throw new Error('Solana tokens were not reported in order');
+    }
+    
+    const [minted, pooled, backfilled] = tokens;
+    if (minted.mintAuthority !== responses.expected.mintAuthority || minted.freezeAuthority !== null || minted.supply !== '1000000000000000') {
+      throw new Error('Mint account was not decoded');
+    }
+    
+    if (pooled.source !== 'raydium' || pooled.mintAuthority !== null || pooled.freezeAuthority !== responses.expected.freezeAuthority) {
+      throw new Error('Raydium pool token was not decoded');
+    }
+    
+    if (connections !== 2 || backfilled.slot !== 300000110) {
+      throw new Error('Missed token was not backfilled after reconnecting');
+    }
+    
+    logger.info('Solana token monitor tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Solana token monitor test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    if (monitor) {
+      monitor.stop();
+    }
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Test the pair event monitor by replaying recorded eth_subscribe frames
+ * from a local websocket server, then dropping the connection
+ */
+async function testPairEventMonitor() {
+  const { pairAddress, subscriptions, frames } = loadFixture('ethereum/pair-events.json');
+  const server = new WebSocket.Server({ port: 0 });
+  let connections = 0;
+  let monitor = null;
+  
+  server.on('connection', socket => {
+    connections++;
+    
+    socket.on('message', data => {
+      const request = JSON.parse(data.toString());
+      const kind = request.params[0];
+      socket.send(JSON.stringify({ jsonrpc: '2.0', result: subscriptions[kind], id: request.id }));
+      
+      // Replay the recording on the first connection once both subscriptions are confirmed, then drop it
+      if (kind === 'newHeads' && connections === 1) {
+        frames.forEach(frame => socket.send(JSON.stringify(frame)));
+        setTimeout(() => socket.terminate(), 100);
+      }
+    });
+  });
+  
+  try {
+    await new Promise(resolve => server.on('listening', resolve));
+    
+    monitor = new PairEventMonitor({
+      wsUrl: `ws://127.0.0.1:${server.address().port}`,
+      pairAddress,
+      tokenIsToken0: false,
+      tokenDecimals: 9,
+      reconnectDelayMs: 50
+    });
+    
+    const reserves = [];
+    const swaps = [];
+    const connected = [];
+    let disconnects = 0;
+    
+    monitor.on('reserves', update => reserves.push(update));
+    monitor.on('swap', swap => swaps.push(swap));
+    monitor.on('disconnected', () => disconnects++);
+    
+    const reconnected = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Timed out waiting for pair event reconnect')), 5000);
+      monitor.on('connected', event => {
+        connected.push(event);
+        if (event.reconnecting) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+    });
+    
+    monitor.start();
+    await reconnected;
+    
+    // One update per block, the last Sync of a block winning
+    const blocks = reserves.map(({ blockNumber, reserveToken, reserveWeth }) => `${blockNumber}:${reserveToken}:${reserveWeth}`);
+    if (blocks.join() !== '19000000:95238095.23809524:10.5,19000001:250000000:4') {
+      throw new Error(`Unexpected pair reserves: ${blocks.join(', ')}`);
+    }
+    
+    const [swap] = swaps;
+    if (swaps.length !== 1 || swap.side !== 'buy' || swap.wethAmount !== 0.5 || swap.tokenAmount !== 4761904.761904762) {
+      throw new Error(`Unexpected pair swaps: ${JSON.stringify(swaps)}`);
+    }
+    
+    if (connections !== 2 || disconnects !== 1 || connected.length !== 2 || monitor.lastBlock !== 19000001) {
+      throw new Error('Pair event monitor did not resubscribe after the connection dropped');
+    }
+    
+    logger.info('Pair event monitor tests passed');
+    
+    return true;
+  } catch (error) {
+    logger.error('Pair event monitor test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    if (monitor) {
+      monitor.stop();
+    }
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Test the backtesting engine by replaying recorded pairs, Solana tokens and tickers
+ */
+async function testBacktest() {
+  const dataset = loadFixture('backtest/replay.json');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-test-'));
+  
+  try {
+    const report = await backtestEngine.run(dataset, {
+      params: {
+        minLiquidityUSD: 50000,
+        snipeAmount: '1',
+        snipeSlippage: 10,
+        takeProfitPercentage: 20,
+        stopLossPercentage: 10,
+        solanaSnipeAmount: '1',
+        arbitrageAmount: '0.01',
+        minArbitrageProfit: 0.5
+      },
+      overrides: { ...BACKTEST_RISK_LIMITS, 'storage.dataDir': dataDir }
+    });
+    
+    // ALPHA and the Raydium mint hit take profit, CHARLIE hits stop loss; the rest are filtered out
+    const reasons = report.trades.map(trade => `${trade.asset}:${trade.closeReason}`);
+    const expected = [
+      '0xcccc00000000000000000000000000000000cccc:stop-loss',
+      '0xaaaa00000000000000000000000000000000aaaa:take-profit',
+      'WinMint1111111111111111111111111111111111111:take-profit'
+    ];
+    
+    if (JSON.stringify(reasons.sort()) !== JSON.stringify(expected.sort())) {
+      throw new Error(`Unexpected backtest trades: ${reasons.join(', ')}`);
+    }
+    
+    if (Math.abs(report.totals.hitRate - 2 / 3) > 1e-9 || report.totals.openPositions !== 0) {
+      throw new Error(`Unexpected backtest totals: ${JSON.stringify(report.totals)}`);
+    }
+    
+    const eth = report.byQuoteAsset.ETH;
+    if (!(eth.realizedPnl > 0) || !(eth.maxDrawdown > 0) || eth.trades !== 2) {
+      throw new Error(`Unexpected ETH performance: ${JSON.stringify(eth)}`);
+    }
+    
+    // The single wide Binance bid is arbitraged once: buy on Kraken, sell on Binance
+    if (!(report.balances.change.kraken.BTC > 0.0099) || !(report.balances.change.binance.USDT > 0)) {
+      throw new Error(`Bitcoin arbitrage not replayed: ${JSON.stringify(report.balances.change)}`);
+    }
+    
+    // Simulated positions and PnL stay in memory, so the next live run loads none of them
+    const persisted = fs.readdirSync(dataDir);
+    if (persisted.length > 0 || riskManager.initialized || positionLedger.initialized) {
+      throw new Error(`Backtest left state behind: ${persisted.join(', ')}`);
+    }
+    
+    logger.info('Backtest replayed successfully', {
+      totals: report.totals,
+      byQuoteAsset: report.byQuoteAsset
+    });
+    
+    return true;
+  } catch (error) {
+    logger.error('Backtest test failed', {
+      error: error.message
+    });
+    throw error;
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test exit policy rules directly and through a backtest with a take-profit ladder
+ */
+async function testExitPolicies() {
+  try {
+    const policy = {
+      ...exitPolicy.DEFAULT_POLICY,
+      stopLossPercent: 10,
+      takeProfits: [{ atPercent: 10, sellPercent: 50 }, { atPercent: 20, sellPercent: 25 }],
+      breakEvenAfterFirstTarget: true,
+      maxHoldingMinutes: 60
+    };
+    const openedAt = '2024-05-01T00:00:00.000Z';
+    const now = Date.parse(openedAt);
+    let state = exitPolicy.createState({ entryPrice: 1, quantity: 100, openedAt });
+    
+    // The first target sells half of the bought quantity and arms the break-even stop
+    const first = exitPolicy.evaluate(policy, state, { price: 1.12, now });
+    if (!first.action || first.action.type !== 'reduce' || exitPolicy.getSellQuantity(state, first.action, 100) !== 50) {
+      throw new Error(`Unexpected first target: ${JSON.stringify(first.action)}`);
+    }
+    state = exitPolicy.recordReduce(policy, first.state, first.action);
+    
+    const breakEven = exitPolicy.evaluate(policy, state, { price: 0.99, now });
+    if (!breakEven.action || breakEven.action.reason !== 'break-even-stop') {
+      throw new Error(`Break-even stop not triggered: ${JSON.stringify(breakEven.action)}`);
+    }
+    
+    const expired = exitPolicy.evaluate(policy, state, { price: 1.05, now: now + 60 * 60000 });
+    if (!expired.action || expired.action.reason !== 'max-holding-time') {
+      throw new Error(`Holding time exit not triggered: ${JSON.stringify(expired.action)}`);
+    }
+    
+    // ALPHA sells three quarters on the way up and keeps the rest; CHARLIE trails out before the stop loss
+    const report = await backtestEngine.run(loadFixture('backtest/replay.json'), {
+      params: {
+        minLiquidityUSD: 50000,
+        snipeAmount: '1',
+        snipeSlippage: 10,
+        takeProfitPercentage: 20,
+        stopLossPercentage: 10
+      },
+      overrides: {
+        ...BACKTEST_RISK_LIMITS,
+        'trading.exitPolicies.ethereum.snipe': {
+          takeProfits: [{ atPercent: 10, sellPercent: 50 }, { atPercent: 20, sellPercent: 25 }],
+          breakEvenAfterFirstTarget: true,
+          trailingStopPercent: 5
+        }
+      }
+    });
+    
+    const reasons = report.trades
+      .filter(trade => trade.chain === 'ethereum')
+      .map(trade => `${trade.asset}:${trade.closeReason}`)
+      .sort();
+    const expected = [
+      '0xaaaa00000000000000000000000000000000aaaa:end-of-backtest',
+      '0xcccc00000000000000000000000000000000cccc:trailing-stop'
+    ];
+    
+    if (JSON.stringify(reasons) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected exit policy trades: ${reasons.join(', ')}`);
+    }
+    
+    const alpha = report.trades.find(trade => trade.asset.startsWith('0xaaaa'));
+    if (!(alpha.realizedPnl > 0)) {
+      throw new Error(`Laddered position should be profitable: ${JSON.stringify(alpha)}`);
+    }
+    
+    logger.info('Exit policies applied successfully', {
+      trades: report.trades.map(trade => `${trade.asset}:${trade.closeReason}`)
+    });
+    
+    return true;
+  } catch (error) {
+    logger.error('Exit policy test failed', {
+      error: error.message
+    });
+    throw error;
+  }
+}
+
 /**
  * Test multi-chain liquidity detector
  */
@@ -310,13 +3712,13 @@ async function testMultiChainLiquidityDetector() {
     logger.info('Multi-chain liquidity detector initialized successfully');
     
     // Test Bitcoin arbitrage simulation
-    const arbitrageResult = await multiChainLiquidityDetector.executeBitcoinArbitrage('64000', '65000');
+    const arbitrageResult = await multiChainLiquidityDetector.executeBitcoinArbitrage('kraken', 'binance');
     logger.info('Simulated Bitcoin arbitrage', { arbitrageResult });
     
     // Test Solana token analysis
     const testTokenAddress = 'So11111111111111111111111111111111111111112'; // Wrapped SOL
-    const tokenSafe = await multiChainLiquidityDetector.analyzeSolanaToken(testTokenAddress);
-    logger.info('Analyzed Solana token', { tokenAddress: testTokenAddress, isSafe: tokenSafe });
+    const assessment = await multiChainLiquidityDetector.analyzeSolanaToken(testTokenAddress);
+    logger.info('Analyzed Solana token', { tokenAddress: testTokenAddress, isSafe: assessment.safe, score: assessment.score });
     
     // Stop all monitors to clean up
     multiChainLiquidityDetector.stopAllMonitors();
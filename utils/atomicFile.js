@@ -0,0 +1,37 @@
+/**
+ * Atomic file writes for the multi-chain trading bot
+ * State files are written through a temporary file that is flushed to disk before it replaces
+ * the original, so a crash or power loss leaves either the old file or the new one, never half
+ * of either
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replace a file's contents atomically, creating its directory if needed
+ * @param {string} filePath - File to write
+ * @param {string} contents - New contents
+ * @param {Object} [options] - Options
+ * @param {number} [options.mode] - Permissions for a newly created file (e.g. 0o600)
+ */
+function writeFileAtomic(filePath, contents, { mode = 0o666 } = {}) {
+  const temporaryPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const fd = fs.openSync(temporaryPath, 'w', mode);
+
+  try {
+    fs.writeFileSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(temporaryPath, filePath);
+}
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,63 @@
+/**
+ * Base58 utility for the multi-chain trading bot
+ * Encodes and decodes Solana public keys and signatures (Bitcoin alphabet)
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE = BigInt(58);
+
+/**
+ * Encode bytes as base58
+ * @param {Buffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base58 string
+ */
+function encode(bytes) {
+  const buffer = Buffer.from(bytes);
+  let value = BigInt(`0x${buffer.toString('hex') || '0'}`);
+  let encoded = '';
+
+  while (value > 0) {
+    encoded = ALPHABET[Number(value % BASE)] + encoded;
+    value /= BASE;
+  }
+
+  // Each leading zero byte is written as a leading '1'
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) {
+    encoded = `1${encoded}`;
+  }
+
+  return encoded;
+}
+
+/**
+ * Decode a base58 string
+ * @param {string} encoded - Base58 string
+ * @returns {Buffer} Decoded bytes
+ */
+function decode(encoded) {
+  let value = BigInt(0);
+
+  for (const char of encoded) {
+    const digit = ALPHABET.indexOf(char);
+
+    if (digit === -1) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+
+    value = value * BASE + BigInt(digit);
+  }
+
+  let hex = value > 0 ? value.toString(16) : '';
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+
+  const leadingZeros = encoded.length - encoded.replace(/^1+/, '').length;
+
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+module.exports = {
+  encode,
+  decode
+};
@@ -0,0 +1,169 @@
+/**
+ * Clock utility for the multi-chain trading bot
+ * Wraps time and timers so backtests can run the detectors on a virtual clock
+ */
+
+/**
+ * Timer scheduled on the virtual clock
+ */
+class VirtualTimer {
+  constructor(id, callback, due, interval) {
+    this.id = id;
+    this.callback = callback;
+    this.due = due;
+    this.interval = interval;
+  }
+}
+
+class Clock {
+  constructor() {
+    this.virtualTime = null;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  /**
+   * Check whether the virtual clock is in use
+   * @returns {boolean} Whether time is virtual
+   */
+  isVirtual() {
+    return this.virtualTime !== null;
+  }
+
+  /**
+   * Current time in milliseconds
+   * @returns {number} Epoch milliseconds
+   */
+  now() {
+    return this.isVirtual() ? this.virtualTime : Date.now();
+  }
+
+  /**
+   * Current time as a Date
+   * @returns {Date} Current date
+   */
+  date() {
+    return new Date(this.now());
+  }
+
+  /**
+   * Schedule a callback once
+   * @param {Function} callback - Callback
+   * @param {number} [delay] - Delay in milliseconds
+   * @returns {Object} Timer handle
+   */
+  setTimeout(callback, delay = 0) {
+    if (!this.isVirtual()) {
+      return setTimeout(callback, delay);
+    }
+
+    return this.addTimer(callback, delay, null);
+  }
+
+  /**
+   * Schedule a callback repeatedly
+   * @param {Function} callback - Callback
+   * @param {number} interval - Interval in milliseconds
+   * @returns {Object} Timer handle
+   */
+  setInterval(callback, interval) {
+    if (!this.isVirtual()) {
+      return setInterval(callback, interval);
+    }
+
+    return this.addTimer(callback, interval, Math.max(1, interval));
+  }
+
+  /**
+   * Cancel a timer created by setTimeout
+   * @param {Object} handle - Timer handle
+   */
+  clearTimeout(handle) {
+    if (handle instanceof VirtualTimer) {
+      this.timers = this.timers.filter(timer => timer !== handle);
+    } else {
+      clearTimeout(handle);
+    }
+  }
+
+  /**
+   * Cancel a timer created by setInterval
+   * @param {Object} handle - Timer handle
+   */
+  clearInterval(handle) {
+    if (handle instanceof VirtualTimer) {
+      this.timers = this.timers.filter(timer => timer !== handle);
+    } else {
+      clearInterval(handle);
+    }
+  }
+
+  /**
+   * Switch to virtual time. Timers created before the switch keep running on real time.
+   * @param {number} startTime - Virtual start time in epoch milliseconds
+   */
+  useVirtual(startTime) {
+    this.virtualTime = startTime;
+    this.timers = [];
+  }
+
+  /**
+   * Switch back to real time, dropping any pending virtual timers
+   */
+  useReal() {
+    this.virtualTime = null;
+    this.timers = [];
+  }
+
+  /**
+   * Move virtual time forward, firing due timers in order
+   * @param {number} time - Target time in epoch milliseconds
+   * @returns {Promise<void>}
+   */
+  async advanceTo(time) {
+    if (!this.isVirtual()) {
+      throw new Error('Clock is not virtual');
+    }
+
+    for (;;) {
+      const next = this.timers
+        .filter(timer => timer.due <= time)
+        .sort((a, b) => a.due - b.due || a.id - b.id)[0];
+
+      if (!next) {
+        break;
+      }
+
+      this.virtualTime = next.due;
+
+      if (next.interval === null) {
+        this.timers = this.timers.filter(timer => timer !== next);
+      } else {
+        next.due += next.interval;
+      }
+
+      next.callback();
+
+      // Let the async work the callback started finish before time moves on
+      await this.settle();
+    }
+
+    this.virtualTime = Math.max(this.virtualTime, time);
+  }
+
+  /**
+   * Wait until pending promise callbacks have run
+   * @returns {Promise<void>}
+   */
+  settle() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  addTimer(callback, delay, interval) {
+    const timer = new VirtualTimer(this.nextTimerId++, callback, this.virtualTime + delay, interval);
+    this.timers.push(timer);
+    return timer;
+  }
+}
+
+module.exports = new Clock();
@@ -0,0 +1,73 @@
+/**
+ * HTTP client utility for the multi-chain trading bot
+ * Provides JSON requests with timeouts for REST and JSON-RPC integrations
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Send an HTTP request and parse the JSON response
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method (defaults to GET)
+ * @param {Object} [options.headers] - Request headers
+ * @param {Object|string} [options.body] - Request body (objects are sent as JSON)
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds
+ * @returns {Promise<any>} Parsed response body
+ */
+async function requestJson(url, { method = 'GET', headers = {}, body = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  const requestHeaders = { Accept: 'application/json', ...headers };
+  let payload = body;
+
+  if (body !== null && typeof body === 'object') {
+    payload = JSON.stringify(body);
+    requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+  }
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: requestHeaders,
+      body: payload,
+      signal: controller.signal
+    });
+
+    const text = await response.text();
+    let data = null;
+
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (parseError) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} from ${url}`);
+      error.status = response.status;
+      error.body = data;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`Request to ${url} timed out after ${timeoutMs}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
+    }
+    // fetch reports connection failures as a TypeError with the socket error as its cause
+    if (!error.code && error.cause && error.cause.code) {
+      error.code = error.cause.code;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+module.exports = {
+  requestJson
+};